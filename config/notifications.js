@@ -155,8 +155,98 @@ async function notifyCandidateStatus(user, status, testScore = null) {
   }
 }
 
+// Send password reset link
+async function sendPasswordResetEmail(user, token, expiresInMinutes) {
+  const resetUrl = `${process.env.APP_URL || 'http://localhost:5173'}/reset-password?token=${token}`;
+
+  return sendEmail(
+    user.email,
+    'Reset Your Password',
+    `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #3b82f6;">Password Reset Request</h1>
+        <p>Hi ${user.full_name},</p>
+        <p>We received a request to reset the password for your account. Click the button below to choose a new password.</p>
+        <p><a href="${resetUrl}" style="display: inline-block; background: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; font-weight: bold;">Reset Password</a></p>
+        <p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+        <p style="color: #6b7280; font-size: 14px;">If you didn't request a password reset, you can safely ignore this email.</p>
+        <p style="color: #6b7280; font-size: 14px;">Best regards,<br>${process.env.APP_NAME || 'ArchetypeOS'} Team</p>
+      </div>
+    `
+  );
+}
+
+// Send email address verification link
+async function sendVerificationEmail(user, token, expiresInHours) {
+  const verifyUrl = `${process.env.APP_URL || 'http://localhost:5173'}/verify-email?token=${token}`;
+
+  return sendEmail(
+    user.email,
+    'Verify Your Email Address',
+    `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #3b82f6;">Confirm Your Email</h1>
+        <p>Hi ${user.full_name},</p>
+        <p>Thanks for signing up! Please confirm your email address to activate your account.</p>
+        <p><a href="${verifyUrl}" style="display: inline-block; background: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; font-weight: bold;">Verify Email</a></p>
+        <p>This link expires in ${expiresInHours} hours.</p>
+        <p style="color: #6b7280; font-size: 14px;">If you didn't create an account, you can safely ignore this email.</p>
+        <p style="color: #6b7280; font-size: 14px;">Best regards,<br>${process.env.APP_NAME || 'ArchetypeOS'} Team</p>
+      </div>
+    `
+  );
+}
+
+// Send registration invitation
+async function sendInvitationEmail(email, code, role, expiresAt) {
+  const registerUrl = `${process.env.APP_URL || 'http://localhost:5173'}/register?invite=${code}`;
+
+  return sendEmail(
+    email,
+    `You're Invited to ${process.env.APP_NAME || 'ArchetypeOS'}`,
+    `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #10b981;">You've Been Invited!</h1>
+        <p>You have been invited to join ${process.env.APP_NAME || 'ArchetypeOS'} as a <strong>${role}</strong>.</p>
+        <p><a href="${registerUrl}" style="display: inline-block; background: #10b981; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; font-weight: bold;">Create Your Account</a></p>
+        <div style="background: #f0fdf4; padding: 15px; border-radius: 8px; margin: 20px 0;">
+          <p style="margin: 0;">Your invitation code: <strong>${code}</strong></p>
+          <p style="margin: 8px 0 0;">Valid until ${new Date(expiresAt).toUTCString()}</p>
+        </div>
+        <p style="color: #6b7280; font-size: 14px;">Best regards,<br>${process.env.APP_NAME || 'ArchetypeOS'} Team</p>
+      </div>
+    `
+  );
+}
+
+// Warn user that their account was locked after failed logins
+async function sendAccountLockedEmail(user, lockedUntil) {
+  const resetUrl = `${process.env.APP_URL || 'http://localhost:5173'}/forgot-password`;
+
+  return sendEmail(
+    user.email,
+    'Your Account Has Been Temporarily Locked',
+    `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #ef4444;">Account Temporarily Locked</h1>
+        <p>Hi ${user.full_name},</p>
+        <p>We locked your account after several unsuccessful login attempts.</p>
+        <div style="background: #fef2f2; padding: 15px; border-radius: 8px; margin: 20px 0;">
+          <p style="margin: 0;">You can try again after <strong>${new Date(lockedUntil).toUTCString()}</strong>.</p>
+        </div>
+        <p>If this wasn't you, we recommend <a href="${resetUrl}">resetting your password</a> as soon as the lock expires.</p>
+        <p style="color: #6b7280; font-size: 14px;">Best regards,<br>${process.env.APP_NAME || 'ArchetypeOS'} Team</p>
+      </div>
+    `
+  );
+}
+
 module.exports = {
   sendEmail,
   sendSMS,
-  notifyCandidateStatus
+  notifyCandidateStatus,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendInvitationEmail,
+  sendAccountLockedEmail
 };
\ No newline at end of file
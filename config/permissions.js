@@ -0,0 +1,123 @@
+// Catalog of named permissions checked by authorize(). Roles stored in the
+// database grant a subset of these; the built-in roles below are created on
+// startup and can be edited (but not deleted) by admins.
+const PERMISSIONS = {
+  "users:manage": "Create, edit, suspend and delete user accounts",
+  "users:invite": "Issue and revoke registration invitations",
+  "users:impersonate": "Act as another user to troubleshoot their view",
+  "users:provision": "Provision users and groups through SCIM",
+  "audit:view": "View the audit log",
+  "roles:manage": "Create and edit roles and their permissions",
+  "candidates:migrate":
+    "Review eligible candidates and promote them to learners",
+  "courses:edit": "Create and edit courses and their content",
+  "courses:publish": "Publish and unpublish courses",
+  "courses:delete": "Delete courses",
+  "courses:enroll": "Enroll in published courses and track progress",
+  "enrollments:view_own": "View own course enrollments",
+  "tests:edit": "Create tests and questions",
+  "tests:take": "Start and submit course tests",
+  "tests:grade": "Grade submitted tests",
+  "assessments:take": "Take candidate assessments",
+  "assignments:submit": "Submit assignments for review",
+  "assignments:review": "Review assignments from supervised learners",
+  "skills:manage": "Create skills and link them to courses",
+  "skills:calculate": "Recalculate learner skill levels",
+  "learning:track": "Clock in/out and view own learning time",
+  "journal:write": "Keep a learning journal",
+  "learners:view_team": "View learning data for supervised learners",
+  "learners:view_all": "View learning data for every learner",
+  "learners:flag": "Flag learners for performance concerns",
+  "learning:approve_corrections":
+    "Approve or reject learners' time correction requests",
+  "leave:approve": "Approve or reject learners' leave requests",
+  "targets:manage": "Define learning-hour targets and assign them",
+  "dashboard:learner": "View the learner dashboard",
+  "dashboard:supervisor": "View the supervisor dashboard",
+  "dashboard:admin": "View the admin dashboard",
+  "data:export": "Export platform data",
+  "organizations:settings": "Edit settings of own organization",
+  "organizations:manage": "Create, edit and deactivate organizations",
+  "organizations:all": "Access data in every organization",
+};
+
+const DEFAULT_ROLES = {
+  candidate: {
+    description: "Applicant taking the entry assessment",
+    permissions: [
+      "learning:track",
+      "assessments:take",
+      "tests:take",
+      "assignments:submit",
+      "enrollments:view_own",
+    ],
+  },
+  learner: {
+    description: "Active learner",
+    permissions: [
+      "learning:track",
+      "courses:enroll",
+      "enrollments:view_own",
+      "tests:take",
+      "assignments:submit",
+      "journal:write",
+      "dashboard:learner",
+    ],
+  },
+  supervisor: {
+    description: "Supervises a team of learners",
+    permissions: [
+      "learners:view_team",
+      "learners:flag",
+      "learning:approve_corrections",
+      "leave:approve",
+      "assignments:review",
+      "tests:grade",
+      "skills:calculate",
+      "dashboard:supervisor",
+    ],
+  },
+  admin: {
+    description: "Platform administrator",
+    permissions: [
+      "users:manage",
+      "users:invite",
+      "users:impersonate",
+      "users:provision",
+      "audit:view",
+      "roles:manage",
+      "candidates:migrate",
+      "courses:edit",
+      "courses:publish",
+      "courses:delete",
+      "tests:edit",
+      "tests:grade",
+      "assignments:review",
+      "skills:manage",
+      "skills:calculate",
+      "learners:view_all",
+      "learners:flag",
+      "learning:approve_corrections",
+      "leave:approve",
+      "targets:manage",
+      "dashboard:admin",
+      "data:export",
+      "organizations:settings",
+    ],
+  },
+};
+
+// Super admins hold every admin permission plus cross-tenant access
+DEFAULT_ROLES.super_admin = {
+  description: "Administrator of every organization",
+  permissions: [
+    ...DEFAULT_ROLES.admin.permissions,
+    "organizations:manage",
+    "organizations:all",
+  ],
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+};
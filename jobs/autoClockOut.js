@@ -0,0 +1,34 @@
+const { closeExpiredSessions } = require("../utils/autoClockOut");
+
+// How often open sessions are checked; 0 disables the job (e.g. when a
+// single instance in a multi-process deployment runs it instead)
+const INTERVAL_MINUTES = parseFloat(
+  process.env.AUTO_CLOCK_OUT_INTERVAL_MINUTES || "5",
+);
+
+let running = false;
+
+const runAutoClockOut = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const closed = await closeExpiredSessions();
+    if (closed > 0) {
+      console.log(`Auto clock-out closed ${closed} forgotten session(s)`);
+    }
+  } catch (error) {
+    console.error("Auto clock-out job error:", error);
+  } finally {
+    running = false;
+  }
+};
+
+const startAutoClockOutJob = () => {
+  if (!(INTERVAL_MINUTES > 0)) return null;
+  runAutoClockOut();
+  const timer = setInterval(runAutoClockOut, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { runAutoClockOut, startAutoClockOutJob };
@@ -0,0 +1,39 @@
+const {
+  refreshCurrentStreaks,
+  refreshAllStreaks,
+} = require("../utils/streaks");
+
+// How often learners' running streaks are re-checked, so a missed day
+// spends a freeze or ends the streak; 0 disables the job (e.g. when a
+// single instance in a multi-process deployment runs it instead). The
+// first run, at startup, refreshes every learner.
+const INTERVAL_MINUTES = parseFloat(
+  process.env.STREAK_REFRESH_INTERVAL_MINUTES || "60",
+);
+
+let running = false;
+
+const runStreakRefresh = async (refresh = refreshCurrentStreaks) => {
+  if (running) return;
+  running = true;
+  try {
+    await refresh();
+  } catch (error) {
+    console.error("Streak refresh job error:", error);
+  } finally {
+    running = false;
+  }
+};
+
+const startStreakRefreshJob = () => {
+  if (!(INTERVAL_MINUTES > 0)) return null;
+  runStreakRefresh(refreshAllStreaks);
+  const timer = setInterval(
+    () => runStreakRefresh(),
+    INTERVAL_MINUTES * 60 * 1000,
+  );
+  timer.unref();
+  return timer;
+};
+
+module.exports = { runStreakRefresh, startStreakRefreshJob };
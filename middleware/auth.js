@@ -1,28 +1,70 @@
 const jwt = require("jsonwebtoken");
-const { User } = require("../models");
+const { User, Organization, Impersonation, UserSession } = require("../models");
+const { getRolePermissions, hasPermission } = require("../utils/permissions");
+const { orgScope } = require("../utils/tenancy");
+const {
+  isApiKey,
+  findActiveApiKey,
+  recordApiKeyUse,
+} = require("../utils/apiKeys");
+const { recordAudit } = require("../utils/audit");
+const { isSessionActive, touchSession } = require("../utils/sessions");
 
-// Verify JWT Token
+const USER_ATTRIBUTES = [
+  "id",
+  "email",
+  "full_name",
+  "role",
+  "archetype",
+  "supervisor_id",
+  "organization_id",
+  "is_active",
+  "is_service_account",
+  "token_version",
+  "timezone",
+];
+
+// Verify a JWT access token or an API key ("ak_..." as the bearer token or
+// in the X-API-Key header)
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers["authorization"];
-    const token = authHeader && authHeader.split(" ")[1];
+    const token =
+      (authHeader && authHeader.split(" ")[1]) || req.headers["x-api-key"];
 
     if (!token) {
       return res.status(401).json({ error: "Access token required" });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    let apiKey = null;
+    let decoded = null;
+    let userId;
+
+    if (isApiKey(token)) {
+      apiKey = await findActiveApiKey(token);
+      if (!apiKey) {
+        return res.status(403).json({ error: "Invalid or expired API key" });
+      }
+      userId = apiKey.user_id;
+    } else {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Purpose-bound tokens (e.g. two-factor challenges) are not access tokens
+      if (decoded.purpose) {
+        return res.status(403).json({ error: "Invalid token" });
+      }
+
+      userId = decoded.userId;
+    }
 
     // Get user from database to ensure they still exist and are active
-    const user = await User.findByPk(decoded.userId, {
-      attributes: [
-        "id",
-        "email",
-        "full_name",
-        "role",
-        "archetype",
-        "supervisor_id",
-        "is_active",
+    const user = await User.findByPk(userId, {
+      attributes: USER_ATTRIBUTES,
+      include: [
+        {
+          model: Organization,
+          attributes: ["id", "name", "slug", "settings", "is_active"],
+        },
       ],
     });
 
@@ -30,7 +72,130 @@ const authenticateToken = async (req, res, next) => {
       return res.status(403).json({ error: "User not found or inactive" });
     }
 
+    // Tokens issued before a password change, suspension or logout-all
+    if (decoded && decoded.tokenVersion !== user.token_version) {
+      return res.status(403).json({ error: "Session has been revoked" });
+    }
+
+    // Tokens of a session revoked from the sessions list or by logout
+    let session = null;
+    if (decoded && decoded.sessionId) {
+      session = await UserSession.findByPk(decoded.sessionId);
+      if (!isSessionActive(session) || session.user_id !== user.id) {
+        return res.status(403).json({ error: "Session has been revoked" });
+      }
+    }
+
+    // Impersonation tokens die with their record or their admin
+    if (decoded && decoded.impersonationId) {
+      const impersonation = await Impersonation.findByPk(
+        decoded.impersonationId,
+        {
+          include: [
+            {
+              model: User,
+              as: "Impersonator",
+              attributes: ["id", "email", "full_name", "is_active"],
+            },
+          ],
+        },
+      );
+
+      if (
+        !impersonation ||
+        impersonation.user_id !== user.id ||
+        impersonation.ended_at ||
+        impersonation.expires_at <= new Date() ||
+        !impersonation.Impersonator ||
+        !impersonation.Impersonator.is_active
+      ) {
+        return res
+          .status(403)
+          .json({ error: "Impersonation session has ended" });
+      }
+
+      req.impersonation = {
+        id: impersonation.id,
+        reason: impersonation.reason,
+        started_at: impersonation.created_at,
+        expires_at: impersonation.expires_at,
+        impersonator: {
+          id: impersonation.Impersonator.id,
+          email: impersonation.Impersonator.email,
+          full_name: impersonation.Impersonator.full_name,
+        },
+      };
+    }
+
     req.user = user.get({ plain: true });
+    delete req.user.token_version;
+    delete req.user.Organization;
+    req.user.permissions = await getRolePermissions(
+      user.role,
+      user.organization_id,
+    );
+
+    // A key can never exceed its owner's current role
+    if (apiKey) {
+      req.user.permissions = req.user.permissions.filter((p) =>
+        apiKey.permissions.includes(p),
+      );
+      req.apiKey = { id: apiKey.id, name: apiKey.name };
+      await recordApiKeyUse(apiKey, req.ip);
+    }
+
+    if (session) {
+      req.sessionId = session.id;
+      await touchSession(session, req.ip);
+    }
+
+    // Tenant scoping: req.organizationId limits every query in the routes.
+    // Super admins span tenants and may pick one with X-Organization-Id;
+    // without it their requests are unscoped (req.organizationId null).
+    if (hasPermission(req.user, "organizations:all")) {
+      const requestedId = req.headers["x-organization-id"];
+      if (requestedId) {
+        const organization = await Organization.findByPk(
+          parseInt(requestedId) || 0,
+          { attributes: ["id", "name", "slug", "settings", "is_active"] },
+        );
+        if (!organization) {
+          return res.status(404).json({ error: "Organization not found" });
+        }
+        req.organizationId = organization.id;
+        req.organization = organization.get({ plain: true });
+      } else {
+        req.organizationId = null;
+        req.organization = user.Organization
+          ? user.Organization.get({ plain: true })
+          : null;
+      }
+    } else {
+      if (!user.Organization || !user.Organization.is_active) {
+        return res
+          .status(403)
+          .json({ error: "Organization not found or inactive" });
+      }
+      req.organizationId = user.organization_id;
+      req.organization = user.Organization.get({ plain: true });
+    }
+
+    // Every request made while impersonating is audited once it completes
+    if (req.impersonation) {
+      const { impersonation } = req;
+      res.on("finish", () => {
+        recordAudit({
+          action: "impersonation.request",
+          actorId: impersonation.impersonator.id,
+          userId: user.id,
+          organizationId: user.organization_id,
+          req,
+          statusCode: res.statusCode,
+          details: { impersonation_id: impersonation.id },
+        });
+      });
+    }
+
     next();
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
@@ -43,14 +208,15 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Role-based authorization
-const authorize = (...allowedRoles) => {
+// Permission-based authorization: passes if the user's role grants any
+// of the listed permissions (see config/permissions.js)
+const authorize = (...requiredPermissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: "User not authenticated" });
     }
 
-    if (!allowedRoles.includes(req.user.role)) {
+    if (!requiredPermissions.some((p) => hasPermission(req.user, p))) {
       return res.status(403).json({ error: "Insufficient permissions" });
     }
 
@@ -58,20 +224,48 @@ const authorize = (...allowedRoles) => {
   };
 };
 
+// Reject requests authenticated with an API key, so a leaked key can't be
+// used to mint further credentials
+const requireInteractiveLogin = (req, res, next) => {
+  if (req.apiKey) {
+    return res
+      .status(403)
+      .json({ error: "This action is not available to API keys" });
+  }
+  next();
+};
+
+// Reject account-level changes (password, 2FA, credentials) made by an
+// admin acting as the user
+const blockWhileImpersonating = (req, res, next) => {
+  if (req.impersonation) {
+    return res
+      .status(403)
+      .json({ error: "This action is not allowed while impersonating" });
+  }
+  next();
+};
+
 // Check if user is supervisor of target user
 const isSupervisorOf = async (req, res, next) => {
   try {
     const targetUserId = req.params.userId || req.body.userId;
 
-    if (req.user.role === "admin") {
-      return next(); // Admins can access everything
-    }
-
     if (req.user.id === parseInt(targetUserId)) {
       return next(); // Users can access their own data
     }
 
-    if (req.user.role === "supervisor") {
+    if (hasPermission(req.user, "learners:view_all")) {
+      // Admins can access everyone in their organization
+      const targetUser = await User.findOne({
+        where: { id: targetUserId, ...orgScope(req) },
+        attributes: ["id"],
+      });
+
+      if (targetUser) {
+        return next();
+      }
+    } else if (hasPermission(req.user, "learners:view_team")) {
       const targetUser = await User.findOne({
         where: { id: targetUserId, supervisor_id: req.user.id },
         attributes: ["id"],
@@ -94,5 +288,8 @@ const isSupervisorOf = async (req, res, next) => {
 module.exports = {
   authenticateToken,
   authorize,
+  hasPermission,
+  requireInteractiveLogin,
+  blockWhileImpersonating,
   isSupervisorOf,
 };
@@ -0,0 +1,75 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  const ApiKey = sequelize.define(
+    "ApiKey",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      // Account the key acts as
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      // Leading characters of the key, shown so users can tell keys apart
+      prefix: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      // SHA-256 of the key; the key itself is only shown once
+      key_hash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      // Subset of the owner's role permissions the key may use
+      permissions: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      last_used_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      last_used_ip: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      revoked_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // The owner, or the admin who issued it for a service account
+      created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "api_keys",
+      timestamps: false,
+      indexes: [{ fields: ["user_id"] }],
+    },
+  );
+
+  return ApiKey;
+};
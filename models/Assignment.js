@@ -19,6 +19,12 @@ module.exports = (sequelize) => {
         allowNull: false,
         references: { model: "courses", key: "id" },
       },
+      // Assignment brief (a course content item) the submission answers
+      content_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "course_content", key: "id" },
+      },
       title: {
         type: DataTypes.STRING,
         allowNull: false,
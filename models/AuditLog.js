@@ -0,0 +1,72 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  const AuditLog = sequelize.define(
+    "AuditLog",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      organization_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "organizations", key: "id" },
+      },
+      // Who actually performed the action (e.g. the impersonating admin)
+      actor_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "users", key: "id" },
+      },
+      // Account the action was performed as or on
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "users", key: "id" },
+      },
+      // Dotted event name, e.g. "impersonation.start"
+      action: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      http_method: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      path: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      status_code: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      ip_address: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      details: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "audit_logs",
+      timestamps: false,
+      indexes: [
+        { fields: ["organization_id", "created_at"] },
+        { fields: ["actor_id"] },
+        { fields: ["user_id"] },
+      ],
+    },
+  );
+
+  return AuditLog;
+};
@@ -0,0 +1,43 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  // Secret that lets calendar apps subscribe to a user's .ics feeds
+  // without logging in. One per user; rotating it replaces the row.
+  const CalendarFeed = sequelize.define(
+    "CalendarFeed",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: { model: "users", key: "id" },
+      },
+      // SHA-256 of the feed token; the token itself is only shown once
+      token_hash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      last_accessed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "calendar_feeds",
+      timestamps: false,
+    },
+  );
+
+  return CalendarFeed;
+};
@@ -0,0 +1,57 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  // A learner's progress through one course content item
+  const ContentCompletion = sequelize.define(
+    "ContentCompletion",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+      },
+      content_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "course_content", key: "id" },
+      },
+      // Furthest point reached in a video
+      watched_percentage: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      opened_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // Learner confirmed they went through the item (e.g. a link)
+      confirmed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // Set while the item's completion rule is met
+      completed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "content_completions",
+      timestamps: false,
+      indexes: [{ unique: true, fields: ["user_id", "content_id"] }],
+    },
+  );
+
+  return ContentCompletion;
+};
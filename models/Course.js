@@ -9,6 +9,13 @@ module.exports = (sequelize) => {
         primaryKey: true,
         autoIncrement: true,
       },
+      // Owning tenant; nullable only so pre-existing rows can be backfilled
+      // with the default organization on startup
+      organization_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "organizations", key: "id" },
+      },
       title: {
         type: DataTypes.STRING,
         allowNull: false,
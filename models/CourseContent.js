@@ -14,6 +14,13 @@ module.exports = (sequelize) => {
         allowNull: false,
         references: { model: "courses", key: "id" },
       },
+      // Lesson holding the item; nullable only so content that predates
+      // modules can be moved into a default module on startup
+      lesson_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "course_lessons", key: "id" },
+      },
       title: {
         type: DataTypes.STRING,
         allowNull: false,
@@ -22,13 +29,39 @@ module.exports = (sequelize) => {
         type: DataTypes.STRING,
         allowNull: false,
         validate: {
-          isIn: [["video", "pdf", "link"]],
+          // "assignment" items are briefs that learners submit work for
+          isIn: [["video", "pdf", "link", "assignment"]],
         },
       },
       content_url: {
         type: DataTypes.TEXT,
         allowNull: false,
       },
+      // How a learner completes the item; null uses the default for its
+      // content_type (see utils/contentCompletion)
+      completion_rule: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: {
+          isIn: [
+            [
+              "opened",
+              "watched",
+              "confirmed",
+              "submitted",
+              "reviewed",
+              "optional",
+            ],
+          ],
+        },
+      },
+      // Share of a video (in percent) that counts as watched
+      completion_threshold: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: { min: 1, max: 100 },
+      },
+      // Position within the lesson, shared with the lesson's tests
       order_index: {
         type: DataTypes.INTEGER,
         allowNull: false,
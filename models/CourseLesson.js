@@ -0,0 +1,41 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  // Lesson within a module. Its content items and tests share one
+  // order_index sequence so they can be interleaved.
+  const CourseLesson = sequelize.define(
+    "CourseLesson",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      module_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "course_modules", key: "id" },
+      },
+      title: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      order_index: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+    },
+    {
+      tableName: "course_lessons",
+      timestamps: false,
+      indexes: [{ fields: ["module_id", "order_index"] }],
+    },
+  );
+
+  return CourseLesson;
+};
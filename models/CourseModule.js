@@ -0,0 +1,40 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  // Top level of a course's structure; modules hold ordered lessons
+  const CourseModule = sequelize.define(
+    "CourseModule",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      course_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "courses", key: "id" },
+      },
+      title: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      order_index: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+    },
+    {
+      tableName: "course_modules",
+      timestamps: false,
+      indexes: [{ fields: ["course_id", "order_index"] }],
+    },
+  );
+
+  return CourseModule;
+};
@@ -0,0 +1,66 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  // Something a learner must have achieved before enrolling in a course:
+  // another course completed, a test passed, or a skill level reached.
+  // Only the columns for its type are set.
+  const CoursePrerequisite = sequelize.define(
+    "CoursePrerequisite",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      course_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "courses", key: "id" },
+      },
+      prerequisite_type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          isIn: [["course", "test", "skill"]],
+        },
+      },
+      required_course_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "courses", key: "id" },
+      },
+      test_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "tests", key: "id" },
+      },
+      // Minimum graded score; null means the test's passing score
+      min_score: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+      },
+      skill_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "skills", key: "id" },
+      },
+      // Minimum UserSkill level (0-5)
+      min_level: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "course_prerequisites",
+      timestamps: false,
+      indexes: [{ fields: ["course_id"] }],
+    },
+  );
+
+  return CoursePrerequisite;
+};
@@ -0,0 +1,46 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  const Holiday = sequelize.define(
+    "Holiday",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      organization_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "organizations", key: "id" },
+      },
+      // Day off for everyone in the organization, in each learner's own
+      // calendar
+      date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "users", key: "id" },
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "holidays",
+      timestamps: false,
+      indexes: [{ unique: true, fields: ["organization_id", "date"] }],
+    },
+  );
+
+  return Holiday;
+};
@@ -0,0 +1,50 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  const Impersonation = sequelize.define(
+    "Impersonation",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      impersonator_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+      },
+      // User being acted as
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+      },
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      // Set when ended early by either party
+      ended_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "impersonations",
+      timestamps: false,
+      indexes: [{ fields: ["impersonator_id"] }, { fields: ["user_id"] }],
+    },
+  );
+
+  return Impersonation;
+};
@@ -0,0 +1,83 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  const Invitation = sequelize.define(
+    "Invitation",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      // Owning tenant; nullable only so pre-existing rows can be backfilled
+      // with the default organization on startup
+      organization_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "organizations", key: "id" },
+      },
+      // SHA-256 of the invite code; the code itself is only shown once
+      code_hash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      // Optional: restrict the invite to a single email address
+      email: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: { isEmail: true },
+      },
+      // Name of a row in the roles table
+      role: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      supervisor_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "users", key: "id" },
+      },
+      archetype: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: {
+          isIn: [["maker", "architect", "strategist", "connector", "explorer"]],
+        },
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      used_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      used_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "users", key: "id" },
+      },
+      revoked_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "invitations",
+      timestamps: false,
+    },
+  );
+
+  return Invitation;
+};
@@ -0,0 +1,36 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  const LearningBreak = sequelize.define(
+    "LearningBreak",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      session_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "learning_sessions", key: "id" },
+      },
+      start_time: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      // Null while the break is running
+      end_time: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "learning_breaks",
+      timestamps: false,
+      indexes: [{ fields: ["session_id"] }],
+    },
+  );
+
+  return LearningBreak;
+};
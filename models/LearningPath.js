@@ -0,0 +1,60 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  // Ordered journey through several courses, e.g. a track for an archetype
+  const LearningPath = sequelize.define(
+    "LearningPath",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      organization_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "organizations", key: "id" },
+      },
+      title: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      difficulty: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: {
+          isIn: [["beginner", "intermediate", "advanced"]],
+        },
+      },
+      archetype: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: {
+          isIn: [["maker", "architect", "strategist", "connector", "explorer"]],
+        },
+      },
+      is_published: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+      },
+    },
+    {
+      tableName: "learning_paths",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  );
+
+  return LearningPath;
+};
@@ -0,0 +1,40 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  // A course's place in a learning path
+  const LearningPathCourse = sequelize.define(
+    "LearningPathCourse",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      path_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "learning_paths", key: "id" },
+      },
+      course_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "courses", key: "id" },
+      },
+      order_index: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+    },
+    {
+      tableName: "learning_path_courses",
+      timestamps: false,
+      indexes: [
+        { unique: true, fields: ["path_id", "course_id"] },
+        { fields: ["course_id"] },
+      ],
+    },
+  );
+
+  return LearningPathCourse;
+};
@@ -0,0 +1,41 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  // Checkpoint in a learning path, reached once the learner has completed
+  // every course up to and including after_course_id
+  const LearningPathMilestone = sequelize.define(
+    "LearningPathMilestone",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      path_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "learning_paths", key: "id" },
+      },
+      after_course_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "courses", key: "id" },
+      },
+      title: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "learning_path_milestones",
+      timestamps: false,
+      indexes: [{ fields: ["path_id"] }],
+    },
+  );
+
+  return LearningPathMilestone;
+};
@@ -0,0 +1,49 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  // Stretch of a session spent on one course (and optionally one content
+  // item). Segments never span a break: starting a break ends the current
+  // segment and ending it starts a new one on the same item.
+  const LearningSegment = sequelize.define(
+    "LearningSegment",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      session_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "learning_sessions", key: "id" },
+      },
+      course_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "courses", key: "id" },
+      },
+      content_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "course_content", key: "id" },
+      },
+      start_time: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      // Null while the learner is still on this item
+      end_time: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "learning_segments",
+      timestamps: false,
+      indexes: [{ fields: ["session_id"] }, { fields: ["course_id"] }],
+    },
+  );
+
+  return LearningSegment;
+};
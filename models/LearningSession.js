@@ -1,4 +1,5 @@
 const { DataTypes } = require("sequelize");
+const { localDate, zoneOf } = require("../utils/timezone");
 
 module.exports = (sequelize) => {
   const LearningSession = sequelize.define(
@@ -23,10 +24,17 @@ module.exports = (sequelize) => {
         type: DataTypes.DATE,
         allowNull: true,
       },
+      // Learning time: end_time - start_time less break_minutes
       duration_minutes: {
         type: DataTypes.FLOAT,
         allowNull: true,
       },
+      // Total length of finished breaks (see LearningBreak)
+      break_minutes: {
+        type: DataTypes.FLOAT,
+        allowNull: false,
+        defaultValue: 0,
+      },
       reflection_text: {
         type: DataTypes.TEXT,
         allowNull: true,
@@ -35,6 +43,30 @@ module.exports = (sequelize) => {
         type: DataTypes.DATEONLY,
         allowNull: true,
       },
+      // Created from an approved manual-entry request rather than clocked
+      is_manual_entry: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      // Set when the session was left open and closed by the auto
+      // clock-out job instead of by the learner
+      auto_closed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      auto_close_reason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: { isIn: [["max_length", "end_of_day"]] },
+      },
+      // Auto-closed sessions count no learning time until the learner
+      // submits a reflection
+      requires_reflection: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
     },
     {
       tableName: "learning_sessions",
@@ -42,5 +74,35 @@ module.exports = (sequelize) => {
     },
   );
 
+  // A session belongs to the learner's local day it started on, including
+  // after a correction moves its start
+  LearningSession.beforeSave(async (session, options) => {
+    if (
+      session.start_time &&
+      (session.isNewRecord ? !session.date : session.changed("start_time"))
+    ) {
+      const learner = await sequelize.models.User.findByPk(session.user_id, {
+        attributes: ["timezone"],
+        transaction: options.transaction,
+      });
+      session.date = localDate(session.start_time, zoneOf(learner));
+    }
+  });
+
+  // Keep duration_minutes in step with the end time and breaks. Instances
+  // must be loaded with start_time, break_minutes and requires_reflection.
+  LearningSession.beforeSave((session) => {
+    if (session.requires_reflection) {
+      session.duration_minutes = 0;
+    } else if (session.end_time && session.start_time) {
+      const elapsed =
+        (new Date(session.end_time) - new Date(session.start_time)) / 60000;
+      session.duration_minutes = Math.max(
+        0,
+        elapsed - (session.break_minutes || 0),
+      );
+    }
+  });
+
   return LearningSession;
 };
@@ -0,0 +1,73 @@
+const { DataTypes } = require("sequelize");
+
+// Append-only record of every approved change to a learning session's
+// times, kept for compliance audits. Rows can't be updated or deleted
+// through the model.
+module.exports = (sequelize) => {
+  const LearningSessionRevision = sequelize.define(
+    "LearningSessionRevision",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      session_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "learning_sessions", key: "id" },
+      },
+      // Learner the session belongs to
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+      },
+      correction_request_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "time_correction_requests", key: "id" },
+      },
+      change_type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: { isIn: [["correction", "manual_entry"]] },
+      },
+      // { start_time, end_time, break_minutes, duration_minutes, date }
+      // before and after the change; original is null for manual entries
+      original_values: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      corrected_values: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+      },
+      changed_by: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "learning_session_revisions",
+      timestamps: false,
+      indexes: [{ fields: ["session_id"] }, { fields: ["user_id"] }],
+    },
+  );
+
+  const immutable = () => {
+    throw new Error("Learning session revisions are immutable");
+  };
+  LearningSessionRevision.beforeUpdate(immutable);
+  LearningSessionRevision.beforeDestroy(immutable);
+  LearningSessionRevision.beforeBulkUpdate(immutable);
+  LearningSessionRevision.beforeBulkDestroy(immutable);
+
+  return LearningSessionRevision;
+};
@@ -0,0 +1,66 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  // One run of days meeting the daily target. Rows are rebuilt from the
+  // learner's sessions when something that affects their streaks changes
+  // (see utils/streaks.js) and are what streak reads are served from.
+  const LearningStreak = sequelize.define(
+    "LearningStreak",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+      },
+      // First and last qualifying days, in the learner's calendar
+      start_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+      end_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+      // Qualifying days in the run
+      length: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // Missed working days a freeze was spent on
+      frozen_dates: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      // Freeze days earned by this run's length
+      freezes_earned: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // The run has not been broken yet
+      is_current: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "learning_streaks",
+      timestamps: false,
+      indexes: [{ fields: ["user_id", "start_date"] }],
+    },
+  );
+
+  return LearningStreak;
+};
@@ -0,0 +1,72 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  const LeaveRequest = sequelize.define(
+    "LeaveRequest",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+      },
+      // Inclusive range of days in the learner's calendar
+      start_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+      end_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+      leave_type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: "vacation",
+        validate: { isIn: [["vacation", "sick", "personal", "other"]] },
+      },
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      // Only approved leave is excluded from expected working days
+      status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: "pending",
+        validate: {
+          isIn: [["pending", "approved", "rejected", "cancelled"]],
+        },
+      },
+      reviewed_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "users", key: "id" },
+      },
+      reviewed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      review_note: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "leave_requests",
+      timestamps: false,
+      indexes: [{ fields: ["user_id", "status"] }],
+    },
+  );
+
+  return LeaveRequest;
+};
@@ -0,0 +1,53 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  const LoginAttempt = sequelize.define(
+    "LoginAttempt",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      email: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      // Null when the email did not match an account
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "users", key: "id" },
+      },
+      ip_address: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      succeeded: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      // Set when an admin clears an IP block; cleared rows stop counting
+      cleared_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "login_attempts",
+      timestamps: false,
+      indexes: [
+        { fields: ["ip_address", "created_at"] },
+        { fields: ["user_id"] },
+      ],
+    },
+  );
+
+  return LoginAttempt;
+};
@@ -9,6 +9,13 @@ module.exports = (sequelize) => {
         primaryKey: true,
         autoIncrement: true,
       },
+      // Owning tenant, taken from the recipient when not given; nullable
+      // only so pre-existing rows can be backfilled on startup
+      organization_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "organizations", key: "id" },
+      },
       user_id: {
         type: DataTypes.INTEGER,
         allowNull: false,
@@ -43,5 +50,16 @@ module.exports = (sequelize) => {
     },
   );
 
+  Notification.beforeCreate(async (notification, options) => {
+    if (notification.organization_id) return;
+    const recipient = await sequelize.models.User.findByPk(
+      notification.user_id,
+      { attributes: ["organization_id"], transaction: options.transaction },
+    );
+    if (recipient) {
+      notification.organization_id = recipient.organization_id;
+    }
+  });
+
   return Notification;
 };
@@ -0,0 +1,42 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  // A learner following a learning path; they're enrolled in its courses
+  // one at a time as they complete them
+  const PathEnrollment = sequelize.define(
+    "PathEnrollment",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+      },
+      path_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "learning_paths", key: "id" },
+      },
+      enrolled_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      completed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "path_enrollments",
+      timestamps: false,
+      indexes: [{ unique: true, fields: ["user_id", "path_id"] }],
+    },
+  );
+
+  return PathEnrollment;
+};
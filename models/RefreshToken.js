@@ -0,0 +1,55 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  const RefreshToken = sequelize.define(
+    "RefreshToken",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+      },
+      // Login session the token belongs to; kept across rotation
+      session_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "user_sessions", key: "id" },
+      },
+      // SHA-256 of the opaque token; the raw value is only ever sent to the client
+      token_hash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      revoked_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      replaced_by_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "refresh_tokens",
+      timestamps: false,
+      indexes: [{ fields: ["user_id"] }],
+    },
+  );
+
+  return RefreshToken;
+};
@@ -0,0 +1,65 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  const Role = sequelize.define(
+    "Role",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      // Null for roles shared by every tenant (built-in roles); set for
+      // custom roles created by a tenant admin
+      organization_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "organizations", key: "id" },
+      },
+      // Referenced by users.role, resolved within the user's organization
+      // (see utils/permissions.js)
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: { is: /^[a-z][a-z0-9_]*$/ },
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      // Names from config/permissions.js
+      permissions: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      // Built-in roles can be edited but not renamed or deleted
+      is_system: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      // Default permissions already granted to a built-in role, so that
+      // permissions added to config/permissions.js later are granted once
+      // without re-adding ones an admin removed
+      seeded_permissions: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "roles",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+      // Names are unique among the built-in roles and within each
+      // organization's custom roles
+      indexes: [
+        { unique: true, fields: ["name"], where: { organization_id: null } },
+        { unique: true, fields: ["organization_id", "name"] },
+      ],
+    },
+  );
+
+  return Role;
+};
@@ -0,0 +1,58 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  const ScimGroup = sequelize.define(
+    "ScimGroup",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      organization_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "organizations", key: "id" },
+      },
+      display_name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      // Identifier assigned by the provisioning client
+      external_id: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      // Membership is derived from these: members are the organization's
+      // users holding the role and/or archetype, and adding or removing a
+      // member sets or clears them
+      role: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      archetype: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: {
+          isIn: [["maker", "architect", "strategist", "connector", "explorer"]],
+        },
+      },
+    },
+    {
+      tableName: "scim_groups",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+      indexes: [{ unique: true, fields: ["organization_id", "display_name"] }],
+      validate: {
+        mapsRoleOrArchetype() {
+          if (!this.role && !this.archetype) {
+            throw new Error("A group must map to a role or an archetype");
+          }
+        },
+      },
+    },
+  );
+
+  return ScimGroup;
+};
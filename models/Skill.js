@@ -9,10 +9,16 @@ module.exports = (sequelize) => {
         primaryKey: true,
         autoIncrement: true,
       },
+      // Owning tenant; nullable only so pre-existing rows can be backfilled
+      // with the default organization on startup
+      organization_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "organizations", key: "id" },
+      },
       name: {
         type: DataTypes.STRING,
         allowNull: false,
-        unique: true,
       },
       description: {
         type: DataTypes.TEXT,
@@ -22,6 +28,7 @@ module.exports = (sequelize) => {
     {
       tableName: "skills",
       timestamps: false,
+      indexes: [{ unique: true, fields: ["organization_id", "name"] }],
     },
   );
 
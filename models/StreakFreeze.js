@@ -0,0 +1,47 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  // Freeze day allotted to a learner by a supervisor or admin. Freezes
+  // earned by keeping a streak going are derived, not stored.
+  const StreakFreeze = sequelize.define(
+    "StreakFreeze",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+      },
+      // Learner's local day from which the freeze can be spent
+      available_from: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      granted_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "users", key: "id" },
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "streak_freezes",
+      timestamps: false,
+      indexes: [{ fields: ["user_id"] }],
+    },
+  );
+
+  return StreakFreeze;
+};
@@ -0,0 +1,52 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  const TargetPolicy = sequelize.define(
+    "TargetPolicy",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      organization_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "organizations", key: "id" },
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      // Hours expected on each working day
+      daily_hours: {
+        type: DataTypes.FLOAT,
+        allowNull: false,
+        validate: { min: 0, max: 24 },
+      },
+      // Hours expected per week; null means daily_hours on each working day
+      weekly_hours: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+        validate: { min: 0, max: 168 },
+      },
+      created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "users", key: "id" },
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "target_policies",
+      timestamps: false,
+      indexes: [{ unique: true, fields: ["organization_id", "name"] }],
+    },
+  );
+
+  return TargetPolicy;
+};
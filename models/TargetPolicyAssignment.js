@@ -0,0 +1,69 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  const TargetPolicyAssignment = sequelize.define(
+    "TargetPolicyAssignment",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      policy_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "target_policies", key: "id" },
+      },
+      // Exactly one of user_id and group_id is set; a user's own assignment
+      // takes precedence over one made to a group they belong to
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "users", key: "id" },
+      },
+      group_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "scim_groups", key: "id" },
+      },
+      // Inclusive; an open end keeps the assignment in effect
+      effective_from: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+      effective_to: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+      },
+      assigned_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "users", key: "id" },
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "target_policy_assignments",
+      timestamps: false,
+      indexes: [{ fields: ["user_id"] }, { fields: ["group_id"] }],
+      validate: {
+        assignedToUserOrGroup() {
+          if (!this.user_id === !this.group_id) {
+            throw new Error("Assign a policy to either a user or a group");
+          }
+        },
+        endsAfterStart() {
+          if (this.effective_to && this.effective_to < this.effective_from) {
+            throw new Error("effective_to must not be before effective_from");
+          }
+        },
+      },
+    },
+  );
+
+  return TargetPolicyAssignment;
+};
@@ -9,11 +9,30 @@ module.exports = (sequelize) => {
         primaryKey: true,
         autoIncrement: true,
       },
+      // Owning tenant; nullable only so pre-existing rows can be backfilled
+      // with the default organization on startup
+      organization_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "organizations", key: "id" },
+      },
       course_id: {
         type: DataTypes.INTEGER,
         allowNull: false,
         references: { model: "courses", key: "id" },
       },
+      // Lesson the test sits in, if any; otherwise it belongs to the course
+      // as a whole
+      lesson_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "course_lessons", key: "id" },
+      },
+      order_index: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
       title: {
         type: DataTypes.STRING,
         allowNull: false,
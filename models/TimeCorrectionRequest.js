@@ -0,0 +1,81 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  const TimeCorrectionRequest = sequelize.define(
+    "TimeCorrectionRequest",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+      },
+      // correction: change the times of session_id
+      // manual_entry: log a session that was never clocked
+      request_type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: { isIn: [["correction", "manual_entry"]] },
+      },
+      session_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "learning_sessions", key: "id" },
+      },
+      requested_start_time: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      requested_end_time: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      // Null keeps the session's recorded break time
+      requested_break_minutes: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+      },
+      justification: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: "pending",
+        validate: {
+          isIn: [["pending", "approved", "rejected", "cancelled"]],
+        },
+      },
+      reviewed_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "users", key: "id" },
+      },
+      reviewed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      review_note: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "time_correction_requests",
+      timestamps: false,
+      indexes: [{ fields: ["user_id"] }, { fields: ["status"] }],
+    },
+  );
+
+  return TimeCorrectionRequest;
+};
@@ -9,6 +9,13 @@ module.exports = (sequelize) => {
         primaryKey: true,
         autoIncrement: true,
       },
+      // Owning tenant; nullable only so pre-existing rows can be backfilled
+      // with the default organization on startup
+      organization_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "organizations", key: "id" },
+      },
       email: {
         type: DataTypes.STRING,
         allowNull: false,
@@ -24,12 +31,10 @@ module.exports = (sequelize) => {
         allowNull: false,
         field: "full_name",
       },
+      // Name of a row in the roles table
       role: {
         type: DataTypes.STRING,
         allowNull: false,
-        validate: {
-          isIn: [["candidate", "learner", "supervisor", "admin"]],
-        },
       },
       archetype: {
         type: DataTypes.STRING,
@@ -52,12 +57,88 @@ module.exports = (sequelize) => {
         type: DataTypes.STRING,
         allowNull: true,
       },
+      // Self-registered accounts start unverified; admin-created and
+      // pre-existing accounts are trusted
+      email_verified: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      // TOTP secret, AES-GCM encrypted; set during enrollment before
+      // totp_enabled is switched on
+      totp_secret: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      totp_enabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      // Last accepted TOTP time step, so a code cannot be replayed
+      totp_last_used_step: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+      },
+      // SHA-256 hashes of unused recovery codes
+      totp_recovery_codes: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      failed_login_attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      last_failed_login_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      locked_until: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // Bumped to invalidate every access token issued before the change
+      token_version: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // Non-human account for integrations: authenticates with API keys
+      // issued by an admin and cannot log in with a password
+      is_service_account: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      // Identifier assigned by the SCIM provisioning client (HR system)
+      scim_external_id: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      // Identity at the OIDC provider, set when the account is provisioned
+      // by or linked to single sign-on
+      oidc_issuer: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      oidc_subject: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      // IANA zone whose calendar decides which day a session counts for
+      timezone: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        defaultValue: "UTC",
+      },
     },
     {
       tableName: "users",
       timestamps: true,
       createdAt: "created_at",
       updatedAt: "updated_at",
+      indexes: [{ unique: true, fields: ["oidc_issuer", "oidc_subject"] }],
     },
   );
 
@@ -0,0 +1,70 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  const UserSession = sequelize.define(
+    "UserSession",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+      },
+      // Raw User-Agent header and a short label derived from it,
+      // e.g. "Chrome on macOS"
+      user_agent: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      device: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      ip_address: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      last_seen_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      last_seen_ip: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      // Follows the expiry of the session's latest refresh token
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      revoked_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // User who revoked the session (the owner or an admin); null when
+      // revoked by logout-all, a password change or suspension
+      revoked_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: "users", key: "id" },
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "user_sessions",
+      timestamps: false,
+      indexes: [{ fields: ["user_id"] }],
+    },
+  );
+
+  return UserSession;
+};
@@ -0,0 +1,56 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize) => {
+  const UserToken = sequelize.define(
+    "UserToken",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+      },
+      purpose: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          isIn: [["password_reset", "email_verification"]],
+        },
+      },
+      // SHA-256 of the emailed token; the raw value is never stored
+      token_hash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      used_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      requested_ip: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "user_tokens",
+      timestamps: false,
+      indexes: [{ fields: ["user_id", "purpose"] }],
+    },
+  );
+
+  return UserToken;
+};
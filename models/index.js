@@ -26,11 +26,28 @@ const sequelize = new Sequelize(
 );
 
 // Import model definitions
+const Organization = require("./Organization")(sequelize);
 const User = require("./User")(sequelize);
 const Course = require("./Course")(sequelize);
+const CourseModule = require("./CourseModule")(sequelize);
+const CourseLesson = require("./CourseLesson")(sequelize);
 const CourseContent = require("./CourseContent")(sequelize);
+const ContentCompletion = require("./ContentCompletion")(sequelize);
+const CoursePrerequisite = require("./CoursePrerequisite")(sequelize);
 const Enrollment = require("./Enrollment")(sequelize);
+const LearningPath = require("./LearningPath")(sequelize);
+const LearningPathCourse = require("./LearningPathCourse")(sequelize);
+const LearningPathMilestone = require("./LearningPathMilestone")(sequelize);
+const PathEnrollment = require("./PathEnrollment")(sequelize);
 const LearningSession = require("./LearningSession")(sequelize);
+const LearningBreak = require("./LearningBreak")(sequelize);
+const LearningSegment = require("./LearningSegment")(sequelize);
+const TimeCorrectionRequest = require("./TimeCorrectionRequest")(sequelize);
+const LearningSessionRevision = require("./LearningSessionRevision")(sequelize);
+const Holiday = require("./Holiday")(sequelize);
+const LeaveRequest = require("./LeaveRequest")(sequelize);
+const LearningStreak = require("./LearningStreak")(sequelize);
+const StreakFreeze = require("./StreakFreeze")(sequelize);
 const Skill = require("./Skill")(sequelize);
 const CourseSkill = require("./CourseSkill")(sequelize);
 const UserSkill = require("./UserSkill")(sequelize);
@@ -44,9 +61,39 @@ const Notification = require("./Notification")(sequelize);
 const MentorshipMessage = require("./MentorshipMessage")(sequelize);
 const Kudos = require("./Kudos")(sequelize);
 const Journal = require("./Journal")(sequelize);
+const RefreshToken = require("./RefreshToken")(sequelize);
+const UserToken = require("./UserToken")(sequelize);
+const Invitation = require("./Invitation")(sequelize);
+const LoginAttempt = require("./LoginAttempt")(sequelize);
+const Role = require("./Role")(sequelize);
+const ApiKey = require("./ApiKey")(sequelize);
+const CalendarFeed = require("./CalendarFeed")(sequelize);
+const Impersonation = require("./Impersonation")(sequelize);
+const AuditLog = require("./AuditLog")(sequelize);
+const ScimGroup = require("./ScimGroup")(sequelize);
+const UserSession = require("./UserSession")(sequelize);
+const TargetPolicy = require("./TargetPolicy")(sequelize);
+const TargetPolicyAssignment = require("./TargetPolicyAssignment")(sequelize);
 
 // ========== ASSOCIATIONS ==========
 
+// Organization (tenant) ownership
+Organization.hasMany(User, { foreignKey: "organization_id" });
+User.belongsTo(Organization, { foreignKey: "organization_id" });
+Organization.hasMany(Course, { foreignKey: "organization_id" });
+Course.belongsTo(Organization, { foreignKey: "organization_id" });
+Organization.hasMany(Skill, { foreignKey: "organization_id" });
+Skill.belongsTo(Organization, { foreignKey: "organization_id" });
+Organization.hasMany(Test, { foreignKey: "organization_id" });
+Test.belongsTo(Organization, { foreignKey: "organization_id" });
+Organization.hasMany(Notification, { foreignKey: "organization_id" });
+Notification.belongsTo(Organization, { foreignKey: "organization_id" });
+Organization.hasMany(ScimGroup, {
+  foreignKey: "organization_id",
+  onDelete: "CASCADE",
+});
+ScimGroup.belongsTo(Organization, { foreignKey: "organization_id" });
+
 // User self-reference (supervisor)
 User.belongsTo(User, { as: "Supervisor", foreignKey: "supervisor_id" });
 User.hasMany(User, { as: "Learners", foreignKey: "supervisor_id" });
@@ -63,6 +110,36 @@ Course.hasMany(CourseContent, {
 });
 CourseContent.belongsTo(Course, { foreignKey: "course_id" });
 
+// Course <-> CourseModule <-> CourseLesson <-> CourseContent / Test
+Course.hasMany(CourseModule, {
+  foreignKey: "course_id",
+  as: "Modules",
+  onDelete: "CASCADE",
+});
+CourseModule.belongsTo(Course, { foreignKey: "course_id" });
+CourseModule.hasMany(CourseLesson, {
+  foreignKey: "module_id",
+  as: "Lessons",
+  onDelete: "CASCADE",
+});
+CourseLesson.belongsTo(CourseModule, { foreignKey: "module_id" });
+CourseLesson.hasMany(CourseContent, {
+  foreignKey: "lesson_id",
+  as: "Contents",
+  onDelete: "SET NULL",
+});
+CourseContent.belongsTo(CourseLesson, { foreignKey: "lesson_id" });
+
+// User <-> ContentCompletion <-> CourseContent
+User.hasMany(ContentCompletion, { foreignKey: "user_id", onDelete: "CASCADE" });
+ContentCompletion.belongsTo(User, { foreignKey: "user_id" });
+CourseContent.hasMany(ContentCompletion, {
+  foreignKey: "content_id",
+  as: "Completions",
+  onDelete: "CASCADE",
+});
+ContentCompletion.belongsTo(CourseContent, { foreignKey: "content_id" });
+
 // User <-> Enrollment <-> Course
 User.hasMany(Enrollment, { foreignKey: "user_id" });
 Enrollment.belongsTo(User, { foreignKey: "user_id" });
@@ -72,6 +149,84 @@ Enrollment.belongsTo(Course, { foreignKey: "course_id" });
 // User <-> LearningSession
 User.hasMany(LearningSession, { foreignKey: "user_id" });
 LearningSession.belongsTo(User, { foreignKey: "user_id" });
+LearningSession.hasMany(LearningBreak, {
+  foreignKey: "session_id",
+  as: "Breaks",
+  onDelete: "CASCADE",
+});
+LearningBreak.belongsTo(LearningSession, { foreignKey: "session_id" });
+
+// Time attribution to courses and content items
+LearningSession.hasMany(LearningSegment, {
+  foreignKey: "session_id",
+  as: "Segments",
+  onDelete: "CASCADE",
+});
+LearningSegment.belongsTo(LearningSession, { foreignKey: "session_id" });
+Course.hasMany(LearningSegment, {
+  foreignKey: "course_id",
+  onDelete: "CASCADE",
+});
+LearningSegment.belongsTo(Course, { foreignKey: "course_id" });
+CourseContent.hasMany(LearningSegment, {
+  foreignKey: "content_id",
+  onDelete: "SET NULL",
+});
+LearningSegment.belongsTo(CourseContent, { foreignKey: "content_id" });
+
+// Time corrections and the revision history they produce
+User.hasMany(TimeCorrectionRequest, { foreignKey: "user_id" });
+TimeCorrectionRequest.belongsTo(User, { foreignKey: "user_id", as: "Learner" });
+TimeCorrectionRequest.belongsTo(User, {
+  foreignKey: "reviewed_by",
+  as: "Reviewer",
+});
+LearningSession.hasMany(TimeCorrectionRequest, { foreignKey: "session_id" });
+TimeCorrectionRequest.belongsTo(LearningSession, { foreignKey: "session_id" });
+LearningSession.hasMany(LearningSessionRevision, {
+  foreignKey: "session_id",
+  as: "Revisions",
+});
+LearningSessionRevision.belongsTo(LearningSession, {
+  foreignKey: "session_id",
+});
+LearningSessionRevision.belongsTo(TimeCorrectionRequest, {
+  foreignKey: "correction_request_id",
+});
+LearningSessionRevision.belongsTo(User, {
+  foreignKey: "changed_by",
+  as: "ChangedBy",
+});
+
+// Working-day calendar: organization holidays and learner leave
+Organization.hasMany(Holiday, { foreignKey: "organization_id" });
+Holiday.belongsTo(Organization, { foreignKey: "organization_id" });
+User.hasMany(LeaveRequest, { foreignKey: "user_id" });
+LeaveRequest.belongsTo(User, { foreignKey: "user_id", as: "Learner" });
+LeaveRequest.belongsTo(User, { foreignKey: "reviewed_by", as: "Reviewer" });
+
+// Streak history and allotted freeze days
+User.hasMany(LearningStreak, { foreignKey: "user_id", onDelete: "CASCADE" });
+LearningStreak.belongsTo(User, { foreignKey: "user_id" });
+User.hasMany(StreakFreeze, { foreignKey: "user_id", onDelete: "CASCADE" });
+StreakFreeze.belongsTo(User, { foreignKey: "user_id" });
+StreakFreeze.belongsTo(User, { foreignKey: "granted_by", as: "GrantedBy" });
+
+// Learning-hour targets assigned to users or groups
+Organization.hasMany(TargetPolicy, { foreignKey: "organization_id" });
+TargetPolicy.belongsTo(Organization, { foreignKey: "organization_id" });
+TargetPolicy.hasMany(TargetPolicyAssignment, {
+  foreignKey: "policy_id",
+  as: "Assignments",
+  onDelete: "CASCADE",
+});
+TargetPolicyAssignment.belongsTo(TargetPolicy, { foreignKey: "policy_id" });
+TargetPolicyAssignment.belongsTo(User, { foreignKey: "user_id" });
+ScimGroup.hasMany(TargetPolicyAssignment, {
+  foreignKey: "group_id",
+  onDelete: "CASCADE",
+});
+TargetPolicyAssignment.belongsTo(ScimGroup, { foreignKey: "group_id" });
 
 // Course <-> Skill (many-to-many through CourseSkill)
 Course.belongsToMany(Skill, {
@@ -112,6 +267,8 @@ UserSkill.belongsTo(Skill, { foreignKey: "skill_id" });
 // Course <-> Test
 Course.hasMany(Test, { foreignKey: "course_id", onDelete: "CASCADE" });
 Test.belongsTo(Course, { foreignKey: "course_id" });
+CourseLesson.hasMany(Test, { foreignKey: "lesson_id", onDelete: "SET NULL" });
+Test.belongsTo(CourseLesson, { foreignKey: "lesson_id" });
 User.hasMany(Test, { foreignKey: "created_by", as: "CreatedTests" });
 Test.belongsTo(User, { foreignKey: "created_by", as: "Creator" });
 
@@ -159,6 +316,11 @@ User.hasMany(Assignment, { foreignKey: "user_id" });
 Assignment.belongsTo(User, { foreignKey: "user_id", as: "Student" });
 Course.hasMany(Assignment, { foreignKey: "course_id" });
 Assignment.belongsTo(Course, { foreignKey: "course_id" });
+CourseContent.hasMany(Assignment, {
+  foreignKey: "content_id",
+  onDelete: "SET NULL",
+});
+Assignment.belongsTo(CourseContent, { foreignKey: "content_id", as: "Brief" });
 User.hasMany(Assignment, {
   foreignKey: "reviewed_by",
   as: "ReviewedAssignments",
@@ -196,13 +358,156 @@ Kudos.belongsTo(User, { foreignKey: "to_user_id", as: "ToUser" });
 User.hasMany(Journal, { foreignKey: "user_id" });
 Journal.belongsTo(User, { foreignKey: "user_id" });
 
+// User <-> RefreshToken
+User.hasMany(RefreshToken, { foreignKey: "user_id", onDelete: "CASCADE" });
+RefreshToken.belongsTo(User, { foreignKey: "user_id" });
+
+// User <-> UserSession <-> RefreshToken
+User.hasMany(UserSession, { foreignKey: "user_id", onDelete: "CASCADE" });
+UserSession.belongsTo(User, { foreignKey: "user_id" });
+User.hasMany(UserSession, {
+  foreignKey: "revoked_by",
+  as: "RevokedSessions",
+  onDelete: "SET NULL",
+});
+UserSession.belongsTo(User, { foreignKey: "revoked_by", as: "RevokedBy" });
+UserSession.hasMany(RefreshToken, {
+  foreignKey: "session_id",
+  onDelete: "CASCADE",
+});
+RefreshToken.belongsTo(UserSession, { foreignKey: "session_id" });
+
+// User <-> UserToken (one-time emailed tokens)
+User.hasMany(UserToken, { foreignKey: "user_id", onDelete: "CASCADE" });
+UserToken.belongsTo(User, { foreignKey: "user_id" });
+
+// User <-> Invitation
+User.hasMany(Invitation, { foreignKey: "created_by", as: "SentInvitations" });
+Invitation.belongsTo(User, { foreignKey: "created_by", as: "Inviter" });
+Invitation.belongsTo(User, { foreignKey: "supervisor_id", as: "Supervisor" });
+Invitation.belongsTo(User, { foreignKey: "used_by", as: "InvitedUser" });
+
+// User <-> LoginAttempt
+User.hasMany(LoginAttempt, { foreignKey: "user_id", onDelete: "CASCADE" });
+LoginAttempt.belongsTo(User, { foreignKey: "user_id" });
+
+// User <-> ApiKey
+User.hasMany(ApiKey, { foreignKey: "user_id", onDelete: "CASCADE" });
+ApiKey.belongsTo(User, { foreignKey: "user_id" });
+ApiKey.belongsTo(User, { foreignKey: "created_by", as: "Creator" });
+
+// User <-> CalendarFeed
+User.hasOne(CalendarFeed, { foreignKey: "user_id", onDelete: "CASCADE" });
+CalendarFeed.belongsTo(User, { foreignKey: "user_id" });
+
+// User <-> Impersonation
+User.hasMany(Impersonation, { foreignKey: "user_id", onDelete: "CASCADE" });
+User.hasMany(Impersonation, {
+  foreignKey: "impersonator_id",
+  as: "ImpersonationsStarted",
+  onDelete: "CASCADE",
+});
+Impersonation.belongsTo(User, {
+  foreignKey: "impersonator_id",
+  as: "Impersonator",
+});
+Impersonation.belongsTo(User, { foreignKey: "user_id", as: "Target" });
+
+// Course <-> CoursePrerequisite -> Course / Test / Skill it requires
+Course.hasMany(CoursePrerequisite, {
+  foreignKey: "course_id",
+  as: "Prerequisites",
+  onDelete: "CASCADE",
+});
+CoursePrerequisite.belongsTo(Course, { foreignKey: "course_id" });
+Course.hasMany(CoursePrerequisite, {
+  foreignKey: "required_course_id",
+  as: "RequiredBy",
+  onDelete: "CASCADE",
+});
+CoursePrerequisite.belongsTo(Course, {
+  foreignKey: "required_course_id",
+  as: "RequiredCourse",
+});
+Test.hasMany(CoursePrerequisite, {
+  foreignKey: "test_id",
+  onDelete: "CASCADE",
+});
+CoursePrerequisite.belongsTo(Test, { foreignKey: "test_id" });
+Skill.hasMany(CoursePrerequisite, {
+  foreignKey: "skill_id",
+  onDelete: "CASCADE",
+});
+CoursePrerequisite.belongsTo(Skill, { foreignKey: "skill_id" });
+
+// LearningPath <-> its courses, milestones and enrollments
+Organization.hasMany(LearningPath, { foreignKey: "organization_id" });
+LearningPath.belongsTo(Organization, { foreignKey: "organization_id" });
+LearningPath.belongsTo(User, { foreignKey: "created_by", as: "Creator" });
+LearningPath.hasMany(LearningPathCourse, {
+  foreignKey: "path_id",
+  as: "PathCourses",
+  onDelete: "CASCADE",
+});
+LearningPathCourse.belongsTo(LearningPath, { foreignKey: "path_id" });
+Course.hasMany(LearningPathCourse, {
+  foreignKey: "course_id",
+  onDelete: "CASCADE",
+});
+LearningPathCourse.belongsTo(Course, { foreignKey: "course_id" });
+LearningPath.hasMany(LearningPathMilestone, {
+  foreignKey: "path_id",
+  as: "Milestones",
+  onDelete: "CASCADE",
+});
+LearningPathMilestone.belongsTo(LearningPath, { foreignKey: "path_id" });
+Course.hasMany(LearningPathMilestone, {
+  foreignKey: "after_course_id",
+  onDelete: "CASCADE",
+});
+LearningPathMilestone.belongsTo(Course, { foreignKey: "after_course_id" });
+LearningPath.hasMany(PathEnrollment, {
+  foreignKey: "path_id",
+  onDelete: "CASCADE",
+});
+PathEnrollment.belongsTo(LearningPath, { foreignKey: "path_id" });
+User.hasMany(PathEnrollment, { foreignKey: "user_id", onDelete: "CASCADE" });
+PathEnrollment.belongsTo(User, { foreignKey: "user_id" });
+
+// User <-> AuditLog (entries outlive deleted users)
+User.hasMany(AuditLog, { foreignKey: "actor_id", onDelete: "SET NULL" });
+User.hasMany(AuditLog, {
+  foreignKey: "user_id",
+  as: "AuditEntries",
+  onDelete: "SET NULL",
+});
+AuditLog.belongsTo(User, { foreignKey: "actor_id", as: "Actor" });
+AuditLog.belongsTo(User, { foreignKey: "user_id", as: "Subject" });
+
 module.exports = {
   sequelize,
+  Organization,
   User,
   Course,
+  CourseModule,
+  CourseLesson,
   CourseContent,
+  ContentCompletion,
+  CoursePrerequisite,
   Enrollment,
+  LearningPath,
+  LearningPathCourse,
+  LearningPathMilestone,
+  PathEnrollment,
   LearningSession,
+  LearningBreak,
+  LearningSegment,
+  TimeCorrectionRequest,
+  LearningSessionRevision,
+  Holiday,
+  LeaveRequest,
+  LearningStreak,
+  StreakFreeze,
   Skill,
   CourseSkill,
   UserSkill,
@@ -216,4 +521,17 @@ module.exports = {
   MentorshipMessage,
   Kudos,
   Journal,
+  RefreshToken,
+  UserToken,
+  Invitation,
+  LoginAttempt,
+  Role,
+  ApiKey,
+  CalendarFeed,
+  Impersonation,
+  AuditLog,
+  ScimGroup,
+  UserSession,
+  TargetPolicy,
+  TargetPolicyAssignment,
 };
@@ -1,8 +1,17 @@
 const express = require("express");
 const bcrypt = require("bcrypt");
 const { body, validationResult } = require("express-validator");
+const crypto = require("crypto");
 const {
   User,
+  Course,
+  Invitation,
+  LoginAttempt,
+  Role,
+  ApiKey,
+  Impersonation,
+  AuditLog,
+  UserSession,
   Enrollment,
   LearningSession,
   CourseContent,
@@ -11,14 +20,124 @@ const {
   Notification,
   sequelize,
 } = require("../models");
-const { Op } = require("sequelize");
-const { authenticateToken, authorize } = require("../middleware/auth");
-const { notifyCandidateStatus } = require("../config/notifications");
+const { Op, QueryTypes } = require("sequelize");
+const {
+  authenticateToken,
+  authorize,
+  hasPermission,
+  requireInteractiveLogin,
+  blockWhileImpersonating,
+} = require("../middleware/auth");
+const {
+  notifyCandidateStatus,
+  sendInvitationEmail,
+} = require("../config/notifications");
+const {
+  revokeAllSessions,
+  hashToken,
+  signImpersonationToken,
+} = require("../utils/tokens");
+const { recordAudit } = require("../utils/audit");
+const { revokeSessions, serializeSession } = require("../utils/sessions");
+const {
+  getRolePermissions,
+  isValidPermission,
+  clearRolePermissionCache,
+} = require("../utils/permissions");
+const {
+  MAX_TTL_DAYS,
+  createApiKey,
+  disallowedKeyPermissions,
+  serializeApiKey,
+} = require("../utils/apiKeys");
+const { orgScope, targetOrganizationId } = require("../utils/tenancy");
+const { isValidTimeZone } = require("../utils/timezone");
+const {
+  resolveLesson,
+  nextItemOrderIndex,
+} = require("../utils/courseStructure");
+const {
+  COMPLETION_RULES,
+  isRuleAllowed,
+  refreshCourseProgress,
+} = require("../utils/contentCompletion");
+const { PERMISSIONS } = require("../config/permissions");
+const { IP_MAX_FAILURES, ipWindowStart } = require("../utils/loginThrottle");
 const multer = require("multer");
 const path = require("path");
 
 const router = express.Router();
 
+const IMPERSONATION_DEFAULT_MINUTES = 30;
+const IMPERSONATION_MAX_MINUTES = parseInt(
+  process.env.IMPERSONATION_MAX_MINUTES || "60",
+);
+
+// Accounts holding any of these can't be impersonated, so acting as a user
+// never grants more than that user's everyday access
+const IMPERSONATION_PROTECTED_PERMISSIONS = [
+  "users:manage",
+  "users:impersonate",
+  "roles:manage",
+  "organizations:all",
+];
+
+// Permissions reaching beyond a single organization; only their holders
+// may grant them
+const CROSS_TENANT_PERMISSIONS = ["organizations:manage", "organizations:all"];
+
+const grantsCrossTenant = (req, permissions) =>
+  permissions.some(
+    (p) => CROSS_TENANT_PERMISSIONS.includes(p) && !hasPermission(req.user, p),
+  );
+
+// Roles usable in the request's organization: built-in roles shared by all
+// tenants plus the organization's own custom roles
+const roleScope = (req) =>
+  req.organizationId
+    ? { organization_id: { [Op.or]: [null, req.organizationId] } }
+    : {};
+
+// express-validator check that a role exists for the caller's organization
+// and doesn't grant cross-tenant access the caller lacks
+const validateRole = async (roleName, { req }) => {
+  const role = await Role.findOne({
+    where: { name: roleName, ...roleScope(req) },
+    attributes: ["permissions"],
+  });
+  if (!role) {
+    throw new Error("Unknown role");
+  }
+  if (grantsCrossTenant(req, role.permissions)) {
+    throw new Error("Insufficient permissions to assign this role");
+  }
+  return true;
+};
+
+// Supervisors must belong to the same organization as their learners
+const isSupervisorInOrganization = async (supervisorId, organizationId) =>
+  Boolean(
+    await User.findOne({
+      where: { id: supervisorId, organization_id: organizationId },
+      attributes: ["id"],
+    }),
+  );
+
+// Course content may only be edited in courses of the caller's organization
+const findCourseInScope = (req, courseId) =>
+  Course.findOne({
+    where: { id: courseId, ...orgScope(req) },
+    attributes: ["id"],
+  });
+
+const findContentInScope = (req, contentId) =>
+  CourseContent.findOne({
+    where: { id: contentId },
+    include: [
+      { model: Course, where: orgScope(req), attributes: [], required: true },
+    ],
+  });
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -40,12 +159,13 @@ const upload = multer({
 router.get(
   "/users",
   authenticateToken,
-  authorize("admin"),
+  authorize("users:manage"),
   async (req, res) => {
     try {
-      const [users] = await sequelize.query(`
+      const [users] = await sequelize.query(
+        `
       SELECT u.id, u.email, u.full_name, u.role, u.archetype, u.is_active, u.created_at,
-             s.full_name as supervisor_name,
+             u.organization_id, s.full_name as supervisor_name,
              COUNT(DISTINCT e.id) as enrolled_courses,
              COUNT(DISTINCT CASE WHEN e.completed_at IS NOT NULL THEN e.id END) as completed_courses,
              SUM(ls.duration_minutes)/60 as total_learning_hours
@@ -53,9 +173,12 @@ router.get(
       LEFT JOIN users s ON u.supervisor_id = s.id
       LEFT JOIN enrollments e ON u.id = e.user_id
       LEFT JOIN learning_sessions ls ON u.id = ls.user_id AND ls.end_time IS NOT NULL
+      WHERE (:organizationId IS NULL OR u.organization_id = :organizationId)
       GROUP BY u.id, s.full_name
       ORDER BY u.created_at DESC
-    `);
+    `,
+        { replacements: { organizationId: req.organizationId } },
+      );
 
       res.json({ users });
     } catch (error) {
@@ -69,12 +192,12 @@ router.get(
 router.post(
   "/users",
   authenticateToken,
-  authorize("admin"),
+  authorize("users:manage"),
   [
     body("email").isEmail().normalizeEmail(),
     body("password").isLength({ min: 8 }),
     body("full_name").trim().notEmpty(),
-    body("role").isIn(["candidate", "learner", "supervisor", "admin"]),
+    body("role").custom(validateRole),
   ],
   async (req, res) => {
     try {
@@ -94,6 +217,14 @@ router.post(
         return res.status(409).json({ error: "Email already exists" });
       }
 
+      const organizationId = targetOrganizationId(req);
+      if (
+        supervisor_id &&
+        !(await isSupervisorInOrganization(supervisor_id, organizationId))
+      ) {
+        return res.status(400).json({ error: "Supervisor not found" });
+      }
+
       const salt = await bcrypt.genSalt(10);
       const password_hash = await bcrypt.hash(password, salt);
 
@@ -104,6 +235,7 @@ router.post(
         role,
         archetype: archetype || null,
         supervisor_id: supervisor_id || null,
+        organization_id: organizationId,
       });
 
       res.status(201).json({
@@ -114,6 +246,7 @@ router.post(
           full_name: user.full_name,
           role: user.role,
           archetype: user.archetype,
+          organization_id: user.organization_id,
           created_at: user.created_at,
         },
       });
@@ -128,23 +261,46 @@ router.post(
 router.put(
   "/users/:userId",
   authenticateToken,
-  authorize("admin"),
+  authorize("users:manage"),
+  [
+    body("role").optional().custom(validateRole),
+    body("timezone")
+      .optional()
+      .custom((value) => isValidTimeZone(value))
+      .withMessage("Unknown time zone"),
+  ],
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
       const { userId } = req.params;
-      const { full_name, email, role, archetype, supervisor_id } = req.body;
+      const { full_name, email, role, archetype, supervisor_id, timezone } =
+        req.body;
 
-      const user = await User.findByPk(userId);
+      const user = await User.findOne({
+        where: { id: userId, ...orgScope(req) },
+      });
       if (!user) {
         return res.status(404).json({ error: "User not found" });
       }
 
+      if (
+        supervisor_id &&
+        !(await isSupervisorInOrganization(supervisor_id, user.organization_id))
+      ) {
+        return res.status(400).json({ error: "Supervisor not found" });
+      }
+
       await user.update({
         full_name: full_name || user.full_name,
         email: email || user.email,
         role: role || user.role,
         archetype: archetype || user.archetype,
         supervisor_id: supervisor_id,
+        timezone: timezone || user.timezone,
       });
 
       res.json({
@@ -155,6 +311,7 @@ router.put(
           full_name: user.full_name,
           role: user.role,
           archetype: user.archetype,
+          timezone: user.timezone,
           is_active: user.is_active,
         },
       });
@@ -169,7 +326,7 @@ router.put(
 router.put(
   "/users/:userId/username",
   authenticateToken,
-  authorize("admin"),
+  authorize("users:manage"),
   [body("new_email").isEmail().normalizeEmail()],
   async (req, res) => {
     try {
@@ -184,7 +341,14 @@ router.put(
         return res.status(409).json({ error: "Email already in use" });
       }
 
-      await User.update({ email: new_email }, { where: { id: userId } });
+      const [updated] = await User.update(
+        { email: new_email },
+        { where: { id: userId, ...orgScope(req) } },
+      );
+      if (!updated) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
       res.json({ message: "Username updated successfully" });
     } catch (error) {
       console.error("Update username error:", error);
@@ -197,7 +361,7 @@ router.put(
 router.put(
   "/users/:userId/password",
   authenticateToken,
-  authorize("admin"),
+  authorize("users:manage"),
   [body("new_password").isLength({ min: 8 })],
   async (req, res) => {
     try {
@@ -207,7 +371,15 @@ router.put(
       const salt = await bcrypt.genSalt(10);
       const password_hash = await bcrypt.hash(new_password, salt);
 
-      await User.update({ password_hash }, { where: { id: userId } });
+      const [updated] = await User.update(
+        { password_hash },
+        { where: { id: userId, ...orgScope(req) } },
+      );
+      if (!updated) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      await revokeAllSessions(userId);
       res.json({ message: "Password changed successfully" });
     } catch (error) {
       console.error("Change password error:", error);
@@ -216,16 +388,142 @@ router.put(
   },
 );
 
+// Reset two-factor authentication (lost device)
+router.delete(
+  "/users/:userId/2fa",
+  authenticateToken,
+  authorize("users:manage"),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const [updated] = await User.update(
+        {
+          totp_enabled: false,
+          totp_secret: null,
+          totp_last_used_step: null,
+          totp_recovery_codes: null,
+        },
+        { where: { id: userId, ...orgScope(req) } },
+      );
+      if (!updated) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      await revokeAllSessions(userId);
+      res.json({ message: "Two-factor authentication reset" });
+    } catch (error) {
+      console.error("Reset 2FA error:", error);
+      res.status(500).json({ error: "Failed to reset two-factor" });
+    }
+  },
+);
+
+// Devices a user is signed in on; ?include_revoked=true adds ended
+// sessions
+router.get(
+  "/users/:userId/sessions",
+  authenticateToken,
+  authorize("users:manage"),
+  async (req, res) => {
+    try {
+      const user = await User.findOne({
+        where: { id: req.params.userId, ...orgScope(req) },
+        attributes: ["id"],
+      });
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const where = { user_id: user.id };
+      if (req.query.include_revoked !== "true") {
+        where.revoked_at = null;
+        where.expires_at = { [Op.gt]: new Date() };
+      }
+
+      const sessions = await UserSession.findAll({
+        where,
+        include: [
+          { model: User, as: "RevokedBy", attributes: ["id", "full_name"] },
+        ],
+        order: [["last_seen_at", "DESC"]],
+        limit: 200,
+      });
+
+      res.json({
+        sessions: sessions.map((s) => ({
+          ...serializeSession(s),
+          revoked_by: s.RevokedBy,
+        })),
+      });
+    } catch (error) {
+      console.error("Fetch user sessions error:", error);
+      res.status(500).json({ error: "Failed to fetch sessions" });
+    }
+  },
+);
+
+router.delete(
+  "/users/:userId/sessions/:sessionId",
+  authenticateToken,
+  authorize("users:manage"),
+  async (req, res) => {
+    try {
+      const session = await UserSession.findOne({
+        where: { id: req.params.sessionId, user_id: req.params.userId },
+        include: [
+          {
+            model: User,
+            where: orgScope(req),
+            attributes: ["organization_id"],
+          },
+        ],
+      });
+      if (!session) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+
+      await revokeSessions({ id: session.id }, { revokedBy: req.user.id });
+
+      await recordAudit({
+        action: "session.revoked",
+        actorId: req.user.id,
+        userId: session.user_id,
+        organizationId: session.User.organization_id,
+        req,
+        details: { session_id: session.id, device: session.device },
+      });
+
+      res.json({ message: "Session revoked" });
+    } catch (error) {
+      console.error("Revoke user session error:", error);
+      res.status(500).json({ error: "Failed to revoke session" });
+    }
+  },
+);
+
 // Suspend/Activate user
 router.put(
   "/users/:userId/toggle-status",
   authenticateToken,
-  authorize("admin"),
+  authorize("users:manage"),
   async (req, res) => {
     try {
       const { userId } = req.params;
-      const user = await User.findByPk(userId);
+      const user = await User.findOne({
+        where: { id: userId, ...orgScope(req) },
+      });
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
       await user.update({ is_active: !user.is_active });
+
+      // Suspension must end any session the user already holds
+      if (!user.is_active) {
+        await revokeAllSessions(user.id);
+      }
+
       res.json({
         message: user.is_active ? "User activated" : "User suspended",
         is_active: user.is_active,
@@ -241,11 +539,17 @@ router.put(
 router.delete(
   "/users/:userId",
   authenticateToken,
-  authorize("admin"),
+  authorize("users:manage"),
   async (req, res) => {
     try {
       const { userId } = req.params;
-      await User.destroy({ where: { id: userId } });
+      const deleted = await User.destroy({
+        where: { id: userId, ...orgScope(req) },
+      });
+      if (!deleted) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
       res.json({ message: "User deleted successfully" });
     } catch (error) {
       console.error("Delete user error:", error);
@@ -258,7 +562,7 @@ router.delete(
 router.post(
   "/candidates/:candidateId/migrate",
   authenticateToken,
-  authorize("admin"),
+  authorize("candidates:migrate"),
   [
     body("new_role").isIn(["learner"]),
     body("supervisor_id").optional().isInt(),
@@ -277,9 +581,13 @@ router.post(
          LEFT JOIN test_attempts ta ON u.id = ta.user_id AND ta.status = 'graded'
          LEFT JOIN tests t ON ta.test_id = t.id
          WHERE u.id = :candidateId AND u.role = 'candidate'
+           AND (:organizationId IS NULL OR u.organization_id = :organizationId)
          ORDER BY ta.score DESC NULLS LAST
          LIMIT 1`,
-        { replacements: { candidateId }, transaction: t },
+        {
+          replacements: { candidateId, organizationId: req.organizationId },
+          transaction: t,
+        },
       );
 
       if (candidates.length === 0) {
@@ -300,6 +608,17 @@ router.post(
         });
       }
 
+      if (
+        supervisor_id &&
+        !(await isSupervisorInOrganization(
+          supervisor_id,
+          candidate.organization_id,
+        ))
+      ) {
+        await t.rollback();
+        return res.status(400).json({ error: "Supervisor not found" });
+      }
+
       // Update user role
       await User.update(
         {
@@ -342,7 +661,7 @@ router.post(
 router.get(
   "/candidates/eligible",
   authenticateToken,
-  authorize("admin"),
+  authorize("candidates:migrate"),
   async (req, res) => {
     try {
       const [candidates] = await sequelize.query(
@@ -353,7 +672,9 @@ router.get(
        JOIN tests t ON ta.test_id = t.id
        WHERE u.role = 'candidate' 
          AND ta.score >= t.passing_score
+         AND (:organizationId IS NULL OR u.organization_id = :organizationId)
        ORDER BY ta.graded_at DESC`,
+        { replacements: { organizationId: req.organizationId } },
       );
 
       res.json({ candidates });
@@ -368,11 +689,11 @@ router.get(
 router.get(
   "/supervisors",
   authenticateToken,
-  authorize("admin"),
+  authorize("users:manage", "users:invite", "candidates:migrate"),
   async (req, res) => {
     try {
       const supervisors = await User.findAll({
-        where: { role: "supervisor", is_active: true },
+        where: { role: "supervisor", is_active: true, ...orgScope(req) },
         attributes: ["id", "full_name", "email"],
         order: [["full_name", "ASC"]],
       });
@@ -385,36 +706,42 @@ router.get(
   },
 );
 
-// Upload course material
+// Upload course material, into lesson_id or the course's default lesson
 router.post(
   "/courses/:courseId/upload",
   authenticateToken,
-  authorize("admin"),
+  authorize("courses:edit"),
   upload.single("file"),
   async (req, res) => {
     try {
       const { courseId } = req.params;
-      const { title, content_type } = req.body;
+      const { title, content_type, lesson_id } = req.body;
       const file = req.file;
 
       if (!file) {
         return res.status(400).json({ error: "No file uploaded" });
       }
 
-      const content_url = `/uploads/${file.filename}`;
+      if (!(await findCourseInScope(req, courseId))) {
+        return res.status(404).json({ error: "Course not found" });
+      }
 
-      const maxOrder = await CourseContent.max("order_index", {
-        where: { course_id: courseId },
-      });
-      const nextOrder = (maxOrder ?? -1) + 1;
+      const lesson = await resolveLesson(courseId, lesson_id);
+      if (!lesson) {
+        return res.status(404).json({ error: "Lesson not found" });
+      }
+
+      const content_url = `/uploads/${file.filename}`;
 
       const content = await CourseContent.create({
         course_id: courseId,
+        lesson_id: lesson.id,
         title,
         content_type,
         content_url,
-        order_index: nextOrder,
+        order_index: await nextItemOrderIndex(lesson.id),
       });
+      await refreshCourseProgress(courseId);
 
       res
         .status(201)
@@ -426,28 +753,35 @@ router.post(
   },
 );
 
-// Add course content (link-based)
+// Add course content (link-based), into lesson_id or the course's default
+// lesson
 router.post(
   "/courses/:courseId/content",
   authenticateToken,
-  authorize("admin"),
+  authorize("courses:edit"),
   async (req, res) => {
     try {
       const { courseId } = req.params;
-      const { title, content_type, content_url } = req.body;
+      const { title, content_type, content_url, lesson_id } = req.body;
 
-      const maxOrder = await CourseContent.max("order_index", {
-        where: { course_id: courseId },
-      });
-      const nextOrder = (maxOrder ?? -1) + 1;
+      if (!(await findCourseInScope(req, courseId))) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      const lesson = await resolveLesson(courseId, lesson_id);
+      if (!lesson) {
+        return res.status(404).json({ error: "Lesson not found" });
+      }
 
       const content = await CourseContent.create({
         course_id: courseId,
+        lesson_id: lesson.id,
         title,
         content_type,
         content_url,
-        order_index: nextOrder,
+        order_index: await nextItemOrderIndex(lesson.id),
       });
+      await refreshCourseProgress(courseId);
 
       res.status(201).json({ message: "Content added successfully", content });
     } catch (error) {
@@ -457,25 +791,60 @@ router.post(
   },
 );
 
-// Update course content
+// Update course content, including how learners complete it
 router.put(
   "/content/:contentId",
   authenticateToken,
-  authorize("admin"),
+  authorize("courses:edit"),
+  [
+    body("completion_rule").optional({ nullable: true }).isIn(COMPLETION_RULES),
+    body("completion_threshold")
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 100 }),
+  ],
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
       const { contentId } = req.params;
-      const { title, content_url } = req.body;
+      const { title, content_url, completion_rule, completion_threshold } =
+        req.body;
 
-      const content = await CourseContent.findByPk(contentId);
+      const content = await findContentInScope(req, contentId);
       if (!content) {
         return res.status(404).json({ error: "Content not found" });
       }
 
+      if (
+        completion_rule &&
+        !isRuleAllowed(content.content_type, completion_rule)
+      ) {
+        return res.status(400).json({
+          error: `Completion rule "${completion_rule}" does not apply to ${content.content_type} items`,
+        });
+      }
+
+      // null resets the rule or threshold to its default
+      const rulesChanged =
+        completion_rule !== undefined || completion_threshold !== undefined;
       await content.update({
         title: title || content.title,
         content_url: content_url || content.content_url,
+        completion_rule:
+          completion_rule === undefined
+            ? content.completion_rule
+            : completion_rule,
+        completion_threshold:
+          completion_threshold === undefined
+            ? content.completion_threshold
+            : completion_threshold,
       });
+      if (rulesChanged) {
+        await refreshCourseProgress(content.course_id);
+      }
 
       res.json({ message: "Content updated successfully", content });
     } catch (error) {
@@ -489,11 +858,17 @@ router.put(
 router.delete(
   "/content/:contentId",
   authenticateToken,
-  authorize("admin"),
+  authorize("courses:edit"),
   async (req, res) => {
     try {
       const { contentId } = req.params;
-      await CourseContent.destroy({ where: { id: contentId } });
+      const content = await findContentInScope(req, contentId);
+      if (!content) {
+        return res.status(404).json({ error: "Content not found" });
+      }
+
+      await content.destroy();
+      await refreshCourseProgress(content.course_id);
       res.json({ message: "Content deleted successfully" });
     } catch (error) {
       console.error("Delete content error:", error);
@@ -502,4 +877,954 @@ router.delete(
   },
 );
 
+// ========== INVITATIONS ==========
+
+// Create invitation
+router.post(
+  "/invitations",
+  authenticateToken,
+  authorize("users:invite"),
+  [
+    body("email").optional().isEmail().normalizeEmail(),
+    body("role").custom(validateRole),
+    body("supervisor_id").optional({ nullable: true }).isInt(),
+    body("archetype")
+      .optional({ nullable: true })
+      .isIn(["maker", "architect", "strategist", "connector", "explorer"]),
+    body("expires_in_days").optional().isInt({ min: 1, max: 90 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { email, role, supervisor_id, archetype, expires_in_days } =
+        req.body;
+
+      const organizationId = targetOrganizationId(req);
+
+      if (supervisor_id) {
+        const supervisor = await User.findOne({
+          where: {
+            id: supervisor_id,
+            role: "supervisor",
+            is_active: true,
+            organization_id: organizationId,
+          },
+          attributes: ["id"],
+        });
+        if (!supervisor) {
+          return res.status(400).json({ error: "Supervisor not found" });
+        }
+      }
+
+      if (email) {
+        const existingUser = await User.findOne({
+          where: { email },
+          attributes: ["id"],
+        });
+        if (existingUser) {
+          return res.status(409).json({ error: "Email already registered" });
+        }
+      }
+
+      const code = crypto.randomBytes(12).toString("base64url");
+      const expiresAt = new Date(
+        Date.now() + (expires_in_days || 7) * 24 * 60 * 60 * 1000,
+      );
+
+      const invitation = await Invitation.create({
+        code_hash: hashToken(code),
+        email: email || null,
+        role,
+        supervisor_id: supervisor_id || null,
+        archetype: archetype || null,
+        expires_at: expiresAt,
+        organization_id: organizationId,
+        created_by: req.user.id,
+      });
+
+      if (email) {
+        await sendInvitationEmail(email, code, role, expiresAt);
+      }
+
+      res.status(201).json({
+        message: "Invitation created successfully",
+        // The code is only returned once; it is stored hashed
+        invite_code: code,
+        invitation: {
+          id: invitation.id,
+          email: invitation.email,
+          role: invitation.role,
+          supervisor_id: invitation.supervisor_id,
+          archetype: invitation.archetype,
+          expires_at: invitation.expires_at,
+        },
+      });
+    } catch (error) {
+      console.error("Create invitation error:", error);
+      res.status(500).json({ error: "Failed to create invitation" });
+    }
+  },
+);
+
+// List invitations
+router.get(
+  "/invitations",
+  authenticateToken,
+  authorize("users:invite"),
+  async (req, res) => {
+    try {
+      const invitations = await Invitation.findAll({
+        where: orgScope(req),
+        attributes: { exclude: ["code_hash"] },
+        include: [
+          { model: User, as: "Inviter", attributes: ["full_name"] },
+          { model: User, as: "Supervisor", attributes: ["full_name"] },
+          {
+            model: User,
+            as: "InvitedUser",
+            attributes: ["full_name", "email"],
+          },
+        ],
+        order: [["created_at", "DESC"]],
+      });
+
+      const now = new Date();
+      const result = invitations.map((i) => {
+        const plain = i.get({ plain: true });
+        plain.created_by_name = plain.Inviter ? plain.Inviter.full_name : null;
+        plain.supervisor_name = plain.Supervisor
+          ? plain.Supervisor.full_name
+          : null;
+        plain.used_by_email = plain.InvitedUser
+          ? plain.InvitedUser.email
+          : null;
+        plain.status = plain.used_at
+          ? "used"
+          : plain.revoked_at
+            ? "revoked"
+            : new Date(plain.expires_at) < now
+              ? "expired"
+              : "pending";
+        delete plain.Inviter;
+        delete plain.Supervisor;
+        delete plain.InvitedUser;
+        return plain;
+      });
+
+      res.json({ invitations: result });
+    } catch (error) {
+      console.error("Fetch invitations error:", error);
+      res.status(500).json({ error: "Failed to fetch invitations" });
+    }
+  },
+);
+
+// Revoke invitation
+router.delete(
+  "/invitations/:invitationId",
+  authenticateToken,
+  authorize("users:invite"),
+  async (req, res) => {
+    try {
+      const invitation = await Invitation.findOne({
+        where: { id: req.params.invitationId, ...orgScope(req) },
+      });
+      if (!invitation) {
+        return res.status(404).json({ error: "Invitation not found" });
+      }
+
+      if (invitation.used_at) {
+        return res
+          .status(400)
+          .json({ error: "Invitation has already been used" });
+      }
+
+      await invitation.update({ revoked_at: new Date() });
+      res.json({ message: "Invitation revoked" });
+    } catch (error) {
+      console.error("Revoke invitation error:", error);
+      res.status(500).json({ error: "Failed to revoke invitation" });
+    }
+  },
+);
+
+// ========== LOGIN LOCKOUTS ==========
+
+// List locked/throttled accounts and blocked IP addresses. IP counts for
+// a tenant only include attempts against its own users.
+router.get(
+  "/lockouts",
+  authenticateToken,
+  authorize("users:manage"),
+  async (req, res) => {
+    try {
+      const users = await User.findAll({
+        where: {
+          ...orgScope(req),
+          [Op.or]: [
+            { locked_until: { [Op.gt]: new Date() } },
+            { failed_login_attempts: { [Op.gt]: 0 } },
+          ],
+        },
+        attributes: [
+          "id",
+          "email",
+          "full_name",
+          "role",
+          "failed_login_attempts",
+          "last_failed_login_at",
+          "locked_until",
+        ],
+        order: [["last_failed_login_at", "DESC"]],
+      });
+
+      const ips = await sequelize.query(
+        `SELECT ip_address, COUNT(*) as failed_attempts,
+                COUNT(DISTINCT email) as distinct_emails,
+                MAX(created_at) as last_attempt_at
+         FROM login_attempts
+         WHERE succeeded = false AND cleared_at IS NULL
+           AND created_at >= :windowStart
+           AND (:organizationId IS NULL OR user_id IN (
+             SELECT id FROM users WHERE organization_id = :organizationId))
+         GROUP BY ip_address
+         ORDER BY failed_attempts DESC`,
+        {
+          replacements: {
+            windowStart: ipWindowStart(),
+            organizationId: req.organizationId,
+          },
+          type: QueryTypes.SELECT,
+        },
+      );
+
+      const now = new Date();
+      res.json({
+        users: users.map((u) => {
+          const plain = u.get({ plain: true });
+          plain.is_locked = Boolean(
+            plain.locked_until && plain.locked_until > now,
+          );
+          return plain;
+        }),
+        ip_addresses: ips.map((row) => ({
+          ip_address: row.ip_address,
+          failed_attempts: parseInt(row.failed_attempts),
+          distinct_emails: parseInt(row.distinct_emails),
+          last_attempt_at: row.last_attempt_at,
+          is_blocked: parseInt(row.failed_attempts) >= IP_MAX_FAILURES,
+        })),
+      });
+    } catch (error) {
+      console.error("Fetch lockouts error:", error);
+      res.status(500).json({ error: "Failed to fetch lockouts" });
+    }
+  },
+);
+
+// Clear an account lockout
+router.delete(
+  "/lockouts/users/:userId",
+  authenticateToken,
+  authorize("users:manage"),
+  async (req, res) => {
+    try {
+      const [updated] = await User.update(
+        {
+          failed_login_attempts: 0,
+          last_failed_login_at: null,
+          locked_until: null,
+        },
+        { where: { id: req.params.userId, ...orgScope(req) } },
+      );
+      if (!updated) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      res.json({ message: "Account lockout cleared" });
+    } catch (error) {
+      console.error("Clear user lockout error:", error);
+      res.status(500).json({ error: "Failed to clear lockout" });
+    }
+  },
+);
+
+// Clear an IP address block (for a tenant: its own users' attempts)
+router.delete(
+  "/lockouts/ips/:ipAddress",
+  authenticateToken,
+  authorize("users:manage"),
+  async (req, res) => {
+    try {
+      const [cleared] = await LoginAttempt.update(
+        { cleared_at: new Date() },
+        {
+          where: {
+            ip_address: req.params.ipAddress,
+            succeeded: false,
+            cleared_at: null,
+            ...(req.organizationId && {
+              user_id: {
+                [Op.in]: sequelize.literal(
+                  `(SELECT id FROM users WHERE organization_id = ${sequelize.escape(req.organizationId)})`,
+                ),
+              },
+            }),
+          },
+        },
+      );
+
+      res.json({
+        message: "IP address block cleared",
+        cleared_attempts: cleared,
+      });
+    } catch (error) {
+      console.error("Clear IP lockout error:", error);
+      res.status(500).json({ error: "Failed to clear IP block" });
+    }
+  },
+);
+
+// ========== SERVICE ACCOUNTS & API KEYS ==========
+
+// List service accounts with their active key counts
+router.get(
+  "/service-accounts",
+  authenticateToken,
+  authorize("users:manage"),
+  async (req, res) => {
+    try {
+      const accounts = await User.findAll({
+        where: { is_service_account: true, ...orgScope(req) },
+        attributes: [
+          "id",
+          "email",
+          "full_name",
+          "role",
+          "is_active",
+          "organization_id",
+          "created_at",
+          [
+            sequelize.literal(
+              '(SELECT COUNT(*) FROM api_keys k WHERE k.user_id = "User".id AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW()))',
+            ),
+            "active_key_count",
+          ],
+        ],
+        order: [["full_name", "ASC"]],
+      });
+
+      res.json({ service_accounts: accounts });
+    } catch (error) {
+      console.error("Fetch service accounts error:", error);
+      res.status(500).json({ error: "Failed to fetch service accounts" });
+    }
+  },
+);
+
+// Create a service account (authenticates with API keys only)
+router.post(
+  "/service-accounts",
+  authenticateToken,
+  authorize("users:manage"),
+  [
+    body("email").isEmail().normalizeEmail(),
+    body("full_name").trim().notEmpty(),
+    body("role").custom(validateRole),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { email, full_name, role } = req.body;
+
+      const existingUser = await User.findOne({
+        where: { email },
+        attributes: ["id"],
+      });
+      if (existingUser) {
+        return res.status(409).json({ error: "Email already exists" });
+      }
+
+      // Unusable random password: password login is refused anyway
+      const password_hash = await bcrypt.hash(
+        crypto.randomBytes(32).toString("hex"),
+        10,
+      );
+
+      const account = await User.create({
+        email,
+        password_hash,
+        full_name,
+        role,
+        is_service_account: true,
+        organization_id: targetOrganizationId(req),
+      });
+
+      res.status(201).json({
+        message: "Service account created successfully",
+        service_account: {
+          id: account.id,
+          email: account.email,
+          full_name: account.full_name,
+          role: account.role,
+          organization_id: account.organization_id,
+          created_at: account.created_at,
+        },
+      });
+    } catch (error) {
+      console.error("Create service account error:", error);
+      res.status(500).json({ error: "Failed to create service account" });
+    }
+  },
+);
+
+// List a user's API keys
+router.get(
+  "/users/:userId/api-keys",
+  authenticateToken,
+  authorize("users:manage"),
+  async (req, res) => {
+    try {
+      const user = await User.findOne({
+        where: { id: req.params.userId, ...orgScope(req) },
+        attributes: ["id"],
+      });
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const keys = await ApiKey.findAll({
+        where: { user_id: user.id },
+        include: [{ model: User, as: "Creator", attributes: ["full_name"] }],
+        order: [["created_at", "DESC"]],
+      });
+
+      res.json({
+        api_keys: keys.map((k) => {
+          const plain = serializeApiKey(k);
+          plain.created_by_name = plain.Creator
+            ? plain.Creator.full_name
+            : null;
+          delete plain.Creator;
+          return plain;
+        }),
+      });
+    } catch (error) {
+      console.error("Fetch user API keys error:", error);
+      res.status(500).json({ error: "Failed to fetch API keys" });
+    }
+  },
+);
+
+// Issue an API key for a service account. Its permissions must be held by
+// both the admin and the service account's role.
+router.post(
+  "/users/:userId/api-keys",
+  authenticateToken,
+  authorize("users:manage"),
+  requireInteractiveLogin,
+  [
+    body("name").trim().notEmpty().isLength({ max: 100 }),
+    body("permissions").isArray({ min: 1 }),
+    body("permissions.*").custom(isValidPermission),
+    body("expires_in_days").optional().isInt({ min: 1, max: MAX_TTL_DAYS }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const account = await User.findOne({
+        where: {
+          id: req.params.userId,
+          is_service_account: true,
+          ...orgScope(req),
+        },
+        attributes: ["id", "role", "organization_id", "is_active"],
+      });
+      if (!account) {
+        return res.status(404).json({ error: "Service account not found" });
+      }
+
+      const { name, permissions, expires_in_days } = req.body;
+
+      const disallowed = disallowedKeyPermissions(
+        permissions,
+        req.user.permissions,
+        await getRolePermissions(account.role, account.organization_id),
+      );
+      if (disallowed.length > 0) {
+        return res.status(403).json({
+          error:
+            "API keys can only be granted permissions held by you and the service account",
+          permissions: disallowed,
+        });
+      }
+
+      const { key, record } = await createApiKey({
+        userId: account.id,
+        createdBy: req.user.id,
+        name,
+        permissions,
+        expiresInDays: expires_in_days,
+      });
+
+      res.status(201).json({
+        message: "API key created successfully",
+        // The key is only returned once; it is stored hashed
+        api_key: key,
+        key: serializeApiKey(record),
+      });
+    } catch (error) {
+      console.error("Create service account key error:", error);
+      res.status(500).json({ error: "Failed to create API key" });
+    }
+  },
+);
+
+// Revoke any API key in the organization
+router.delete(
+  "/api-keys/:keyId",
+  authenticateToken,
+  authorize("users:manage"),
+  async (req, res) => {
+    try {
+      const apiKey = await ApiKey.findOne({
+        where: { id: req.params.keyId },
+        include: [
+          { model: User, where: orgScope(req), attributes: [], required: true },
+        ],
+      });
+      if (!apiKey) {
+        return res.status(404).json({ error: "API key not found" });
+      }
+
+      if (!apiKey.revoked_at) {
+        await apiKey.update({ revoked_at: new Date() });
+      }
+
+      res.json({ message: "API key revoked" });
+    } catch (error) {
+      console.error("Revoke API key error:", error);
+      res.status(500).json({ error: "Failed to revoke API key" });
+    }
+  },
+);
+
+// ========== IMPERSONATION & AUDIT LOG ==========
+
+// Start acting as a user. Returns a short-lived token with no refresh
+// token; every request made with it is written to the audit log.
+router.post(
+  "/users/:userId/impersonate",
+  authenticateToken,
+  authorize("users:impersonate"),
+  requireInteractiveLogin,
+  blockWhileImpersonating,
+  [
+    body("reason").trim().notEmpty(),
+    body("duration_minutes")
+      .optional()
+      .isInt({ min: 1, max: IMPERSONATION_MAX_MINUTES }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const target = await User.findOne({
+        where: { id: req.params.userId, ...orgScope(req) },
+        attributes: [
+          "id",
+          "email",
+          "full_name",
+          "role",
+          "is_active",
+          "organization_id",
+          "token_version",
+        ],
+      });
+      if (!target || !target.is_active) {
+        return res.status(404).json({ error: "User not found or inactive" });
+      }
+
+      if (target.id === req.user.id) {
+        return res
+          .status(400)
+          .json({ error: "You cannot impersonate yourself" });
+      }
+
+      const targetPermissions = await getRolePermissions(
+        target.role,
+        target.organization_id,
+      );
+      if (
+        IMPERSONATION_PROTECTED_PERMISSIONS.some((p) =>
+          targetPermissions.includes(p),
+        )
+      ) {
+        return res
+          .status(403)
+          .json({ error: "Administrators cannot be impersonated" });
+      }
+
+      const { reason, duration_minutes } = req.body;
+      const minutes = duration_minutes || IMPERSONATION_DEFAULT_MINUTES;
+
+      const impersonation = await Impersonation.create({
+        impersonator_id: req.user.id,
+        user_id: target.id,
+        reason,
+        expires_at: new Date(Date.now() + minutes * 60 * 1000),
+      });
+
+      await recordAudit({
+        action: "impersonation.start",
+        actorId: req.user.id,
+        userId: target.id,
+        organizationId: target.organization_id,
+        req,
+        statusCode: 201,
+        details: { impersonation_id: impersonation.id, reason, minutes },
+      });
+
+      res.status(201).json({
+        message: `Now acting as ${target.full_name}`,
+        token: signImpersonationToken(target, impersonation),
+        expires_at: impersonation.expires_at,
+        impersonation: {
+          id: impersonation.id,
+          user: {
+            id: target.id,
+            email: target.email,
+            full_name: target.full_name,
+            role: target.role,
+          },
+          reason,
+        },
+      });
+    } catch (error) {
+      console.error("Start impersonation error:", error);
+      res.status(500).json({ error: "Failed to start impersonation" });
+    }
+  },
+);
+
+// End an impersonation started by any admin in the organization
+router.delete(
+  "/impersonations/:impersonationId",
+  authenticateToken,
+  authorize("users:impersonate"),
+  async (req, res) => {
+    try {
+      const impersonation = await Impersonation.findOne({
+        where: { id: req.params.impersonationId },
+        include: [
+          {
+            model: User,
+            as: "Target",
+            where: orgScope(req),
+            attributes: ["organization_id"],
+            required: true,
+          },
+        ],
+      });
+      if (!impersonation) {
+        return res.status(404).json({ error: "Impersonation not found" });
+      }
+
+      if (!impersonation.ended_at) {
+        await impersonation.update({ ended_at: new Date() });
+        await recordAudit({
+          action: "impersonation.end",
+          actorId: req.user.id,
+          userId: impersonation.user_id,
+          organizationId: impersonation.Target.organization_id,
+          req,
+          details: { impersonation_id: impersonation.id },
+        });
+      }
+
+      res.json({ message: "Impersonation ended" });
+    } catch (error) {
+      console.error("End impersonation error:", error);
+      res.status(500).json({ error: "Failed to end impersonation" });
+    }
+  },
+);
+
+// Browse the audit log
+router.get(
+  "/audit-logs",
+  authenticateToken,
+  authorize("audit:view"),
+  async (req, res) => {
+    try {
+      const { action, actor_id, user_id, limit = 100, offset = 0 } = req.query;
+
+      const where = orgScope(req);
+      if (action) where.action = action;
+      if (actor_id) where.actor_id = actor_id;
+      if (user_id) where.user_id = user_id;
+
+      const entries = await AuditLog.findAll({
+        where,
+        include: [
+          { model: User, as: "Actor", attributes: ["full_name", "email"] },
+          { model: User, as: "Subject", attributes: ["full_name", "email"] },
+        ],
+        order: [["created_at", "DESC"]],
+        limit: Math.min(parseInt(limit) || 100, 500),
+        offset: parseInt(offset) || 0,
+      });
+
+      res.json({
+        audit_logs: entries.map((e) => {
+          const plain = e.get({ plain: true });
+          plain.actor_name = plain.Actor ? plain.Actor.full_name : null;
+          plain.subject_name = plain.Subject ? plain.Subject.full_name : null;
+          delete plain.Actor;
+          delete plain.Subject;
+          return plain;
+        }),
+      });
+    } catch (error) {
+      console.error("Fetch audit logs error:", error);
+      res.status(500).json({ error: "Failed to fetch audit logs" });
+    }
+  },
+);
+
+// ========== ROLES & PERMISSIONS ==========
+
+// Built-in roles are shared by every organization, so only super admins
+// may change them
+const canEditRole = (req, role) =>
+  role.organization_id !== null || hasPermission(req.user, "organizations:all");
+
+// List available permissions
+router.get(
+  "/permissions",
+  authenticateToken,
+  authorize("roles:manage"),
+  (req, res) => {
+    res.json({
+      permissions: Object.entries(PERMISSIONS)
+        .filter(([name]) => !grantsCrossTenant(req, [name]))
+        .map(([name, description]) => ({ name, description })),
+    });
+  },
+);
+
+// List roles with member counts
+router.get(
+  "/roles",
+  authenticateToken,
+  authorize("roles:manage"),
+  async (req, res) => {
+    try {
+      const memberFilter = req.organizationId
+        ? ` AND u.organization_id = ${sequelize.escape(req.organizationId)}`
+        : "";
+      const roles = await Role.findAll({
+        where: roleScope(req),
+        attributes: {
+          include: [
+            [
+              sequelize.literal(
+                `(SELECT COUNT(*) FROM users u WHERE u.role = "Role".name AND ("Role".organization_id IS NULL OR u.organization_id = "Role".organization_id)${memberFilter})`,
+              ),
+              "user_count",
+            ],
+          ],
+        },
+        order: [
+          ["is_system", "DESC"],
+          ["name", "ASC"],
+        ],
+      });
+
+      res.json({ roles });
+    } catch (error) {
+      console.error("Fetch roles error:", error);
+      res.status(500).json({ error: "Failed to fetch roles" });
+    }
+  },
+);
+
+// Create role (custom to the caller's organization; global when created
+// by an unscoped super admin)
+router.post(
+  "/roles",
+  authenticateToken,
+  authorize("roles:manage"),
+  [
+    body("name")
+      .trim()
+      .matches(/^[a-z][a-z0-9_]*$/)
+      .withMessage("Use lowercase letters, numbers and underscores"),
+    body("description").optional().trim(),
+    body("permissions").isArray(),
+    body("permissions.*").custom(isValidPermission),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, description, permissions } = req.body;
+
+      if (grantsCrossTenant(req, permissions)) {
+        return res.status(403).json({ error: "Insufficient permissions" });
+      }
+
+      // Names are unique within the organization, and a custom role can't
+      // shadow a built-in one its users would otherwise resolve to
+      if (await Role.findOne({ where: { name, ...roleScope(req) } })) {
+        return res.status(409).json({ error: "Role already exists" });
+      }
+
+      const role = await Role.create({
+        name,
+        description: description || null,
+        permissions: [...new Set(permissions)],
+        organization_id: req.organizationId,
+      });
+
+      clearRolePermissionCache();
+
+      res.status(201).json({ message: "Role created successfully", role });
+    } catch (error) {
+      if (error.name === "SequelizeUniqueConstraintError") {
+        return res.status(409).json({ error: "Role already exists" });
+      }
+      console.error("Create role error:", error);
+      res.status(500).json({ error: "Failed to create role" });
+    }
+  },
+);
+
+// Update role description/permissions
+router.put(
+  "/roles/:roleId",
+  authenticateToken,
+  authorize("roles:manage"),
+  [
+    body("description").optional().trim(),
+    body("permissions").optional().isArray(),
+    body("permissions.*").custom(isValidPermission),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const role = await Role.findOne({
+        where: { id: req.params.roleId, ...roleScope(req) },
+      });
+      if (!role) {
+        return res.status(404).json({ error: "Role not found" });
+      }
+
+      const { description, permissions } = req.body;
+
+      if (
+        !canEditRole(req, role) ||
+        (permissions && grantsCrossTenant(req, permissions))
+      ) {
+        return res.status(403).json({ error: "Insufficient permissions" });
+      }
+
+      // Don't let an admin lock everyone out of role management
+      if (
+        permissions &&
+        role.name === req.user.role &&
+        !permissions.includes("roles:manage")
+      ) {
+        return res.status(400).json({
+          error: "You cannot remove roles:manage from your own role",
+        });
+      }
+
+      await role.update({
+        description: description ?? role.description,
+        permissions: permissions ? [...new Set(permissions)] : role.permissions,
+      });
+
+      clearRolePermissionCache();
+
+      res.json({ message: "Role updated successfully", role });
+    } catch (error) {
+      console.error("Update role error:", error);
+      res.status(500).json({ error: "Failed to update role" });
+    }
+  },
+);
+
+// Delete role (custom roles with no members only)
+router.delete(
+  "/roles/:roleId",
+  authenticateToken,
+  authorize("roles:manage"),
+  async (req, res) => {
+    try {
+      const role = await Role.findOne({
+        where: { id: req.params.roleId, ...roleScope(req) },
+      });
+      if (!role) {
+        return res.status(404).json({ error: "Role not found" });
+      }
+
+      if (!canEditRole(req, role)) {
+        return res.status(403).json({ error: "Insufficient permissions" });
+      }
+
+      if (role.is_system) {
+        return res
+          .status(400)
+          .json({ error: "Built-in roles cannot be deleted" });
+      }
+
+      const members = await User.count({
+        where: {
+          role: role.name,
+          ...(role.organization_id
+            ? { organization_id: role.organization_id }
+            : {}),
+        },
+      });
+      if (members > 0) {
+        return res.status(400).json({
+          error: "Reassign users before deleting this role",
+          user_count: members,
+        });
+      }
+
+      await role.destroy();
+      clearRolePermissionCache();
+
+      res.json({ message: "Role deleted successfully" });
+    } catch (error) {
+      console.error("Delete role error:", error);
+      res.status(500).json({ error: "Failed to delete role" });
+    }
+  },
+);
+
 module.exports = router;
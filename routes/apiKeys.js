@@ -0,0 +1,125 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const { ApiKey } = require("../models");
+const {
+  authenticateToken,
+  requireInteractiveLogin,
+  blockWhileImpersonating,
+} = require("../middleware/auth");
+const { isValidPermission } = require("../utils/permissions");
+const {
+  MAX_TTL_DAYS,
+  createApiKey,
+  disallowedKeyPermissions,
+  serializeApiKey,
+} = require("../utils/apiKeys");
+
+const router = express.Router();
+
+// Keys are managed from an interactive login only, never with another key
+
+// List own API keys
+router.get(
+  "/",
+  authenticateToken,
+  requireInteractiveLogin,
+  async (req, res) => {
+    try {
+      const keys = await ApiKey.findAll({
+        where: { user_id: req.user.id },
+        order: [["created_at", "DESC"]],
+      });
+
+      res.json({ api_keys: keys.map(serializeApiKey) });
+    } catch (error) {
+      console.error("Fetch API keys error:", error);
+      res.status(500).json({ error: "Failed to fetch API keys" });
+    }
+  },
+);
+
+// Create an API key limited to a subset of own permissions
+router.post(
+  "/",
+  authenticateToken,
+  requireInteractiveLogin,
+  blockWhileImpersonating,
+  [
+    body("name").trim().notEmpty().isLength({ max: 100 }),
+    body("permissions").isArray({ min: 1 }),
+    body("permissions.*").custom(isValidPermission),
+    body("expires_in_days").optional().isInt({ min: 1, max: MAX_TTL_DAYS }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, permissions, expires_in_days } = req.body;
+
+      const disallowed = disallowedKeyPermissions(
+        permissions,
+        req.user.permissions,
+        req.user.permissions,
+      );
+      if (disallowed.length > 0) {
+        return res.status(403).json({
+          error: "API keys can only be granted permissions you hold",
+          permissions: disallowed,
+        });
+      }
+
+      const { key, record } = await createApiKey({
+        userId: req.user.id,
+        createdBy: req.user.id,
+        name,
+        permissions,
+        expiresInDays: expires_in_days,
+      });
+
+      res.status(201).json({
+        message: "API key created successfully",
+        // The key is only returned once; it is stored hashed
+        api_key: key,
+        key: serializeApiKey(record),
+      });
+    } catch (error) {
+      console.error("Create API key error:", error);
+      res.status(500).json({ error: "Failed to create API key" });
+    }
+  },
+);
+
+// Revoke own API key
+router.delete(
+  "/:keyId",
+  authenticateToken,
+  requireInteractiveLogin,
+  blockWhileImpersonating,
+  async (req, res) => {
+    try {
+      const [revoked] = await ApiKey.update(
+        { revoked_at: new Date() },
+        {
+          where: {
+            id: req.params.keyId,
+            user_id: req.user.id,
+            revoked_at: null,
+          },
+        },
+      );
+      if (!revoked) {
+        return res.status(404).json({ error: "API key not found" });
+      }
+
+      res.json({ message: "API key revoked" });
+    } catch (error) {
+      console.error("Revoke API key error:", error);
+      res.status(500).json({ error: "Failed to revoke API key" });
+    }
+  },
+);
+
+module.exports = router;
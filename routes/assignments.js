@@ -5,9 +5,17 @@ const {
   Enrollment,
   User,
   Course,
+  CourseContent,
   Notification,
 } = require("../models");
-const { authenticateToken, authorize } = require("../middleware/auth");
+const {
+  authenticateToken,
+  authorize,
+  hasPermission,
+  blockWhileImpersonating,
+} = require("../middleware/auth");
+const { orgScope, inScope } = require("../utils/tenancy");
+const { refreshEnrollmentProgress } = require("../utils/contentCompletion");
 const multer = require("multer");
 const path = require("path");
 
@@ -52,10 +60,11 @@ const upload = multer({
 router.post(
   "/submit",
   authenticateToken,
-  authorize("learner", "candidate"),
+  authorize("assignments:submit"),
   upload.single("file"),
   [
     body("course_id").isInt(),
+    body("content_id").optional({ nullable: true }).isInt(),
     body("title").trim().notEmpty(),
     body("description").optional().trim(),
     body("submission_type").isIn(["link", "file", "text"]),
@@ -68,8 +77,14 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { course_id, title, description, submission_type, submission_url } =
-        req.body;
+      const {
+        course_id,
+        content_id,
+        title,
+        description,
+        submission_type,
+        submission_url,
+      } = req.body;
       const file = req.file;
 
       // Verify user is enrolled in the course
@@ -84,6 +99,17 @@ router.post(
           .json({ error: "You are not enrolled in this course" });
       }
 
+      // A submission may answer one of the course's assignment briefs
+      if (content_id) {
+        const brief = await CourseContent.findOne({
+          where: { id: content_id, course_id, content_type: "assignment" },
+          attributes: ["id"],
+        });
+        if (!brief) {
+          return res.status(404).json({ error: "Assignment brief not found" });
+        }
+      }
+
       let finalSubmissionUrl = submission_url;
 
       // If file upload, set the URL to the uploaded file path
@@ -95,12 +121,16 @@ router.post(
       const assignment = await Assignment.create({
         user_id: req.user.id,
         course_id,
+        content_id: content_id || null,
         title,
         description: description || null,
         submission_type,
         submission_url: finalSubmissionUrl,
         status: "pending",
       });
+      if (assignment.content_id) {
+        await refreshEnrollmentProgress(req.user.id, course_id);
+      }
 
       // Get supervisor to notify
       const student = await User.findByPk(req.user.id, {
@@ -131,7 +161,7 @@ router.post(
 router.get(
   "/my-assignments",
   authenticateToken,
-  authorize("learner", "candidate"),
+  authorize("assignments:submit"),
   async (req, res) => {
     try {
       const assignments = await Assignment.findAll({
@@ -171,7 +201,12 @@ router.get("/:assignmentId", authenticateToken, async (req, res) => {
         {
           model: User,
           as: "Student",
-          attributes: ["full_name", "email", "supervisor_id"],
+          attributes: [
+            "full_name",
+            "email",
+            "supervisor_id",
+            "organization_id",
+          ],
         },
         { model: User, as: "Reviewer", attributes: ["full_name"] },
       ],
@@ -187,11 +222,12 @@ router.get("/:assignmentId", authenticateToken, async (req, res) => {
     const isSupervisor =
       plain.Student && plain.Student.supervisor_id === req.user.id;
 
-    if (
-      plain.user_id !== req.user.id &&
-      !isSupervisor &&
-      req.user.role !== "admin"
-    ) {
+    const isAdmin =
+      hasPermission(req.user, "learners:view_all") &&
+      plain.Student &&
+      inScope(req, plain.Student.organization_id);
+
+    if (plain.user_id !== req.user.id && !isSupervisor && !isAdmin) {
       return res.status(403).json({ error: "Access denied" });
     }
 
@@ -216,7 +252,7 @@ router.get("/:assignmentId", authenticateToken, async (req, res) => {
 router.get(
   "/to-review/all",
   authenticateToken,
-  authorize("supervisor", "admin"),
+  authorize("assignments:review"),
   async (req, res) => {
     try {
       const { status } = req.query;
@@ -230,9 +266,12 @@ router.get(
         attributes: ["full_name", "email", "supervisor_id"],
       };
 
-      // Supervisors only see their learners' assignments
-      if (req.user.role === "supervisor") {
+      // Supervisors only see their learners' assignments, admins those
+      // in their organization
+      if (!hasPermission(req.user, "learners:view_all")) {
         includeUser.where = { supervisor_id: req.user.id };
+      } else if (req.organizationId) {
+        includeUser.where = orgScope(req);
       }
 
       const assignments = await Assignment.findAll({
@@ -263,7 +302,7 @@ router.get(
 router.put(
   "/:assignmentId/review",
   authenticateToken,
-  authorize("supervisor", "admin"),
+  authorize("assignments:review"),
   [
     body("feedback").optional().trim(),
     body("grade").optional().isFloat({ min: 0, max: 100 }),
@@ -277,7 +316,11 @@ router.put(
       // Verify this is the learner's supervisor or admin
       const assignment = await Assignment.findByPk(assignmentId, {
         include: [
-          { model: User, as: "Student", attributes: ["id", "supervisor_id"] },
+          {
+            model: User,
+            as: "Student",
+            attributes: ["id", "supervisor_id", "organization_id"],
+          },
         ],
       });
 
@@ -287,7 +330,10 @@ router.put(
 
       const isSupervisor =
         assignment.Student && assignment.Student.supervisor_id === req.user.id;
-      const isAdmin = req.user.role === "admin";
+      const isAdmin =
+        hasPermission(req.user, "learners:view_all") &&
+        assignment.Student &&
+        inScope(req, assignment.Student.organization_id);
 
       if (!isSupervisor && !isAdmin) {
         return res
@@ -302,6 +348,12 @@ router.put(
         reviewed_by: req.user.id,
         reviewed_at: new Date(),
       });
+      if (assignment.content_id) {
+        await refreshEnrollmentProgress(
+          assignment.user_id,
+          assignment.course_id,
+        );
+      }
 
       // Notify the learner
       await Notification.create({
@@ -323,36 +375,47 @@ router.put(
 );
 
 // Delete assignment (learner can delete their own pending submissions)
-router.delete("/:assignmentId", authenticateToken, async (req, res) => {
-  try {
-    const { assignmentId } = req.params;
+router.delete(
+  "/:assignmentId",
+  authenticateToken,
+  blockWhileImpersonating,
+  async (req, res) => {
+    try {
+      const { assignmentId } = req.params;
 
-    const assignment = await Assignment.findByPk(assignmentId, {
-      attributes: ["id", "user_id", "status"],
-    });
+      const assignment = await Assignment.findByPk(assignmentId, {
+        attributes: ["id", "user_id", "course_id", "content_id", "status"],
+      });
 
-    if (!assignment) {
-      return res.status(404).json({ error: "Assignment not found" });
-    }
+      if (!assignment) {
+        return res.status(404).json({ error: "Assignment not found" });
+      }
 
-    // Only owner can delete, and only if pending
-    if (assignment.user_id !== req.user.id) {
-      return res.status(403).json({ error: "Not authorized" });
-    }
+      // Only owner can delete, and only if pending
+      if (assignment.user_id !== req.user.id) {
+        return res.status(403).json({ error: "Not authorized" });
+      }
 
-    if (assignment.status !== "pending") {
-      return res
-        .status(400)
-        .json({ error: "Can only delete pending assignments" });
-    }
+      if (assignment.status !== "pending") {
+        return res
+          .status(400)
+          .json({ error: "Can only delete pending assignments" });
+      }
 
-    await assignment.destroy();
+      await assignment.destroy();
+      if (assignment.content_id) {
+        await refreshEnrollmentProgress(
+          assignment.user_id,
+          assignment.course_id,
+        );
+      }
 
-    res.json({ message: "Assignment deleted successfully" });
-  } catch (error) {
-    console.error("Delete assignment error:", error);
-    res.status(500).json({ error: "Failed to delete assignment" });
-  }
-});
+      res.json({ message: "Assignment deleted successfully" });
+    } catch (error) {
+      console.error("Delete assignment error:", error);
+      res.status(500).json({ error: "Failed to delete assignment" });
+    }
+  },
+);
 
 module.exports = router;
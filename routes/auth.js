@@ -1,72 +1,387 @@
 const express = require("express");
 const bcrypt = require("bcrypt");
-const jwt = require("jsonwebtoken");
 const { body, validationResult } = require("express-validator");
-const { User, Enrollment, sequelize } = require("../models");
-const { authenticateToken } = require("../middleware/auth");
+const { normalizeEmail } = require("validator");
+const { Op } = require("sequelize");
+const {
+  User,
+  Enrollment,
+  Invitation,
+  Organization,
+  Impersonation,
+  UserSession,
+  sequelize,
+} = require("../models");
+const {
+  authenticateToken,
+  requireInteractiveLogin,
+  blockWhileImpersonating,
+} = require("../middleware/auth");
+const { getRolePermissions } = require("../utils/permissions");
+const { recordAudit } = require("../utils/audit");
+const { isValidTimeZone } = require("../utils/timezone");
+const { localToday } = require("../utils/workingDays");
+const { loadTargets } = require("../utils/targets");
+const {
+  listActiveSessions,
+  revokeSessions,
+  serializeSession,
+} = require("../utils/sessions");
+const {
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  hashToken,
+  createOneTimeToken,
+  findOneTimeToken,
+  countRecentOneTimeTokens,
+} = require("../utils/tokens");
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+} = require("../utils/totp");
+const {
+  THROTTLE_ATTRIBUTES,
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  sendThrottled,
+} = require("../utils/loginThrottle");
+const {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} = require("../config/notifications");
+const {
+  DEFAULT_ORGANIZATION_SLUG,
+  getAppName,
+  getRequiredHours,
+} = require("../utils/tenancy");
+const {
+  OidcError,
+  isOidcEnabled,
+  beginLogin,
+  verifyLoginState,
+  completeLogin,
+  resolveOidcUser,
+} = require("../utils/oidc");
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(
+  process.env.PASSWORD_RESET_TTL_MINUTES || "30",
+);
+const PASSWORD_RESET_MAX_PER_HOUR = parseInt(
+  process.env.PASSWORD_RESET_MAX_PER_HOUR || "3",
+);
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(
+  process.env.EMAIL_VERIFICATION_TTL_HOURS || "48",
+);
+const EMAIL_VERIFICATION_MAX_PER_HOUR = 3;
+// Frontend page that receives SSO tokens in the URL fragment; without it
+// the OIDC callback responds with JSON
+const OIDC_POST_LOGIN_REDIRECT = process.env.OIDC_POST_LOGIN_REDIRECT;
+const OIDC_STATE_COOKIE = "oidc_state";
 
 const router = express.Router();
 
-// Register new user
+// Verify a TOTP code for an enrolled user and record its time step
+const consumeTotpCode = async (user, code) => {
+  const step = verifyCode(
+    decryptSecret(user.totp_secret),
+    code,
+    user.totp_last_used_step === null ? null : Number(user.totp_last_used_step),
+  );
+  if (step === null) return false;
+
+  await user.update({ totp_last_used_step: step });
+  return true;
+};
+
+// Verify and burn a single-use recovery code
+const consumeRecoveryCode = async (user, code) => {
+  const hash = hashRecoveryCode(code);
+  const remaining = user.totp_recovery_codes || [];
+  if (!remaining.includes(hash)) return false;
+
+  await user.update({
+    totp_recovery_codes: remaining.filter((h) => h !== hash),
+  });
+  return true;
+};
+
+// Whether an invitation was issued for the (normalizeEmail()-processed)
+// email. The invitation's address is normalized the same way, so case,
+// Gmail dots and sub-addressing don't cause a mismatch.
+const isInvitedEmail = (invitation, email) =>
+  normalizeEmail(invitation.email) === email;
+
+// Register new user. Without an invitation only candidates may
+// self-register; invite codes carry the role, supervisor, archetype and
+// organization. Self-registered candidates join the organization named by
+// organization_slug, or the default organization.
 router.post(
   "/register",
   [
     body("email").isEmail().normalizeEmail(),
     body("password").isLength({ min: 8 }),
     body("full_name").trim().notEmpty(),
-    body("role").isIn(["candidate", "learner", "supervisor", "admin"]),
+    body("role").optional().isString(),
+    body("invite_code").optional().isString().trim(),
+    body("organization_slug").optional().isString().trim(),
   ],
   async (req, res) => {
+    const t = await sequelize.transaction();
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
+        await t.rollback();
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { email, password, full_name, role, archetype, supervisor_id } =
-        req.body;
+      const {
+        email,
+        password,
+        full_name,
+        role,
+        archetype,
+        invite_code,
+        organization_slug,
+      } = req.body;
 
       // Check if user already exists
       const existingUser = await User.findOne({
         where: { email },
         attributes: ["id"],
+        transaction: t,
       });
       if (existingUser) {
+        await t.rollback();
         return res.status(409).json({ error: "Email already registered" });
       }
 
+      let invitation = null;
+      if (invite_code) {
+        invitation = await Invitation.findOne({
+          where: {
+            code_hash: hashToken(invite_code),
+            used_at: null,
+            revoked_at: null,
+            expires_at: { [Op.gt]: new Date() },
+          },
+          transaction: t,
+          lock: t.LOCK.UPDATE,
+        });
+
+        if (!invitation) {
+          await t.rollback();
+          return res
+            .status(400)
+            .json({ error: "Invitation code is invalid or has expired" });
+        }
+
+        if (invitation.email && !isInvitedEmail(invitation, email)) {
+          await t.rollback();
+          return res
+            .status(403)
+            .json({ error: "Invitation was issued for a different email" });
+        }
+      } else if (role && role !== "candidate") {
+        await t.rollback();
+        return res
+          .status(403)
+          .json({ error: `An invitation is required to register as ${role}` });
+      }
+
+      const organization = await Organization.findOne({
+        where: invitation
+          ? { id: invitation.organization_id }
+          : { slug: organization_slug || DEFAULT_ORGANIZATION_SLUG },
+        attributes: ["id", "is_active"],
+        transaction: t,
+      });
+      if (!organization || !organization.is_active) {
+        await t.rollback();
+        return res
+          .status(400)
+          .json({ error: "Organization not found or inactive" });
+      }
+
       // Hash password
       const salt = await bcrypt.genSalt(10);
       const password_hash = await bcrypt.hash(password, salt);
 
+      // An invite sent to this address already proves ownership
+      const emailVerified = Boolean(
+        invitation && invitation.email && isInvitedEmail(invitation, email),
+      );
+
       // Insert user
-      const user = await User.create({
-        email,
-        password_hash,
-        full_name,
-        role,
-        archetype: archetype || null,
-        supervisor_id: supervisor_id || null,
-      });
+      const user = await User.create(
+        {
+          email,
+          password_hash,
+          full_name,
+          role: invitation ? invitation.role : "candidate",
+          archetype: invitation ? invitation.archetype : archetype || null,
+          supervisor_id: invitation ? invitation.supervisor_id : null,
+          organization_id: organization.id,
+          email_verified: emailVerified,
+        },
+        { transaction: t },
+      );
+
+      if (invitation) {
+        await invitation.update(
+          { used_at: new Date(), used_by: user.id },
+          { transaction: t },
+        );
+      }
+
+      let verificationToken = null;
+      if (!emailVerified) {
+        verificationToken = await createOneTimeToken(
+          user.id,
+          "email_verification",
+          EMAIL_VERIFICATION_TTL_HOURS * 60,
+          { ip: req.ip, transaction: t },
+        );
+      }
+
+      await t.commit();
+
+      if (verificationToken) {
+        await sendVerificationEmail(
+          user,
+          verificationToken,
+          EMAIL_VERIFICATION_TTL_HOURS,
+        );
+      }
 
       res.status(201).json({
-        message: "User registered successfully",
+        message: emailVerified
+          ? "User registered successfully"
+          : "User registered successfully. Please verify your email to log in.",
+        email_verification_required: !emailVerified,
         user: {
           id: user.id,
           email: user.email,
           full_name: user.full_name,
           role: user.role,
           archetype: user.archetype,
+          organization_id: user.organization_id,
           created_at: user.created_at,
         },
       });
     } catch (error) {
+      await t.rollback();
       console.error("Registration error:", error);
       res.status(500).json({ error: "Registration failed" });
     }
   },
 );
 
+// Verify email address
+router.post(
+  "/verify-email",
+  [body("token").isString().notEmpty()],
+  async (req, res) => {
+    const t = await sequelize.transaction();
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await t.rollback();
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const verification = await findOneTimeToken(
+        req.body.token,
+        "email_verification",
+        { transaction: t },
+      );
+
+      if (!verification) {
+        await t.rollback();
+        return res
+          .status(400)
+          .json({ error: "Verification link is invalid or has expired" });
+      }
+
+      await User.update(
+        { email_verified: true },
+        { where: { id: verification.user_id }, transaction: t },
+      );
+      await verification.update({ used_at: new Date() }, { transaction: t });
+
+      await t.commit();
+
+      res.json({ message: "Email verified successfully. You can now log in." });
+    } catch (error) {
+      await t.rollback();
+      console.error("Email verification error:", error);
+      res.status(500).json({ error: "Failed to verify email" });
+    }
+  },
+);
+
+// Resend verification email
+router.post(
+  "/verify-email/resend",
+  [body("email").isEmail().normalizeEmail()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const response = {
+        message:
+          "If the account exists and is unverified, a new link has been sent",
+      };
+
+      const user = await User.findOne({
+        where: { email: req.body.email },
+        attributes: ["id", "email", "full_name", "email_verified"],
+      });
+
+      if (!user || user.email_verified) {
+        return res.json(response);
+      }
+
+      const recentRequests = await countRecentOneTimeTokens(
+        user.id,
+        "email_verification",
+        60,
+      );
+      if (recentRequests >= EMAIL_VERIFICATION_MAX_PER_HOUR) {
+        console.warn(`Verification resend rate limit hit for user ${user.id}`);
+        return res.json(response);
+      }
+
+      const token = await createOneTimeToken(
+        user.id,
+        "email_verification",
+        EMAIL_VERIFICATION_TTL_HOURS * 60,
+        { ip: req.ip },
+      );
+
+      await sendVerificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS);
+
+      res.json(response);
+    } catch (error) {
+      console.error("Verification resend error:", error);
+      res.status(500).json({ error: "Failed to resend verification email" });
+    }
+  },
+);
+
 // Login
 router.post(
   "/login",
@@ -90,11 +405,30 @@ router.post(
           "full_name",
           "role",
           "archetype",
+          "organization_id",
           "is_active",
+          "email_verified",
+          "totp_enabled",
+          "token_version",
+          "is_service_account",
+          ...THROTTLE_ATTRIBUTES,
+        ],
+        include: [
+          {
+            model: Organization,
+            attributes: ["name", "settings", "is_active"],
+          },
         ],
       });
 
+      // Refuse before comparing passwords if the account or IP is throttled
+      const refusal = await checkLoginAllowed({ user, ip: req.ip });
+      if (refusal) {
+        return sendThrottled(res, refusal);
+      }
+
       if (!user) {
+        await recordFailedLogin({ email, ip: req.ip });
         return res.status(401).json({ error: "Invalid credentials" });
       }
 
@@ -102,22 +436,71 @@ router.post(
         return res.status(403).json({ error: "Account is inactive" });
       }
 
+      if (user.is_service_account) {
+        return res
+          .status(403)
+          .json({ error: "Service accounts authenticate with API keys" });
+      }
+
+      if (
+        !(user.Organization && user.Organization.is_active) &&
+        !(await getRolePermissions(user.role, user.organization_id)).includes(
+          "organizations:all",
+        )
+      ) {
+        return res.status(403).json({ error: "Organization is inactive" });
+      }
+
       // Verify password
       const validPassword = await bcrypt.compare(password, user.password_hash);
       if (!validPassword) {
+        await recordFailedLogin({ user, ip: req.ip });
         return res.status(401).json({ error: "Invalid credentials" });
       }
 
-      // Generate JWT
-      const token = jwt.sign(
-        { userId: user.id, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN },
-      );
+      if (!user.email_verified) {
+        return res.status(403).json({
+          error: "Please verify your email address before logging in",
+          email_verification_required: true,
+        });
+      }
+
+      // Second factor: tokens are only issued by /login/2fa
+      if (user.totp_enabled) {
+        return res.json({
+          message: "Two-factor authentication required",
+          two_factor_required: true,
+          challenge_token: signTwoFactorChallenge(user),
+        });
+      }
+
+      // Role requires 2FA but the user has not enrolled yet: start
+      // enrollment, completed by /login/2fa with the first code
+      if (isTwoFactorRequired(user.role)) {
+        const secret = generateSecret();
+        await user.update({ totp_secret: encryptSecret(secret) });
+
+        return res.json({
+          message: "Two-factor enrollment required",
+          two_factor_setup_required: true,
+          challenge_token: signTwoFactorChallenge(user),
+          secret,
+          otpauth_uri: buildOtpauthUri(
+            secret,
+            user.email,
+            getAppName(user.Organization),
+          ),
+        });
+      }
+
+      await recordSuccessfulLogin({ user, ip: req.ip });
+
+      // Generate access + refresh tokens
+      const tokens = await issueAuthTokens(user, { req });
 
       res.json({
         message: "Login successful",
-        token,
+        ...tokens,
         user: {
           id: user.id,
           email: user.email,
@@ -133,6 +516,602 @@ router.post(
   },
 );
 
+// Complete login with a TOTP or recovery code
+router.post(
+  "/login/2fa",
+  [
+    body("challenge_token").isString().notEmpty(),
+    body("code").optional().isString().trim(),
+    body("recovery_code").optional().isString().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { challenge_token, code, recovery_code } = req.body;
+
+      const challenge = verifyTwoFactorChallenge(challenge_token);
+      if (!challenge) {
+        return res
+          .status(401)
+          .json({ error: "Login challenge is invalid or has expired" });
+      }
+
+      const user = await User.findByPk(challenge.userId, {
+        attributes: [
+          "id",
+          "email",
+          "full_name",
+          "role",
+          "archetype",
+          "is_active",
+          "totp_secret",
+          "totp_enabled",
+          "totp_last_used_step",
+          "totp_recovery_codes",
+          "token_version",
+          ...THROTTLE_ATTRIBUTES,
+        ],
+      });
+
+      if (
+        !user ||
+        !user.is_active ||
+        challenge.tokenVersion !== user.token_version ||
+        !user.totp_secret
+      ) {
+        return res
+          .status(401)
+          .json({ error: "Login challenge is invalid or has expired" });
+      }
+
+      const refusal = await checkLoginAllowed({ user, ip: req.ip });
+      if (refusal) {
+        return sendThrottled(res, refusal);
+      }
+
+      let recoveryCodes;
+
+      if (user.totp_enabled) {
+        const verified = recovery_code
+          ? await consumeRecoveryCode(user, recovery_code)
+          : await consumeTotpCode(user, code);
+
+        if (!verified) {
+          await recordFailedLogin({ user, ip: req.ip });
+          return res
+            .status(401)
+            .json({ error: "Invalid two-factor authentication code" });
+        }
+      } else {
+        // Enforced enrollment started by /login
+        const step = verifyCode(decryptSecret(user.totp_secret), code);
+        if (step === null) {
+          await recordFailedLogin({ user, ip: req.ip });
+          return res
+            .status(401)
+            .json({ error: "Invalid two-factor authentication code" });
+        }
+
+        const generated = generateRecoveryCodes();
+        recoveryCodes = generated.codes;
+        await user.update({
+          totp_enabled: true,
+          totp_last_used_step: step,
+          totp_recovery_codes: generated.hashes,
+        });
+      }
+
+      await recordSuccessfulLogin({ user, ip: req.ip });
+
+      const tokens = await issueAuthTokens(user, { req });
+
+      res.json({
+        message: "Login successful",
+        ...tokens,
+        ...(recoveryCodes && { recovery_codes: recoveryCodes }),
+        user: {
+          id: user.id,
+          email: user.email,
+          full_name: user.full_name,
+          role: user.role,
+          archetype: user.archetype,
+        },
+      });
+    } catch (error) {
+      console.error("Two-factor login error:", error);
+      res.status(500).json({ error: "Login failed" });
+    }
+  },
+);
+
+// ========== SINGLE SIGN-ON (OIDC) ==========
+
+const readCookie = (req, name) => {
+  const header = req.headers.cookie || "";
+  for (const part of header.split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+};
+
+const oidcCookieOptions = () => ({
+  httpOnly: true,
+  sameSite: "lax",
+  secure: process.env.NODE_ENV === "production",
+  path: "/api/auth/oidc",
+});
+
+// Redirect the browser to the identity provider. The state, nonce and PKCE
+// verifier travel in a short-lived cookie bound to this browser.
+router.get("/oidc/login", async (req, res) => {
+  try {
+    if (!isOidcEnabled()) {
+      return res.status(404).json({ error: "Single sign-on is not enabled" });
+    }
+
+    const { url, stateToken, expiresIn } = await beginLogin();
+
+    res.cookie(OIDC_STATE_COOKIE, stateToken, {
+      ...oidcCookieOptions(),
+      maxAge: expiresIn * 1000,
+    });
+    res.redirect(url);
+  } catch (error) {
+    console.error("OIDC login error:", error);
+    res
+      .status(error instanceof OidcError ? error.status : 500)
+      .json({ error: "Failed to start single sign-on" });
+  }
+});
+
+// Provider redirects back here with ?code&state. Identity provider MFA
+// stands in for local two-factor authentication on this path.
+router.get("/oidc/callback", async (req, res) => {
+  try {
+    if (!isOidcEnabled()) {
+      return res.status(404).json({ error: "Single sign-on is not enabled" });
+    }
+
+    const pending = verifyLoginState(
+      readCookie(req, OIDC_STATE_COOKIE),
+      req.query.state,
+    );
+    res.clearCookie(OIDC_STATE_COOKIE, oidcCookieOptions());
+
+    if (req.query.error) {
+      return res.status(401).json({
+        error: "Identity provider rejected the login",
+        detail: req.query.error_description || req.query.error,
+      });
+    }
+
+    if (!pending || !req.query.code) {
+      return res
+        .status(400)
+        .json({ error: "Single sign-on session is invalid or has expired" });
+    }
+
+    const claims = await completeLogin({
+      code: String(req.query.code),
+      nonce: pending.nonce,
+      codeVerifier: pending.codeVerifier,
+    });
+    const user = await resolveOidcUser(claims, req);
+
+    if (!user.is_active) {
+      return res.status(403).json({ error: "Account is inactive" });
+    }
+
+    await recordSuccessfulLogin({ user, ip: req.ip });
+
+    const tokens = await issueAuthTokens(user, { req });
+
+    if (OIDC_POST_LOGIN_REDIRECT) {
+      const fragment = new URLSearchParams({
+        token: tokens.token,
+        refresh_token: tokens.refresh_token,
+        expires_in: tokens.expires_in,
+      });
+      return res.redirect(`${OIDC_POST_LOGIN_REDIRECT}#${fragment}`);
+    }
+
+    res.json({
+      message: "Login successful",
+      ...tokens,
+      user: {
+        id: user.id,
+        email: user.email,
+        full_name: user.full_name,
+        role: user.role,
+        archetype: user.archetype,
+      },
+    });
+  } catch (error) {
+    if (error instanceof OidcError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("OIDC callback error:", error);
+    res.status(500).json({ error: "Single sign-on failed" });
+  }
+});
+
+// ========== TWO-FACTOR AUTHENTICATION ==========
+
+// Start 2FA enrollment
+router.post(
+  "/2fa/setup",
+  authenticateToken,
+  blockWhileImpersonating,
+  async (req, res) => {
+    try {
+      const user = await User.findByPk(req.user.id, {
+        attributes: ["id", "email", "totp_enabled"],
+      });
+
+      if (user.totp_enabled) {
+        return res
+          .status(400)
+          .json({ error: "Two-factor authentication is already enabled" });
+      }
+
+      const secret = generateSecret();
+      await user.update({ totp_secret: encryptSecret(secret) });
+
+      res.json({
+        message: "Scan the QR code, then confirm with a code to enable 2FA",
+        secret,
+        otpauth_uri: buildOtpauthUri(
+          secret,
+          user.email,
+          getAppName(req.organization),
+        ),
+      });
+    } catch (error) {
+      console.error("2FA setup error:", error);
+      res.status(500).json({ error: "Failed to start two-factor setup" });
+    }
+  },
+);
+
+// Confirm enrollment with the first code
+router.post(
+  "/2fa/enable",
+  authenticateToken,
+  blockWhileImpersonating,
+  [body("code").isString().trim().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findByPk(req.user.id, {
+        attributes: ["id", "totp_secret", "totp_enabled"],
+      });
+
+      if (user.totp_enabled) {
+        return res
+          .status(400)
+          .json({ error: "Two-factor authentication is already enabled" });
+      }
+      if (!user.totp_secret) {
+        return res.status(400).json({ error: "Start two-factor setup first" });
+      }
+
+      const step = verifyCode(decryptSecret(user.totp_secret), req.body.code);
+      if (step === null) {
+        return res
+          .status(401)
+          .json({ error: "Invalid two-factor authentication code" });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      await user.update({
+        totp_enabled: true,
+        totp_last_used_step: step,
+        totp_recovery_codes: hashes,
+      });
+
+      res.json({
+        message: "Two-factor authentication enabled",
+        recovery_codes: codes,
+      });
+    } catch (error) {
+      console.error("2FA enable error:", error);
+      res.status(500).json({ error: "Failed to enable two-factor" });
+    }
+  },
+);
+
+// Disable 2FA (requires password and a current code). Wrong passwords and
+// codes count towards the same lockout as failed logins, so a stolen
+// access token can't be used to guess the code.
+router.post(
+  "/2fa/disable",
+  authenticateToken,
+  blockWhileImpersonating,
+  [
+    body("password").notEmpty(),
+    body("code").optional().isString().trim(),
+    body("recovery_code").optional().isString().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (isTwoFactorRequired(req.user.role)) {
+        return res.status(403).json({
+          error: "Two-factor authentication is required for your role",
+        });
+      }
+
+      const { password, code, recovery_code } = req.body;
+
+      const user = await User.findByPk(req.user.id, {
+        attributes: [
+          "id",
+          "email",
+          "full_name",
+          "password_hash",
+          "totp_secret",
+          "totp_enabled",
+          "totp_last_used_step",
+          "totp_recovery_codes",
+          ...THROTTLE_ATTRIBUTES,
+        ],
+      });
+
+      if (!user.totp_enabled) {
+        return res
+          .status(400)
+          .json({ error: "Two-factor authentication is not enabled" });
+      }
+
+      const refusal = await checkLoginAllowed({ user, ip: req.ip });
+      if (refusal) {
+        return sendThrottled(res, refusal);
+      }
+
+      const validPassword = await bcrypt.compare(password, user.password_hash);
+      if (!validPassword) {
+        await recordFailedLogin({ user, ip: req.ip });
+        return res.status(401).json({ error: "Password is incorrect" });
+      }
+
+      const verified = recovery_code
+        ? await consumeRecoveryCode(user, recovery_code)
+        : await consumeTotpCode(user, code);
+      if (!verified) {
+        await recordFailedLogin({ user, ip: req.ip });
+        return res
+          .status(401)
+          .json({ error: "Invalid two-factor authentication code" });
+      }
+
+      await user.update({
+        totp_enabled: false,
+        totp_secret: null,
+        totp_last_used_step: null,
+        totp_recovery_codes: null,
+      });
+
+      res.json({ message: "Two-factor authentication disabled" });
+    } catch (error) {
+      console.error("2FA disable error:", error);
+      res.status(500).json({ error: "Failed to disable two-factor" });
+    }
+  },
+);
+
+// Regenerate recovery codes (invalidates the old set). Wrong codes count
+// towards the failed-login lockout, as for disabling 2FA.
+router.post(
+  "/2fa/recovery-codes",
+  authenticateToken,
+  blockWhileImpersonating,
+  [body("code").isString().trim().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findByPk(req.user.id, {
+        attributes: [
+          "id",
+          "email",
+          "full_name",
+          "totp_secret",
+          "totp_enabled",
+          "totp_last_used_step",
+          ...THROTTLE_ATTRIBUTES,
+        ],
+      });
+
+      if (!user.totp_enabled) {
+        return res
+          .status(400)
+          .json({ error: "Two-factor authentication is not enabled" });
+      }
+
+      const refusal = await checkLoginAllowed({ user, ip: req.ip });
+      if (refusal) {
+        return sendThrottled(res, refusal);
+      }
+
+      if (!(await consumeTotpCode(user, req.body.code))) {
+        await recordFailedLogin({ user, ip: req.ip });
+        return res
+          .status(401)
+          .json({ error: "Invalid two-factor authentication code" });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      await user.update({ totp_recovery_codes: hashes });
+
+      res.json({
+        message: "Recovery codes regenerated",
+        recovery_codes: codes,
+      });
+    } catch (error) {
+      console.error("Recovery code regeneration error:", error);
+      res.status(500).json({ error: "Failed to regenerate recovery codes" });
+    }
+  },
+);
+
+// Exchange a refresh token for a new access/refresh pair
+router.post(
+  "/refresh",
+  [body("refresh_token").isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const tokens = await rotateRefreshToken(req.body.refresh_token, {
+        req,
+      });
+
+      res.json({ message: "Token refreshed", ...tokens });
+    } catch (error) {
+      if (error.name === "RefreshTokenError") {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Token refresh error:", error);
+      res.status(500).json({ error: "Failed to refresh token" });
+    }
+  },
+);
+
+// Logout (revoke a single refresh token)
+router.post(
+  "/logout",
+  [body("refresh_token").isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await revokeRefreshToken(req.body.refresh_token);
+
+      res.json({ message: "Logged out successfully" });
+    } catch (error) {
+      console.error("Logout error:", error);
+      res.status(500).json({ error: "Failed to log out" });
+    }
+  },
+);
+
+// Log out of all devices
+router.post(
+  "/logout-all",
+  authenticateToken,
+  blockWhileImpersonating,
+  async (req, res) => {
+    try {
+      await revokeAllSessions(req.user.id);
+
+      res.json({ message: "Logged out of all devices" });
+    } catch (error) {
+      console.error("Logout all error:", error);
+      res.status(500).json({ error: "Failed to log out of all devices" });
+    }
+  },
+);
+
+// ========== SESSIONS ==========
+
+// Devices the current user is signed in on
+router.get(
+  "/sessions",
+  authenticateToken,
+  requireInteractiveLogin,
+  async (req, res) => {
+    try {
+      const sessions = await listActiveSessions(req.user.id);
+
+      res.json({
+        sessions: sessions.map((s) => serializeSession(s, req.sessionId)),
+      });
+    } catch (error) {
+      console.error("List sessions error:", error);
+      res.status(500).json({ error: "Failed to fetch sessions" });
+    }
+  },
+);
+
+// Sign out one device; its access and refresh tokens stop working at once
+router.delete(
+  "/sessions/:sessionId",
+  authenticateToken,
+  requireInteractiveLogin,
+  blockWhileImpersonating,
+  async (req, res) => {
+    try {
+      const session = await UserSession.findOne({
+        where: { id: req.params.sessionId, user_id: req.user.id },
+        attributes: ["id"],
+      });
+      if (!session) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+
+      await revokeSessions({ id: session.id }, { revokedBy: req.user.id });
+
+      res.json({
+        message: "Session revoked",
+        current: session.id === req.sessionId,
+      });
+    } catch (error) {
+      console.error("Revoke session error:", error);
+      res.status(500).json({ error: "Failed to revoke session" });
+    }
+  },
+);
+
+// End an impersonation early (called with the impersonation token)
+router.post("/impersonation/end", authenticateToken, async (req, res) => {
+  try {
+    if (!req.impersonation) {
+      return res.status(400).json({ error: "Not impersonating" });
+    }
+
+    await Impersonation.update(
+      { ended_at: new Date() },
+      { where: { id: req.impersonation.id, ended_at: null } },
+    );
+
+    await recordAudit({
+      action: "impersonation.end",
+      actorId: req.impersonation.impersonator.id,
+      userId: req.user.id,
+      organizationId: req.user.organization_id,
+      req,
+      details: { impersonation_id: req.impersonation.id },
+    });
+
+    res.json({ message: "Impersonation ended" });
+  } catch (error) {
+    console.error("End impersonation error:", error);
+    res.status(500).json({ error: "Failed to end impersonation" });
+  }
+});
+
 // Get current user profile
 router.get("/me", authenticateToken, async (req, res) => {
   try {
@@ -143,6 +1122,8 @@ router.get("/me", authenticateToken, async (req, res) => {
         "full_name",
         "role",
         "archetype",
+        "timezone",
+        "totp_enabled",
         "created_at",
       ],
       include: [
@@ -169,8 +1150,29 @@ router.get("/me", authenticateToken, async (req, res) => {
       ? result.Supervisor.full_name
       : null;
     delete result.Supervisor;
+    result.two_factor_enabled = result.totp_enabled;
+    result.two_factor_required = isTwoFactorRequired(result.role);
+    delete result.totp_enabled;
     result.enrolled_courses = enrolled_courses;
     result.completed_courses = completed_courses;
+    result.impersonation = req.impersonation || null;
+    result.organization = req.organization && {
+      id: req.organization.id,
+      name: req.organization.name,
+      slug: req.organization.slug,
+      app_name: getAppName(req.organization),
+      required_learning_hours: getRequiredHours(req),
+    };
+
+    // Learning-hour target in effect for the user today
+    const today = localToday(req.user);
+    const targets = await loadTargets([req.user], today, today);
+    const policy = targets.policyFor(req.user, today);
+    result.learning_target = {
+      policy: policy ? { id: policy.id, name: policy.name } : null,
+      daily_hours: targets.dailyHours(req.user, today),
+      weekly_hours: policy ? policy.weekly_hours : null,
+    };
 
     res.json(result);
   } catch (error) {
@@ -179,10 +1181,46 @@ router.get("/me", authenticateToken, async (req, res) => {
   }
 });
 
+// Set the time zone whose calendar learning days follow. Sessions already
+// logged keep the day they were credited to.
+router.put(
+  "/me/timezone",
+  authenticateToken,
+  blockWhileImpersonating,
+  [
+    body("timezone")
+      .isString()
+      .custom((value) => isValidTimeZone(value))
+      .withMessage("Unknown time zone"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await User.update(
+        { timezone: req.body.timezone },
+        { where: { id: req.user.id } },
+      );
+
+      res.json({
+        message: "Time zone updated successfully",
+        timezone: req.body.timezone,
+      });
+    } catch (error) {
+      console.error("Time zone update error:", error);
+      res.status(500).json({ error: "Failed to update time zone" });
+    }
+  },
+);
+
 // Change password
 router.post(
   "/change-password",
   authenticateToken,
+  blockWhileImpersonating,
   [
     body("current_password").notEmpty(),
     body("new_password").isLength({ min: 8 }),
@@ -214,10 +1252,15 @@ router.post(
       const salt = await bcrypt.genSalt(10);
       const new_hash = await bcrypt.hash(new_password, salt);
 
-      // Update password
+      // Update password and sign out every other device
       await user.update({ password_hash: new_hash });
+      await revokeAllSessions(user.id);
 
-      res.json({ message: "Password changed successfully" });
+      // Keep the current client signed in with a fresh pair
+      await user.reload({ attributes: ["id", "role", "token_version"] });
+      const tokens = await issueAuthTokens(user, { req });
+
+      res.json({ message: "Password changed successfully", ...tokens });
     } catch (error) {
       console.error("Password change error:", error);
       res.status(500).json({ error: "Failed to change password" });
@@ -225,4 +1268,107 @@ router.post(
   },
 );
 
+// Request a password reset email
+router.post(
+  "/password-reset/request",
+  [body("email").isEmail().normalizeEmail()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Same response whether or not the account exists
+      const response = {
+        message:
+          "If an account exists for that email, a reset link has been sent",
+      };
+
+      const user = await User.findOne({
+        where: { email: req.body.email },
+        attributes: ["id", "email", "full_name", "is_active"],
+      });
+
+      if (!user || !user.is_active) {
+        return res.json(response);
+      }
+
+      const recentRequests = await countRecentOneTimeTokens(
+        user.id,
+        "password_reset",
+        60,
+      );
+      if (recentRequests >= PASSWORD_RESET_MAX_PER_HOUR) {
+        console.warn(`Password reset rate limit hit for user ${user.id}`);
+        return res.json(response);
+      }
+
+      const token = await createOneTimeToken(
+        user.id,
+        "password_reset",
+        PASSWORD_RESET_TTL_MINUTES,
+        { ip: req.ip },
+      );
+
+      await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES);
+
+      res.json(response);
+    } catch (error) {
+      console.error("Password reset request error:", error);
+      res.status(500).json({ error: "Failed to request password reset" });
+    }
+  },
+);
+
+// Confirm password reset with emailed token
+router.post(
+  "/password-reset/confirm",
+  [
+    body("token").isString().notEmpty(),
+    body("new_password").isLength({ min: 8 }),
+  ],
+  async (req, res) => {
+    const t = await sequelize.transaction();
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await t.rollback();
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { token, new_password } = req.body;
+
+      const resetToken = await findOneTimeToken(token, "password_reset", {
+        transaction: t,
+      });
+
+      if (!resetToken) {
+        await t.rollback();
+        return res
+          .status(400)
+          .json({ error: "Reset link is invalid or has expired" });
+      }
+
+      const salt = await bcrypt.genSalt(10);
+      const password_hash = await bcrypt.hash(new_password, salt);
+
+      await User.update(
+        { password_hash },
+        { where: { id: resetToken.user_id }, transaction: t },
+      );
+      await resetToken.update({ used_at: new Date() }, { transaction: t });
+      await revokeAllSessions(resetToken.user_id, { transaction: t });
+
+      await t.commit();
+
+      res.json({ message: "Password has been reset. Please log in." });
+    } catch (error) {
+      await t.rollback();
+      console.error("Password reset confirm error:", error);
+      res.status(500).json({ error: "Failed to reset password" });
+    }
+  },
+);
+
 module.exports = router;
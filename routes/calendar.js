@@ -0,0 +1,155 @@
+const express = require("express");
+const { CalendarFeed, User } = require("../models");
+const {
+  authenticateToken,
+  requireInteractiveLogin,
+  blockWhileImpersonating,
+} = require("../middleware/auth");
+const { getRolePermissions } = require("../utils/permissions");
+const { getAppName } = require("../utils/tenancy");
+const {
+  rotateFeedToken,
+  findFeedOwner,
+  buildCalendar,
+  collectEvents,
+} = require("../utils/calendarFeed");
+
+const router = express.Router();
+
+// Calendar apps can't send a bearer token, so feeds are fetched with a
+// per-user secret in the URL instead. Holders of learners:view_team also
+// get a feed of their direct reports.
+
+const feedUrls = (token, permissions) => ({
+  learning: `/api/calendar/feeds/${token}/learning.ics`,
+  ...(permissions.includes("learners:view_team")
+    ? { team: `/api/calendar/feeds/${token}/team.ics` }
+    : {}),
+});
+
+const sendCalendar = (res, filename, calendar) => {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.set("Content-Disposition", `inline; filename="${filename}"`);
+  res.send(calendar);
+};
+
+// ========== FEED MANAGEMENT ==========
+
+// Whether the caller has a feed (the token itself is never shown again)
+router.get("/feed", authenticateToken, async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findOne({
+      where: { user_id: req.user.id },
+      attributes: ["created_at", "last_accessed_at"],
+    });
+
+    res.json({ feed });
+  } catch (error) {
+    console.error("Fetch calendar feed error:", error);
+    res.status(500).json({ error: "Failed to fetch calendar feed" });
+  }
+});
+
+// Create the caller's feed token, or replace it; old feed URLs stop working
+router.post(
+  "/feed",
+  authenticateToken,
+  requireInteractiveLogin,
+  blockWhileImpersonating,
+  async (req, res) => {
+    try {
+      const token = await rotateFeedToken(req.user.id);
+
+      res.status(201).json({
+        message:
+          "Calendar feed created. Copy the URLs now; they are shown once.",
+        urls: feedUrls(token, req.user.permissions),
+      });
+    } catch (error) {
+      console.error("Create calendar feed error:", error);
+      res.status(500).json({ error: "Failed to create calendar feed" });
+    }
+  },
+);
+
+// Revoke the caller's feed
+router.delete(
+  "/feed",
+  authenticateToken,
+  requireInteractiveLogin,
+  blockWhileImpersonating,
+  async (req, res) => {
+    try {
+      const deleted = await CalendarFeed.destroy({
+        where: { user_id: req.user.id },
+      });
+      if (!deleted) {
+        return res.status(404).json({ error: "Calendar feed not found" });
+      }
+
+      res.json({ message: "Calendar feed revoked successfully" });
+    } catch (error) {
+      console.error("Revoke calendar feed error:", error);
+      res.status(500).json({ error: "Failed to revoke calendar feed" });
+    }
+  },
+);
+
+// ========== FEEDS ==========
+
+// The owner's learning sessions and assignment reviews
+router.get("/feeds/:token/learning.ics", async (req, res) => {
+  try {
+    const owner = await findFeedOwner(req.params.token);
+    if (!owner) {
+      return res.status(404).json({ error: "Calendar feed not found" });
+    }
+
+    const events = await collectEvents([owner]);
+
+    sendCalendar(
+      res,
+      "learning.ics",
+      buildCalendar(`${getAppName(owner.Organization)} learning`, events),
+    );
+  } catch (error) {
+    console.error("Learning calendar feed error:", error);
+    res.status(500).json({ error: "Failed to generate calendar feed" });
+  }
+});
+
+// The same events for each of the owner's active direct reports
+router.get("/feeds/:token/team.ics", async (req, res) => {
+  try {
+    const owner = await findFeedOwner(req.params.token);
+    const permissions = owner
+      ? await getRolePermissions(owner.role, owner.organization_id)
+      : [];
+    if (!permissions.includes("learners:view_team")) {
+      return res.status(404).json({ error: "Calendar feed not found" });
+    }
+
+    const learners = await User.findAll({
+      where: {
+        supervisor_id: owner.id,
+        organization_id: owner.organization_id,
+        is_active: true,
+      },
+      attributes: ["id", "full_name"],
+    });
+    const events = learners.length
+      ? await collectEvents(learners, { named: true })
+      : [];
+
+    sendCalendar(
+      res,
+      "team.ics",
+      buildCalendar(`${getAppName(owner.Organization)} team learning`, events),
+    );
+  } catch (error) {
+    console.error("Team calendar feed error:", error);
+    res.status(500).json({ error: "Failed to generate calendar feed" });
+  }
+});
+
+module.exports = router;
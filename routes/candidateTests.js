@@ -13,6 +13,7 @@ const {
 } = require("../models");
 const { authenticateToken, authorize } = require("../middleware/auth");
 const { notifyCandidateStatus } = require("../config/notifications");
+const { orgScope } = require("../utils/tenancy");
 const { QueryTypes } = require("sequelize");
 
 const router = express.Router();
@@ -21,7 +22,7 @@ const router = express.Router();
 router.get(
   "/available",
   authenticateToken,
-  authorize("candidate"),
+  authorize("assessments:take"),
   async (req, res) => {
     try {
       const userId = req.user.id;
@@ -63,13 +64,14 @@ router.get(
 router.post(
   "/:testId/start",
   authenticateToken,
-  authorize("candidate"),
+  authorize("assessments:take"),
   async (req, res) => {
     try {
       const { testId } = req.params;
       const userId = req.user.id;
 
-      const test = await Test.findByPk(testId, {
+      const test = await Test.findOne({
+        where: { id: testId, ...orgScope(req) },
         attributes: ["id", "max_attempts", "test_type"],
       });
       if (!test) {
@@ -136,7 +138,7 @@ router.post(
 router.post(
   "/:testId/submit",
   authenticateToken,
-  authorize("candidate"),
+  authorize("assessments:take"),
   [body("attempt_id").isInt(), body("answers").isArray({ min: 1 })],
   async (req, res) => {
     const t = await sequelize.transaction();
@@ -307,7 +309,7 @@ router.post(
 router.get(
   "/results",
   authenticateToken,
-  authorize("candidate"),
+  authorize("assessments:take"),
   async (req, res) => {
     try {
       const userId = req.user.id;
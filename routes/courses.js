@@ -2,14 +2,48 @@ const express = require("express");
 const { body, validationResult } = require("express-validator");
 const {
   Course,
+  CourseModule,
+  CourseLesson,
   CourseContent,
+  CoursePrerequisite,
   Enrollment,
   Test,
+  Skill,
   User,
   sequelize,
 } = require("../models");
 const { Op } = require("sequelize");
-const { authenticateToken, authorize } = require("../middleware/auth");
+const {
+  authenticateToken,
+  authorize,
+  hasPermission,
+} = require("../middleware/auth");
+const { orgScope, targetOrganizationId } = require("../utils/tenancy");
+const {
+  nextOrderIndex,
+  nextItemOrderIndex,
+  findLessonInCourse,
+  defaultLessonFor,
+  isPermutationOf,
+  applyOrder,
+  buildCourseTree,
+} = require("../utils/courseStructure");
+const {
+  COMPLETION_RULES,
+  isRuleAllowed,
+  recordContentEvent,
+  refreshEnrollmentProgress,
+  refreshCourseProgress,
+  advanceLearningPathsThrough,
+  contentProgressFor,
+  testProgressFor,
+} = require("../utils/contentCompletion");
+const {
+  findPrerequisites,
+  serializePrerequisite,
+  prerequisiteStatus,
+  createsCycle,
+} = require("../utils/prerequisites");
 
 const router = express.Router();
 
@@ -17,7 +51,7 @@ const router = express.Router();
 router.post(
   "/",
   authenticateToken,
-  authorize("admin"),
+  authorize("courses:edit"),
   [
     body("title").trim().notEmpty(),
     body("description").optional().trim(),
@@ -52,15 +86,18 @@ router.post(
         archetype: archetype || null,
         estimated_hours: estimated_hours || null,
         version: version || "1.0",
+        organization_id: targetOrganizationId(req),
         created_by: req.user.id,
       });
 
-      // Insert course content if provided
-      if (content && Array.isArray(content)) {
+      // Insert course content if provided, into a default module
+      if (content && Array.isArray(content) && content.length > 0) {
+        const lesson = await defaultLessonFor(course.id);
         for (let i = 0; i < content.length; i++) {
           const item = content[i];
           await CourseContent.create({
             course_id: course.id,
+            lesson_id: lesson.id,
             title: item.title,
             content_type: item.content_type,
             content_url: item.content_url,
@@ -85,8 +122,8 @@ router.get("/:", authenticateToken, async (req, res) => {
   try {
     const { difficulty, archetype, is_published } = req.query;
 
-    const where = {};
-    if (req.user.role !== "admin") {
+    const where = orgScope(req);
+    if (!hasPermission(req.user, "courses:edit")) {
       where.is_published = true;
     } else if (is_published !== undefined) {
       where.is_published = is_published === "true";
@@ -135,7 +172,8 @@ router.get("/:id", authenticateToken, async (req, res) => {
   try {
     const courseId = req.params.id;
 
-    const course = await Course.findByPk(courseId, {
+    const course = await Course.findOne({
+      where: { id: courseId, ...orgScope(req) },
       attributes: {
         include: [
           [
@@ -160,15 +198,18 @@ router.get("/:id", authenticateToken, async (req, res) => {
     delete plainCourse.Creator;
 
     // Check if non-admin trying to access unpublished course
-    if (!plainCourse.is_published && req.user.role !== "admin") {
+    if (!plainCourse.is_published && !hasPermission(req.user, "courses:edit")) {
       return res.status(403).json({ error: "Course not available" });
     }
 
-    // Get course content
-    const content = await CourseContent.findAll({
-      where: { course_id: courseId },
-      order: [["order_index", "ASC"]],
-    });
+    // Modules, their lessons and each lesson's items; content is also
+    // listed flat, in course order
+    const modules = await buildCourseTree(courseId);
+    const content = modules.flatMap((m) =>
+      m.lessons.flatMap((l) =>
+        l.items.filter((item) => item.item_type === "content"),
+      ),
+    );
 
     // Get user's enrollment status
     const enrollment = await Enrollment.findOne({
@@ -189,9 +230,11 @@ router.get("/:id", authenticateToken, async (req, res) => {
 
     res.json({
       course: plainCourse,
+      modules,
       content,
       enrollment: enrollment || null,
       tests,
+      prerequisites: await prerequisiteStatus(req.user.id, courseId),
     });
   } catch (error) {
     console.error("Course detail error:", error);
@@ -200,54 +243,90 @@ router.get("/:id", authenticateToken, async (req, res) => {
 });
 
 // Update course
-router.put("/:id", authenticateToken, authorize("admin"), async (req, res) => {
-  try {
-    const courseId = req.params.id;
-    const {
-      title,
-      description,
-      difficulty,
-      archetype,
-      estimated_hours,
-      is_published,
-      version,
-    } = req.body;
-
-    const course = await Course.findByPk(courseId);
-    if (!course) {
-      return res.status(404).json({ error: "Course not found" });
-    }
+router.put(
+  "/:id",
+  authenticateToken,
+  authorize("courses:edit", "courses:publish"),
+  async (req, res) => {
+    try {
+      const courseId = req.params.id;
+      const {
+        title,
+        description,
+        difficulty,
+        archetype,
+        estimated_hours,
+        is_published,
+        version,
+      } = req.body;
 
-    await course.update({
-      title: title ?? course.title,
-      description: description ?? course.description,
-      difficulty: difficulty ?? course.difficulty,
-      archetype: archetype ?? course.archetype,
-      estimated_hours: estimated_hours ?? course.estimated_hours,
-      is_published: is_published ?? course.is_published,
-      version: version ?? course.version,
-    });
+      const course = await Course.findOne({
+        where: { id: courseId, ...orgScope(req) },
+      });
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
 
-    res.json({
-      message: "Course updated successfully",
-      course,
-    });
-  } catch (error) {
-    console.error("Course update error:", error);
-    res.status(500).json({ error: "Failed to update course" });
-  }
-});
+      const changesPublishState =
+        is_published !== undefined && is_published !== course.is_published;
+      const changesContent = [
+        title,
+        description,
+        difficulty,
+        archetype,
+        estimated_hours,
+        version,
+      ].some((value) => value !== undefined);
+
+      if (changesPublishState && !hasPermission(req.user, "courses:publish")) {
+        return res
+          .status(403)
+          .json({ error: "Insufficient permissions to publish courses" });
+      }
+      if (changesContent && !hasPermission(req.user, "courses:edit")) {
+        return res
+          .status(403)
+          .json({ error: "Insufficient permissions to edit courses" });
+      }
+
+      await course.update({
+        title: title ?? course.title,
+        description: description ?? course.description,
+        difficulty: difficulty ?? course.difficulty,
+        archetype: archetype ?? course.archetype,
+        estimated_hours: estimated_hours ?? course.estimated_hours,
+        is_published: is_published ?? course.is_published,
+        version: version ?? course.version,
+      });
+
+      // Learners waiting on it in a learning path can now be enrolled
+      if (changesPublishState && course.is_published) {
+        await advanceLearningPathsThrough(course.id);
+      }
+
+      res.json({
+        message: "Course updated successfully",
+        course,
+      });
+    } catch (error) {
+      console.error("Course update error:", error);
+      res.status(500).json({ error: "Failed to update course" });
+    }
+  },
+);
 
 // Delete course
 router.delete(
   "/:id",
   authenticateToken,
-  authorize("admin"),
+  authorize("courses:delete"),
   async (req, res) => {
     try {
       const courseId = req.params.id;
 
-      const deleted = await Course.destroy({ where: { id: courseId } });
+      const deleted = await Course.destroy({
+        where: { id: courseId, ...orgScope(req) },
+      });
       if (!deleted) {
         return res.status(404).json({ error: "Course not found" });
       }
@@ -260,17 +339,643 @@ router.delete(
   },
 );
 
+// Courses whose structure the caller may edit
+const findCourseInScope = (req, courseId) =>
+  Course.findOne({
+    where: { id: courseId, ...orgScope(req) },
+    attributes: ["id"],
+  });
+
+const findModuleInCourse = (courseId, moduleId) =>
+  CourseModule.findOne({ where: { id: moduleId, course_id: courseId } });
+
+const structureValidators = [
+  body("title").optional().trim().notEmpty(),
+  body("description").optional({ nullable: true }).trim(),
+];
+
+// Add a module at the end of a course
+router.post(
+  "/:id/modules",
+  authenticateToken,
+  authorize("courses:edit"),
+  [body("title").trim().notEmpty(), ...structureValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const course = await findCourseInScope(req, req.params.id);
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      const module = await CourseModule.create({
+        course_id: course.id,
+        title: req.body.title,
+        description: req.body.description || null,
+        order_index: await nextOrderIndex(CourseModule, {
+          course_id: course.id,
+        }),
+      });
+
+      res.status(201).json({ message: "Module created successfully", module });
+    } catch (error) {
+      console.error("Create module error:", error);
+      res.status(500).json({ error: "Failed to create module" });
+    }
+  },
+);
+
+// Reorder a course's modules; module_ids must list every module once
+router.put(
+  "/:id/modules/order",
+  authenticateToken,
+  authorize("courses:edit"),
+  [body("module_ids").isArray()],
+  async (req, res) => {
+    const t = await sequelize.transaction();
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await t.rollback();
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const course = await findCourseInScope(req, req.params.id);
+      if (!course) {
+        await t.rollback();
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      const modules = await CourseModule.findAll({
+        where: { course_id: course.id },
+        attributes: ["id"],
+        transaction: t,
+      });
+      if (!isPermutationOf(req.body.module_ids, modules)) {
+        await t.rollback();
+        return res
+          .status(400)
+          .json({ error: "module_ids must list each of the course's modules" });
+      }
+
+      await applyOrder(CourseModule, req.body.module_ids, { transaction: t });
+      await t.commit();
+
+      res.json({ message: "Modules reordered successfully" });
+    } catch (error) {
+      await t.rollback();
+      console.error("Reorder modules error:", error);
+      res.status(500).json({ error: "Failed to reorder modules" });
+    }
+  },
+);
+
+// Update a module
+router.put(
+  "/:id/modules/:moduleId",
+  authenticateToken,
+  authorize("courses:edit"),
+  structureValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const course = await findCourseInScope(req, req.params.id);
+      const module =
+        course && (await findModuleInCourse(course.id, req.params.moduleId));
+      if (!module) {
+        return res.status(404).json({ error: "Module not found" });
+      }
+
+      const { title, description } = req.body;
+      await module.update({
+        title: title ?? module.title,
+        description:
+          description === undefined ? module.description : description,
+      });
+
+      res.json({ message: "Module updated successfully", module });
+    } catch (error) {
+      console.error("Update module error:", error);
+      res.status(500).json({ error: "Failed to update module" });
+    }
+  },
+);
+
+// Delete an empty module
+router.delete(
+  "/:id/modules/:moduleId",
+  authenticateToken,
+  authorize("courses:edit"),
+  async (req, res) => {
+    try {
+      const course = await findCourseInScope(req, req.params.id);
+      const module =
+        course && (await findModuleInCourse(course.id, req.params.moduleId));
+      if (!module) {
+        return res.status(404).json({ error: "Module not found" });
+      }
+
+      const lessons = await CourseLesson.count({
+        where: { module_id: module.id },
+      });
+      if (lessons > 0) {
+        return res
+          .status(409)
+          .json({ error: "Move or delete the module's lessons first" });
+      }
+
+      await module.destroy();
+      res.json({ message: "Module deleted successfully" });
+    } catch (error) {
+      console.error("Delete module error:", error);
+      res.status(500).json({ error: "Failed to delete module" });
+    }
+  },
+);
+
+// Add a lesson at the end of a module
+router.post(
+  "/:id/modules/:moduleId/lessons",
+  authenticateToken,
+  authorize("courses:edit"),
+  [body("title").trim().notEmpty(), ...structureValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const course = await findCourseInScope(req, req.params.id);
+      const module =
+        course && (await findModuleInCourse(course.id, req.params.moduleId));
+      if (!module) {
+        return res.status(404).json({ error: "Module not found" });
+      }
+
+      const lesson = await CourseLesson.create({
+        module_id: module.id,
+        title: req.body.title,
+        description: req.body.description || null,
+        order_index: await nextOrderIndex(CourseLesson, {
+          module_id: module.id,
+        }),
+      });
+
+      res.status(201).json({ message: "Lesson created successfully", lesson });
+    } catch (error) {
+      console.error("Create lesson error:", error);
+      res.status(500).json({ error: "Failed to create lesson" });
+    }
+  },
+);
+
+// Reorder a module's lessons; lesson_ids must list every lesson once
+router.put(
+  "/:id/modules/:moduleId/lessons/order",
+  authenticateToken,
+  authorize("courses:edit"),
+  [body("lesson_ids").isArray()],
+  async (req, res) => {
+    const t = await sequelize.transaction();
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await t.rollback();
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const course = await findCourseInScope(req, req.params.id);
+      const module =
+        course && (await findModuleInCourse(course.id, req.params.moduleId));
+      if (!module) {
+        await t.rollback();
+        return res.status(404).json({ error: "Module not found" });
+      }
+
+      const lessons = await CourseLesson.findAll({
+        where: { module_id: module.id },
+        attributes: ["id"],
+        transaction: t,
+      });
+      if (!isPermutationOf(req.body.lesson_ids, lessons)) {
+        await t.rollback();
+        return res
+          .status(400)
+          .json({ error: "lesson_ids must list each of the module's lessons" });
+      }
+
+      await applyOrder(CourseLesson, req.body.lesson_ids, { transaction: t });
+      await t.commit();
+
+      res.json({ message: "Lessons reordered successfully" });
+    } catch (error) {
+      await t.rollback();
+      console.error("Reorder lessons error:", error);
+      res.status(500).json({ error: "Failed to reorder lessons" });
+    }
+  },
+);
+
+// Update a lesson; a new module_id moves it to the end of that module
+router.put(
+  "/:id/lessons/:lessonId",
+  authenticateToken,
+  authorize("courses:edit"),
+  [...structureValidators, body("module_id").optional().isInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const course = await findCourseInScope(req, req.params.id);
+      const lesson =
+        course && (await findLessonInCourse(course.id, req.params.lessonId));
+      if (!lesson) {
+        return res.status(404).json({ error: "Lesson not found" });
+      }
+
+      const { title, description, module_id } = req.body;
+      const changes = {
+        title: title ?? lesson.title,
+        description:
+          description === undefined ? lesson.description : description,
+      };
+
+      if (module_id && parseInt(module_id) !== lesson.module_id) {
+        const target = await findModuleInCourse(course.id, module_id);
+        if (!target) {
+          return res.status(404).json({ error: "Module not found" });
+        }
+        changes.module_id = target.id;
+        changes.order_index = await nextOrderIndex(CourseLesson, {
+          module_id: target.id,
+        });
+      }
+
+      await lesson.update(changes);
+
+      res.json({ message: "Lesson updated successfully", lesson });
+    } catch (error) {
+      console.error("Update lesson error:", error);
+      res.status(500).json({ error: "Failed to update lesson" });
+    }
+  },
+);
+
+// Delete an empty lesson
+router.delete(
+  "/:id/lessons/:lessonId",
+  authenticateToken,
+  authorize("courses:edit"),
+  async (req, res) => {
+    try {
+      const course = await findCourseInScope(req, req.params.id);
+      const lesson =
+        course && (await findLessonInCourse(course.id, req.params.lessonId));
+      if (!lesson) {
+        return res.status(404).json({ error: "Lesson not found" });
+      }
+
+      const [content, tests] = await Promise.all([
+        CourseContent.count({ where: { lesson_id: lesson.id } }),
+        Test.count({ where: { lesson_id: lesson.id } }),
+      ]);
+      if (content + tests > 0) {
+        return res
+          .status(409)
+          .json({ error: "Move or delete the lesson's items first" });
+      }
+
+      await lesson.destroy();
+      res.json({ message: "Lesson deleted successfully" });
+    } catch (error) {
+      console.error("Delete lesson error:", error);
+      res.status(500).json({ error: "Failed to delete lesson" });
+    }
+  },
+);
+
+// Add a content item (or assignment brief) at the end of a lesson
+router.post(
+  "/:id/lessons/:lessonId/content",
+  authenticateToken,
+  authorize("courses:edit"),
+  [
+    body("title").trim().notEmpty(),
+    body("content_type").isIn(["video", "pdf", "link", "assignment"]),
+    body("content_url").trim().notEmpty(),
+    body("completion_rule").optional({ nullable: true }).isIn(COMPLETION_RULES),
+    body("completion_threshold")
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const course = await findCourseInScope(req, req.params.id);
+      const lesson =
+        course && (await findLessonInCourse(course.id, req.params.lessonId));
+      if (!lesson) {
+        return res.status(404).json({ error: "Lesson not found" });
+      }
+
+      const {
+        title,
+        content_type,
+        content_url,
+        completion_rule,
+        completion_threshold,
+      } = req.body;
+      if (completion_rule && !isRuleAllowed(content_type, completion_rule)) {
+        return res.status(400).json({
+          error: `Completion rule "${completion_rule}" does not apply to ${content_type} items`,
+        });
+      }
+
+      const content = await CourseContent.create({
+        course_id: course.id,
+        lesson_id: lesson.id,
+        title,
+        content_type,
+        content_url,
+        completion_rule: completion_rule || null,
+        completion_threshold: completion_threshold || null,
+        order_index: await nextItemOrderIndex(lesson.id),
+      });
+      await refreshCourseProgress(course.id);
+
+      res.status(201).json({ message: "Content added successfully", content });
+    } catch (error) {
+      console.error("Add lesson content error:", error);
+      res.status(500).json({ error: "Failed to add content" });
+    }
+  },
+);
+
+// Set the order of a lesson's items. items ([{ item_type: "content" |
+// "test", id }]) must include every item already in the lesson; items from
+// other lessons of the course are moved into it.
+router.put(
+  "/:id/lessons/:lessonId/items/order",
+  authenticateToken,
+  authorize("courses:edit"),
+  [
+    body("items").isArray(),
+    body("items.*.item_type").isIn(["content", "test"]),
+    body("items.*.id").isInt(),
+  ],
+  async (req, res) => {
+    const t = await sequelize.transaction();
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await t.rollback();
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const course = await findCourseInScope(req, req.params.id);
+      const lesson =
+        course &&
+        (await findLessonInCourse(course.id, req.params.lessonId, {
+          transaction: t,
+        }));
+      if (!lesson) {
+        await t.rollback();
+        return res.status(404).json({ error: "Lesson not found" });
+      }
+
+      const models = { content: CourseContent, test: Test };
+      const listed = { content: [], test: [] };
+      for (const item of req.body.items) {
+        listed[item.item_type].push(parseInt(item.id));
+      }
+
+      for (const [type, model] of Object.entries(models)) {
+        const ids = listed[type];
+        const [inCourse, inLesson] = await Promise.all([
+          model.count({
+            where: { id: ids, course_id: course.id },
+            transaction: t,
+          }),
+          model.findAll({
+            where: { lesson_id: lesson.id },
+            attributes: ["id"],
+            transaction: t,
+          }),
+        ]);
+        if (
+          new Set(ids).size !== ids.length ||
+          inCourse !== ids.length ||
+          inLesson.some((row) => !ids.includes(row.id))
+        ) {
+          await t.rollback();
+          return res.status(400).json({
+            error:
+              "items must list each of the lesson's items once, plus only items of this course",
+          });
+        }
+      }
+
+      for (const [index, item] of req.body.items.entries()) {
+        await models[item.item_type].update(
+          { lesson_id: lesson.id, order_index: index },
+          { where: { id: item.id }, transaction: t },
+        );
+      }
+      await t.commit();
+
+      res.json({ message: "Lesson items reordered successfully" });
+    } catch (error) {
+      await t.rollback();
+      console.error("Reorder lesson items error:", error);
+      res.status(500).json({ error: "Failed to reorder lesson items" });
+    }
+  },
+);
+
+// Prerequisites of a course, and whether the caller meets them
+router.get("/:id/prerequisites", authenticateToken, async (req, res) => {
+  try {
+    const course = await Course.findOne({
+      where: { id: req.params.id, ...orgScope(req) },
+      attributes: ["id", "is_published"],
+    });
+    if (
+      !course ||
+      (!course.is_published && !hasPermission(req.user, "courses:edit"))
+    ) {
+      return res.status(404).json({ error: "Course not found" });
+    }
+
+    res.json(await prerequisiteStatus(req.user.id, course.id));
+  } catch (error) {
+    console.error("Prerequisites fetch error:", error);
+    res.status(500).json({ error: "Failed to fetch prerequisites" });
+  }
+});
+
+// Add a prerequisite: a course to complete (required_course_id), a test to
+// pass (test_id, optionally min_score instead of its passing score) or a
+// skill level to reach (skill_id, min_level)
+router.post(
+  "/:id/prerequisites",
+  authenticateToken,
+  authorize("courses:edit"),
+  [
+    body("prerequisite_type").isIn(["course", "test", "skill"]),
+    body("required_course_id")
+      .if(body("prerequisite_type").equals("course"))
+      .isInt(),
+    body("test_id").if(body("prerequisite_type").equals("test")).isInt(),
+    body("min_score")
+      .if(body("prerequisite_type").equals("test"))
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 100 }),
+    body("skill_id").if(body("prerequisite_type").equals("skill")).isInt(),
+    body("min_level")
+      .if(body("prerequisite_type").equals("skill"))
+      .isFloat({ min: 0, max: 5 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const course = await Course.findOne({
+        where: { id: req.params.id, ...orgScope(req) },
+        attributes: ["id", "organization_id"],
+      });
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      const { prerequisite_type, required_course_id, test_id, skill_id } =
+        req.body;
+      const inOrg = { organization_id: course.organization_id };
+      const values = { course_id: course.id, prerequisite_type };
+
+      if (prerequisite_type === "course") {
+        const required = await Course.findOne({
+          where: { id: required_course_id, ...inOrg },
+          attributes: ["id"],
+        });
+        if (!required) {
+          return res.status(404).json({ error: "Required course not found" });
+        }
+        if (await createsCycle(course.id, required.id)) {
+          return res
+            .status(400)
+            .json({ error: "A course can't be its own prerequisite" });
+        }
+        values.required_course_id = required.id;
+      } else if (prerequisite_type === "test") {
+        const test = await Test.findOne({
+          where: { id: test_id, ...inOrg },
+          attributes: ["id"],
+        });
+        if (!test) {
+          return res.status(404).json({ error: "Test not found" });
+        }
+        values.test_id = test.id;
+        values.min_score = req.body.min_score ?? null;
+      } else {
+        const skill = await Skill.findOne({
+          where: { id: skill_id, ...inOrg },
+          attributes: ["id"],
+        });
+        if (!skill) {
+          return res.status(404).json({ error: "Skill not found" });
+        }
+        values.skill_id = skill.id;
+        values.min_level = req.body.min_level;
+      }
+
+      const duplicate = await CoursePrerequisite.findOne({
+        where: {
+          course_id: course.id,
+          prerequisite_type,
+          required_course_id: values.required_course_id ?? null,
+          test_id: values.test_id ?? null,
+          skill_id: values.skill_id ?? null,
+        },
+        attributes: ["id"],
+      });
+      if (duplicate) {
+        return res
+          .status(409)
+          .json({ error: "Course already has this prerequisite" });
+      }
+
+      const created = await CoursePrerequisite.create(values);
+      const prerequisite = (await findPrerequisites(course.id)).find(
+        (p) => p.id === created.id,
+      );
+
+      res.status(201).json({
+        message: "Prerequisite added successfully",
+        prerequisite: serializePrerequisite(prerequisite),
+      });
+    } catch (error) {
+      console.error("Add prerequisite error:", error);
+      res.status(500).json({ error: "Failed to add prerequisite" });
+    }
+  },
+);
+
+// Remove a prerequisite
+router.delete(
+  "/:id/prerequisites/:prerequisiteId",
+  authenticateToken,
+  authorize("courses:edit"),
+  async (req, res) => {
+    try {
+      const course = await findCourseInScope(req, req.params.id);
+      const deleted =
+        course &&
+        (await CoursePrerequisite.destroy({
+          where: { id: req.params.prerequisiteId, course_id: course.id },
+        }));
+      if (!deleted) {
+        return res.status(404).json({ error: "Prerequisite not found" });
+      }
+
+      res.json({ message: "Prerequisite removed successfully" });
+    } catch (error) {
+      console.error("Remove prerequisite error:", error);
+      res.status(500).json({ error: "Failed to remove prerequisite" });
+    }
+  },
+);
+
 // Enroll in course
 router.post(
   "/:id/enroll",
   authenticateToken,
-  authorize("learner"),
+  authorize("courses:enroll"),
   async (req, res) => {
     try {
       const courseId = req.params.id;
 
       // Check if course exists and is published
-      const course = await Course.findByPk(courseId, {
+      const course = await Course.findOne({
+        where: { id: courseId, ...orgScope(req) },
         attributes: ["id", "is_published"],
       });
       if (!course) {
@@ -294,11 +999,23 @@ router.post(
           .json({ error: "Already enrolled in this course" });
       }
 
-      // Enroll user
-      const enrollment = await Enrollment.create({
+      const prerequisites = await prerequisiteStatus(req.user.id, courseId);
+      if (!prerequisites.met) {
+        const missing = prerequisites.prerequisites.filter((p) => !p.met);
+        return res.status(403).json({
+          error: `Prerequisites not met: ${missing
+            .map((p) => p.requirement)
+            .join("; ")}`,
+          missing,
+        });
+      }
+
+      // Enroll user; completions from an earlier enrollment still count
+      await Enrollment.create({
         user_id: req.user.id,
         course_id: courseId,
       });
+      const enrollment = await refreshEnrollmentProgress(req.user.id, courseId);
 
       res.status(201).json({
         message: "Enrolled successfully",
@@ -311,33 +1028,82 @@ router.post(
   },
 );
 
-// Update course progress
-router.put(
+// Get course progress: the enrollment, each content item's completion and
+// each test's result. Progress is derived from completions and can't be
+// set directly; it is recomputed whenever a completion is recorded.
+router.get(
   "/:id/progress",
   authenticateToken,
-  authorize("learner"),
-  [body("progress_percentage").isInt({ min: 0, max: 100 })],
+  authorize("courses:enroll"),
   async (req, res) => {
     try {
       const courseId = req.params.id;
-      const { progress_percentage } = req.body;
 
       const enrollment = await Enrollment.findOne({
         where: { user_id: req.user.id, course_id: courseId },
       });
+      if (!enrollment) {
+        return res.status(404).json({ error: "Enrollment not found" });
+      }
+
+      res.json({
+        enrollment,
+        content: await contentProgressFor(req.user.id, courseId),
+        tests: await testProgressFor(req.user.id, courseId),
+      });
+    } catch (error) {
+      console.error("Progress fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch progress" });
+    }
+  },
+);
+
+// Report progress on a content item: "opened", "watched" (with percentage)
+// or "confirmed". Assignment briefs are completed by submitting work.
+router.post(
+  "/:id/content/:contentId/progress",
+  authenticateToken,
+  authorize("courses:enroll"),
+  [
+    body("event").isIn(["opened", "watched", "confirmed"]),
+    body("percentage")
+      .if(body("event").equals("watched"))
+      .isFloat({ min: 0, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id: courseId, contentId } = req.params;
 
+      const enrollment = await Enrollment.findOne({
+        where: { user_id: req.user.id, course_id: courseId },
+        attributes: ["id"],
+      });
       if (!enrollment) {
         return res.status(404).json({ error: "Enrollment not found" });
       }
 
-      await enrollment.update({
-        progress_percentage,
-        completed_at: progress_percentage === 100 ? new Date() : null,
+      const content = await CourseContent.findOne({
+        where: { id: contentId, course_id: courseId },
       });
+      if (!content) {
+        return res.status(404).json({ error: "Content not found" });
+      }
+
+      const { event, percentage } = req.body;
+      await recordContentEvent(req.user.id, content, event, percentage);
+      const updated = await refreshEnrollmentProgress(req.user.id, courseId);
 
       res.json({
-        message: "Progress updated successfully",
-        enrollment,
+        message: "Progress recorded successfully",
+        enrollment: updated,
+        content: (await contentProgressFor(req.user.id, courseId)).find(
+          (item) => item.content_id === content.id,
+        ),
       });
     } catch (error) {
       console.error("Progress update error:", error);
@@ -350,7 +1116,7 @@ router.put(
 router.get(
   "/my/enrollments",
   authenticateToken,
-  authorize("learner", "candidate"),
+  authorize("enrollments:view_own"),
   async (req, res) => {
     try {
       const enrollments = await Enrollment.findAll({
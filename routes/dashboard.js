@@ -2,6 +2,16 @@ const express = require("express");
 const { sequelize } = require("../models");
 const { authenticateToken, authorize } = require("../middleware/auth");
 const { QueryTypes } = require("sequelize");
+const { zoneOf, localTodaySql } = require("../utils/timezone");
+const {
+  monthStart,
+  loadMonthToDate,
+  countWorkingDays,
+  isIdle,
+} = require("../utils/workingDays");
+const { loadTargets } = require("../utils/targets");
+const { learnerStreaks } = require("../utils/streaks");
+const { pathProgressFor } = require("../utils/learningPaths");
 
 const router = express.Router();
 
@@ -9,7 +19,7 @@ const router = express.Router();
 router.get(
   "/learner",
   authenticateToken,
-  authorize("learner"),
+  authorize("dashboard:learner"),
   async (req, res) => {
     try {
       const userId = req.user.id;
@@ -36,36 +46,15 @@ router.get(
        FROM learning_sessions
        WHERE user_id = :userId 
          AND end_time IS NOT NULL
-         AND date >= DATE_TRUNC('month', CURRENT_DATE)`,
-          { replacements: { userId }, type: QueryTypes.SELECT },
+         AND date >= DATE_TRUNC('month', ${localTodaySql()})`,
+          {
+            replacements: { userId, timezone: zoneOf(req.user) },
+            type: QueryTypes.SELECT,
+          },
         )
         .then((r) => [r[0] || { total_hours: 0, days_logged: 0 }]);
 
-      const streakResult = await sequelize.query(
-        `WITH daily_hours AS (
-         SELECT date, SUM(duration_minutes)/60 as hours
-         FROM learning_sessions
-         WHERE user_id = :userId AND end_time IS NOT NULL
-         GROUP BY date
-       ),
-       streak_data AS (
-         SELECT date,
-                date - (ROW_NUMBER() OVER (ORDER BY date))::integer AS grp
-         FROM daily_hours
-         WHERE hours >= :requiredHours
-       )
-       SELECT COUNT(*) as streak_length
-       FROM streak_data
-       WHERE grp = (SELECT MAX(grp) FROM streak_data)
-       GROUP BY grp`,
-        {
-          replacements: {
-            userId,
-            requiredHours: parseInt(process.env.REQUIRED_LEARNING_HOURS || "6"),
-          },
-          type: QueryTypes.SELECT,
-        },
-      );
+      const streaks = await learnerStreaks(req.user);
 
       const testsResult = await sequelize.query(
         `SELECT t.title, ta.score, ta.graded_at
@@ -94,6 +83,8 @@ router.get(
         { replacements: { userId }, type: QueryTypes.SELECT },
       );
 
+      const paths = await pathProgressFor(userId);
+
       const totalEnrolled = parseInt(coursesResult.total_enrolled || 0);
       const completed = parseInt(coursesResult.completed || 0);
       const progressPercentage =
@@ -113,8 +104,25 @@ router.get(
             hoursResult.total_hours || 0,
           ).toFixed(2),
           days_logged_this_month: parseInt(hoursResult.days_logged || 0),
-          current_streak: parseInt(streakResult[0]?.streak_length || 0),
+          current_streak: streaks.current.length,
+          longest_streak: streaks.longest.length,
+          streak_freezes_available: streaks.freezes.available,
         },
+        learning_paths: paths.map((p) => ({
+          path_id: p.path_id,
+          title: p.title,
+          progress_percentage: p.progress_percentage,
+          completed_courses: p.completed_courses,
+          total_courses: p.total_courses,
+          next_course: p.next_course && {
+            course_id: p.next_course.course_id,
+            title: p.next_course.title,
+            blocked_by: p.next_course.blocked_by,
+          },
+          milestones_reached: p.milestones.filter((m) => m.reached).length,
+          total_milestones: p.milestones.length,
+          completed_at: p.completed_at,
+        })),
         recent_tests: testsResult,
         kudos_points: parseInt(kudosResult.total || 0),
         top_skills: skillsResult.map((s) => ({
@@ -133,7 +141,7 @@ router.get(
 router.get(
   "/supervisor",
   authenticateToken,
-  authorize("supervisor"),
+  authorize("dashboard:supervisor"),
   async (req, res) => {
     try {
       const supervisorId = req.user.id;
@@ -147,33 +155,44 @@ router.get(
 
       const complianceResult = await sequelize.query(
         `SELECT 
-         u.id, u.full_name,
+         u.id, u.full_name, u.role, u.archetype, u.organization_id,
+         u.timezone,
          COUNT(DISTINCT ls.date) as days_logged,
          SUM(ls.duration_minutes)/60 as total_hours,
          MAX(ls.date) as last_active
        FROM users u
        LEFT JOIN learning_sessions ls ON u.id = ls.user_id 
          AND ls.end_time IS NOT NULL
-         AND ls.date >= DATE_TRUNC('month', CURRENT_DATE)
+         AND ls.date >= DATE_TRUNC('month', ${localTodaySql("u.timezone")})
        WHERE u.supervisor_id = :supervisorId AND u.is_active = true
-       GROUP BY u.id, u.full_name`,
+       GROUP BY u.id, u.full_name, u.role, u.archetype, u.organization_id,
+         u.timezone`,
         { replacements: { supervisorId }, type: QueryTypes.SELECT },
       );
 
-      const requiredHours = parseInt(
-        process.env.REQUIRED_LEARNING_HOURS || "6",
-      );
-      const workDays = 20;
-      const requiredMonthlyHours = requiredHours * workDays;
+      const { calendar, todays, from, to } =
+        await loadMonthToDate(complianceResult);
+      const targets = await loadTargets(complianceResult, from, to);
 
-      const teamMembers = complianceResult.map((member) => {
+      const teamMembers = complianceResult.map((member, i) => {
+        const today = todays[i];
         const totalHours = parseFloat(member.total_hours || 0);
-        const compliance = ((totalHours / requiredMonthlyHours) * 100).toFixed(
-          1,
+        const workDays = countWorkingDays(
+          calendar,
+          member,
+          monthStart(today),
+          today,
+        );
+        const expectedHours = targets.expectedHours(
+          calendar,
+          member,
+          monthStart(today),
+          today,
         );
-        const isIdle =
-          !member.last_active ||
-          new Date() - new Date(member.last_active) > 3 * 24 * 60 * 60 * 1000;
+        const compliance =
+          expectedHours > 0
+            ? ((totalHours / expectedHours) * 100).toFixed(1)
+            : "100.0";
 
         return {
           id: member.id,
@@ -182,7 +201,8 @@ router.get(
           total_hours: totalHours.toFixed(2),
           compliance_percentage: parseFloat(compliance),
           last_active: member.last_active,
-          is_idle: isIdle,
+          expected_working_days: workDays,
+          is_idle: isIdle(calendar, member, member.last_active, today),
         };
       });
 
@@ -228,9 +248,15 @@ router.get(
 router.get(
   "/admin",
   authenticateToken,
-  authorize("admin"),
+  authorize("dashboard:admin"),
   async (req, res) => {
     try {
+      // Every statistic is limited to the caller's organization
+      const scoped = {
+        replacements: { organizationId: req.organizationId },
+        type: QueryTypes.SELECT,
+      };
+
       const [usersResult] = await sequelize.query(
         `SELECT 
          COUNT(*) as total,
@@ -238,8 +264,9 @@ router.get(
          COUNT(CASE WHEN role = 'supervisor' THEN 1 END) as supervisors,
          COUNT(CASE WHEN role = 'candidate' THEN 1 END) as candidates,
          COUNT(CASE WHEN is_active = true THEN 1 END) as active
-       FROM users`,
-        { type: QueryTypes.SELECT },
+       FROM users
+       WHERE (:organizationId IS NULL OR organization_id = :organizationId)`,
+        scoped,
       );
 
       const [coursesResult] = await sequelize.query(
@@ -247,47 +274,55 @@ router.get(
          COUNT(*) as total,
          COUNT(CASE WHEN is_published = true THEN 1 END) as published,
          AVG(estimated_hours) as avg_hours
-       FROM courses`,
-        { type: QueryTypes.SELECT },
+       FROM courses
+       WHERE (:organizationId IS NULL OR organization_id = :organizationId)`,
+        scoped,
       );
 
       const [enrollmentsResult] = await sequelize.query(
         `SELECT 
          COUNT(*) as total,
-         COUNT(CASE WHEN completed_at IS NOT NULL THEN 1 END) as completed,
-         AVG(progress_percentage) as avg_progress
-       FROM enrollments`,
-        { type: QueryTypes.SELECT },
+         COUNT(CASE WHEN e.completed_at IS NOT NULL THEN 1 END) as completed,
+         AVG(e.progress_percentage) as avg_progress
+       FROM enrollments e
+       JOIN users u ON e.user_id = u.id
+       WHERE (:organizationId IS NULL OR u.organization_id = :organizationId)`,
+        scoped,
       );
 
       const [hoursResult] = await sequelize.query(
         `SELECT 
-         SUM(duration_minutes)/60 as total_hours,
-         COUNT(DISTINCT user_id) as active_learners,
-         COUNT(DISTINCT date) as active_days
-       FROM learning_sessions
-       WHERE end_time IS NOT NULL
-         AND date >= DATE_TRUNC('month', CURRENT_DATE)`,
-        { type: QueryTypes.SELECT },
+         SUM(ls.duration_minutes)/60 as total_hours,
+         COUNT(DISTINCT ls.user_id) as active_learners,
+         COUNT(DISTINCT ls.date) as active_days
+       FROM learning_sessions ls
+       JOIN users u ON ls.user_id = u.id
+       WHERE ls.end_time IS NOT NULL
+         AND ls.date >= DATE_TRUNC('month', ${localTodaySql("u.timezone")})
+         AND (:organizationId IS NULL OR u.organization_id = :organizationId)`,
+        scoped,
       );
 
       const [testsResult] = await sequelize.query(
         `SELECT 
          COUNT(*) as total_attempts,
-         AVG(score) as avg_score,
-         COUNT(CASE WHEN status = 'submitted' THEN 1 END) as pending_grading
-       FROM test_attempts
-       WHERE status IN ('graded', 'submitted')`,
-        { type: QueryTypes.SELECT },
+         AVG(ta.score) as avg_score,
+         COUNT(CASE WHEN ta.status = 'submitted' THEN 1 END) as pending_grading
+       FROM test_attempts ta
+       JOIN users u ON ta.user_id = u.id
+       WHERE ta.status IN ('graded', 'submitted')
+         AND (:organizationId IS NULL OR u.organization_id = :organizationId)`,
+        scoped,
       );
 
       const archetypesResult = await sequelize.query(
         `SELECT archetype, COUNT(*) as count
        FROM users
        WHERE archetype IS NOT NULL AND is_active = true
+         AND (:organizationId IS NULL OR organization_id = :organizationId)
        GROUP BY archetype
        ORDER BY count DESC`,
-        { type: QueryTypes.SELECT },
+        scoped,
       );
 
       const topLearnersResult = await sequelize.query(
@@ -298,11 +333,12 @@ router.get(
        LEFT JOIN enrollments e ON u.id = e.user_id AND e.completed_at IS NOT NULL
        LEFT JOIN test_attempts ta ON u.id = ta.user_id AND ta.status = 'graded'
        WHERE u.role = 'learner' AND u.is_active = true
+         AND (:organizationId IS NULL OR u.organization_id = :organizationId)
        GROUP BY u.id, u.full_name, u.archetype
        HAVING COUNT(DISTINCT e.course_id) > 0
        ORDER BY courses_completed DESC, avg_test_score DESC
        LIMIT 10`,
-        { type: QueryTypes.SELECT },
+        scoped,
       );
 
       res.json({
@@ -345,10 +381,14 @@ router.get(
 router.get(
   "/export/:type",
   authenticateToken,
-  authorize("admin"),
+  authorize("data:export"),
   async (req, res) => {
     try {
       const { type } = req.params;
+      const scoped = {
+        replacements: { organizationId: req.organizationId },
+        type: QueryTypes.SELECT,
+      };
       let data;
 
       switch (type) {
@@ -356,8 +396,9 @@ router.get(
           data = await sequelize.query(
             `SELECT id, email, full_name, role, archetype, created_at, is_active
            FROM users
+           WHERE (:organizationId IS NULL OR organization_id = :organizationId)
            ORDER BY created_at DESC`,
-            { type: QueryTypes.SELECT },
+            scoped,
           );
           break;
 
@@ -368,9 +409,10 @@ router.get(
            FROM learning_sessions ls
            JOIN users u ON ls.user_id = u.id
            WHERE ls.end_time IS NOT NULL
+             AND (:organizationId IS NULL OR u.organization_id = :organizationId)
            GROUP BY u.id, u.full_name, u.email, ls.date
            ORDER BY ls.date DESC, u.full_name`,
-            { type: QueryTypes.SELECT },
+            scoped,
           );
           break;
 
@@ -381,9 +423,10 @@ router.get(
                   c.created_at
            FROM courses c
            LEFT JOIN enrollments e ON c.id = e.course_id
+           WHERE (:organizationId IS NULL OR c.organization_id = :organizationId)
            GROUP BY c.id
            ORDER BY c.created_at DESC`,
-            { type: QueryTypes.SELECT },
+            scoped,
           );
           break;
 
@@ -395,8 +438,9 @@ router.get(
            JOIN users u ON ta.user_id = u.id
            JOIN tests t ON ta.test_id = t.id
            WHERE ta.status = 'graded'
+             AND (:organizationId IS NULL OR u.organization_id = :organizationId)
            ORDER BY ta.graded_at DESC`,
-            { type: QueryTypes.SELECT },
+            scoped,
           );
           break;
 
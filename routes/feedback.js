@@ -1,6 +1,7 @@
 const express = require("express");
 const { MentorshipMessage, Notification, User } = require("../models");
 const { authenticateToken } = require("../middleware/auth");
+const { orgScope } = require("../utils/tenancy");
 
 const router = express.Router();
 
@@ -9,6 +10,14 @@ router.post("/send", authenticateToken, async (req, res) => {
   try {
     const { receiver_id, subject, message } = req.body;
 
+    const receiver = await User.findOne({
+      where: { id: receiver_id, ...orgScope(req) },
+      attributes: ["id"],
+    });
+    if (!receiver) {
+      return res.status(404).json({ error: "Receiver not found" });
+    }
+
     const msg = await MentorshipMessage.create({
       sender_id: req.user.id,
       receiver_id,
@@ -89,7 +98,7 @@ router.put(
     try {
       await Notification.update(
         { is_read: true },
-        { where: { id: req.params.notificationId } },
+        { where: { id: req.params.notificationId, user_id: req.user.id } },
       );
       res.json({ message: "Notification marked as read" });
     } catch (error) {
@@ -1,24 +1,105 @@
 const express = require("express");
 const { body, validationResult } = require("express-validator");
-const { sequelize, LearningSession, User } = require("../models");
-const { authenticateToken, authorize } = require("../middleware/auth");
+const {
+  sequelize,
+  LearningSession,
+  LearningBreak,
+  TimeCorrectionRequest,
+  LeaveRequest,
+  User,
+} = require("../models");
+const {
+  authenticateToken,
+  authorize,
+  hasPermission,
+} = require("../middleware/auth");
 const { QueryTypes, Op } = require("sequelize");
+const { autoCloseIfExpired } = require("../utils/autoClockOut");
+const { zoneOf, localTodaySql } = require("../utils/timezone");
+const {
+  addDays,
+  localToday,
+  monthStart,
+  loadMonthToDate,
+  countWorkingDays,
+  isIdle,
+  loadCalendar,
+} = require("../utils/workingDays");
+const { loadTargets, dailyTargetFor } = require("../utils/targets");
+const {
+  refreshStreaksOf,
+  learnerStreaks,
+  serializeStreak,
+} = require("../utils/streaks");
+const {
+  findStudyItem,
+  startSegment,
+  endOpenSegment,
+  resumeAfterBreak,
+  studyTimeReport,
+} = require("../utils/studyTime");
+const {
+  findOverlappingSession,
+  validateRequestedTimes,
+  hasPendingRequest,
+} = require("../utils/timeCorrections");
 
 const router = express.Router();
 
-// Clock-in (Start learning session)
+// Closed breaks per session, for joining onto learning_sessions
+const BREAK_COUNTS_SQL = `
+  SELECT session_id, COUNT(*) AS break_count
+  FROM learning_breaks
+  WHERE end_time IS NOT NULL
+  GROUP BY session_id`;
+
+const findOpenBreak = (sessionId) =>
+  LearningBreak.findOne({ where: { session_id: sessionId, end_time: null } });
+
+// Close a running break and add its length to the session's break time
+const endBreak = async (session, learningBreak, endTime = new Date()) => {
+  await learningBreak.update({ end_time: endTime });
+  await session.update({
+    break_minutes:
+      session.break_minutes + (endTime - learningBreak.start_time) / 60000,
+  });
+};
+
+const studyItemValidators = [
+  body("course_id").optional({ nullable: true }).isInt(),
+  body("content_id").optional({ nullable: true }).isInt(),
+];
+
+// Clock-in (Start learning session), optionally naming the course and
+// content item being studied
 router.post(
   "/clock-in",
   authenticateToken,
-  authorize("learner", "candidate"),
+  authorize("learning:track"),
+  studyItemValidators,
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { course_id, content_id } = req.body;
+      const item =
+        course_id && (await findStudyItem(req, course_id, content_id));
+      if (course_id && !item) {
+        return res
+          .status(404)
+          .json({ error: "Course or content item not found" });
+      }
+
       const ongoing = await LearningSession.findOne({
         where: { user_id: req.user.id, end_time: null },
-        attributes: ["id"],
+        attributes: ["id", "start_time"],
       });
 
-      if (ongoing) {
+      // A forgotten session past its auto clock-out time doesn't block
+      if (ongoing && !(await autoCloseIfExpired(ongoing, zoneOf(req.user)))) {
         return res
           .status(400)
           .json({ error: "Already clocked in. Please clock out first." });
@@ -28,10 +109,14 @@ router.post(
         user_id: req.user.id,
         start_time: new Date(),
       });
+      const segment = item
+        ? await startSegment(session.id, item, session.start_time)
+        : null;
 
       res.status(201).json({
         message: "Clocked in successfully",
         session,
+        segment,
       });
     } catch (error) {
       console.error("Clock-in error:", error);
@@ -44,14 +129,13 @@ router.post(
 router.post(
   "/clock-out",
   authenticateToken,
-  authorize("learner", "candidate"),
+  authorize("learning:track"),
   async (req, res) => {
     try {
       const { reflection_text } = req.body;
 
       const session = await LearningSession.findOne({
         where: { user_id: req.user.id, end_time: null },
-        attributes: ["id", "start_time"],
       });
 
       if (!session) {
@@ -60,22 +144,42 @@ router.post(
           .json({ error: "No active session found. Please clock in first." });
       }
 
+      // A session past its auto clock-out time that the job hasn't swept
+      // yet is closed at its cutoff, not now, and needs a reflection
+      const autoClosed = await autoCloseIfExpired(session, zoneOf(req.user));
+      if (autoClosed) {
+        return res.status(409).json({
+          error:
+            "Session was closed automatically at its auto clock-out time. Add a reflection to count its hours.",
+          session: autoClosed,
+          needs_reflection: true,
+        });
+      }
+
+      // Clocking out ends a break still in progress
+      const endTime = new Date();
+      const openBreak = await findOpenBreak(session.id);
+      if (openBreak) {
+        await endBreak(session, openBreak, endTime);
+      }
+      await endOpenSegment(session.id, endTime);
+
       await session.update({
-        end_time: new Date(),
+        end_time: endTime,
         reflection_text: reflection_text || null,
       });
 
       await session.reload();
+      await refreshStreaksOf({ id: req.user.id });
 
       const hours = session.duration_minutes / 60;
-      const requiredHours = parseInt(
-        process.env.REQUIRED_LEARNING_HOURS || "6",
-      );
+      const requiredHours = await dailyTargetFor(req.user, session.date);
 
       res.json({
         message: "Clocked out successfully",
         session,
         hours_completed: hours.toFixed(2),
+        break_hours: (session.break_minutes / 60).toFixed(2),
         meets_requirement: hours >= requiredHours,
         needs_reflection: !reflection_text,
       });
@@ -86,35 +190,538 @@ router.post(
   },
 );
 
+// Auto-closed sessions whose time is held back until a reflection is added
+router.get(
+  "/sessions/pending-reflection",
+  authenticateToken,
+  authorize("learning:track"),
+  async (req, res) => {
+    try {
+      const sessions = await LearningSession.findAll({
+        where: { user_id: req.user.id, requires_reflection: true },
+        order: [["start_time", "DESC"]],
+      });
+
+      res.json({ sessions });
+    } catch (error) {
+      console.error("Pending reflections error:", error);
+      res.status(500).json({ error: "Failed to fetch sessions" });
+    }
+  },
+);
+
+// Add a reflection to a finished session. Auto-closed sessions are only
+// credited once this is done.
+router.post(
+  "/sessions/:sessionId/reflection",
+  authenticateToken,
+  authorize("learning:track"),
+  [body("reflection_text").isString().trim().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const session = await LearningSession.findOne({
+        where: { id: req.params.sessionId, user_id: req.user.id },
+      });
+
+      if (!session) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+
+      if (!session.end_time) {
+        return res
+          .status(400)
+          .json({ error: "Clock out before adding a reflection" });
+      }
+
+      await session.update({
+        reflection_text: req.body.reflection_text,
+        requires_reflection: false,
+      });
+      await refreshStreaksOf({ id: req.user.id });
+
+      res.json({
+        message: "Reflection saved",
+        session,
+        hours_credited: (session.duration_minutes / 60).toFixed(2),
+      });
+    } catch (error) {
+      console.error("Session reflection error:", error);
+      res.status(500).json({ error: "Failed to save reflection" });
+    }
+  },
+);
+
+// Start a break in the active session; break time is not learning time
+router.post(
+  "/break/start",
+  authenticateToken,
+  authorize("learning:track"),
+  async (req, res) => {
+    try {
+      const session = await LearningSession.findOne({
+        where: { user_id: req.user.id, end_time: null },
+        attributes: ["id"],
+      });
+
+      if (!session) {
+        return res
+          .status(400)
+          .json({ error: "No active session found. Please clock in first." });
+      }
+
+      if (await findOpenBreak(session.id)) {
+        return res.status(400).json({ error: "Already on a break" });
+      }
+
+      const learningBreak = await LearningBreak.create({
+        session_id: session.id,
+        start_time: new Date(),
+      });
+      await endOpenSegment(session.id, learningBreak.start_time);
+
+      res.status(201).json({
+        message: "Break started",
+        break: learningBreak,
+      });
+    } catch (error) {
+      console.error("Break start error:", error);
+      res.status(500).json({ error: "Failed to start break" });
+    }
+  },
+);
+
+// End the running break and resume learning
+router.post(
+  "/break/end",
+  authenticateToken,
+  authorize("learning:track"),
+  async (req, res) => {
+    try {
+      const session = await LearningSession.findOne({
+        where: { user_id: req.user.id, end_time: null },
+      });
+      const openBreak = session && (await findOpenBreak(session.id));
+
+      if (!openBreak) {
+        return res.status(400).json({ error: "No break in progress" });
+      }
+
+      await endBreak(session, openBreak);
+      await resumeAfterBreak(session.id, openBreak);
+
+      res.json({
+        message: "Break ended",
+        break: openBreak,
+        session_break_hours: (session.break_minutes / 60).toFixed(2),
+      });
+    } catch (error) {
+      console.error("Break end error:", error);
+      res.status(500).json({ error: "Failed to end break" });
+    }
+  },
+);
+
+// Switch what the active session's time is attributed to; without a
+// course_id, following time is left unattributed
+router.post(
+  "/switch",
+  authenticateToken,
+  authorize("learning:track"),
+  studyItemValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const session = await LearningSession.findOne({
+        where: { user_id: req.user.id, end_time: null },
+        attributes: ["id"],
+      });
+      if (!session) {
+        return res
+          .status(400)
+          .json({ error: "No active session found. Please clock in first." });
+      }
+      if (await findOpenBreak(session.id)) {
+        return res
+          .status(400)
+          .json({ error: "End your break before switching" });
+      }
+
+      const { course_id, content_id } = req.body;
+      const item =
+        course_id && (await findStudyItem(req, course_id, content_id));
+      if (course_id && !item) {
+        return res
+          .status(404)
+          .json({ error: "Course or content item not found" });
+      }
+
+      const now = new Date();
+      await endOpenSegment(session.id, now);
+      const segment = item ? await startSegment(session.id, item, now) : null;
+
+      res.json({
+        message: item ? "Now studying " + item.course.title : "Switched",
+        segment,
+      });
+    } catch (error) {
+      console.error("Switch study item error:", error);
+      res.status(500).json({ error: "Failed to switch study item" });
+    }
+  },
+);
+
+// Hours per course and per skill, and how much went to enrolled courses
+router.get(
+  "/reports/study-time",
+  authenticateToken,
+  authorize("learning:track"),
+  async (req, res) => {
+    try {
+      const report = await studyTimeReport(req.user.id, {
+        startDate: req.query.start_date,
+        endDate: req.query.end_date,
+      });
+
+      res.json({ report });
+    } catch (error) {
+      console.error("Study time report error:", error);
+      res.status(500).json({ error: "Failed to generate study time report" });
+    }
+  },
+);
+
+// Ask a supervisor to correct a session's times or to log a session that
+// was never clocked
+router.post(
+  "/corrections",
+  authenticateToken,
+  authorize("learning:track"),
+  [
+    body("request_type").isIn(["correction", "manual_entry"]),
+    body("session_id").if(body("request_type").equals("correction")).isInt(),
+    body("start_time").isISO8601(),
+    body("end_time").isISO8601(),
+    body("break_minutes").optional({ nullable: true }).isFloat({ min: 0 }),
+    body("justification").isString().trim().isLength({ min: 10 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { request_type, justification } = req.body;
+      const start = new Date(req.body.start_time);
+      const end = new Date(req.body.end_time);
+      const breakMinutes =
+        req.body.break_minutes != null
+          ? parseFloat(req.body.break_minutes)
+          : null;
+
+      const invalid = validateRequestedTimes(start, end, breakMinutes);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+
+      let sessionId = null;
+      if (request_type === "correction") {
+        const session = await LearningSession.findOne({
+          where: { id: req.body.session_id, user_id: req.user.id },
+          attributes: ["id", "end_time"],
+        });
+        if (!session) {
+          return res.status(404).json({ error: "Session not found" });
+        }
+        if (!session.end_time) {
+          return res
+            .status(400)
+            .json({ error: "Clock out before correcting this session" });
+        }
+        if (await hasPendingRequest(session.id)) {
+          return res.status(409).json({
+            error: "A correction for this session is already pending",
+          });
+        }
+        sessionId = session.id;
+      }
+
+      if (await findOverlappingSession(req.user.id, start, end, sessionId)) {
+        return res
+          .status(409)
+          .json({ error: "Requested times overlap another session" });
+      }
+
+      const request = await TimeCorrectionRequest.create({
+        user_id: req.user.id,
+        request_type,
+        session_id: sessionId,
+        requested_start_time: start,
+        requested_end_time: end,
+        requested_break_minutes: breakMinutes,
+        justification,
+      });
+
+      res.status(201).json({
+        message: "Correction request submitted for approval",
+        request,
+      });
+    } catch (error) {
+      console.error("Create correction request error:", error);
+      res.status(500).json({ error: "Failed to submit correction request" });
+    }
+  },
+);
+
+// Own correction requests, newest first
+router.get(
+  "/corrections",
+  authenticateToken,
+  authorize("learning:track"),
+  async (req, res) => {
+    try {
+      const where = { user_id: req.user.id };
+      if (req.query.status) {
+        where.status = req.query.status;
+      }
+
+      const requests = await TimeCorrectionRequest.findAll({
+        where,
+        include: [
+          { model: User, as: "Reviewer", attributes: ["id", "full_name"] },
+        ],
+        order: [["created_at", "DESC"]],
+      });
+
+      res.json({ requests });
+    } catch (error) {
+      console.error("Fetch correction requests error:", error);
+      res.status(500).json({ error: "Failed to fetch correction requests" });
+    }
+  },
+);
+
+// Withdraw a pending request
+router.delete(
+  "/corrections/:requestId",
+  authenticateToken,
+  authorize("learning:track"),
+  async (req, res) => {
+    try {
+      const [updated] = await TimeCorrectionRequest.update(
+        { status: "cancelled" },
+        {
+          where: {
+            id: req.params.requestId,
+            user_id: req.user.id,
+            status: "pending",
+          },
+        },
+      );
+      if (!updated) {
+        return res
+          .status(404)
+          .json({ error: "Pending correction request not found" });
+      }
+
+      res.json({ message: "Correction request cancelled" });
+    } catch (error) {
+      console.error("Cancel correction request error:", error);
+      res.status(500).json({ error: "Failed to cancel correction request" });
+    }
+  },
+);
+
+// Request days off; approved leave is not expected learning time
+router.post(
+  "/leave",
+  authenticateToken,
+  authorize("learning:track"),
+  [
+    body("start_date").isISO8601({ strict: true }),
+    body("end_date").isISO8601({ strict: true }),
+    body("leave_type")
+      .optional()
+      .isIn(["vacation", "sick", "personal", "other"]),
+    body("reason").optional({ nullable: true }).isString().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const startDate = req.body.start_date.slice(0, 10);
+      const endDate = req.body.end_date.slice(0, 10);
+      if (endDate < startDate) {
+        return res
+          .status(400)
+          .json({ error: "End date must not be before start date" });
+      }
+
+      const overlapping = await LeaveRequest.findOne({
+        where: {
+          user_id: req.user.id,
+          status: ["pending", "approved"],
+          start_date: { [Op.lte]: endDate },
+          end_date: { [Op.gte]: startDate },
+        },
+        attributes: ["id"],
+      });
+      if (overlapping) {
+        return res
+          .status(409)
+          .json({ error: "Leave already requested for some of these days" });
+      }
+
+      const request = await LeaveRequest.create({
+        user_id: req.user.id,
+        start_date: startDate,
+        end_date: endDate,
+        leave_type: req.body.leave_type || "vacation",
+        reason: req.body.reason || null,
+      });
+
+      res.status(201).json({
+        message: "Leave request submitted for approval",
+        request,
+      });
+    } catch (error) {
+      console.error("Create leave request error:", error);
+      res.status(500).json({ error: "Failed to submit leave request" });
+    }
+  },
+);
+
+// Own leave requests, latest first
+router.get(
+  "/leave",
+  authenticateToken,
+  authorize("learning:track"),
+  async (req, res) => {
+    try {
+      const where = { user_id: req.user.id };
+      if (req.query.status) {
+        where.status = req.query.status;
+      }
+
+      const requests = await LeaveRequest.findAll({
+        where,
+        include: [
+          { model: User, as: "Reviewer", attributes: ["id", "full_name"] },
+        ],
+        order: [["start_date", "DESC"]],
+      });
+
+      res.json({ requests });
+    } catch (error) {
+      console.error("Fetch leave requests error:", error);
+      res.status(500).json({ error: "Failed to fetch leave requests" });
+    }
+  },
+);
+
+// Withdraw a pending request, or approved leave that hasn't started yet
+router.delete(
+  "/leave/:requestId",
+  authenticateToken,
+  authorize("learning:track"),
+  async (req, res) => {
+    try {
+      const [updated] = await LeaveRequest.update(
+        { status: "cancelled" },
+        {
+          where: {
+            id: req.params.requestId,
+            user_id: req.user.id,
+            [Op.or]: [
+              { status: "pending" },
+              {
+                status: "approved",
+                start_date: { [Op.gt]: localToday(req.user) },
+              },
+            ],
+          },
+        },
+      );
+      if (!updated) {
+        return res
+          .status(404)
+          .json({ error: "Cancellable leave request not found" });
+      }
+
+      res.json({ message: "Leave request cancelled" });
+    } catch (error) {
+      console.error("Cancel leave request error:", error);
+      res.status(500).json({ error: "Failed to cancel leave request" });
+    }
+  },
+);
+
 // Get today's learning sessions
 router.get(
   "/today",
   authenticateToken,
-  authorize("learner", "candidate"),
+  authorize("learning:track"),
   async (req, res) => {
     try {
       const sessions = await sequelize.query(
-        `SELECT id, start_time, end_time, duration_minutes, reflection_text, date
+        `SELECT id, start_time, end_time, duration_minutes, break_minutes,
+              reflection_text, date, auto_closed_at, auto_close_reason,
+              requires_reflection
        FROM learning_sessions
-       WHERE user_id = :userId AND date = CURRENT_DATE
+       WHERE user_id = :userId AND date = ${localTodaySql()}
        ORDER BY start_time DESC`,
-        { replacements: { userId: req.user.id }, type: QueryTypes.SELECT },
+        {
+          replacements: { userId: req.user.id, timezone: zoneOf(req.user) },
+          type: QueryTypes.SELECT,
+        },
       );
 
+      const breaks = await LearningBreak.findAll({
+        where: { session_id: sessions.map((s) => s.id) },
+        attributes: ["id", "session_id", "start_time", "end_time"],
+        order: [["start_time", "ASC"]],
+      });
+      for (const session of sessions) {
+        session.breaks = breaks.filter((b) => b.session_id === session.id);
+      }
+
       const totalMinutes = sessions.reduce(
         (sum, s) => sum + (s.duration_minutes || 0),
         0,
       );
-      const requiredHours = parseInt(
-        process.env.REQUIRED_LEARNING_HOURS || "6",
+      const breakMinutes = sessions.reduce(
+        (sum, s) => sum + (s.break_minutes || 0),
+        0,
+      );
+      const requiredHours = await dailyTargetFor(
+        req.user,
+        localToday(req.user),
       );
 
       res.json({
         sessions,
         total_hours: (totalMinutes / 60).toFixed(2),
+        break_hours: (breakMinutes / 60).toFixed(2),
+        break_count: breaks.filter((b) => b.end_time).length,
         required_hours: requiredHours,
         meets_requirement: totalMinutes / 60 >= requiredHours,
         has_active_session: sessions.some((s) => !s.end_time),
+        on_break: breaks.some((b) => !b.end_time),
+        sessions_awaiting_reflection: sessions.filter(
+          (s) => s.requires_reflection,
+        ).length,
       });
     } catch (error) {
       console.error("Today sessions error:", error);
@@ -127,33 +734,36 @@ router.get(
 router.get(
   "/history",
   authenticateToken,
-  authorize("learner", "candidate"),
+  authorize("learning:track"),
   async (req, res) => {
     try {
       const { start_date, end_date, limit = 30 } = req.query;
 
       let query = `
-      SELECT date, 
+      SELECT ls.date, 
              COUNT(*) as session_count,
-             SUM(duration_minutes) as total_minutes,
-             STRING_AGG(reflection_text, ' | ') as reflections
-      FROM learning_sessions
-      WHERE user_id = :userId AND end_time IS NOT NULL
+             SUM(ls.duration_minutes) as total_minutes,
+             SUM(ls.break_minutes) as break_minutes,
+             SUM(COALESCE(b.break_count, 0)) as break_count,
+             STRING_AGG(ls.reflection_text, ' | ') as reflections
+      FROM learning_sessions ls
+      LEFT JOIN (${BREAK_COUNTS_SQL}) b ON b.session_id = ls.id
+      WHERE ls.user_id = :userId AND ls.end_time IS NOT NULL
     `;
 
       const replacements = { userId: req.user.id };
 
       if (start_date) {
-        query += " AND date >= :start_date";
+        query += " AND ls.date >= :start_date";
         replacements.start_date = start_date;
       }
 
       if (end_date) {
-        query += " AND date <= :end_date";
+        query += " AND ls.date <= :end_date";
         replacements.end_date = end_date;
       }
 
-      query += " GROUP BY date ORDER BY date DESC LIMIT :limit";
+      query += " GROUP BY ls.date ORDER BY ls.date DESC LIMIT :limit";
       replacements.limit = parseInt(limit);
 
       const result = await sequelize.query(query, {
@@ -161,17 +771,30 @@ router.get(
         type: QueryTypes.SELECT,
       });
 
-      const history = result.map((row) => ({
-        date: row.date,
-        session_count: parseInt(row.session_count),
-        hours: (row.total_minutes / 60).toFixed(2),
-        meets_requirement:
-          row.total_minutes / 60 >=
-          parseInt(process.env.REQUIRED_LEARNING_HOURS || "6"),
-        reflections: row.reflections
-          ? row.reflections.split(" | ").filter((r) => r)
-          : [],
-      }));
+      // Rows are newest first
+      const targets = result.length
+        ? await loadTargets(
+            [req.user],
+            result[result.length - 1].date,
+            result[0].date,
+          )
+        : null;
+
+      const history = result.map((row) => {
+        const requiredHours = targets.dailyHours(req.user, row.date);
+        return {
+          date: row.date,
+          session_count: parseInt(row.session_count),
+          hours: (row.total_minutes / 60).toFixed(2),
+          break_hours: ((row.break_minutes || 0) / 60).toFixed(2),
+          break_count: parseInt(row.break_count || 0),
+          required_hours: requiredHours,
+          meets_requirement: row.total_minutes / 60 >= requiredHours,
+          reflections: row.reflections
+            ? row.reflections.split(" | ").filter((r) => r)
+            : [],
+        };
+      });
 
       res.json({ history });
     } catch (error) {
@@ -185,37 +808,62 @@ router.get(
 router.get(
   "/weekly-report",
   authenticateToken,
-  authorize("learner", "candidate"),
+  authorize("learning:track"),
   async (req, res) => {
     try {
       const result = await sequelize.query(
         `SELECT 
-         DATE_TRUNC('week', date) as week_start,
-         COUNT(DISTINCT date) as days_logged,
-         SUM(duration_minutes) as total_minutes,
-         AVG(duration_minutes) as avg_minutes_per_session
-       FROM learning_sessions
-       WHERE user_id = :userId 
-         AND end_time IS NOT NULL
-         AND date >= CURRENT_DATE - INTERVAL '8 weeks'
-       GROUP BY week_start
+         DATE_TRUNC('week', ls.date) as week_start,
+         DATE_TRUNC('week', ls.date)::date as week_first_day,
+         COUNT(DISTINCT ls.date) as days_logged,
+         SUM(ls.duration_minutes) as total_minutes,
+         AVG(ls.duration_minutes) as avg_minutes_per_session,
+         SUM(ls.break_minutes) as break_minutes,
+         SUM(COALESCE(b.break_count, 0)) as break_count
+       FROM learning_sessions ls
+       LEFT JOIN (${BREAK_COUNTS_SQL}) b ON b.session_id = ls.id
+       WHERE ls.user_id = :userId 
+         AND ls.end_time IS NOT NULL
+         AND ls.date >= ${localTodaySql()} - INTERVAL '8 weeks'
+       GROUP BY week_start, week_first_day
        ORDER BY week_start DESC`,
-        { replacements: { userId: req.user.id }, type: QueryTypes.SELECT },
+        {
+          replacements: { userId: req.user.id, timezone: zoneOf(req.user) },
+          type: QueryTypes.SELECT,
+        },
       );
 
-      const requiredHours = parseInt(
-        process.env.REQUIRED_LEARNING_HOURS || "6",
-      );
-      const weeklyReport = result.map((row) => ({
-        week_start: row.week_start,
-        days_logged: parseInt(row.days_logged),
-        total_hours: (row.total_minutes / 60).toFixed(2),
-        avg_hours_per_session: (row.avg_minutes_per_session / 60).toFixed(2),
-        compliance_percentage: (
-          (row.total_minutes / 60 / (requiredHours * 5)) *
-          100
-        ).toFixed(1),
-      }));
+      let calendar = null;
+      let targets = null;
+      if (result.length) {
+        const from = result[result.length - 1].week_first_day;
+        const to = addDays(result[0].week_first_day, 6);
+        [calendar, targets] = await Promise.all([
+          loadCalendar([req.user], from, to),
+          loadTargets([req.user], from, to),
+        ]);
+      }
+
+      const weeklyReport = result.map((row) => {
+        const targetHours = targets.weeklyHours(
+          calendar,
+          req.user,
+          row.week_first_day,
+        );
+        return {
+          week_start: row.week_start,
+          days_logged: parseInt(row.days_logged),
+          total_hours: (row.total_minutes / 60).toFixed(2),
+          avg_hours_per_session: (row.avg_minutes_per_session / 60).toFixed(2),
+          break_hours: ((row.break_minutes || 0) / 60).toFixed(2),
+          break_count: parseInt(row.break_count || 0),
+          target_hours: targetHours,
+          compliance_percentage:
+            targetHours > 0
+              ? ((row.total_minutes / 60 / targetHours) * 100).toFixed(1)
+              : "100.0",
+        };
+      });
 
       res.json({ weekly_report: weeklyReport });
     } catch (error) {
@@ -229,45 +877,18 @@ router.get(
 router.get(
   "/streak",
   authenticateToken,
-  authorize("learner", "candidate"),
+  authorize("learning:track"),
   async (req, res) => {
     try {
-      const result = await sequelize.query(
-        `WITH daily_hours AS (
-         SELECT date, SUM(duration_minutes)/60 as hours
-         FROM learning_sessions
-         WHERE user_id = :userId AND end_time IS NOT NULL
-         GROUP BY date
-       ),
-       streak_data AS (
-         SELECT date, hours,
-                date - (ROW_NUMBER() OVER (ORDER BY date))::integer AS grp
-         FROM daily_hours
-         WHERE hours >= :requiredHours
-       )
-       SELECT COUNT(*) as streak_length, MIN(date) as streak_start, MAX(date) as streak_end
-       FROM streak_data
-       WHERE grp = (SELECT MAX(grp) FROM streak_data)
-       GROUP BY grp`,
-        {
-          replacements: {
-            userId: req.user.id,
-            requiredHours: parseInt(process.env.REQUIRED_LEARNING_HOURS || "6"),
-          },
-          type: QueryTypes.SELECT,
-        },
-      );
-
-      const streak = result[0] || {
-        streak_length: 0,
-        streak_start: null,
-        streak_end: null,
-      };
+      const { current, longest, freezes } = await learnerStreaks(req.user);
 
       res.json({
-        current_streak: parseInt(streak.streak_length || 0),
-        streak_start: streak.streak_start,
-        streak_end: streak.streak_end,
+        current_streak: current.length,
+        streak_start: current.start,
+        streak_end: current.end,
+        frozen_dates: current.frozen,
+        longest_streak: serializeStreak(longest),
+        freezes,
       });
     } catch (error) {
       console.error("Streak calculation error:", error);
@@ -276,53 +897,90 @@ router.get(
   },
 );
 
+// Every streak so far, newest first
+router.get(
+  "/streak/history",
+  authenticateToken,
+  authorize("learning:track"),
+  async (req, res) => {
+    try {
+      const { streaks, freezes } = await learnerStreaks(req.user);
+
+      res.json({
+        streaks: streaks.reverse().map((s) => ({
+          ...serializeStreak(s),
+          is_current: s.current,
+        })),
+        freezes,
+      });
+    } catch (error) {
+      console.error("Streak history error:", error);
+      res.status(500).json({ error: "Failed to fetch streak history" });
+    }
+  },
+);
+
 // Supervisor: Get team learning summary
 router.get(
   "/team-summary",
   authenticateToken,
-  authorize("supervisor", "admin"),
+  authorize("learners:view_team", "learners:view_all"),
   async (req, res) => {
     try {
-      const supervisorId = req.user.role === "admin" ? null : req.user.id;
+      const supervisorId = hasPermission(req.user, "learners:view_all")
+        ? null
+        : req.user.id;
 
       let query = `
-      SELECT u.id, u.full_name, u.email, u.archetype,
+      SELECT u.id, u.full_name, u.email, u.role, u.archetype,
+             u.organization_id, u.timezone,
              COUNT(DISTINCT ls.date) as days_logged_this_month,
              SUM(ls.duration_minutes) as total_minutes_this_month,
              MAX(ls.date) as last_active_date
       FROM users u
       LEFT JOIN learning_sessions ls ON u.id = ls.user_id 
         AND ls.end_time IS NOT NULL
-        AND ls.date >= DATE_TRUNC('month', CURRENT_DATE)
+        AND ls.date >= DATE_TRUNC('month', ${localTodaySql("u.timezone")})
       WHERE u.role = 'learner' AND u.is_active = true
+        AND (:organizationId IS NULL OR u.organization_id = :organizationId)
     `;
 
-      const replacements = {};
+      const replacements = { organizationId: req.organizationId };
       if (supervisorId) {
         query += " AND u.supervisor_id = :supervisorId";
         replacements.supervisorId = supervisorId;
       }
 
       query +=
-        " GROUP BY u.id, u.full_name, u.email, u.archetype ORDER BY u.full_name";
+        " GROUP BY u.id, u.full_name, u.email, u.role, u.archetype, u.organization_id, u.timezone ORDER BY u.full_name";
 
       const result = await sequelize.query(query, {
         replacements,
         type: QueryTypes.SELECT,
       });
 
-      const requiredHours = parseInt(
-        process.env.REQUIRED_LEARNING_HOURS || "6",
-      );
-      const workDaysThisMonth = 20;
+      const { calendar, todays, from, to } = await loadMonthToDate(result);
+      const targets = await loadTargets(result, from, to);
 
-      const teamSummary = result.map((row) => {
+      const teamSummary = result.map((row, i) => {
+        const today = todays[i];
         const totalHours = (row.total_minutes_this_month || 0) / 60;
-        const expectedHours = workDaysThisMonth * requiredHours;
-        const compliancePercentage = (
-          (totalHours / expectedHours) *
-          100
-        ).toFixed(1);
+        const workDaysThisMonth = countWorkingDays(
+          calendar,
+          row,
+          monthStart(today),
+          today,
+        );
+        const expectedHours = targets.expectedHours(
+          calendar,
+          row,
+          monthStart(today),
+          today,
+        );
+        const compliancePercentage =
+          expectedHours > 0
+            ? ((totalHours / expectedHours) * 100).toFixed(1)
+            : "100.0";
 
         return {
           id: row.id,
@@ -333,10 +991,8 @@ router.get(
           total_hours: totalHours.toFixed(2),
           compliance_percentage: compliancePercentage,
           last_active: row.last_active_date,
-          is_idle:
-            !row.last_active_date ||
-            new Date() - new Date(row.last_active_date) >
-              3 * 24 * 60 * 60 * 1000,
+          expected_working_days: workDaysThisMonth,
+          is_idle: isIdle(calendar, row, row.last_active_date, today),
         };
       });
 
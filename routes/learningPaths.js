@@ -0,0 +1,567 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const {
+  LearningPath,
+  LearningPathCourse,
+  LearningPathMilestone,
+  PathEnrollment,
+  Course,
+  sequelize,
+} = require("../models");
+const { Op } = require("sequelize");
+const {
+  authenticateToken,
+  authorize,
+  hasPermission,
+} = require("../middleware/auth");
+const { orgScope, targetOrganizationId } = require("../utils/tenancy");
+const { isPermutationOf } = require("../utils/courseStructure");
+const { pathProgressFor } = require("../utils/learningPaths");
+const {
+  advanceLearningPaths,
+  advancePathFollowers,
+} = require("../utils/contentCompletion");
+
+const router = express.Router();
+
+// Learning paths are ordered sets of courses, optionally with milestones.
+// Learners enroll in a whole path and are enrolled in each of its courses
+// in turn as they complete the one before.
+
+const pathValidators = [
+  body("description").optional({ nullable: true }).trim(),
+  body("difficulty")
+    .optional({ nullable: true })
+    .isIn(["beginner", "intermediate", "advanced"]),
+  body("archetype")
+    .optional({ nullable: true })
+    .isIn(["maker", "architect", "strategist", "connector", "explorer"]),
+];
+
+const milestoneValidators = [
+  body("description").optional({ nullable: true }).trim(),
+  body("after_course_id").optional().isInt(),
+];
+
+const findPath = (req, pathId) =>
+  LearningPath.findOne({ where: { id: pathId, ...orgScope(req) } });
+
+// Paths learners can't see yet look like they don't exist
+const findVisiblePath = async (req, pathId) => {
+  const path = await findPath(req, pathId);
+  if (path && !path.is_published && !hasPermission(req.user, "courses:edit")) {
+    return null;
+  }
+  return path;
+};
+
+// ========== PATHS ==========
+
+// List paths (filtered by archetype/difficulty); learners only see
+// published ones
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const { archetype, difficulty, is_published } = req.query;
+
+    const where = orgScope(req);
+    if (!hasPermission(req.user, "courses:edit")) {
+      where.is_published = true;
+    } else if (is_published !== undefined) {
+      where.is_published = is_published === "true";
+    }
+    if (archetype) where.archetype = archetype;
+    if (difficulty) where.difficulty = difficulty;
+
+    const paths = await LearningPath.findAll({
+      where,
+      attributes: {
+        include: [
+          [
+            sequelize.literal(
+              '(SELECT COUNT(*) FROM learning_path_courses lpc WHERE lpc.path_id = "LearningPath".id)',
+            ),
+            "course_count",
+          ],
+          [
+            sequelize.literal(
+              '(SELECT COUNT(*) FROM path_enrollments pe WHERE pe.path_id = "LearningPath".id)',
+            ),
+            "enrolled_count",
+          ],
+        ],
+      },
+      order: [["created_at", "DESC"]],
+    });
+
+    res.json({ paths });
+  } catch (error) {
+    console.error("Learning paths fetch error:", error);
+    res.status(500).json({ error: "Failed to fetch learning paths" });
+  }
+});
+
+// Paths the caller follows, with their progress
+router.get(
+  "/my",
+  authenticateToken,
+  authorize("courses:enroll"),
+  async (req, res) => {
+    try {
+      res.json({ paths: await pathProgressFor(req.user.id) });
+    } catch (error) {
+      console.error("My learning paths error:", error);
+      res.status(500).json({ error: "Failed to fetch learning paths" });
+    }
+  },
+);
+
+// A path with its courses in order, its milestones and, if the caller
+// follows it, their progress
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const path = await findVisiblePath(req, req.params.id);
+    if (!path) {
+      return res.status(404).json({ error: "Learning path not found" });
+    }
+
+    const [pathCourses, milestones, progress] = await Promise.all([
+      LearningPathCourse.findAll({
+        where: { path_id: path.id },
+        include: [
+          {
+            model: Course,
+            attributes: [
+              "id",
+              "title",
+              "description",
+              "difficulty",
+              "archetype",
+              "estimated_hours",
+              "is_published",
+            ],
+          },
+        ],
+        order: [
+          ["order_index", "ASC"],
+          ["id", "ASC"],
+        ],
+      }),
+      LearningPathMilestone.findAll({
+        where: { path_id: path.id },
+        order: [["id", "ASC"]],
+      }),
+      pathProgressFor(req.user.id, path.id),
+    ]);
+
+    res.json({
+      path,
+      courses: pathCourses.map((pc) => pc.Course),
+      milestones,
+      progress: progress[0] || null,
+    });
+  } catch (error) {
+    console.error("Learning path detail error:", error);
+    res.status(500).json({ error: "Failed to fetch learning path" });
+  }
+});
+
+// Create a path, optionally with its courses (course_ids, in order)
+router.post(
+  "/",
+  authenticateToken,
+  authorize("courses:edit"),
+  [
+    body("title").trim().notEmpty(),
+    ...pathValidators,
+    body("course_ids").optional().isArray(),
+    body("course_ids.*").isInt(),
+  ],
+  async (req, res) => {
+    const t = await sequelize.transaction();
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await t.rollback();
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const organizationId = targetOrganizationId(req);
+      const courseIds = (req.body.course_ids || []).map(Number);
+      const courses = await Course.findAll({
+        where: { id: courseIds, organization_id: organizationId },
+        attributes: ["id"],
+        transaction: t,
+      });
+      if (!isPermutationOf(courseIds, courses)) {
+        await t.rollback();
+        return res.status(400).json({
+          error: "course_ids must list courses of the organization, each once",
+        });
+      }
+
+      const { title, description, difficulty, archetype } = req.body;
+      const path = await LearningPath.create(
+        {
+          organization_id: organizationId,
+          title,
+          description: description || null,
+          difficulty: difficulty || null,
+          archetype: archetype || null,
+          created_by: req.user.id,
+        },
+        { transaction: t },
+      );
+      await LearningPathCourse.bulkCreate(
+        courseIds.map((courseId, index) => ({
+          path_id: path.id,
+          course_id: courseId,
+          order_index: index,
+        })),
+        { transaction: t },
+      );
+
+      await t.commit();
+
+      res
+        .status(201)
+        .json({ message: "Learning path created successfully", path });
+    } catch (error) {
+      await t.rollback();
+      console.error("Create learning path error:", error);
+      res.status(500).json({ error: "Failed to create learning path" });
+    }
+  },
+);
+
+// Update a path; publishing needs courses:publish, other changes
+// courses:edit
+router.put(
+  "/:id",
+  authenticateToken,
+  authorize("courses:edit", "courses:publish"),
+  [
+    body("title").optional().trim().notEmpty(),
+    ...pathValidators,
+    body("is_published").optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const path = await findPath(req, req.params.id);
+      if (!path) {
+        return res.status(404).json({ error: "Learning path not found" });
+      }
+
+      const { title, description, difficulty, archetype, is_published } =
+        req.body;
+      const changesPublishState =
+        is_published !== undefined && is_published !== path.is_published;
+      const changesContent = [title, description, difficulty, archetype].some(
+        (value) => value !== undefined,
+      );
+
+      if (changesPublishState && !hasPermission(req.user, "courses:publish")) {
+        return res.status(403).json({
+          error: "Insufficient permissions to publish learning paths",
+        });
+      }
+      if (changesContent && !hasPermission(req.user, "courses:edit")) {
+        return res
+          .status(403)
+          .json({ error: "Insufficient permissions to edit learning paths" });
+      }
+
+      await path.update({
+        title: title ?? path.title,
+        description: description === undefined ? path.description : description,
+        difficulty: difficulty === undefined ? path.difficulty : difficulty,
+        archetype: archetype === undefined ? path.archetype : archetype,
+        is_published: is_published ?? path.is_published,
+      });
+
+      res.json({ message: "Learning path updated successfully", path });
+    } catch (error) {
+      console.error("Update learning path error:", error);
+      res.status(500).json({ error: "Failed to update learning path" });
+    }
+  },
+);
+
+// Delete a path; learners keep their course enrollments
+router.delete(
+  "/:id",
+  authenticateToken,
+  authorize("courses:delete"),
+  async (req, res) => {
+    try {
+      const deleted = await LearningPath.destroy({
+        where: { id: req.params.id, ...orgScope(req) },
+      });
+      if (!deleted) {
+        return res.status(404).json({ error: "Learning path not found" });
+      }
+
+      res.json({ message: "Learning path deleted successfully" });
+    } catch (error) {
+      console.error("Delete learning path error:", error);
+      res.status(500).json({ error: "Failed to delete learning path" });
+    }
+  },
+);
+
+// Replace a path's courses with course_ids, in order. Milestones after a
+// course that is removed are deleted with it.
+router.put(
+  "/:id/courses",
+  authenticateToken,
+  authorize("courses:edit"),
+  [body("course_ids").isArray(), body("course_ids.*").isInt()],
+  async (req, res) => {
+    const t = await sequelize.transaction();
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await t.rollback();
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const path = await findPath(req, req.params.id);
+      if (!path) {
+        await t.rollback();
+        return res.status(404).json({ error: "Learning path not found" });
+      }
+
+      const courseIds = req.body.course_ids.map(Number);
+      const courses = await Course.findAll({
+        where: { id: courseIds, organization_id: path.organization_id },
+        attributes: ["id"],
+        transaction: t,
+      });
+      if (!isPermutationOf(courseIds, courses)) {
+        await t.rollback();
+        return res.status(400).json({
+          error: "course_ids must list courses of the organization, each once",
+        });
+      }
+
+      await LearningPathCourse.destroy({
+        where: { path_id: path.id },
+        transaction: t,
+      });
+      await LearningPathCourse.bulkCreate(
+        courseIds.map((courseId, index) => ({
+          path_id: path.id,
+          course_id: courseId,
+          order_index: index,
+        })),
+        { transaction: t },
+      );
+      await LearningPathMilestone.destroy({
+        where: {
+          path_id: path.id,
+          ...(courseIds.length > 0
+            ? { after_course_id: { [Op.notIn]: courseIds } }
+            : {}),
+        },
+        transaction: t,
+      });
+      await t.commit();
+
+      // The new courses are saved either way, so a failure here is only
+      // logged
+      try {
+        await advancePathFollowers([path.id]);
+      } catch (error) {
+        console.error("Advance path followers error:", error);
+      }
+
+      res.json({ message: "Learning path courses updated successfully" });
+    } catch (error) {
+      await t.rollback();
+      console.error("Update learning path courses error:", error);
+      res.status(500).json({ error: "Failed to update learning path courses" });
+    }
+  },
+);
+
+// ========== MILESTONES ==========
+
+// Add a milestone, reached on completing after_course_id and every course
+// before it
+router.post(
+  "/:id/milestones",
+  authenticateToken,
+  authorize("courses:edit"),
+  [
+    body("title").trim().notEmpty(),
+    body("after_course_id").isInt(),
+    ...milestoneValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const path = await findPath(req, req.params.id);
+      if (!path) {
+        return res.status(404).json({ error: "Learning path not found" });
+      }
+
+      const { title, description, after_course_id } = req.body;
+      const inPath = await LearningPathCourse.count({
+        where: { path_id: path.id, course_id: after_course_id },
+      });
+      if (!inPath) {
+        return res
+          .status(400)
+          .json({ error: "after_course_id must be a course of the path" });
+      }
+
+      const milestone = await LearningPathMilestone.create({
+        path_id: path.id,
+        after_course_id,
+        title,
+        description: description || null,
+      });
+
+      res
+        .status(201)
+        .json({ message: "Milestone created successfully", milestone });
+    } catch (error) {
+      console.error("Create milestone error:", error);
+      res.status(500).json({ error: "Failed to create milestone" });
+    }
+  },
+);
+
+// Update a milestone
+router.put(
+  "/:id/milestones/:milestoneId",
+  authenticateToken,
+  authorize("courses:edit"),
+  [body("title").optional().trim().notEmpty(), ...milestoneValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const path = await findPath(req, req.params.id);
+      const milestone =
+        path &&
+        (await LearningPathMilestone.findOne({
+          where: { id: req.params.milestoneId, path_id: path.id },
+        }));
+      if (!milestone) {
+        return res.status(404).json({ error: "Milestone not found" });
+      }
+
+      const { title, description, after_course_id } = req.body;
+      if (after_course_id !== undefined) {
+        const inPath = await LearningPathCourse.count({
+          where: { path_id: path.id, course_id: after_course_id },
+        });
+        if (!inPath) {
+          return res
+            .status(400)
+            .json({ error: "after_course_id must be a course of the path" });
+        }
+      }
+
+      await milestone.update({
+        title: title ?? milestone.title,
+        description:
+          description === undefined ? milestone.description : description,
+        after_course_id: after_course_id ?? milestone.after_course_id,
+      });
+
+      res.json({ message: "Milestone updated successfully", milestone });
+    } catch (error) {
+      console.error("Update milestone error:", error);
+      res.status(500).json({ error: "Failed to update milestone" });
+    }
+  },
+);
+
+// Delete a milestone
+router.delete(
+  "/:id/milestones/:milestoneId",
+  authenticateToken,
+  authorize("courses:edit"),
+  async (req, res) => {
+    try {
+      const path = await findPath(req, req.params.id);
+      const deleted =
+        path &&
+        (await LearningPathMilestone.destroy({
+          where: { id: req.params.milestoneId, path_id: path.id },
+        }));
+      if (!deleted) {
+        return res.status(404).json({ error: "Milestone not found" });
+      }
+
+      res.json({ message: "Milestone deleted successfully" });
+    } catch (error) {
+      console.error("Delete milestone error:", error);
+      res.status(500).json({ error: "Failed to delete milestone" });
+    }
+  },
+);
+
+// ========== ENROLLMENT ==========
+
+// Enroll in a path, and in its first course not yet completed
+router.post(
+  "/:id/enroll",
+  authenticateToken,
+  authorize("courses:enroll"),
+  async (req, res) => {
+    try {
+      const path = await findPath(req, req.params.id);
+      if (!path) {
+        return res.status(404).json({ error: "Learning path not found" });
+      }
+      if (!path.is_published) {
+        return res
+          .status(403)
+          .json({ error: "Learning path is not available for enrollment" });
+      }
+
+      const courseCount = await LearningPathCourse.count({
+        where: { path_id: path.id },
+      });
+      if (courseCount === 0) {
+        return res.status(400).json({ error: "Learning path has no courses" });
+      }
+
+      const [, created] = await PathEnrollment.findOrCreate({
+        where: { user_id: req.user.id, path_id: path.id },
+      });
+      if (!created) {
+        return res
+          .status(400)
+          .json({ error: "Already enrolled in this learning path" });
+      }
+
+      await advanceLearningPaths(req.user.id, path.id);
+      const [progress] = await pathProgressFor(req.user.id, path.id);
+
+      res.status(201).json({
+        message: "Enrolled in learning path successfully",
+        progress,
+      });
+    } catch (error) {
+      console.error("Learning path enrollment error:", error);
+      res.status(500).json({ error: "Failed to enroll in learning path" });
+    }
+  },
+);
+
+module.exports = router;
@@ -10,6 +10,7 @@ const {
 } = require("../models");
 const { authenticateToken, authorize } = require("../middleware/auth");
 const { Op, QueryTypes } = require("sequelize");
+const { orgScope } = require("../utils/tenancy");
 
 const router = express.Router();
 
@@ -31,7 +32,8 @@ router.post(
 
       const { receiver_id, message_text, course_id } = req.body;
 
-      const receiver = await User.findByPk(receiver_id, {
+      const receiver = await User.findOne({
+        where: { id: receiver_id, ...orgScope(req) },
         attributes: ["id", "full_name"],
       });
       if (!receiver) {
@@ -159,6 +161,14 @@ router.post(
         return res.status(400).json({ error: "Cannot send kudos to yourself" });
       }
 
+      const recipient = await User.findOne({
+        where: { id: to_user_id, ...orgScope(req) },
+        attributes: ["id"],
+      });
+      if (!recipient) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
       const kudos = await Kudos.create({
         from_user_id: req.user.id,
         to_user_id,
@@ -243,7 +253,7 @@ router.get("/kudos/given", authenticateToken, async (req, res) => {
 router.post(
   "/journal",
   authenticateToken,
-  authorize("learner"),
+  authorize("journal:write"),
   [
     body("entry_text").trim().notEmpty(),
     body("entry_date").optional().isDate(),
@@ -289,7 +299,7 @@ router.post(
 router.get(
   "/journal",
   authenticateToken,
-  authorize("learner"),
+  authorize("journal:write"),
   async (req, res) => {
     try {
       const { start_date, end_date, limit = 30 } = req.query;
@@ -0,0 +1,324 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+const { Organization, Holiday, sequelize } = require("../models");
+const { authenticateToken, authorize } = require("../middleware/auth");
+const { getAppName, getRequiredHours } = require("../utils/tenancy");
+const { refreshStreaksOf } = require("../utils/streaks");
+
+const router = express.Router();
+
+// Keys accepted in organization settings
+const settingsValidators = [
+  body("settings").optional().isObject(),
+  body("settings.app_name").optional({ nullable: true }).isString().trim(),
+  body("settings.required_learning_hours")
+    .optional({ nullable: true })
+    .isFloat({ min: 0.5, max: 24 }),
+];
+
+// Merge submitted settings over the current ones; null removes a key so the
+// platform default applies again
+const mergeSettings = (current, submitted) => {
+  const settings = { ...current };
+  for (const key of ["app_name", "required_learning_hours"]) {
+    if (submitted[key] === undefined) continue;
+    if (submitted[key] === null || submitted[key] === "") {
+      delete settings[key];
+    } else {
+      settings[key] =
+        key === "required_learning_hours"
+          ? Number(submitted[key])
+          : submitted[key];
+    }
+  }
+  return settings;
+};
+
+// ========== CURRENT ORGANIZATION ==========
+
+// Get the caller's organization and effective settings
+router.get("/current", authenticateToken, async (req, res) => {
+  if (!req.organization) {
+    return res.status(404).json({ error: "Organization not found" });
+  }
+
+  res.json({
+    organization: {
+      id: req.organization.id,
+      name: req.organization.name,
+      slug: req.organization.slug,
+      settings: req.organization.settings,
+    },
+    effective_settings: {
+      app_name: getAppName(req.organization),
+      required_learning_hours: getRequiredHours(req),
+    },
+  });
+});
+
+// Update the caller's organization settings
+router.put(
+  "/current",
+  authenticateToken,
+  authorize("organizations:settings"),
+  [body("name").optional().trim().notEmpty(), ...settingsValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!req.organizationId) {
+        return res.status(400).json({
+          error: "Select an organization with the X-Organization-Id header",
+        });
+      }
+
+      const organization = await Organization.findByPk(req.organizationId);
+      const { name, settings } = req.body;
+
+      await organization.update({
+        name: name || organization.name,
+        settings: settings
+          ? mergeSettings(organization.settings, settings)
+          : organization.settings,
+      });
+      if (settings) {
+        await refreshStreaksOf({ organization_id: organization.id });
+      }
+
+      res.json({
+        message: "Organization updated successfully",
+        organization,
+      });
+    } catch (error) {
+      console.error("Update organization settings error:", error);
+      res.status(500).json({ error: "Failed to update organization" });
+    }
+  },
+);
+
+// ========== HOLIDAYS ==========
+
+// Holidays of the caller's organization, optionally for one year
+router.get("/current/holidays", authenticateToken, async (req, res) => {
+  try {
+    if (!req.organizationId) {
+      return res.status(400).json({
+        error: "Select an organization with the X-Organization-Id header",
+      });
+    }
+
+    const where = { organization_id: req.organizationId };
+    const year = parseInt(req.query.year);
+    if (year) {
+      where.date = { [Op.between]: [`${year}-01-01`, `${year}-12-31`] };
+    }
+
+    const holidays = await Holiday.findAll({
+      where,
+      attributes: ["id", "date", "name"],
+      order: [["date", "ASC"]],
+    });
+
+    res.json({ holidays });
+  } catch (error) {
+    console.error("Fetch holidays error:", error);
+    res.status(500).json({ error: "Failed to fetch holidays" });
+  }
+});
+
+// Add a holiday; nobody in the organization is expected to learn that day
+router.post(
+  "/current/holidays",
+  authenticateToken,
+  authorize("organizations:settings"),
+  [body("date").isISO8601({ strict: true }), body("name").trim().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!req.organizationId) {
+        return res.status(400).json({
+          error: "Select an organization with the X-Organization-Id header",
+        });
+      }
+
+      const holiday = await Holiday.create({
+        organization_id: req.organizationId,
+        date: req.body.date.slice(0, 10),
+        name: req.body.name,
+        created_by: req.user.id,
+      });
+      await refreshStreaksOf({ organization_id: req.organizationId });
+
+      res.status(201).json({ message: "Holiday added successfully", holiday });
+    } catch (error) {
+      if (error.name === "SequelizeUniqueConstraintError") {
+        return res
+          .status(409)
+          .json({ error: "A holiday already exists on that date" });
+      }
+      console.error("Create holiday error:", error);
+      res.status(500).json({ error: "Failed to add holiday" });
+    }
+  },
+);
+
+// Remove a holiday
+router.delete(
+  "/current/holidays/:holidayId",
+  authenticateToken,
+  authorize("organizations:settings"),
+  async (req, res) => {
+    try {
+      const deleted = await Holiday.destroy({
+        where: {
+          id: req.params.holidayId,
+          organization_id: req.organizationId || null,
+        },
+      });
+      if (!deleted) {
+        return res.status(404).json({ error: "Holiday not found" });
+      }
+      await refreshStreaksOf({ organization_id: req.organizationId });
+
+      res.json({ message: "Holiday removed successfully" });
+    } catch (error) {
+      console.error("Delete holiday error:", error);
+      res.status(500).json({ error: "Failed to remove holiday" });
+    }
+  },
+);
+
+// ========== TENANT MANAGEMENT (SUPER ADMIN) ==========
+
+// List organizations with member counts
+router.get(
+  "/",
+  authenticateToken,
+  authorize("organizations:manage"),
+  async (req, res) => {
+    try {
+      const organizations = await Organization.findAll({
+        attributes: {
+          include: [
+            [
+              sequelize.literal(
+                '(SELECT COUNT(*) FROM users u WHERE u.organization_id = "Organization".id)',
+              ),
+              "user_count",
+            ],
+          ],
+        },
+        order: [["name", "ASC"]],
+      });
+
+      res.json({ organizations });
+    } catch (error) {
+      console.error("Fetch organizations error:", error);
+      res.status(500).json({ error: "Failed to fetch organizations" });
+    }
+  },
+);
+
+// Create organization
+router.post(
+  "/",
+  authenticateToken,
+  authorize("organizations:manage"),
+  [
+    body("name").trim().notEmpty(),
+    body("slug")
+      .trim()
+      .matches(/^[a-z0-9][a-z0-9-]*$/)
+      .withMessage("Use lowercase letters, numbers and hyphens"),
+    ...settingsValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, slug, settings } = req.body;
+
+      const organization = await Organization.create({
+        name,
+        slug,
+        settings: mergeSettings({}, settings || {}),
+      });
+
+      res.status(201).json({
+        message: "Organization created successfully",
+        organization,
+      });
+    } catch (error) {
+      if (error.name === "SequelizeUniqueConstraintError") {
+        return res.status(409).json({ error: "Slug already in use" });
+      }
+      console.error("Create organization error:", error);
+      res.status(500).json({ error: "Failed to create organization" });
+    }
+  },
+);
+
+// Update organization name, settings or active state
+router.put(
+  "/:id",
+  authenticateToken,
+  authorize("organizations:manage"),
+  [
+    body("name").optional().trim().notEmpty(),
+    body("is_active").optional().isBoolean(),
+    ...settingsValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const organization = await Organization.findByPk(req.params.id);
+      if (!organization) {
+        return res.status(404).json({ error: "Organization not found" });
+      }
+
+      const { name, settings, is_active } = req.body;
+
+      if (is_active === false && organization.id === req.user.organization_id) {
+        return res
+          .status(400)
+          .json({ error: "You cannot deactivate your own organization" });
+      }
+
+      await organization.update({
+        name: name || organization.name,
+        settings: settings
+          ? mergeSettings(organization.settings, settings)
+          : organization.settings,
+        is_active: is_active ?? organization.is_active,
+      });
+      if (settings) {
+        await refreshStreaksOf({ organization_id: organization.id });
+      }
+
+      res.json({
+        message: "Organization updated successfully",
+        organization,
+      });
+    } catch (error) {
+      console.error("Update organization error:", error);
+      res.status(500).json({ error: "Failed to update organization" });
+    }
+  },
+);
+
+module.exports = router;
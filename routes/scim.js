@@ -0,0 +1,804 @@
+const express = require("express");
+const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const { User, Role, ScimGroup } = require("../models");
+const {
+  authenticateToken,
+  authorize,
+  hasPermission,
+} = require("../middleware/auth");
+const { revokeAllSessions } = require("../utils/tokens");
+const { recordAudit } = require("../utils/audit");
+const { targetOrganizationId } = require("../utils/tenancy");
+const {
+  SCHEMAS,
+  ARCHETYPES,
+  ScimError,
+  sendScim,
+  sendScimError,
+  userToScim,
+  groupToScim,
+  listResponse,
+  pagination,
+  parseFilter,
+  scimToUserFields,
+  isMember,
+  patchToResource,
+  groupMappingFor,
+  memberIds,
+  memberIdFromPath,
+} = require("../utils/scim");
+
+// SCIM 2.0 service for HR/identity systems. Clients authenticate with an
+// API key (usually a service account's) holding users:provision; every
+// resource belongs to the key owner's organization.
+const router = express.Router();
+
+// Role given to provisioned users and to users removed from a role group
+const DEFAULT_ROLE = process.env.SCIM_DEFAULT_ROLE || "learner";
+
+const CROSS_TENANT_PERMISSIONS = ["organizations:manage", "organizations:all"];
+
+const USER_FILTERS = {
+  userName: "email",
+  "emails.value": "email",
+  externalId: "scim_external_id",
+};
+const GROUP_FILTERS = {
+  displayName: "display_name",
+  externalId: "external_id",
+};
+
+const handleError = (res, error, label) => {
+  if (error instanceof ScimError) {
+    return sendScimError(res, error);
+  }
+  if (error.name === "SequelizeUniqueConstraintError") {
+    return sendScimError(
+      res,
+      new ScimError(409, "Resource already exists", "uniqueness"),
+    );
+  }
+  if (error.name === "SequelizeValidationError") {
+    return sendScimError(
+      res,
+      new ScimError(
+        400,
+        error.errors.map((e) => e.message).join("; "),
+        "invalidValue",
+      ),
+    );
+  }
+  console.error(`SCIM ${label} error:`, error);
+  sendScimError(res, new ScimError(500, `Failed to ${label}`));
+};
+
+const findUser = async (req, id) => {
+  const user = await User.findOne({
+    where: {
+      id: parseInt(id) || 0,
+      organization_id: targetOrganizationId(req),
+      is_service_account: false,
+    },
+  });
+  if (!user) {
+    throw new ScimError(404, `User ${id} not found`);
+  }
+  return user;
+};
+
+const findGroup = async (req, id) => {
+  const group = await ScimGroup.findOne({
+    where: {
+      id: parseInt(id) || 0,
+      organization_id: targetOrganizationId(req),
+    },
+  });
+  if (!group) {
+    throw new ScimError(404, `Group ${id} not found`);
+  }
+  return group;
+};
+
+const groupMembers = (group) =>
+  User.findAll({
+    where: {
+      organization_id: group.organization_id,
+      is_service_account: false,
+      ...(group.role ? { role: group.role } : {}),
+      ...(group.archetype ? { archetype: group.archetype } : {}),
+    },
+    attributes: ["id", "full_name", "role", "archetype"],
+    order: [["id", "ASC"]],
+  });
+
+const organizationGroups = (req) =>
+  ScimGroup.findAll({
+    where: { organization_id: targetOrganizationId(req) },
+    order: [["id", "ASC"]],
+  });
+
+// Roles usable in the caller's organization, excluding ones granting
+// cross-tenant access the caller lacks
+const assignableRoleNames = async (req) => {
+  const roles = await Role.findAll({
+    where: {
+      organization_id: { [Op.or]: [null, targetOrganizationId(req)] },
+    },
+    attributes: ["name", "permissions"],
+  });
+  return roles
+    .filter(
+      (r) =>
+        !r.permissions.some(
+          (p) =>
+            CROSS_TENANT_PERMISSIONS.includes(p) && !hasPermission(req.user, p),
+        ),
+    )
+    .map((r) => r.name);
+};
+
+const validateGroupMapping = async (req, mapping) => {
+  if (
+    mapping.role &&
+    !(await assignableRoleNames(req)).includes(mapping.role)
+  ) {
+    throw new ScimError(400, `Unknown role ${mapping.role}`, "invalidValue");
+  }
+  if (mapping.archetype && !ARCHETYPES.includes(mapping.archetype)) {
+    throw new ScimError(
+      400,
+      `Unknown archetype ${mapping.archetype}`,
+      "invalidValue",
+    );
+  }
+};
+
+// Apply column changes to a user and record what changed. Deactivation
+// ends the user's sessions.
+const applyUserChanges = async (req, user, fields, action, details = {}) => {
+  const changes = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (user[field] !== value) {
+      changes[field] = { from: user[field], to: value };
+    }
+  }
+  if (Object.keys(changes).length === 0) return user;
+
+  if (changes.email) {
+    const existing = await User.findOne({
+      where: { email: fields.email, id: { [Op.ne]: user.id } },
+      attributes: ["id"],
+    });
+    if (existing) {
+      throw new ScimError(409, "userName is already in use", "uniqueness");
+    }
+  }
+
+  if (changes.supervisor_id && fields.supervisor_id !== null) {
+    const supervisor = await User.findOne({
+      where: {
+        id: Number.isInteger(fields.supervisor_id) ? fields.supervisor_id : 0,
+        organization_id: user.organization_id,
+      },
+      attributes: ["id"],
+    });
+    if (!supervisor || supervisor.id === user.id) {
+      throw new ScimError(400, "Manager not found", "invalidValue");
+    }
+  }
+
+  await user.update(fields);
+
+  if (changes.is_active && !user.is_active) {
+    await revokeAllSessions(user.id);
+  }
+
+  await recordAudit({
+    action,
+    actorId: req.user.id,
+    userId: user.id,
+    organizationId: user.organization_id,
+    req,
+    details: { ...details, changes },
+  });
+
+  return user;
+};
+
+const addMember = async (req, group, userId) => {
+  const user = await findUser(req, userId);
+  await applyUserChanges(
+    req,
+    user,
+    {
+      ...(group.role ? { role: group.role } : {}),
+      ...(group.archetype ? { archetype: group.archetype } : {}),
+    },
+    "scim.group_member_added",
+    { group_id: group.id },
+  );
+};
+
+const removeMember = async (req, group, userId) => {
+  const user = await findUser(req, userId);
+  if (!isMember(group, user)) return;
+  await applyUserChanges(
+    req,
+    user,
+    {
+      ...(group.role && group.role !== DEFAULT_ROLE
+        ? { role: DEFAULT_ROLE }
+        : {}),
+      ...(group.archetype ? { archetype: null } : {}),
+    },
+    "scim.group_member_removed",
+    { group_id: group.id },
+  );
+};
+
+const replaceMembers = async (req, group, ids) => {
+  const current = await groupMembers(group);
+  for (const member of current) {
+    if (!ids.includes(member.id)) await removeMember(req, group, member.id);
+  }
+  for (const id of ids) {
+    if (!current.some((m) => m.id === id)) await addMember(req, group, id);
+  }
+};
+
+// Update display name, external id and mapping of a group, recording the
+// change
+const updateGroup = async (req, group, resource) => {
+  const fields = {};
+  if (resource.displayName) fields.display_name = resource.displayName;
+  if (Object.prototype.hasOwnProperty.call(resource, "externalId")) {
+    fields.external_id = resource.externalId || null;
+  }
+  const mapping = resource[SCHEMAS.groupMapping];
+  if (mapping && (mapping.role || mapping.archetype)) {
+    await validateGroupMapping(req, mapping);
+    fields.role = mapping.role || null;
+    fields.archetype = mapping.archetype || null;
+  }
+
+  const changes = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (group[field] !== value) {
+      changes[field] = { from: group[field], to: value };
+    }
+  }
+  if (Object.keys(changes).length === 0) return;
+
+  await group.update(fields);
+  await recordAudit({
+    action: "scim.group_updated",
+    actorId: req.user.id,
+    organizationId: group.organization_id,
+    req,
+    details: { group_id: group.id, changes },
+  });
+};
+
+// ========== DISCOVERY ==========
+
+router.get(
+  "/ServiceProviderConfig",
+  authenticateToken,
+  authorize("users:provision"),
+  (req, res) => {
+    sendScim(res, 200, {
+      schemas: ["urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig"],
+      patch: { supported: true },
+      bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+      filter: { supported: true, maxResults: 200 },
+      changePassword: { supported: false },
+      sort: { supported: false },
+      etag: { supported: false },
+      authenticationSchemes: [
+        {
+          type: "oauthbearertoken",
+          name: "API key",
+          description: "Bearer API key holding users:provision",
+        },
+      ],
+    });
+  },
+);
+
+router.get(
+  "/ResourceTypes",
+  authenticateToken,
+  authorize("users:provision"),
+  (req, res) => {
+    const resources = [
+      {
+        schemas: ["urn:ietf:params:scim:schemas:core:2.0:ResourceType"],
+        id: "User",
+        name: "User",
+        endpoint: "/Users",
+        schema: SCHEMAS.user,
+        schemaExtensions: [{ schema: SCHEMAS.enterpriseUser, required: false }],
+      },
+      {
+        schemas: ["urn:ietf:params:scim:schemas:core:2.0:ResourceType"],
+        id: "Group",
+        name: "Group",
+        endpoint: "/Groups",
+        schema: SCHEMAS.group,
+        schemaExtensions: [{ schema: SCHEMAS.groupMapping, required: false }],
+      },
+    ];
+    sendScim(res, 200, listResponse(resources, resources.length, 1));
+  },
+);
+
+// ========== USERS ==========
+
+router.get(
+  "/Users",
+  authenticateToken,
+  authorize("users:provision"),
+  async (req, res) => {
+    try {
+      const filter = parseFilter(req.query.filter, USER_FILTERS);
+      const { startIndex, count, offset } = pagination(req.query);
+
+      const where = {
+        organization_id: targetOrganizationId(req),
+        is_service_account: false,
+      };
+      if (filter) {
+        where[filter.field] =
+          filter.field === "email" ? filter.value.toLowerCase() : filter.value;
+      }
+
+      const { rows, count: total } = await User.findAndCountAll({
+        where,
+        order: [["id", "ASC"]],
+        offset,
+        limit: count,
+      });
+      const groups = await organizationGroups(req);
+
+      sendScim(
+        res,
+        200,
+        listResponse(
+          rows.map((u) =>
+            userToScim(
+              req,
+              u,
+              groups.filter((g) => isMember(g, u)),
+            ),
+          ),
+          total,
+          startIndex,
+        ),
+      );
+    } catch (error) {
+      handleError(res, error, "list users");
+    }
+  },
+);
+
+router.get(
+  "/Users/:id",
+  authenticateToken,
+  authorize("users:provision"),
+  async (req, res) => {
+    try {
+      const user = await findUser(req, req.params.id);
+      const groups = await organizationGroups(req);
+      sendScim(
+        res,
+        200,
+        userToScim(
+          req,
+          user,
+          groups.filter((g) => isMember(g, user)),
+        ),
+      );
+    } catch (error) {
+      handleError(res, error, "fetch user");
+    }
+  },
+);
+
+router.post(
+  "/Users",
+  authenticateToken,
+  authorize("users:provision"),
+  async (req, res) => {
+    try {
+      const fields = scimToUserFields(req.body || {});
+      if (!fields.email) {
+        throw new ScimError(400, "userName is required", "invalidValue");
+      }
+
+      const existing = await User.findOne({
+        where: { email: fields.email },
+        attributes: ["id"],
+      });
+      if (existing) {
+        throw new ScimError(409, "userName is already in use", "uniqueness");
+      }
+
+      const organizationId = targetOrganizationId(req);
+      if (fields.supervisor_id !== undefined && fields.supervisor_id !== null) {
+        const supervisor = await User.findOne({
+          where: {
+            id: Number.isInteger(fields.supervisor_id)
+              ? fields.supervisor_id
+              : 0,
+            organization_id: organizationId,
+          },
+          attributes: ["id"],
+        });
+        if (!supervisor) {
+          throw new ScimError(400, "Manager not found", "invalidValue");
+        }
+      }
+
+      // Provisioned users sign in through SSO or a password reset
+      const password_hash = await bcrypt.hash(
+        crypto.randomBytes(32).toString("hex"),
+        10,
+      );
+
+      const user = await User.create({
+        full_name: fields.email,
+        ...fields,
+        password_hash,
+        role: DEFAULT_ROLE,
+        organization_id: organizationId,
+        email_verified: true,
+      });
+
+      await recordAudit({
+        action: "scim.user_created",
+        actorId: req.user.id,
+        userId: user.id,
+        organizationId,
+        req,
+        details: { fields },
+      });
+
+      const groups = await organizationGroups(req);
+      res.location(userToScim(req, user).meta.location);
+      sendScim(
+        res,
+        201,
+        userToScim(
+          req,
+          user,
+          groups.filter((g) => isMember(g, user)),
+        ),
+      );
+    } catch (error) {
+      handleError(res, error, "create user");
+    }
+  },
+);
+
+// Replace a user. The manager is only changed when the enterprise
+// extension is present, so supervisors assigned by hand survive clients
+// that don't send it.
+router.put(
+  "/Users/:id",
+  authenticateToken,
+  authorize("users:provision"),
+  async (req, res) => {
+    try {
+      const user = await findUser(req, req.params.id);
+      const fields = {
+        scim_external_id: null,
+        phone_number: null,
+        is_active: true,
+        ...scimToUserFields(req.body || {}, user.full_name),
+      };
+      if (!fields.email) {
+        throw new ScimError(400, "userName is required", "invalidValue");
+      }
+
+      await applyUserChanges(req, user, fields, "scim.user_updated");
+
+      const groups = await organizationGroups(req);
+      sendScim(
+        res,
+        200,
+        userToScim(
+          req,
+          user,
+          groups.filter((g) => isMember(g, user)),
+        ),
+      );
+    } catch (error) {
+      handleError(res, error, "replace user");
+    }
+  },
+);
+
+router.patch(
+  "/Users/:id",
+  authenticateToken,
+  authorize("users:provision"),
+  async (req, res) => {
+    try {
+      const user = await findUser(req, req.params.id);
+      const resource = patchToResource(req.body);
+      const fields = scimToUserFields(resource, user.full_name);
+
+      await applyUserChanges(
+        req,
+        user,
+        fields,
+        fields.is_active === false && user.is_active
+          ? "scim.user_deactivated"
+          : "scim.user_updated",
+      );
+
+      const groups = await organizationGroups(req);
+      sendScim(
+        res,
+        200,
+        userToScim(
+          req,
+          user,
+          groups.filter((g) => isMember(g, user)),
+        ),
+      );
+    } catch (error) {
+      handleError(res, error, "update user");
+    }
+  },
+);
+
+// Deprovisioning deactivates rather than deletes, so learning history is
+// kept; the user can be reactivated with active=true
+router.delete(
+  "/Users/:id",
+  authenticateToken,
+  authorize("users:provision"),
+  async (req, res) => {
+    try {
+      const user = await findUser(req, req.params.id);
+      await applyUserChanges(
+        req,
+        user,
+        { is_active: false },
+        "scim.user_deactivated",
+      );
+      res.status(204).end();
+    } catch (error) {
+      handleError(res, error, "deactivate user");
+    }
+  },
+);
+
+// ========== GROUPS ==========
+
+router.get(
+  "/Groups",
+  authenticateToken,
+  authorize("users:provision"),
+  async (req, res) => {
+    try {
+      const filter = parseFilter(req.query.filter, GROUP_FILTERS);
+      const { startIndex, count, offset } = pagination(req.query);
+      const withMembers = !/\bmembers\b/.test(
+        req.query.excludedAttributes || "",
+      );
+
+      const { rows, count: total } = await ScimGroup.findAndCountAll({
+        where: {
+          organization_id: targetOrganizationId(req),
+          ...(filter ? { [filter.field]: filter.value } : {}),
+        },
+        order: [["id", "ASC"]],
+        offset,
+        limit: count,
+      });
+
+      const resources = [];
+      for (const group of rows) {
+        resources.push(
+          groupToScim(
+            req,
+            group,
+            withMembers ? await groupMembers(group) : undefined,
+          ),
+        );
+      }
+
+      sendScim(res, 200, listResponse(resources, total, startIndex));
+    } catch (error) {
+      handleError(res, error, "list groups");
+    }
+  },
+);
+
+router.get(
+  "/Groups/:id",
+  authenticateToken,
+  authorize("users:provision"),
+  async (req, res) => {
+    try {
+      const group = await findGroup(req, req.params.id);
+      sendScim(res, 200, groupToScim(req, group, await groupMembers(group)));
+    } catch (error) {
+      handleError(res, error, "fetch group");
+    }
+  },
+);
+
+router.post(
+  "/Groups",
+  authenticateToken,
+  authorize("users:provision"),
+  async (req, res) => {
+    try {
+      const resource = req.body || {};
+      if (!resource.displayName) {
+        throw new ScimError(400, "displayName is required", "invalidValue");
+      }
+
+      const mapping = groupMappingFor(resource, await assignableRoleNames(req));
+      if (!mapping) {
+        throw new ScimError(
+          400,
+          `Group must map to a role or archetype: name it after one or set ${SCHEMAS.groupMapping}`,
+          "invalidValue",
+        );
+      }
+      await validateGroupMapping(req, mapping);
+
+      const group = await ScimGroup.create({
+        organization_id: targetOrganizationId(req),
+        display_name: resource.displayName,
+        external_id: resource.externalId || null,
+        ...mapping,
+      });
+
+      await recordAudit({
+        action: "scim.group_created",
+        actorId: req.user.id,
+        organizationId: group.organization_id,
+        req,
+        details: {
+          group_id: group.id,
+          display_name: group.display_name,
+          ...mapping,
+        },
+      });
+
+      for (const id of memberIds(resource.members)) {
+        await addMember(req, group, id);
+      }
+
+      res.location(groupToScim(req, group).meta.location);
+      sendScim(res, 201, groupToScim(req, group, await groupMembers(group)));
+    } catch (error) {
+      handleError(res, error, "create group");
+    }
+  },
+);
+
+router.put(
+  "/Groups/:id",
+  authenticateToken,
+  authorize("users:provision"),
+  async (req, res) => {
+    try {
+      const group = await findGroup(req, req.params.id);
+      const resource = req.body || {};
+
+      await updateGroup(req, group, {
+        externalId: null,
+        ...resource,
+      });
+      await replaceMembers(req, group, memberIds(resource.members));
+
+      sendScim(res, 200, groupToScim(req, group, await groupMembers(group)));
+    } catch (error) {
+      handleError(res, error, "replace group");
+    }
+  },
+);
+
+router.patch(
+  "/Groups/:id",
+  authenticateToken,
+  authorize("users:provision"),
+  async (req, res) => {
+    try {
+      const group = await findGroup(req, req.params.id);
+      if (!req.body || !Array.isArray(req.body.Operations)) {
+        throw new ScimError(
+          400,
+          "PatchOp requires Operations",
+          "invalidSyntax",
+        );
+      }
+
+      for (const operation of req.body.Operations) {
+        const op = String(operation.op || "").toLowerCase();
+        const path = operation.path || "";
+        const value = operation.value;
+
+        if (path.toLowerCase().startsWith("members")) {
+          const pathMember = memberIdFromPath(path);
+          const ids = pathMember !== null ? [pathMember] : memberIds(value);
+
+          if (op === "add") {
+            for (const id of ids) await addMember(req, group, id);
+          } else if (op === "remove") {
+            const targets =
+              pathMember === null && !value
+                ? (await groupMembers(group)).map((m) => m.id)
+                : ids;
+            for (const id of targets) await removeMember(req, group, id);
+          } else if (op === "replace") {
+            await replaceMembers(req, group, ids);
+          } else {
+            throw new ScimError(
+              400,
+              `Unsupported op ${operation.op}`,
+              "invalidSyntax",
+            );
+          }
+        } else if (!path && value && typeof value === "object") {
+          const { members, ...rest } = value;
+          await updateGroup(req, group, rest);
+          if (members !== undefined) {
+            if (op === "add") {
+              for (const id of memberIds(members)) {
+                await addMember(req, group, id);
+              }
+            } else {
+              await replaceMembers(req, group, memberIds(members));
+            }
+          }
+        } else if (["displayName", "externalId"].includes(path)) {
+          await updateGroup(req, group, {
+            [path]: op === "remove" ? null : value,
+          });
+        } else {
+          throw new ScimError(400, `Unsupported path ${path}`, "invalidPath");
+        }
+      }
+
+      sendScim(res, 200, groupToScim(req, group, await groupMembers(group)));
+    } catch (error) {
+      handleError(res, error, "update group");
+    }
+  },
+);
+
+// Deleting a group leaves its members' role and archetype unchanged
+router.delete(
+  "/Groups/:id",
+  authenticateToken,
+  authorize("users:provision"),
+  async (req, res) => {
+    try {
+      const group = await findGroup(req, req.params.id);
+      await group.destroy();
+
+      await recordAudit({
+        action: "scim.group_deleted",
+        actorId: req.user.id,
+        organizationId: group.organization_id,
+        req,
+        details: { group_id: group.id, display_name: group.display_name },
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      handleError(res, error, "delete group");
+    }
+  },
+);
+
+module.exports = router;
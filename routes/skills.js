@@ -1,16 +1,34 @@
 const express = require("express");
 const { body, validationResult } = require("express-validator");
-const { sequelize, Skill, CourseSkill, UserSkill, User } = require("../models");
+const {
+  sequelize,
+  Skill,
+  CourseSkill,
+  UserSkill,
+  User,
+  Course,
+} = require("../models");
 const { authenticateToken, authorize } = require("../middleware/auth");
 const { QueryTypes, Op } = require("sequelize");
+const { orgScope, targetOrganizationId } = require("../utils/tenancy");
+const { advanceLearningPaths } = require("../utils/contentCompletion");
 
 const router = express.Router();
 
+// Skill profiles are only visible within the learner's organization
+const userInScope = async (req, userId) =>
+  Boolean(
+    await User.findOne({
+      where: { id: userId, ...orgScope(req) },
+      attributes: ["id"],
+    }),
+  );
+
 // Create skill (Admin only)
 router.post(
   "/",
   authenticateToken,
-  authorize("admin"),
+  authorize("skills:manage"),
   [body("name").trim().notEmpty(), body("description").optional().trim()],
   async (req, res) => {
     try {
@@ -24,6 +42,7 @@ router.post(
       const skill = await Skill.create({
         name,
         description: description || null,
+        organization_id: targetOrganizationId(req),
       });
 
       res.status(201).json({
@@ -47,9 +66,13 @@ router.get("/", authenticateToken, async (req, res) => {
       `SELECT s.*, COUNT(cs.course_id) as course_count
        FROM skills s
        LEFT JOIN course_skills cs ON s.id = cs.skill_id
+       WHERE (:organizationId IS NULL OR s.organization_id = :organizationId)
        GROUP BY s.id
        ORDER BY s.name`,
-      { type: QueryTypes.SELECT },
+      {
+        replacements: { organizationId: req.organizationId },
+        type: QueryTypes.SELECT,
+      },
     );
 
     res.json({ skills });
@@ -63,7 +86,7 @@ router.get("/", authenticateToken, async (req, res) => {
 router.post(
   "/course-link",
   authenticateToken,
-  authorize("admin"),
+  authorize("skills:manage"),
   [
     body("course_id").isInt(),
     body("skill_id").isInt(),
@@ -78,6 +101,20 @@ router.post(
 
       const { course_id, skill_id, weight } = req.body;
 
+      const course = await Course.findOne({
+        where: { id: course_id, ...orgScope(req) },
+        attributes: ["organization_id"],
+      });
+      const skill =
+        course &&
+        (await Skill.findOne({
+          where: { id: skill_id, organization_id: course.organization_id },
+          attributes: ["id"],
+        }));
+      if (!skill) {
+        return res.status(404).json({ error: "Course or skill not found" });
+      }
+
       const link = await CourseSkill.create({
         course_id,
         skill_id,
@@ -104,12 +141,17 @@ router.post(
 router.post(
   "/calculate/:userId",
   authenticateToken,
-  authorize("supervisor", "admin"),
+  authorize("skills:calculate"),
   async (req, res) => {
     const t = await sequelize.transaction();
     try {
       const userId = req.params.userId;
 
+      if (!(await userInScope(req, userId))) {
+        await t.rollback();
+        return res.status(404).json({ error: "User not found" });
+      }
+
       // Get all skills from completed courses
       const skillsData = await sequelize.query(
         `SELECT cs.skill_id, cs.weight, c.id as course_id
@@ -186,6 +228,15 @@ router.post(
 
       await t.commit();
 
+      // New levels may meet the prerequisites of a learning path's next
+      // course. The levels are saved either way, so a failure here is only
+      // logged.
+      try {
+        await advanceLearningPaths(userId);
+      } catch (error) {
+        console.error("Advance learning paths error:", error);
+      }
+
       res.json({ message: "Skills calculated successfully" });
     } catch (error) {
       await t.rollback();
@@ -200,6 +251,10 @@ router.get("/user/:userId", authenticateToken, async (req, res) => {
   try {
     const userId = req.params.userId;
 
+    if (!(await userInScope(req, userId))) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
     const result = await UserSkill.findAll({
       where: { user_id: userId },
       include: [{ model: Skill, attributes: ["name", "description"] }],
@@ -242,11 +297,13 @@ router.get("/search", authenticateToken, async (req, res) => {
          JOIN users u ON us.user_id = u.id
          JOIN skills s ON us.skill_id = s.id
          WHERE s.name ILIKE :skillName AND us.level >= :minLevel AND u.is_active = true
+           AND (:organizationId IS NULL OR u.organization_id = :organizationId)
          ORDER BY us.level DESC`,
       {
         replacements: {
           skillName: `%${skill_name}%`,
           minLevel: min_level || 0,
+          organizationId: req.organizationId,
         },
         type: QueryTypes.SELECT,
       },
@@ -264,6 +321,10 @@ router.get("/graph/:userId", authenticateToken, async (req, res) => {
   try {
     const userId = req.params.userId;
 
+    if (!(await userInScope(req, userId))) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
     const result = await UserSkill.findAll({
       where: { user_id: userId },
       include: [{ model: Skill, attributes: ["name"] }],
@@ -1,41 +1,96 @@
 const express = require("express");
-const { sequelize, Notification, User } = require("../models");
-const { authenticateToken, authorize } = require("../middleware/auth");
+const { body, validationResult } = require("express-validator");
+const {
+  sequelize,
+  Notification,
+  User,
+  LearningSession,
+  LearningSessionRevision,
+  TimeCorrectionRequest,
+  LeaveRequest,
+  StreakFreeze,
+} = require("../models");
+const {
+  authenticateToken,
+  authorize,
+  hasPermission,
+} = require("../middleware/auth");
 const { QueryTypes } = require("sequelize");
+const { orgScope } = require("../utils/tenancy");
+const { zoneOf, localTodaySql } = require("../utils/timezone");
+const {
+  addDays,
+  localToday,
+  loadCalendar,
+  countWorkingDays,
+} = require("../utils/workingDays");
+const { loadTargets } = require("../utils/targets");
+const { studyTimeReport } = require("../utils/studyTime");
+const {
+  refreshStreaksOf,
+  learnerStreaks,
+  serializeStreak,
+} = require("../utils/streaks");
+const {
+  findOverlappingSession,
+  validateRequestedTimes,
+  applyCorrectionRequest,
+} = require("../utils/timeCorrections");
 
 const router = express.Router();
 
+// Learners are only visible within the caller's organization
+const findLearnerInScope = (req, learnerId) =>
+  User.findOne({
+    where: { id: learnerId, ...orgScope(req) },
+    attributes: ["id", "organization_id", "role", "archetype", "timezone"],
+  });
+
+// Learners whose correction and leave requests the caller reviews: the
+// whole organization with learners:view_all, otherwise direct reports
+const reviewableLearners = (req) =>
+  hasPermission(req.user, "learners:view_all")
+    ? orgScope(req)
+    : { supervisor_id: req.user.id };
+
 // Get learner time analytics
 router.get(
   "/learners/:learnerId/time-analytics",
   authenticateToken,
-  authorize("supervisor", "admin"),
+  authorize("learners:view_team", "learners:view_all"),
   async (req, res) => {
     try {
       const { learnerId } = req.params;
       const { period } = req.query;
 
+      const learner = await findLearnerInScope(req, learnerId);
+      if (!learner) {
+        return res.status(404).json({ error: "Learner not found" });
+      }
+
+      // Day boundaries are the learner's, not the server's
+      const today = localTodaySql();
       let dateFilter = "";
       let groupBy = "";
 
       switch (period) {
         case "daily":
-          dateFilter = "AND ls.date >= CURRENT_DATE - INTERVAL '30 days'";
+          dateFilter = `AND ls.date >= ${today} - INTERVAL '30 days'`;
           groupBy = "ls.date";
           break;
         case "weekly":
-          dateFilter = "AND ls.date >= CURRENT_DATE - INTERVAL '12 weeks'";
+          dateFilter = `AND ls.date >= ${today} - INTERVAL '12 weeks'`;
           groupBy = "DATE_TRUNC('week', ls.date)";
           break;
         case "monthly":
-          dateFilter = "AND ls.date >= CURRENT_DATE - INTERVAL '12 months'";
+          dateFilter = `AND ls.date >= ${today} - INTERVAL '12 months'`;
           groupBy = "DATE_TRUNC('month', ls.date)";
           break;
         case "yearly":
           groupBy = "DATE_TRUNC('year', ls.date)";
           break;
         default:
-          dateFilter = "AND ls.date >= CURRENT_DATE - INTERVAL '30 days'";
+          dateFilter = `AND ls.date >= ${today} - INTERVAL '30 days'`;
           groupBy = "ls.date";
       }
 
@@ -50,7 +105,10 @@ router.get(
       GROUP BY ${groupBy}
       ORDER BY period DESC
     `,
-        { replacements: { learnerId }, type: QueryTypes.SELECT },
+        {
+          replacements: { learnerId, timezone: zoneOf(learner) },
+          type: QueryTypes.SELECT,
+        },
       );
 
       res.json({ analytics });
@@ -65,42 +123,72 @@ router.get(
 router.get(
   "/learners/:learnerId/compliance",
   authenticateToken,
-  authorize("supervisor", "admin"),
+  authorize("learners:view_team", "learners:view_all"),
   async (req, res) => {
     try {
       const { learnerId } = req.params;
 
+      const learner = await findLearnerInScope(req, learnerId);
+      if (!learner) {
+        return res.status(404).json({ error: "Learner not found" });
+      }
+
+      const replacements = { learnerId, timezone: zoneOf(learner) };
       const [stats] = await sequelize.query(
         `
       SELECT 
         COUNT(DISTINCT date) as days_logged,
         SUM(duration_minutes)/60 as total_hours,
-        AVG(duration_minutes)/60 as avg_hours_per_day,
-        COUNT(DISTINCT CASE WHEN duration_minutes >= 360 THEN date END) as days_met_goal
+        AVG(duration_minutes)/60 as avg_hours_per_day
       FROM learning_sessions
       WHERE user_id = :learnerId AND end_time IS NOT NULL
-        AND date >= CURRENT_DATE - INTERVAL '30 days'
+        AND date >= ${localTodaySql()} - INTERVAL '30 days'
     `,
-        { replacements: { learnerId }, type: QueryTypes.SELECT },
+        { replacements, type: QueryTypes.SELECT },
       );
 
-      const workDays = 20;
-      const requiredHours = 6;
-      const expectedHours = workDays * requiredHours;
+      const dailyTotals = await sequelize.query(
+        `
+      SELECT date, SUM(duration_minutes)/60 as hours
+      FROM learning_sessions
+      WHERE user_id = :learnerId AND end_time IS NOT NULL
+        AND date >= ${localTodaySql()} - INTERVAL '30 days'
+      GROUP BY date
+    `,
+        { replacements, type: QueryTypes.SELECT },
+      );
 
-      const complianceRate = (
-        (parseInt(stats.days_met_goal) / workDays) *
-        100
-      ).toFixed(1);
-      const diligenceScore = (
-        (parseFloat(stats.total_hours) / expectedHours) *
-        100
-      ).toFixed(1);
+      // Same 30-day window as the queries, minus weekends, holidays and
+      // leave, against the learner's own targets
+      const today = localToday(learner);
+      const from = addDays(today, -30);
+      const [calendar, targets] = await Promise.all([
+        loadCalendar([learner], from, today),
+        loadTargets([learner], from, today),
+      ]);
+      const workDays = countWorkingDays(calendar, learner, from, today);
+      const expectedHours = targets.expectedHours(
+        calendar,
+        learner,
+        from,
+        today,
+      );
+      const daysMetGoal = dailyTotals.filter(
+        (d) => parseFloat(d.hours) >= targets.dailyHours(learner, d.date),
+      ).length;
+
+      const complianceRate =
+        workDays > 0 ? ((daysMetGoal / workDays) * 100).toFixed(1) : "100.0";
+      const diligenceScore =
+        expectedHours > 0
+          ? ((parseFloat(stats.total_hours) / expectedHours) * 100).toFixed(1)
+          : "100.0";
 
       res.json({
         compliance: {
           days_logged: parseInt(stats.days_logged),
-          days_met_goal: parseInt(stats.days_met_goal),
+          days_met_goal: daysMetGoal,
+          expected_working_days: workDays,
           total_hours: parseFloat(stats.total_hours).toFixed(2),
           avg_hours_per_day: parseFloat(stats.avg_hours_per_day).toFixed(2),
           compliance_rate: parseFloat(complianceRate),
@@ -122,16 +210,136 @@ router.get(
   },
 );
 
+// Where a learner's hours went: per course (and whether they are enrolled
+// in it) and per skill
+router.get(
+  "/learners/:learnerId/study-time",
+  authenticateToken,
+  authorize("learners:view_team", "learners:view_all"),
+  async (req, res) => {
+    try {
+      const learner = await findLearnerInScope(req, req.params.learnerId);
+      if (!learner) {
+        return res.status(404).json({ error: "Learner not found" });
+      }
+
+      const report = await studyTimeReport(learner.id, {
+        startDate: req.query.start_date,
+        endDate: req.query.end_date,
+      });
+
+      res.json({ learner_id: learner.id, report });
+    } catch (error) {
+      console.error("Learner study time error:", error);
+      res.status(500).json({ error: "Failed to fetch learner study time" });
+    }
+  },
+);
+
+// A learner's streak history and freeze days
+router.get(
+  "/learners/:learnerId/streaks",
+  authenticateToken,
+  authorize("learners:view_team", "learners:view_all"),
+  async (req, res) => {
+    try {
+      const learner = await findLearnerInScope(req, req.params.learnerId);
+      if (!learner) {
+        return res.status(404).json({ error: "Learner not found" });
+      }
+
+      const { current, longest, streaks, freezes } =
+        await learnerStreaks(learner);
+
+      res.json({
+        current_streak: serializeStreak(current),
+        longest_streak: serializeStreak(longest),
+        streaks: streaks.reverse().map((s) => ({
+          ...serializeStreak(s),
+          is_current: s.current,
+        })),
+        freezes,
+      });
+    } catch (error) {
+      console.error("Learner streaks error:", error);
+      res.status(500).json({ error: "Failed to fetch learner streaks" });
+    }
+  },
+);
+
+// Allot freeze days that protect a learner's streak on missed working days
+router.post(
+  "/learners/:learnerId/streak-freezes",
+  authenticateToken,
+  authorize("learners:view_team", "learners:view_all"),
+  [
+    body("count").optional().isInt({ min: 1, max: 10 }),
+    body("reason").optional().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const learner = await User.findOne({
+        where: { id: req.params.learnerId, ...reviewableLearners(req) },
+        attributes: ["id", "timezone"],
+      });
+      if (!learner) {
+        return res.status(404).json({ error: "Learner not found" });
+      }
+
+      const count = parseInt(req.body.count || 1);
+      const reason = req.body.reason || null;
+      const availableFrom = localToday(learner);
+      await StreakFreeze.bulkCreate(
+        Array.from({ length: count }, () => ({
+          user_id: learner.id,
+          available_from: availableFrom,
+          reason,
+          granted_by: req.user.id,
+        })),
+      );
+      await refreshStreaksOf({ id: learner.id });
+
+      await Notification.create({
+        user_id: learner.id,
+        title: "Streak freeze granted",
+        message: `You received ${count} streak freeze day${
+          count === 1 ? "" : "s"
+        }. A freeze keeps your streak going over a missed working day.${
+          reason ? ` Reason: ${reason}` : ""
+        }`,
+        notification_type: "streak_freeze",
+      });
+
+      res
+        .status(201)
+        .json({ message: "Streak freezes granted successfully", count });
+    } catch (error) {
+      console.error("Grant streak freeze error:", error);
+      res.status(500).json({ error: "Failed to grant streak freezes" });
+    }
+  },
+);
+
 // Flag a learner
 router.post(
   "/learners/:learnerId/flag",
   authenticateToken,
-  authorize("supervisor", "admin"),
+  authorize("learners:flag"),
   async (req, res) => {
     try {
       const { learnerId } = req.params;
       const { reason, severity } = req.body;
 
+      const learner = await findLearnerInScope(req, learnerId);
+      if (!learner) {
+        return res.status(404).json({ error: "Learner not found" });
+      }
+
       await Notification.create({
         user_id: learnerId,
         title: "⚠️ Performance Alert",
@@ -139,9 +347,9 @@ router.post(
         notification_type: "warning",
       });
 
-      // Also notify admins
+      // Also notify the learner's organization admins
       const admins = await User.findAll({
-        where: { role: "admin" },
+        where: { role: "admin", organization_id: learner.organization_id },
         attributes: ["id"],
       });
 
@@ -166,7 +374,7 @@ router.post(
 router.get(
   "/my-learners",
   authenticateToken,
-  authorize("supervisor"),
+  authorize("learners:view_team"),
   async (req, res) => {
     try {
       const learners = await sequelize.query(
@@ -178,7 +386,7 @@ router.get(
       FROM users u
       LEFT JOIN learning_sessions ls ON u.id = ls.user_id 
         AND ls.end_time IS NOT NULL
-        AND ls.date >= DATE_TRUNC('month', CURRENT_DATE)
+        AND ls.date >= DATE_TRUNC('month', ${localTodaySql("u.timezone")})
       WHERE u.supervisor_id = :supervisorId AND u.role = 'learner' AND u.is_active = true
       GROUP BY u.id, u.full_name, u.email, u.archetype
       ORDER BY u.full_name
@@ -197,4 +405,378 @@ router.get(
   },
 );
 
+// ========== TIME CORRECTIONS ==========
+
+// Correction and manual-entry requests awaiting (or past) review
+router.get(
+  "/corrections",
+  authenticateToken,
+  authorize("learning:approve_corrections"),
+  async (req, res) => {
+    try {
+      const requests = await TimeCorrectionRequest.findAll({
+        where: { status: req.query.status || "pending" },
+        include: [
+          {
+            model: User,
+            as: "Learner",
+            where: reviewableLearners(req),
+            attributes: ["id", "full_name", "email"],
+          },
+          { model: User, as: "Reviewer", attributes: ["id", "full_name"] },
+          {
+            model: LearningSession,
+            attributes: [
+              "id",
+              "start_time",
+              "end_time",
+              "break_minutes",
+              "duration_minutes",
+              "date",
+            ],
+          },
+        ],
+        order: [["created_at", "ASC"]],
+      });
+
+      res.json({ requests });
+    } catch (error) {
+      console.error("Fetch correction requests error:", error);
+      res.status(500).json({ error: "Failed to fetch correction requests" });
+    }
+  },
+);
+
+// Load a pending request the caller may review, locked for the decision
+const findReviewableRequest = (req, transaction) =>
+  TimeCorrectionRequest.findOne({
+    where: { id: req.params.requestId, status: "pending" },
+    include: [
+      {
+        model: User,
+        as: "Learner",
+        where: reviewableLearners(req),
+        attributes: ["id"],
+      },
+    ],
+    transaction,
+    lock: { level: transaction.LOCK.UPDATE, of: TimeCorrectionRequest },
+  });
+
+const describeRequest = (request) =>
+  request.request_type === "manual_entry"
+    ? "manual time entry"
+    : "time correction";
+
+// Approve a request and apply it to the learner's sessions
+router.post(
+  "/corrections/:requestId/approve",
+  authenticateToken,
+  authorize("learning:approve_corrections"),
+  [body("note").optional().isString().trim()],
+  async (req, res) => {
+    const transaction = await sequelize.transaction();
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await transaction.rollback();
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const request = await findReviewableRequest(req, transaction);
+      if (!request) {
+        await transaction.rollback();
+        return res
+          .status(404)
+          .json({ error: "Pending correction request not found" });
+      }
+      if (request.user_id === req.user.id) {
+        await transaction.rollback();
+        return res
+          .status(403)
+          .json({ error: "You cannot approve your own request" });
+      }
+
+      // Checked again in case the request predates a rule, e.g. break time
+      // must fit in the corrected span
+      const invalid = validateRequestedTimes(
+        new Date(request.requested_start_time),
+        new Date(request.requested_end_time),
+        request.requested_break_minutes,
+      );
+      if (invalid) {
+        await transaction.rollback();
+        return res.status(400).json({ error: invalid });
+      }
+
+      // Other sessions may have been logged since the request was made
+      const overlap = await findOverlappingSession(
+        request.user_id,
+        request.requested_start_time,
+        request.requested_end_time,
+        request.session_id,
+        { transaction },
+      );
+      if (overlap) {
+        await transaction.rollback();
+        return res
+          .status(409)
+          .json({ error: "Requested times now overlap another session" });
+      }
+
+      const session = await applyCorrectionRequest(request, req.user.id, {
+        transaction,
+      });
+      await request.update(
+        {
+          status: "approved",
+          reviewed_by: req.user.id,
+          reviewed_at: new Date(),
+          review_note: req.body.note || null,
+        },
+        { transaction },
+      );
+
+      await Notification.create(
+        {
+          user_id: request.user_id,
+          title: "Time Request Approved",
+          message: `Your ${describeRequest(request)} request was approved.${
+            req.body.note ? ` Note: ${req.body.note}` : ""
+          }`,
+          notification_type: "time_correction",
+        },
+        { transaction },
+      );
+
+      await transaction.commit();
+      await refreshStreaksOf({ id: request.user_id });
+
+      res.json({ message: "Correction request approved", request, session });
+    } catch (error) {
+      await transaction.rollback();
+      console.error("Approve correction request error:", error);
+      res.status(500).json({ error: "Failed to approve correction request" });
+    }
+  },
+);
+
+// Reject a request; the learner's sessions are left unchanged
+router.post(
+  "/corrections/:requestId/reject",
+  authenticateToken,
+  authorize("learning:approve_corrections"),
+  [body("note").isString().trim().notEmpty()],
+  async (req, res) => {
+    const transaction = await sequelize.transaction();
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await transaction.rollback();
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const request = await findReviewableRequest(req, transaction);
+      if (!request) {
+        await transaction.rollback();
+        return res
+          .status(404)
+          .json({ error: "Pending correction request not found" });
+      }
+      if (request.user_id === req.user.id) {
+        await transaction.rollback();
+        return res
+          .status(403)
+          .json({ error: "You cannot review your own request" });
+      }
+
+      await request.update(
+        {
+          status: "rejected",
+          reviewed_by: req.user.id,
+          reviewed_at: new Date(),
+          review_note: req.body.note,
+        },
+        { transaction },
+      );
+
+      await Notification.create(
+        {
+          user_id: request.user_id,
+          title: "Time Request Rejected",
+          message: `Your ${describeRequest(request)} request was rejected. Reason: ${req.body.note}`,
+          notification_type: "time_correction",
+        },
+        { transaction },
+      );
+
+      await transaction.commit();
+      res.json({ message: "Correction request rejected", request });
+    } catch (error) {
+      await transaction.rollback();
+      console.error("Reject correction request error:", error);
+      res.status(500).json({ error: "Failed to reject correction request" });
+    }
+  },
+);
+
+// Original-vs-corrected history of a learner's sessions, for audits
+router.get(
+  "/learners/:learnerId/session-revisions",
+  authenticateToken,
+  authorize("learning:approve_corrections"),
+  async (req, res) => {
+    try {
+      const { learnerId } = req.params;
+
+      const learner = await User.findOne({
+        where: { id: learnerId, ...reviewableLearners(req) },
+        attributes: ["id"],
+      });
+      if (!learner) {
+        return res.status(404).json({ error: "Learner not found" });
+      }
+
+      const revisions = await LearningSessionRevision.findAll({
+        where: { user_id: learnerId },
+        include: [
+          { model: User, as: "ChangedBy", attributes: ["id", "full_name"] },
+          {
+            model: TimeCorrectionRequest,
+            attributes: ["id", "justification", "review_note", "created_at"],
+          },
+        ],
+        order: [["created_at", "DESC"]],
+      });
+
+      res.json({ revisions });
+    } catch (error) {
+      console.error("Fetch session revisions error:", error);
+      res.status(500).json({ error: "Failed to fetch session revisions" });
+    }
+  },
+);
+
+// ========== LEAVE ==========
+
+// Leave requests awaiting (or past) review
+router.get(
+  "/leave",
+  authenticateToken,
+  authorize("leave:approve"),
+  async (req, res) => {
+    try {
+      const requests = await LeaveRequest.findAll({
+        where: { status: req.query.status || "pending" },
+        include: [
+          {
+            model: User,
+            as: "Learner",
+            where: reviewableLearners(req),
+            attributes: ["id", "full_name", "email"],
+          },
+          { model: User, as: "Reviewer", attributes: ["id", "full_name"] },
+        ],
+        order: [["start_date", "ASC"]],
+      });
+
+      res.json({ requests });
+    } catch (error) {
+      console.error("Fetch leave requests error:", error);
+      res.status(500).json({ error: "Failed to fetch leave requests" });
+    }
+  },
+);
+
+// Approve or reject a pending leave request. The request row is locked so
+// concurrent reviews can't both decide it.
+const reviewLeave = (status) => async (req, res) => {
+  const transaction = await sequelize.transaction();
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await transaction.rollback();
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const request = await LeaveRequest.findOne({
+      where: { id: req.params.requestId, status: "pending" },
+      include: [
+        {
+          model: User,
+          as: "Learner",
+          where: reviewableLearners(req),
+          attributes: ["id"],
+        },
+      ],
+      transaction,
+      lock: { level: transaction.LOCK.UPDATE, of: LeaveRequest },
+    });
+    if (!request) {
+      await transaction.rollback();
+      return res.status(404).json({ error: "Pending leave request not found" });
+    }
+    if (request.user_id === req.user.id) {
+      await transaction.rollback();
+      return res
+        .status(403)
+        .json({ error: "You cannot review your own request" });
+    }
+
+    const note = req.body.note || null;
+    await request.update(
+      {
+        status,
+        reviewed_by: req.user.id,
+        reviewed_at: new Date(),
+        review_note: note,
+      },
+      { transaction },
+    );
+
+    const days =
+      request.start_date === request.end_date
+        ? request.start_date
+        : `${request.start_date} to ${request.end_date}`;
+    await Notification.create(
+      {
+        user_id: request.user_id,
+        title: status === "approved" ? "Leave Approved" : "Leave Rejected",
+        message: `Your leave request for ${days} was ${status}.${
+          note ? ` Note: ${note}` : ""
+        }`,
+        notification_type: "leave_request",
+      },
+      { transaction },
+    );
+
+    await transaction.commit();
+    if (status === "approved") {
+      await refreshStreaksOf({ id: request.user_id });
+    }
+
+    res.json({ message: `Leave request ${status}`, request });
+  } catch (error) {
+    await transaction.rollback();
+    console.error("Review leave request error:", error);
+    res.status(500).json({ error: "Failed to review leave request" });
+  }
+};
+
+router.post(
+  "/leave/:requestId/approve",
+  authenticateToken,
+  authorize("leave:approve"),
+  [body("note").optional().isString().trim()],
+  reviewLeave("approved"),
+);
+
+router.post(
+  "/leave/:requestId/reject",
+  authenticateToken,
+  authorize("leave:approve"),
+  [body("note").isString().trim().notEmpty()],
+  reviewLeave("rejected"),
+);
+
 module.exports = router;
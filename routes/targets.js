@@ -0,0 +1,311 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const {
+  TargetPolicy,
+  TargetPolicyAssignment,
+  ScimGroup,
+  User,
+} = require("../models");
+const { authenticateToken, authorize } = require("../middleware/auth");
+const { orgScope, targetOrganizationId } = require("../utils/tenancy");
+const { localToday } = require("../utils/workingDays");
+const { loadTargets } = require("../utils/targets");
+const { refreshStreaksOf } = require("../utils/streaks");
+
+const router = express.Router();
+
+// Daily/weekly learning-hour targets. Learners without an assigned policy
+// fall back to the organization's required_learning_hours.
+
+const policyValidators = [
+  body("daily_hours").isFloat({ min: 0, max: 24 }),
+  body("weekly_hours")
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 168 }),
+];
+
+const findPolicy = (req, policyId) =>
+  TargetPolicy.findOne({ where: { id: policyId, ...orgScope(req) } });
+
+// ========== POLICIES ==========
+
+// List policies with their assignments
+router.get(
+  "/",
+  authenticateToken,
+  authorize("targets:manage"),
+  async (req, res) => {
+    try {
+      const policies = await TargetPolicy.findAll({
+        where: orgScope(req),
+        include: [
+          {
+            model: TargetPolicyAssignment,
+            as: "Assignments",
+            include: [
+              { model: User, attributes: ["id", "full_name", "email"] },
+              { model: ScimGroup, attributes: ["id", "display_name"] },
+            ],
+          },
+        ],
+        order: [
+          ["name", "ASC"],
+          [
+            { model: TargetPolicyAssignment, as: "Assignments" },
+            "effective_from",
+            "DESC",
+          ],
+        ],
+      });
+
+      res.json({ policies });
+    } catch (error) {
+      console.error("Fetch target policies error:", error);
+      res.status(500).json({ error: "Failed to fetch target policies" });
+    }
+  },
+);
+
+// Create a policy
+router.post(
+  "/",
+  authenticateToken,
+  authorize("targets:manage"),
+  [body("name").trim().notEmpty(), ...policyValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, daily_hours, weekly_hours } = req.body;
+      const policy = await TargetPolicy.create({
+        organization_id: targetOrganizationId(req),
+        name,
+        daily_hours,
+        weekly_hours: weekly_hours ?? null,
+        created_by: req.user.id,
+      });
+
+      res
+        .status(201)
+        .json({ message: "Target policy created successfully", policy });
+    } catch (error) {
+      if (error.name === "SequelizeUniqueConstraintError") {
+        return res
+          .status(409)
+          .json({ error: "A target policy with this name already exists" });
+      }
+      console.error("Create target policy error:", error);
+      res.status(500).json({ error: "Failed to create target policy" });
+    }
+  },
+);
+
+// Update a policy; the change applies to every day it is in effect for
+router.put(
+  "/:policyId",
+  authenticateToken,
+  authorize("targets:manage"),
+  [body("name").optional().trim().notEmpty(), ...policyValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const policy = await findPolicy(req, req.params.policyId);
+      if (!policy) {
+        return res.status(404).json({ error: "Target policy not found" });
+      }
+
+      const { name, daily_hours, weekly_hours } = req.body;
+      await policy.update({
+        name: name || policy.name,
+        daily_hours,
+        weekly_hours: weekly_hours ?? null,
+      });
+      await refreshStreaksOf({ organization_id: policy.organization_id });
+
+      res.json({ message: "Target policy updated successfully", policy });
+    } catch (error) {
+      if (error.name === "SequelizeUniqueConstraintError") {
+        return res
+          .status(409)
+          .json({ error: "A target policy with this name already exists" });
+      }
+      console.error("Update target policy error:", error);
+      res.status(500).json({ error: "Failed to update target policy" });
+    }
+  },
+);
+
+// Delete a policy and its assignments
+router.delete(
+  "/:policyId",
+  authenticateToken,
+  authorize("targets:manage"),
+  async (req, res) => {
+    try {
+      const policy = await findPolicy(req, req.params.policyId);
+      if (!policy) {
+        return res.status(404).json({ error: "Target policy not found" });
+      }
+
+      await TargetPolicyAssignment.destroy({ where: { policy_id: policy.id } });
+      await policy.destroy();
+      await refreshStreaksOf({ organization_id: policy.organization_id });
+
+      res.json({ message: "Target policy deleted successfully" });
+    } catch (error) {
+      console.error("Delete target policy error:", error);
+      res.status(500).json({ error: "Failed to delete target policy" });
+    }
+  },
+);
+
+// ========== ASSIGNMENTS ==========
+
+// Assign a policy to a user or a group for a date range
+router.post(
+  "/:policyId/assignments",
+  authenticateToken,
+  authorize("targets:manage"),
+  [
+    body("user_id").optional({ nullable: true }).isInt(),
+    body("group_id").optional({ nullable: true }).isInt(),
+    body("effective_from").isISO8601({ strict: true }),
+    body("effective_to")
+      .optional({ nullable: true })
+      .isISO8601({ strict: true }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { user_id, group_id } = req.body;
+      if (!user_id === !group_id) {
+        return res
+          .status(400)
+          .json({ error: "Provide either user_id or group_id" });
+      }
+
+      const effectiveFrom = req.body.effective_from.slice(0, 10);
+      const effectiveTo = req.body.effective_to
+        ? req.body.effective_to.slice(0, 10)
+        : null;
+      if (effectiveTo && effectiveTo < effectiveFrom) {
+        return res
+          .status(400)
+          .json({ error: "effective_to must not be before effective_from" });
+      }
+
+      const policy = await findPolicy(req, req.params.policyId);
+      if (!policy) {
+        return res.status(404).json({ error: "Target policy not found" });
+      }
+
+      // The assignee must belong to the policy's organization
+      const assignee = user_id
+        ? await User.findOne({
+            where: { id: user_id, organization_id: policy.organization_id },
+            attributes: ["id"],
+          })
+        : await ScimGroup.findOne({
+            where: { id: group_id, organization_id: policy.organization_id },
+            attributes: ["id"],
+          });
+      if (!assignee) {
+        return res
+          .status(404)
+          .json({ error: user_id ? "User not found" : "Group not found" });
+      }
+
+      const assignment = await TargetPolicyAssignment.create({
+        policy_id: policy.id,
+        user_id: user_id || null,
+        group_id: group_id || null,
+        effective_from: effectiveFrom,
+        effective_to: effectiveTo,
+        assigned_by: req.user.id,
+      });
+      await refreshStreaksOf(
+        user_id ? { id: user_id } : { organization_id: policy.organization_id },
+      );
+
+      res
+        .status(201)
+        .json({ message: "Target policy assigned successfully", assignment });
+    } catch (error) {
+      console.error("Assign target policy error:", error);
+      res.status(500).json({ error: "Failed to assign target policy" });
+    }
+  },
+);
+
+// Remove an assignment
+router.delete(
+  "/:policyId/assignments/:assignmentId",
+  authenticateToken,
+  authorize("targets:manage"),
+  async (req, res) => {
+    try {
+      const policy = await findPolicy(req, req.params.policyId);
+      const deleted =
+        policy &&
+        (await TargetPolicyAssignment.destroy({
+          where: { id: req.params.assignmentId, policy_id: policy.id },
+        }));
+      if (!deleted) {
+        return res.status(404).json({ error: "Assignment not found" });
+      }
+      await refreshStreaksOf({ organization_id: policy.organization_id });
+
+      res.json({ message: "Assignment removed successfully" });
+    } catch (error) {
+      console.error("Remove target assignment error:", error);
+      res.status(500).json({ error: "Failed to remove assignment" });
+    }
+  },
+);
+
+// Target in effect for a user on a day (default: the user's today)
+router.get(
+  "/users/:userId/effective",
+  authenticateToken,
+  authorize("targets:manage"),
+  async (req, res) => {
+    try {
+      const user = await User.findOne({
+        where: { id: req.params.userId, ...orgScope(req) },
+        attributes: ["id", "organization_id", "role", "archetype", "timezone"],
+      });
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const date = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || "")
+        ? req.query.date
+        : localToday(user);
+      const targets = await loadTargets([user], date, date);
+      const policy = targets.policyFor(user, date);
+
+      res.json({
+        date,
+        policy: policy ? { id: policy.id, name: policy.name } : null,
+        daily_hours: targets.dailyHours(user, date),
+        weekly_hours: policy ? policy.weekly_hours : null,
+      });
+    } catch (error) {
+      console.error("Effective target error:", error);
+      res.status(500).json({ error: "Failed to fetch effective target" });
+    }
+  },
+);
+
+module.exports = router;
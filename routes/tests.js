@@ -11,6 +11,16 @@ const {
 } = require("../models");
 const { authenticateToken, authorize } = require("../middleware/auth");
 const { QueryTypes } = require("sequelize");
+const { orgScope } = require("../utils/tenancy");
+const {
+  findLessonInCourse,
+  nextItemOrderIndex,
+} = require("../utils/courseStructure");
+const {
+  refreshEnrollmentProgress,
+  refreshCourseProgress,
+  advanceLearningPaths,
+} = require("../utils/contentCompletion");
 
 const router = express.Router();
 
@@ -18,9 +28,10 @@ const router = express.Router();
 router.post(
   "/",
   authenticateToken,
-  authorize("admin"),
+  authorize("tests:edit"),
   [
     body("course_id").isInt(),
+    body("lesson_id").optional({ nullable: true }).isInt(),
     body("title").trim().notEmpty(),
     body("test_type").isIn(["multiple_choice", "written", "coding"]),
     body("questions").isArray({ min: 1 }),
@@ -36,6 +47,7 @@ router.post(
 
       const {
         course_id,
+        lesson_id,
         title,
         description,
         test_type,
@@ -45,9 +57,33 @@ router.post(
         questions,
       } = req.body;
 
+      const course = await Course.findOne({
+        where: { id: course_id, ...orgScope(req) },
+        attributes: ["organization_id"],
+        transaction: t,
+      });
+      if (!course) {
+        await t.rollback();
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      // Without a lesson the test belongs to the course as a whole
+      const lesson =
+        lesson_id &&
+        (await findLessonInCourse(course_id, lesson_id, { transaction: t }));
+      if (lesson_id && !lesson) {
+        await t.rollback();
+        return res.status(404).json({ error: "Lesson not found" });
+      }
+
       const test = await Test.create(
         {
           course_id,
+          lesson_id: lesson ? lesson.id : null,
+          order_index: lesson
+            ? await nextItemOrderIndex(lesson.id, { transaction: t })
+            : 0,
+          organization_id: course.organization_id,
           title,
           description: description || null,
           test_type,
@@ -90,6 +126,14 @@ router.post(
 
       await t.commit();
 
+      // Learners must now pass it to complete the course. The test is
+      // saved either way, so a failure here is only logged.
+      try {
+        await refreshCourseProgress(course_id);
+      } catch (error) {
+        console.error("Course progress refresh error:", error);
+      }
+
       res.status(201).json({
         message: "Test created successfully",
         test,
@@ -107,7 +151,8 @@ router.get("/:id", authenticateToken, async (req, res) => {
   try {
     const testId = req.params.id;
 
-    const test = await Test.findByPk(testId, {
+    const test = await Test.findOne({
+      where: { id: testId, ...orgScope(req) },
       include: [{ model: Course, attributes: ["title"] }],
     });
 
@@ -173,12 +218,13 @@ router.get("/:id", authenticateToken, async (req, res) => {
 router.post(
   "/:id/start",
   authenticateToken,
-  authorize("learner", "candidate"),
+  authorize("tests:take"),
   async (req, res) => {
     try {
       const testId = req.params.id;
 
-      const test = await Test.findByPk(testId, {
+      const test = await Test.findOne({
+        where: { id: testId, ...orgScope(req) },
         attributes: ["id", "max_attempts"],
       });
       if (!test) {
@@ -216,7 +262,7 @@ router.post(
 router.post(
   "/attempts/:attemptId/submit",
   authenticateToken,
-  authorize("learner", "candidate"),
+  authorize("tests:take"),
   [body("answers").isArray({ min: 1 })],
   async (req, res) => {
     const t = await sequelize.transaction();
@@ -241,7 +287,7 @@ router.post(
       }
 
       const test = await Test.findByPk(attempt.test_id, {
-        attributes: ["test_type"],
+        attributes: ["course_id", "test_type"],
         transaction: t,
       });
       const testType = test.test_type;
@@ -307,6 +353,18 @@ router.post(
 
       await t.commit();
 
+      // A passing score counts towards the course and may unlock the next
+      // course of a learning path. The attempt is saved either way, so a
+      // failure here is only logged.
+      if (testType === "multiple_choice") {
+        try {
+          await refreshEnrollmentProgress(req.user.id, test.course_id);
+          await advanceLearningPaths(req.user.id);
+        } catch (error) {
+          console.error("Progress after test submission error:", error);
+        }
+      }
+
       res.json({
         message:
           testType === "multiple_choice"
@@ -327,7 +385,7 @@ router.post(
 router.post(
   "/attempts/:attemptId/grade",
   authenticateToken,
-  authorize("supervisor", "admin"),
+  authorize("tests:grade"),
   [body("answers").isArray({ min: 1 }), body("feedback").optional().trim()],
   async (req, res) => {
     const t = await sequelize.transaction();
@@ -336,7 +394,15 @@ router.post(
       const { answers, feedback } = req.body;
 
       const attempt = await TestAttempt.findByPk(attemptId, {
-        attributes: ["id", "status"],
+        attributes: ["id", "user_id", "status"],
+        include: [
+          {
+            model: Test,
+            where: orgScope(req),
+            attributes: ["course_id"],
+            required: true,
+          },
+        ],
         transaction: t,
       });
 
@@ -389,6 +455,17 @@ router.post(
 
       await t.commit();
 
+      // The grade is saved either way, so a failure here is only logged
+      try {
+        await refreshEnrollmentProgress(
+          attempt.user_id,
+          attempt.Test.course_id,
+        );
+        await advanceLearningPaths(attempt.user_id);
+      } catch (error) {
+        console.error("Progress after grading error:", error);
+      }
+
       res.json({
         message: "Test graded successfully",
         score: parseFloat(score),
@@ -405,7 +482,7 @@ router.post(
 router.get(
   "/pending/grading",
   authenticateToken,
-  authorize("supervisor", "admin"),
+  authorize("tests:grade"),
   async (req, res) => {
     try {
       const result = await sequelize.query(
@@ -418,8 +495,12 @@ router.get(
        JOIN users u ON ta.user_id = u.id
        JOIN courses c ON t.course_id = c.id
        WHERE ta.status = 'submitted' AND t.test_type != 'multiple_choice'
+         AND (:organizationId IS NULL OR t.organization_id = :organizationId)
        ORDER BY ta.submitted_at ASC`,
-        { type: QueryTypes.SELECT },
+        {
+          replacements: { organizationId: req.organizationId },
+          type: QueryTypes.SELECT,
+        },
       );
 
       res.json({ pending_tests: result });
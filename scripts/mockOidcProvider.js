@@ -0,0 +1,219 @@
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+require("dotenv").config();
+
+// Minimal OpenID Connect provider for trying single sign-on locally.
+// Point the app at it with:
+//   OIDC_ISSUER=http://localhost:4000
+//   OIDC_CLIENT_ID=archetype-os OIDC_CLIENT_SECRET=mock-secret
+//   OIDC_REDIRECT_URI=http://localhost:3000/api/auth/oidc/callback
+// The /authorize page lets you type the claims the ID token should carry
+// (email, name, groups, manager_email), so role and supervisor mappings
+// can be exercised without a real identity provider.
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT || "4000");
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || "archetype-os";
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || "mock-secret";
+const KEY_ID = "mock-key-1";
+const CODE_TTL_MS = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+
+// code -> { claims, client_id, redirect_uri, nonce, code_challenge, expires_at }
+const codes = new Map();
+// access token -> claims
+const accessTokens = new Map();
+
+const escapeHtml = (value) =>
+  String(value || "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ],
+  );
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    token_endpoint_auth_methods_supported: [
+      "client_secret_basic",
+      "client_secret_post",
+    ],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: "jwk" }), kid: KEY_ID, use: "sig" }],
+  });
+});
+
+// Sign-in form; every authorization request parameter is carried through
+// as a hidden field
+app.get("/authorize", (req, res) => {
+  if (req.query.client_id !== CLIENT_ID) {
+    return res.status(400).send("Unknown client_id");
+  }
+
+  const hidden = Object.entries(req.query)
+    .map(
+      ([name, value]) =>
+        `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`,
+    )
+    .join("\n");
+
+  res.send(`<!doctype html>
+<title>Mock OIDC sign-in</title>
+<form method="post" action="/authorize">
+${hidden}
+<p><label>Email <input name="email" value="${escapeHtml(req.query.login_hint)}" required></label></p>
+<p><label>Name <input name="name"></label></p>
+<p><label>Subject (defaults to email) <input name="sub"></label></p>
+<p><label>Groups (comma separated) <input name="groups"></label></p>
+<p><label>Manager email <input name="manager_email"></label></p>
+<p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+<button type="submit">Sign in</button>
+</form>`);
+});
+
+app.post("/authorize", (req, res) => {
+  const {
+    client_id,
+    redirect_uri,
+    state,
+    nonce,
+    code_challenge,
+    email,
+    name,
+    sub,
+    groups,
+    manager_email,
+    email_verified,
+  } = req.body;
+
+  if (client_id !== CLIENT_ID || !redirect_uri) {
+    return res.status(400).send("Invalid authorization request");
+  }
+
+  const code = crypto.randomBytes(16).toString("hex");
+  codes.set(code, {
+    client_id,
+    redirect_uri,
+    nonce,
+    code_challenge,
+    expires_at: Date.now() + CODE_TTL_MS,
+    claims: {
+      sub: sub || email,
+      email,
+      email_verified: email_verified === "true",
+      name: name || undefined,
+      groups: groups
+        ? groups
+            .split(",")
+            .map((g) => g.trim())
+            .filter(Boolean)
+        : [],
+      manager_email: manager_email || undefined,
+    },
+  });
+
+  const url = new URL(redirect_uri);
+  url.searchParams.set("code", code);
+  if (state) url.searchParams.set("state", state);
+  res.redirect(url.toString());
+});
+
+const clientCredentials = (req) => {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Basic ")) {
+    const [id, secret] = Buffer.from(header.slice(6), "base64")
+      .toString()
+      .split(":")
+      .map(decodeURIComponent);
+    return { id, secret };
+  }
+  return { id: req.body.client_id, secret: req.body.client_secret };
+};
+
+app.post("/token", (req, res) => {
+  const client = clientCredentials(req);
+  if (client.id !== CLIENT_ID || client.secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  if (
+    req.body.grant_type !== "authorization_code" ||
+    !grant ||
+    grant.expires_at < Date.now() ||
+    grant.redirect_uri !== req.body.redirect_uri
+  ) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  if (grant.code_challenge) {
+    const challenge = crypto
+      .createHash("sha256")
+      .update(req.body.code_verifier || "")
+      .digest("base64url");
+    if (challenge !== grant.code_challenge) {
+      return res.status(400).json({
+        error: "invalid_grant",
+        error_description: "PKCE verification failed",
+      });
+    }
+  }
+
+  const idToken = jwt.sign(
+    { ...grant.claims, nonce: grant.nonce },
+    privateKey,
+    {
+      algorithm: "RS256",
+      keyid: KEY_ID,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: "5m",
+    },
+  );
+  const accessToken = crypto.randomBytes(24).toString("hex");
+  accessTokens.set(accessToken, grant.claims);
+
+  res.json({
+    access_token: accessToken,
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.get("/userinfo", (req, res) => {
+  const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+  const claims = accessTokens.get(token);
+  if (!claims) {
+    return res.status(401).json({ error: "invalid_token" });
+  }
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`🔑 Mock OIDC provider running at ${ISSUER}`);
+  console.log(`   client_id: ${CLIENT_ID}  client_secret: ${CLIENT_SECRET}`);
+});
@@ -13,6 +13,9 @@ const {
   QuestionOption,
   Kudos,
 } = require("../models");
+const { ensureDefaultRoles } = require("../utils/permissions");
+const { ensureDefaultOrganization } = require("../utils/tenancy");
+const { ensureCourseStructure } = require("../utils/courseStructure");
 
 async function seedData() {
   const t = await sequelize.transaction();
@@ -20,6 +23,8 @@ async function seedData() {
   try {
     console.log("🌱 Starting database seeding...\n");
 
+    await ensureDefaultRoles({ transaction: t });
+
     // Hash password for demo users
     const password = await bcrypt.hash("password123", 10);
 
@@ -216,7 +221,6 @@ async function seedData() {
           {
             user_id: learners[i].id,
             course_id: courses[courseIdx].id,
-            progress_percentage: Math.floor(Math.random() * 100),
           },
           { transaction: t },
         );
@@ -335,6 +339,10 @@ async function seedData() {
     );
     console.log("✅ Added sample kudos\n");
 
+    // Sample data belongs to the default organization
+    await ensureDefaultOrganization({ transaction: t });
+    await ensureCourseStructure({ transaction: t });
+
     await t.commit();
 
     console.log("✅ Database seeding complete!\n");
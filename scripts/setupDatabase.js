@@ -1,6 +1,8 @@
 const fs = require("fs");
 const path = require("path");
 const { sequelize } = require("../models");
+const { ensureDefaultRoles } = require("../utils/permissions");
+const { ensureDefaultOrganization } = require("../utils/tenancy");
 
 async function setupDatabase() {
   try {
@@ -10,6 +12,16 @@ async function setupDatabase() {
     await sequelize.sync({ force: true });
     console.log("✅ Database schema created successfully!\n");
 
+    console.log("🔐 Creating built-in roles...");
+    await ensureDefaultRoles();
+    console.log(
+      "✅ Roles created: candidate, learner, supervisor, admin, super_admin\n",
+    );
+
+    console.log("🏢 Creating default organization...");
+    await ensureDefaultOrganization();
+    console.log("✅ Organization created: default\n");
+
     // Create uploads directories
     const dirs = [
       path.join(__dirname, "../uploads"),
@@ -6,6 +6,11 @@ const path = require("path");
 require("dotenv").config();
 
 const { sequelize } = require("./models");
+const { ensureDefaultRoles } = require("./utils/permissions");
+const { ensureDefaultOrganization } = require("./utils/tenancy");
+const { ensureCourseStructure } = require("./utils/courseStructure");
+const { startAutoClockOutJob } = require("./jobs/autoClockOut");
+const { startStreakRefreshJob } = require("./jobs/streakRefresh");
 
 // Import routes
 const authRoutes = require("./routes/auth");
@@ -20,10 +25,26 @@ const supervisorRoutes = require("./routes/supervisor");
 const feedbackRoutes = require("./routes/feedback");
 const candidateTestRoutes = require("./routes/candidateTests");
 const assignmentRoutes = require("./routes/assignments");
+const organizationRoutes = require("./routes/organizations");
+const apiKeyRoutes = require("./routes/apiKeys");
+const scimRoutes = require("./routes/scim");
+const targetRoutes = require("./routes/targets");
+const calendarRoutes = require("./routes/calendar");
+const learningPathRoutes = require("./routes/learningPaths");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Honour X-Forwarded-For behind a reverse proxy so req.ip is the client
+// address (used by login throttling), e.g. TRUST_PROXY=1 or TRUST_PROXY=true
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set(
+    "trust proxy",
+    trustProxy === "true" ? true : Number(trustProxy) || trustProxy,
+  );
+}
+
 // Middleware
 app.use(helmet()); // Security headers
 app.use(
@@ -33,7 +54,12 @@ app.use(
   }),
 ); // Enable CORS
 app.use(morgan("combined")); // Logging
-app.use(express.json({ limit: "10mb" })); // JSON parser
+app.use(
+  express.json({
+    limit: "10mb",
+    type: ["application/json", "application/scim+json"],
+  }),
+); // JSON parser
 app.use(express.urlencoded({ extended: true }));
 
 // Static files for uploads
@@ -61,6 +87,12 @@ app.use("/api/supervisor", supervisorRoutes);
 app.use("/api/feedback", feedbackRoutes);
 app.use("/api/candidate/tests", candidateTestRoutes);
 app.use("/api/assignments", assignmentRoutes);
+app.use("/api/organizations", organizationRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/scim/v2", scimRoutes);
+app.use("/api/target-policies", targetRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/learning-paths", learningPathRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -82,8 +114,14 @@ const startServer = async () => {
   try {
     await sequelize.authenticate();
     await sequelize.sync({ alter: true }); // Sync models with database
+    await ensureDefaultRoles(); // Built-in roles referenced by users.role
+    await ensureDefaultOrganization(); // Tenant for rows predating multi-tenancy
+    await ensureCourseStructure(); // Modules for content predating them
     console.log("Database connection established successfully.");
 
+    startAutoClockOutJob(); // Close learning sessions left open
+    startStreakRefreshJob(); // Catch streaks broken by days passing
+
     app.listen(PORT, () => {
       console.log(`
    ArchetypeOS Learning Platform              
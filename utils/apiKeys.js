@@ -0,0 +1,91 @@
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const { ApiKey } = require("../models");
+const { hashToken } = require("./tokens");
+
+// Keys look like "ak_<43 url-safe chars>" so they can be told apart from
+// JWTs in the Authorization header
+const API_KEY_PREFIX = "ak_";
+const DEFAULT_TTL_DAYS = 90;
+const MAX_TTL_DAYS = parseInt(process.env.API_KEY_MAX_TTL_DAYS || "365");
+
+// last_used_at is only rewritten when older than this, so busy scripts
+// don't cause a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const isApiKey = (token) =>
+  typeof token === "string" && token.startsWith(API_KEY_PREFIX);
+
+const createApiKey = async ({
+  userId,
+  createdBy,
+  name,
+  permissions,
+  expiresInDays,
+}) => {
+  const key = API_KEY_PREFIX + crypto.randomBytes(32).toString("base64url");
+  const ttlDays = expiresInDays || DEFAULT_TTL_DAYS;
+
+  const record = await ApiKey.create({
+    user_id: userId,
+    name,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    key_hash: hashToken(key),
+    permissions: [...new Set(permissions)],
+    expires_at: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+    created_by: createdBy,
+  });
+
+  return { key, record };
+};
+
+// Look up an unrevoked, unexpired key
+const findActiveApiKey = (key) =>
+  ApiKey.findOne({
+    where: {
+      key_hash: hashToken(key),
+      revoked_at: null,
+      [Op.or]: [{ expires_at: null }, { expires_at: { [Op.gt]: new Date() } }],
+    },
+  });
+
+const recordApiKeyUse = async (apiKey, ip) => {
+  if (
+    apiKey.last_used_at &&
+    Date.now() - apiKey.last_used_at.getTime() < LAST_USED_RESOLUTION_MS
+  ) {
+    return;
+  }
+  await apiKey.update({ last_used_at: new Date(), last_used_ip: ip || null });
+};
+
+// Requested permissions that the caller or the key's owner doesn't hold
+const disallowedKeyPermissions = (
+  permissions,
+  callerPermissions,
+  ownerPermissions,
+) =>
+  permissions.filter(
+    (p) => !callerPermissions.includes(p) || !ownerPermissions.includes(p),
+  );
+
+const serializeApiKey = (apiKey) => {
+  const plain = apiKey.get({ plain: true });
+  delete plain.key_hash;
+  plain.status = plain.revoked_at
+    ? "revoked"
+    : plain.expires_at && new Date(plain.expires_at) < new Date()
+      ? "expired"
+      : "active";
+  return plain;
+};
+
+module.exports = {
+  MAX_TTL_DAYS,
+  isApiKey,
+  createApiKey,
+  findActiveApiKey,
+  recordApiKeyUse,
+  disallowedKeyPermissions,
+  serializeApiKey,
+};
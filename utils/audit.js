@@ -0,0 +1,31 @@
+const { AuditLog } = require("../models");
+
+// Write an audit log entry. Failures are logged rather than thrown so that
+// auditing never breaks the request being audited.
+const recordAudit = async ({
+  action,
+  actorId = null,
+  userId = null,
+  organizationId = null,
+  req = null,
+  statusCode = null,
+  details = null,
+}) => {
+  try {
+    await AuditLog.create({
+      action,
+      actor_id: actorId,
+      user_id: userId,
+      organization_id: organizationId,
+      http_method: req ? req.method : null,
+      path: req ? req.originalUrl : null,
+      status_code: statusCode,
+      ip_address: req ? req.ip : null,
+      details,
+    });
+  } catch (error) {
+    console.error("Audit log error:", error);
+  }
+};
+
+module.exports = { recordAudit };
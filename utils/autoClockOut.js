@@ -0,0 +1,187 @@
+const {
+  LearningSession,
+  LearningBreak,
+  Notification,
+  User,
+  sequelize,
+} = require("../models");
+const {
+  DEFAULT_TIMEZONE,
+  localParts,
+  zonedTime,
+  zoneOf,
+} = require("./timezone");
+const { endOpenSegment } = require("./studyTime");
+
+// Sessions left open are closed once they reach AUTO_CLOCK_OUT_MAX_HOURS
+// or pass AUTO_CLOCK_OUT_END_OF_DAY ("HH:MM" in the learner's time zone)
+// on the day they started, whichever comes first. Either limit can be
+// disabled with "0" and "off" respectively.
+const MAX_SESSION_HOURS = parseFloat(
+  process.env.AUTO_CLOCK_OUT_MAX_HOURS || "12",
+);
+const END_OF_DAY = process.env.AUTO_CLOCK_OUT_END_OF_DAY || "23:59";
+
+const parseEndOfDay = () => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(END_OF_DAY);
+  return match ? { hours: Number(match[1]), minutes: Number(match[2]) } : null;
+};
+
+// { at, reason } for when an open session is closed, or null if no limit
+// is configured
+const autoCloseCutoff = (session, timezone = DEFAULT_TIMEZONE) => {
+  const start = new Date(session.start_time);
+  const cutoffs = [];
+
+  if (MAX_SESSION_HOURS > 0) {
+    cutoffs.push({
+      at: new Date(start.getTime() + MAX_SESSION_HOURS * 60 * 60 * 1000),
+      reason: "max_length",
+    });
+  }
+
+  const endOfDay = parseEndOfDay();
+  if (endOfDay) {
+    const day = localParts(start, timezone);
+    let at = zonedTime(
+      timezone,
+      day.year,
+      day.month,
+      day.day,
+      endOfDay.hours,
+      endOfDay.minutes,
+    );
+    if (at <= start) {
+      at = zonedTime(
+        timezone,
+        day.year,
+        day.month,
+        day.day + 1,
+        endOfDay.hours,
+        endOfDay.minutes,
+      );
+    }
+    cutoffs.push({ at, reason: "end_of_day" });
+  }
+
+  return cutoffs.sort((a, b) => a.at - b.at)[0] || null;
+};
+
+const notifyAutoClockOut = async (session, user) => {
+  const hours = (
+    (session.end_time - session.start_time) / 3600000 -
+    session.break_minutes / 60
+  ).toFixed(2);
+  const why =
+    session.auto_close_reason === "max_length"
+      ? "it reached the maximum session length"
+      : "the day ended";
+
+  await Notification.create({
+    user_id: user.id,
+    title: "Learning session closed automatically",
+    message: `Your session from ${session.date} was still open, so it was closed when ${why}. Add a reflection to have its ${hours} hours counted.`,
+    notification_type: "auto_clock_out",
+  });
+
+  if (user.supervisor_id) {
+    await Notification.create({
+      user_id: user.supervisor_id,
+      title: `Session auto-closed - ${user.full_name}`,
+      message: `${user.full_name} did not clock out on ${session.date}; the session was closed automatically when ${why}. Its ${hours} hours count once they add a reflection.`,
+      notification_type: "auto_clock_out",
+    });
+  }
+};
+
+// Close one open session at its cutoff, ending any running break there.
+// Returns the closed session, or null if it was closed concurrently.
+const autoCloseSession = async (sessionId, cutoff) => {
+  const t = await sequelize.transaction();
+  let session;
+  try {
+    session = await LearningSession.findOne({
+      where: { id: sessionId, end_time: null },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    if (!session) {
+      await t.rollback();
+      return null;
+    }
+
+    const openBreak = await LearningBreak.findOne({
+      where: { session_id: session.id, end_time: null },
+      transaction: t,
+    });
+    if (openBreak) {
+      const breakEnd = new Date(
+        Math.max(openBreak.start_time.getTime(), cutoff.at.getTime()),
+      );
+      await openBreak.update({ end_time: breakEnd }, { transaction: t });
+      session.break_minutes += Math.max(
+        0,
+        (cutoff.at - openBreak.start_time) / 60000,
+      );
+    }
+    await endOpenSegment(session.id, cutoff.at, { transaction: t });
+
+    await session.update(
+      {
+        end_time: cutoff.at,
+        break_minutes: session.break_minutes,
+        auto_closed_at: new Date(),
+        auto_close_reason: cutoff.reason,
+        requires_reflection: true,
+      },
+      { transaction: t },
+    );
+    await t.commit();
+  } catch (error) {
+    await t.rollback();
+    throw error;
+  }
+
+  const user = await User.findByPk(session.user_id, {
+    attributes: ["id", "full_name", "supervisor_id"],
+  });
+  if (user) {
+    await notifyAutoClockOut(session, user);
+  }
+  return session;
+};
+
+// Close the session if it is past its cutoff; used by clock-in so a
+// forgotten session doesn't block the next one until the job runs
+const autoCloseIfExpired = async (session, timezone, now = new Date()) => {
+  const cutoff = autoCloseCutoff(session, timezone);
+  if (!cutoff || cutoff.at > now) return null;
+  return autoCloseSession(session.id, cutoff);
+};
+
+// Close every open session past its cutoff; returns how many were closed
+const closeExpiredSessions = async (now = new Date()) => {
+  const open = await LearningSession.findAll({
+    where: { end_time: null },
+    attributes: ["id", "start_time"],
+    include: [{ model: User, attributes: ["timezone"] }],
+  });
+
+  let closed = 0;
+  for (const session of open) {
+    try {
+      if (await autoCloseIfExpired(session, zoneOf(session.User), now)) {
+        closed += 1;
+      }
+    } catch (error) {
+      console.error(`Auto clock-out of session ${session.id} failed:`, error);
+    }
+  }
+  return closed;
+};
+
+module.exports = {
+  autoCloseCutoff,
+  autoCloseIfExpired,
+  closeExpiredSessions,
+};
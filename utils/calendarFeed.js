@@ -0,0 +1,208 @@
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const {
+  CalendarFeed,
+  LearningSession,
+  Assignment,
+  User,
+  Organization,
+} = require("../models");
+const { hashToken } = require("./tokens");
+
+// Calendar apps fetch the whole feed on every poll, so it only reaches
+// this far back
+const FEED_HISTORY_DAYS = parseInt(
+  process.env.CALENDAR_FEED_HISTORY_DAYS || "90",
+);
+
+// last_accessed_at is only rewritten when older than this; apps poll often
+const LAST_ACCESSED_RESOLUTION_MS = 60 * 60 * 1000;
+
+// Issue a new feed token for a user, replacing any earlier one
+const rotateFeedToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const existing = await CalendarFeed.findOne({ where: { user_id: userId } });
+
+  if (existing) {
+    await existing.update({
+      token_hash: hashToken(token),
+      last_accessed_at: null,
+      created_at: new Date(),
+    });
+  } else {
+    await CalendarFeed.create({
+      user_id: userId,
+      token_hash: hashToken(token),
+    });
+  }
+  return token;
+};
+
+// Owner of a feed token, or null if the token was revoked or the account
+// (or its organization) is no longer active
+const findFeedOwner = async (token) => {
+  const feed = await CalendarFeed.findOne({
+    where: { token_hash: hashToken(token) },
+    include: [
+      {
+        model: User,
+        attributes: ["id", "full_name", "role", "organization_id", "is_active"],
+        include: [
+          { model: Organization, attributes: ["id", "settings", "is_active"] },
+        ],
+      },
+    ],
+  });
+  const owner = feed && feed.User;
+  if (!owner || !owner.is_active) return null;
+  if (!owner.Organization || !owner.Organization.is_active) return null;
+
+  if (
+    !feed.last_accessed_at ||
+    Date.now() - feed.last_accessed_at.getTime() > LAST_ACCESSED_RESOLUTION_MS
+  ) {
+    await feed.update({ last_accessed_at: new Date() });
+  }
+  return owner;
+};
+
+// Feeds are iCalendar (RFC 5545) text
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// 2024-03-01T09:30:00.000Z -> 20240301T093000Z
+const formatDateTime = (instant) =>
+  new Date(instant).toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+
+// Content lines are folded at 75 octets; continuation lines start with a
+// space
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > 75) {
+      parts.push(current);
+      current = " ";
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n");
+};
+
+// Events have a uid, summary, start and optional end and description
+const buildCalendar = (name, events, now = new Date()) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//ArchetypeOS//Learning Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}@archetypeos`,
+      `DTSTAMP:${formatDateTime(now)}`,
+      `DTSTART:${formatDateTime(event.start)}`,
+    );
+    if (event.end && event.end > event.start) {
+      lines.push(`DTEND:${formatDateTime(event.end)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+const sessionEvent = (session, now) => {
+  const ongoing = !session.end_time;
+  const details = ongoing
+    ? ["In progress"]
+    : [`${(session.duration_minutes / 60).toFixed(2)} hours of learning`];
+  if (session.break_minutes > 0) {
+    details.push(`${Math.round(session.break_minutes)} minutes of breaks`);
+  }
+  if (session.requires_reflection) {
+    details.push("Closed automatically; add a reflection to count its hours");
+  }
+  if (session.reflection_text) {
+    details.push("", session.reflection_text);
+  }
+
+  return {
+    uid: `learning-session-${session.id}`,
+    start: session.start_time,
+    end: session.end_time || now,
+    summary: ongoing ? "Learning session (in progress)" : "Learning session",
+    description: details.join("\n"),
+  };
+};
+
+const assignmentReviewEvent = (assignment) => ({
+  uid: `assignment-review-${assignment.id}`,
+  start: assignment.reviewed_at,
+  summary: `Assignment reviewed: ${assignment.title}`,
+  description: [
+    `Status: ${assignment.status.replace("_", " ")}`,
+    ...(assignment.grade != null ? [`Grade: ${assignment.grade}`] : []),
+  ].join("\n"),
+});
+
+// Sessions and assignment reviews of the given learners ({ id,
+// full_name }) within the feed's history. With `named`, each event is
+// prefixed with the learner's name (for team feeds). Tests have no
+// scheduled time windows and there are no scheduled events to export yet.
+const collectEvents = async (learners, options = {}) => {
+  const now = new Date();
+  const since = new Date(now.getTime() - FEED_HISTORY_DAYS * 86400000);
+  const userIds = learners.map((l) => l.id);
+
+  const [sessions, assignments] = await Promise.all([
+    LearningSession.findAll({
+      where: {
+        user_id: userIds,
+        [Op.or]: [{ start_time: { [Op.gte]: since } }, { end_time: null }],
+      },
+      order: [["start_time", "ASC"]],
+    }),
+    Assignment.findAll({
+      where: { user_id: userIds, reviewed_at: { [Op.gte]: since } },
+      attributes: ["id", "user_id", "title", "status", "grade", "reviewed_at"],
+      order: [["reviewed_at", "ASC"]],
+    }),
+  ]);
+
+  const names = new Map(learners.map((l) => [l.id, l.full_name]));
+  const ownedBy = (userId, event) =>
+    options.named
+      ? { ...event, summary: `${names.get(userId)}: ${event.summary}` }
+      : event;
+
+  return [
+    ...sessions.map((s) => ownedBy(s.user_id, sessionEvent(s, now))),
+    ...assignments.map((a) => ownedBy(a.user_id, assignmentReviewEvent(a))),
+  ];
+};
+
+module.exports = {
+  rotateFeedToken,
+  findFeedOwner,
+  buildCalendar,
+  collectEvents,
+};
@@ -0,0 +1,312 @@
+const { Op } = require("sequelize");
+const {
+  Assignment,
+  ContentCompletion,
+  CourseContent,
+  Enrollment,
+  Test,
+  TestAttempt,
+  LearningPathCourse,
+  PathEnrollment,
+} = require("../models");
+const { enrollNextPathCourses } = require("./learningPaths");
+
+// Rule used when an item doesn't set its own
+const DEFAULT_RULES = {
+  video: "watched",
+  pdf: "opened",
+  link: "confirmed",
+  assignment: "submitted",
+};
+
+// Rules that make sense for each content type. "optional" items don't
+// count towards course progress.
+const ALLOWED_RULES = {
+  video: ["watched", "opened", "confirmed", "optional"],
+  pdf: ["opened", "confirmed", "optional"],
+  link: ["opened", "confirmed", "optional"],
+  assignment: ["submitted", "reviewed", "optional"],
+};
+
+const COMPLETION_RULES = [
+  "opened",
+  "watched",
+  "confirmed",
+  "submitted",
+  "reviewed",
+  "optional",
+];
+
+const DEFAULT_WATCH_THRESHOLD = 90;
+
+const isRuleAllowed = (contentType, rule) =>
+  (ALLOWED_RULES[contentType] || []).includes(rule);
+
+const completionRuleOf = (content) => ({
+  rule: content.completion_rule || DEFAULT_RULES[content.content_type],
+  threshold: content.completion_threshold || DEFAULT_WATCH_THRESHOLD,
+});
+
+// Whether a learner's completion record (or, for assignment briefs, their
+// submissions answering it) meets the item's rule
+const meetsRule = (content, record, submissions) => {
+  const { rule, threshold } = completionRuleOf(content);
+  switch (rule) {
+    case "opened":
+      return Boolean(record && (record.opened_at || record.confirmed_at));
+    case "watched":
+      return Boolean(record && record.watched_percentage >= threshold);
+    case "confirmed":
+      return Boolean(record && record.confirmed_at);
+    case "submitted":
+      return submissions.length > 0;
+    case "reviewed":
+      return submissions.some((s) => s.status === "reviewed");
+    default:
+      return false;
+  }
+};
+
+// Record what the learner's client reports: the item was "opened", a
+// video was "watched" up to `percentage`, or the learner "confirmed" it.
+// Any event implies the item was opened.
+const recordContentEvent = async (userId, content, event, percentage) => {
+  const [record] = await ContentCompletion.findOrCreate({
+    where: { user_id: userId, content_id: content.id },
+  });
+
+  const now = new Date();
+  const changes = { opened_at: record.opened_at || now, updated_at: now };
+  if (event === "watched") {
+    changes.watched_percentage = Math.max(
+      record.watched_percentage,
+      Math.round(percentage),
+    );
+  }
+  if (event === "confirmed") {
+    changes.confirmed_at = record.confirmed_at || now;
+  }
+  await record.update(changes);
+  return record;
+};
+
+// Each of the tests with the learner's best graded score (null if none)
+// and whether it reaches the passing score. Multiple-choice attempts are
+// graded on submission and stay "submitted"; others are "graded" by hand.
+const testResultsFor = async (userId, tests) => {
+  const attempts = await TestAttempt.findAll({
+    where: {
+      user_id: userId,
+      test_id: tests.map((t) => t.id),
+      status: ["submitted", "graded"],
+      graded_at: { [Op.ne]: null },
+      score: { [Op.ne]: null },
+    },
+    attributes: ["test_id", "score"],
+  });
+
+  return tests.map((test) => {
+    const scores = attempts
+      .filter((a) => a.test_id === test.id)
+      .map((a) => a.score);
+    const best = scores.length > 0 ? Math.max(...scores) : null;
+    return {
+      test,
+      best_score: best,
+      passed: best != null && best >= test.passing_score,
+    };
+  });
+};
+
+// Re-derive which of a course's items a learner has completed, and from
+// that their enrollment's progress_percentage and completed_at. Content
+// items count unless their rule is "optional"; every test of the course
+// counts and needs a passing score. A course with nothing required is
+// complete on enrollment. Completing the course moves the learner on along
+// their learning paths. Call it whenever something it depends on changes;
+// reads use the stored result. Returns the enrollment, or null if the
+// learner isn't enrolled.
+const refreshEnrollmentProgress = async (userId, courseId) => {
+  const enrollment = await Enrollment.findOne({
+    where: { user_id: userId, course_id: courseId },
+  });
+  if (!enrollment) return null;
+
+  const contents = await CourseContent.findAll({
+    where: { course_id: courseId },
+    attributes: [
+      "id",
+      "content_type",
+      "completion_rule",
+      "completion_threshold",
+    ],
+  });
+  const contentIds = contents.map((c) => c.id);
+  const tests = await Test.findAll({
+    where: { course_id: courseId },
+    attributes: ["id", "passing_score"],
+  });
+  const [records, submissions, testResults] = await Promise.all([
+    ContentCompletion.findAll({
+      where: { user_id: userId, content_id: contentIds },
+    }),
+    Assignment.findAll({
+      where: { user_id: userId, content_id: contentIds },
+      attributes: ["content_id", "status"],
+    }),
+    testResultsFor(userId, tests),
+  ]);
+
+  const now = new Date();
+  let required = tests.length;
+  let completed = testResults.filter((r) => r.passed).length;
+  for (const content of contents) {
+    const record = records.find((r) => r.content_id === content.id);
+    const met = meetsRule(
+      content,
+      record,
+      submissions.filter((s) => s.content_id === content.id),
+    );
+
+    if (completionRuleOf(content).rule !== "optional") {
+      required += 1;
+      if (met) completed += 1;
+    }
+
+    if (!record && met) {
+      await ContentCompletion.create({
+        user_id: userId,
+        content_id: content.id,
+        completed_at: now,
+      });
+    } else if (record && met !== Boolean(record.completed_at)) {
+      await record.update({ completed_at: met ? now : null, updated_at: now });
+    }
+  }
+
+  const isComplete = completed === required;
+  const wasComplete = Boolean(enrollment.completed_at);
+  await enrollment.update({
+    progress_percentage:
+      required > 0 ? Math.round((completed / required) * 100) : 100,
+    completed_at: isComplete ? enrollment.completed_at || now : null,
+  });
+  if (isComplete !== wasComplete) {
+    await advanceLearningPaths(userId);
+  }
+  return enrollment;
+};
+
+// Enroll the learner in the next course of their learning paths (or just
+// pathId's), counting anything they already completed in it
+const advanceLearningPaths = async (userId, pathId) => {
+  for (const enrollment of await enrollNextPathCourses(userId, pathId)) {
+    await refreshEnrollmentProgress(userId, enrollment.course_id);
+  }
+};
+
+// Move on everyone following a path that includes the course, e.g. once
+// it is published
+const advanceLearningPathsThrough = async (courseId) => {
+  const pathCourses = await LearningPathCourse.findAll({
+    where: { course_id: courseId },
+    attributes: ["path_id"],
+  });
+  await advancePathFollowers(pathCourses.map((pc) => pc.path_id));
+};
+
+// Move on everyone following the given paths
+const advancePathFollowers = async (pathIds) => {
+  const pathEnrollments = await PathEnrollment.findAll({
+    where: { path_id: pathIds },
+    attributes: ["user_id", "path_id"],
+  });
+  for (const pathEnrollment of pathEnrollments) {
+    await advanceLearningPaths(pathEnrollment.user_id, pathEnrollment.path_id);
+  }
+};
+
+// Refresh every enrollment in a course, after its items or their rules
+// change
+const refreshCourseProgress = async (courseId) => {
+  const enrollments = await Enrollment.findAll({
+    where: { course_id: courseId },
+    attributes: ["user_id"],
+  });
+  for (const enrollment of enrollments) {
+    await refreshEnrollmentProgress(enrollment.user_id, courseId);
+  }
+};
+
+// Each item of a course with its rule and the learner's completion state
+const contentProgressFor = async (userId, courseId) => {
+  const contents = await CourseContent.findAll({
+    where: { course_id: courseId },
+    include: [
+      {
+        model: ContentCompletion,
+        as: "Completions",
+        where: { user_id: userId },
+        required: false,
+      },
+    ],
+    order: [
+      ["lesson_id", "ASC"],
+      ["order_index", "ASC"],
+    ],
+  });
+
+  return contents.map((content) => {
+    const record = content.Completions[0];
+    const { rule, threshold } = completionRuleOf(content);
+    return {
+      content_id: content.id,
+      lesson_id: content.lesson_id,
+      title: content.title,
+      content_type: content.content_type,
+      completion_rule: rule,
+      completion_threshold: rule === "watched" ? threshold : null,
+      watched_percentage: record ? record.watched_percentage : 0,
+      opened_at: record ? record.opened_at : null,
+      confirmed_at: record ? record.confirmed_at : null,
+      completed_at: record ? record.completed_at : null,
+    };
+  });
+};
+
+// Each test of a course with the learner's best score and whether they
+// passed it
+const testProgressFor = async (userId, courseId) => {
+  const tests = await Test.findAll({
+    where: { course_id: courseId },
+    attributes: ["id", "lesson_id", "title", "passing_score"],
+    order: [
+      ["lesson_id", "ASC"],
+      ["order_index", "ASC"],
+    ],
+  });
+
+  return (await testResultsFor(userId, tests)).map(
+    ({ test, best_score, passed }) => ({
+      test_id: test.id,
+      lesson_id: test.lesson_id,
+      title: test.title,
+      passing_score: test.passing_score,
+      best_score,
+      passed,
+    }),
+  );
+};
+
+module.exports = {
+  COMPLETION_RULES,
+  isRuleAllowed,
+  recordContentEvent,
+  refreshEnrollmentProgress,
+  refreshCourseProgress,
+  advanceLearningPaths,
+  advanceLearningPathsThrough,
+  advancePathFollowers,
+  contentProgressFor,
+  testProgressFor,
+};
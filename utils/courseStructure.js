@@ -0,0 +1,206 @@
+const {
+  CourseModule,
+  CourseLesson,
+  CourseContent,
+  Test,
+  sequelize,
+} = require("../models");
+
+// Where content added without a lesson (and content that predates modules)
+// goes
+const DEFAULT_MODULE_TITLE = "Course content";
+const DEFAULT_LESSON_TITLE = "Lessons";
+
+const TEST_ITEM_ATTRIBUTES = [
+  "id",
+  "lesson_id",
+  "order_index",
+  "title",
+  "test_type",
+  "passing_score",
+  "time_limit_minutes",
+];
+
+const byOrder = [
+  ["order_index", "ASC"],
+  ["id", "ASC"],
+];
+
+// Position after the last row matching `where`
+const nextOrderIndex = async (model, where, options = {}) => {
+  const max = await model.max("order_index", {
+    where,
+    transaction: options.transaction,
+  });
+  return (max ?? -1) + 1;
+};
+
+// Content items and tests share a lesson's order_index sequence
+const nextItemOrderIndex = async (lessonId, options = {}) =>
+  Math.max(
+    await nextOrderIndex(CourseContent, { lesson_id: lessonId }, options),
+    await nextOrderIndex(Test, { lesson_id: lessonId }, options),
+  );
+
+// Lesson of the given course, with its module, or null
+const findLessonInCourse = (courseId, lessonId, options = {}) =>
+  CourseLesson.findOne({
+    where: { id: lessonId },
+    include: [
+      {
+        model: CourseModule,
+        where: { course_id: courseId },
+        attributes: ["id", "course_id"],
+      },
+    ],
+    transaction: options.transaction,
+  });
+
+// The course's first lesson, created in its first module (or a new
+// default module) if it has none
+const defaultLessonFor = async (courseId, options = {}) => {
+  const { transaction } = options;
+
+  const lesson = await CourseLesson.findOne({
+    include: [
+      {
+        model: CourseModule,
+        where: { course_id: courseId },
+        attributes: [],
+      },
+    ],
+    order: [
+      [CourseModule, "order_index", "ASC"],
+      [CourseModule, "id", "ASC"],
+      ...byOrder,
+    ],
+    transaction,
+  });
+  if (lesson) return lesson;
+
+  const module =
+    (await CourseModule.findOne({
+      where: { course_id: courseId },
+      order: byOrder,
+      transaction,
+    })) ||
+    (await CourseModule.create(
+      { course_id: courseId, title: DEFAULT_MODULE_TITLE, order_index: 0 },
+      { transaction },
+    ));
+
+  return CourseLesson.create(
+    { module_id: module.id, title: DEFAULT_LESSON_TITLE, order_index: 0 },
+    { transaction },
+  );
+};
+
+// Lesson a new content item or test goes to: lessonId if given (null if it
+// isn't in the course), else the course's default lesson
+const resolveLesson = (courseId, lessonId, options = {}) =>
+  lessonId
+    ? findLessonInCourse(courseId, lessonId, options)
+    : defaultLessonFor(courseId, options);
+
+// True if `ids` lists exactly the ids of `rows`, each once
+const isPermutationOf = (ids, rows) =>
+  Array.isArray(ids) &&
+  ids.length === rows.length &&
+  new Set(ids.map(Number)).size === ids.length &&
+  rows.every((row) => ids.map(Number).includes(row.id));
+
+// Write order_index 0..n-1 in the order of `ids`
+const applyOrder = async (model, ids, options = {}) => {
+  for (const [index, id] of ids.entries()) {
+    await model.update(
+      { order_index: index },
+      { where: { id }, transaction: options.transaction },
+    );
+  }
+};
+
+// Modules -> lessons -> items (content and tests, interleaved by order)
+const buildCourseTree = async (courseId) => {
+  const modules = await CourseModule.findAll({
+    where: { course_id: courseId },
+    include: [{ model: CourseLesson, as: "Lessons" }],
+    order: [
+      ...byOrder,
+      [{ model: CourseLesson, as: "Lessons" }, "order_index", "ASC"],
+      [{ model: CourseLesson, as: "Lessons" }, "id", "ASC"],
+    ],
+  });
+
+  const lessonIds = modules.flatMap((m) => m.Lessons.map((l) => l.id));
+  const [content, tests] = await Promise.all([
+    CourseContent.findAll({ where: { lesson_id: lessonIds } }),
+    Test.findAll({
+      where: { lesson_id: lessonIds },
+      attributes: TEST_ITEM_ATTRIBUTES,
+    }),
+  ]);
+
+  const items = [
+    ...content.map((c) => ({
+      item_type: "content",
+      ...c.get({ plain: true }),
+    })),
+    ...tests.map((t) => ({ item_type: "test", ...t.get({ plain: true }) })),
+  ].sort((a, b) => a.order_index - b.order_index || a.id - b.id);
+
+  return modules.map((module) => ({
+    id: module.id,
+    title: module.title,
+    description: module.description,
+    order_index: module.order_index,
+    lessons: module.Lessons.map((lesson) => ({
+      id: lesson.id,
+      title: lesson.title,
+      description: lesson.description,
+      order_index: lesson.order_index,
+      items: items.filter((item) => item.lesson_id === lesson.id),
+    })),
+  }));
+};
+
+// Move content that predates modules into its course's default lesson,
+// keeping its order
+const ensureCourseStructure = async (options = {}) => {
+  const { transaction } = options;
+  const courses = await CourseContent.findAll({
+    where: { lesson_id: null },
+    attributes: [
+      [sequelize.fn("DISTINCT", sequelize.col("course_id")), "course_id"],
+    ],
+    raw: true,
+    transaction,
+  });
+
+  for (const { course_id } of courses) {
+    const lesson = await defaultLessonFor(course_id, { transaction });
+    const start = await nextItemOrderIndex(lesson.id, { transaction });
+    const content = await CourseContent.findAll({
+      where: { course_id, lesson_id: null },
+      order: byOrder,
+      transaction,
+    });
+    for (const [index, item] of content.entries()) {
+      await item.update(
+        { lesson_id: lesson.id, order_index: start + index },
+        { transaction },
+      );
+    }
+  }
+};
+
+module.exports = {
+  nextOrderIndex,
+  nextItemOrderIndex,
+  findLessonInCourse,
+  defaultLessonFor,
+  resolveLesson,
+  isPermutationOf,
+  applyOrder,
+  buildCourseTree,
+  ensureCourseStructure,
+};
@@ -0,0 +1,188 @@
+const {
+  LearningPath,
+  LearningPathCourse,
+  LearningPathMilestone,
+  PathEnrollment,
+  Enrollment,
+  Course,
+  Notification,
+} = require("../models");
+const { prerequisiteStatus } = require("./prerequisites");
+
+const byPosition = (a, b) => a.order_index - b.order_index || a.id - b.id;
+
+const PATH_INCLUDE = {
+  model: LearningPath,
+  include: [
+    {
+      model: LearningPathCourse,
+      as: "PathCourses",
+      include: [{ model: Course, attributes: ["id", "title", "is_published"] }],
+    },
+    { model: LearningPathMilestone, as: "Milestones" },
+  ],
+};
+
+// The learner's path enrollments (all, or just pathId's) with each path's
+// courses in order and its milestones
+const findPathEnrollments = async (userId, pathId) => {
+  const pathEnrollments = await PathEnrollment.findAll({
+    where: { user_id: userId, ...(pathId ? { path_id: pathId } : {}) },
+    include: [PATH_INCLUDE],
+    order: [["enrolled_at", "ASC"]],
+  });
+  pathEnrollments.forEach((pe) => pe.LearningPath.PathCourses.sort(byPosition));
+  return pathEnrollments;
+};
+
+// Why the learner can't be enrolled in a path's next course, if they can't
+const blockersFor = async (userId, pathCourse) => {
+  if (!pathCourse.Course.is_published) {
+    return ["The course isn't published yet"];
+  }
+  const prerequisites = await prerequisiteStatus(userId, pathCourse.course_id);
+  return prerequisites.prerequisites
+    .filter((p) => !p.met)
+    .map((p) => p.requirement);
+};
+
+// Enroll the learner in the next course of each path they follow (or just
+// pathId): the first one they haven't completed, once it is published and
+// its prerequisites are met. Paths with every course completed are marked
+// complete. Returns the enrollments created.
+const enrollNextPathCourses = async (userId, pathId) => {
+  const created = [];
+
+  for (const pathEnrollment of await findPathEnrollments(userId, pathId)) {
+    const path = pathEnrollment.LearningPath;
+    if (path.PathCourses.length === 0) continue;
+
+    const enrollments = await Enrollment.findAll({
+      where: {
+        user_id: userId,
+        course_id: path.PathCourses.map((pc) => pc.course_id),
+      },
+      attributes: ["course_id", "completed_at"],
+    });
+    const enrollmentIn = (courseId) =>
+      enrollments.find((e) => e.course_id === courseId);
+    const next = path.PathCourses.find((pc) => {
+      const enrollment = enrollmentIn(pc.course_id);
+      return !enrollment || !enrollment.completed_at;
+    });
+
+    if (!next) {
+      if (!pathEnrollment.completed_at) {
+        await pathEnrollment.update({ completed_at: new Date() });
+        await Notification.create({
+          user_id: userId,
+          title: "Learning path completed",
+          message: `You've completed every course in "${path.title}".`,
+          notification_type: "learning_path",
+        });
+      }
+      continue;
+    }
+
+    // A course completed earlier may no longer be
+    if (pathEnrollment.completed_at) {
+      await pathEnrollment.update({ completed_at: null });
+    }
+    if (enrollmentIn(next.course_id)) continue;
+    if ((await blockersFor(userId, next)).length > 0) continue;
+
+    created.push(
+      await Enrollment.create({ user_id: userId, course_id: next.course_id }),
+    );
+  }
+
+  return created;
+};
+
+// Milestones in path order, each reached once every course up to and
+// including its after_course_id is completed
+const milestoneStatus = (milestones, courses) =>
+  milestones
+    .map((milestone) => ({
+      milestone,
+      position: courses.findIndex(
+        (c) => c.course_id === milestone.after_course_id,
+      ),
+    }))
+    .sort((a, b) => a.position - b.position || a.milestone.id - b.milestone.id)
+    .map(({ milestone, position }) => ({
+      id: milestone.id,
+      title: milestone.title,
+      description: milestone.description,
+      after_course_id: milestone.after_course_id,
+      reached: courses
+        .slice(0, position + 1)
+        .every((c) => Boolean(c.completed_at)),
+    }));
+
+// Progress through each path the learner follows (or just pathId): every
+// course's enrollment state, the next course and anything blocking it,
+// and which milestones are reached. progress_percentage averages the
+// courses' progress, counting courses not yet enrolled in as 0.
+const pathProgressFor = async (userId, pathId) => {
+  const pathEnrollments = await findPathEnrollments(userId, pathId);
+  const courseIds = pathEnrollments.flatMap((pe) =>
+    pe.LearningPath.PathCourses.map((pc) => pc.course_id),
+  );
+  const enrollments = await Enrollment.findAll({
+    where: { user_id: userId, course_id: courseIds },
+    attributes: ["course_id", "progress_percentage", "completed_at"],
+  });
+
+  const result = [];
+  for (const pathEnrollment of pathEnrollments) {
+    const path = pathEnrollment.LearningPath;
+    const courses = path.PathCourses.map((pc) => {
+      const enrollment = enrollments.find((e) => e.course_id === pc.course_id);
+      return {
+        course_id: pc.course_id,
+        title: pc.Course.title,
+        enrolled: Boolean(enrollment),
+        progress_percentage: enrollment ? enrollment.progress_percentage : 0,
+        completed_at: enrollment ? enrollment.completed_at : null,
+      };
+    });
+
+    const nextIndex = courses.findIndex((c) => !c.completed_at);
+    const next = nextIndex === -1 ? null : courses[nextIndex];
+    const completedCourses = courses.filter((c) => c.completed_at).length;
+
+    result.push({
+      path_id: path.id,
+      title: path.title,
+      archetype: path.archetype,
+      difficulty: path.difficulty,
+      enrolled_at: pathEnrollment.enrolled_at,
+      completed_at: pathEnrollment.completed_at,
+      total_courses: courses.length,
+      completed_courses: completedCourses,
+      progress_percentage:
+        courses.length > 0
+          ? Math.round(
+              courses.reduce((sum, c) => sum + c.progress_percentage, 0) /
+                courses.length,
+            )
+          : 0,
+      next_course: next && {
+        ...next,
+        blocked_by: next.enrolled
+          ? []
+          : await blockersFor(userId, path.PathCourses[nextIndex]),
+      },
+      milestones: milestoneStatus(path.Milestones, courses),
+      courses,
+    });
+  }
+
+  return result;
+};
+
+module.exports = {
+  enrollNextPathCourses,
+  pathProgressFor,
+};
@@ -0,0 +1,173 @@
+const { Op } = require("sequelize");
+const { User, LoginAttempt, Notification, sequelize } = require("../models");
+const { sendAccountLockedEmail } = require("../config/notifications");
+
+// Per account: after LOGIN_DELAY_AFTER failures each further attempt must
+// wait an exponentially growing delay; LOGIN_MAX_ATTEMPTS failures lock the
+// account for LOGIN_LOCKOUT_MINUTES.
+// Per IP: LOGIN_IP_MAX_FAILURES failures within LOGIN_IP_WINDOW_MINUTES
+// block further attempts from that address until the window passes.
+const DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER || "3");
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || "10");
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || "30");
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES || "50");
+const IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES || "15");
+const MAX_DELAY_SECONDS = 300;
+
+// User columns checkLoginAllowed/recordFailedLogin rely on
+const THROTTLE_ATTRIBUTES = [
+  "failed_login_attempts",
+  "last_failed_login_at",
+  "locked_until",
+];
+
+const delaySeconds = (failures) =>
+  failures < DELAY_AFTER
+    ? 0
+    : Math.min(MAX_DELAY_SECONDS, 2 ** (failures - DELAY_AFTER + 1));
+
+const ipWindowStart = () =>
+  new Date(Date.now() - IP_WINDOW_MINUTES * 60 * 1000);
+
+const countIpFailures = (ip) =>
+  LoginAttempt.count({
+    where: {
+      ip_address: ip,
+      succeeded: false,
+      cleared_at: null,
+      created_at: { [Op.gte]: ipWindowStart() },
+    },
+  });
+
+// Returns null when the attempt may proceed, otherwise
+// { status, error, retry_after } describing why it is refused.
+const checkLoginAllowed = async ({ user, ip }) => {
+  const now = Date.now();
+
+  if ((await countIpFailures(ip)) >= IP_MAX_FAILURES) {
+    return {
+      status: 429,
+      error: "Too many failed login attempts from this address",
+      retry_after: IP_WINDOW_MINUTES * 60,
+    };
+  }
+
+  if (!user) return null;
+
+  if (user.locked_until && user.locked_until.getTime() > now) {
+    return {
+      status: 423,
+      error: "Account is temporarily locked due to failed login attempts",
+      retry_after: Math.ceil((user.locked_until.getTime() - now) / 1000),
+    };
+  }
+
+  const delay = delaySeconds(user.failed_login_attempts);
+  if (delay > 0 && user.last_failed_login_at) {
+    const nextAllowed = user.last_failed_login_at.getTime() + delay * 1000;
+    if (nextAllowed > now) {
+      return {
+        status: 429,
+        error: "Too many failed login attempts. Please wait and try again",
+        retry_after: Math.ceil((nextAllowed - now) / 1000),
+      };
+    }
+  }
+
+  return null;
+};
+
+// Record a failed password or second-factor attempt, locking the account
+// once MAX_ATTEMPTS is reached
+const recordFailedLogin = async ({ user, email, ip }) => {
+  await LoginAttempt.create({
+    email: email || (user && user.email) || null,
+    user_id: user ? user.id : null,
+    ip_address: ip,
+    succeeded: false,
+  });
+
+  if (!user) return;
+
+  // Counted in a single statement so that concurrent guesses (which all
+  // pass checkLoginAllowed before their password is compared) can't
+  // overwrite each other's count. A lock that has run out starts the
+  // count again.
+  const now = new Date();
+  const [rows] = await sequelize.query(
+    `UPDATE users
+     SET failed_login_attempts = CASE
+           WHEN locked_until <= :now THEN 1
+           ELSE failed_login_attempts + 1
+         END,
+         last_failed_login_at = :now,
+         locked_until = CASE WHEN locked_until <= :now THEN NULL ELSE locked_until END
+     WHERE id = :userId
+     RETURNING failed_login_attempts`,
+    { replacements: { userId: user.id, now } },
+  );
+  const failures = rows[0].failed_login_attempts;
+  if (failures < MAX_ATTEMPTS) return;
+
+  // Only the request that sets the lock reports it
+  const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+  const [locked] = await User.update(
+    { locked_until: lockedUntil },
+    {
+      where: {
+        id: user.id,
+        [Op.or]: [{ locked_until: null }, { locked_until: { [Op.lte]: now } }],
+      },
+    },
+  );
+
+  if (locked) {
+    await Notification.create({
+      user_id: user.id,
+      title: "🔒 Account Locked",
+      message: `Your account was locked after ${failures} failed login attempts. You can try again after ${lockedUntil.toISOString()}.`,
+      notification_type: "account_locked",
+    });
+
+    await sendAccountLockedEmail(user, lockedUntil);
+  }
+};
+
+const recordSuccessfulLogin = async ({ user, ip }) => {
+  await LoginAttempt.create({
+    email: user.email,
+    user_id: user.id,
+    ip_address: ip,
+    succeeded: true,
+  });
+
+  if (user.failed_login_attempts > 0 || user.locked_until) {
+    await User.update(
+      {
+        failed_login_attempts: 0,
+        last_failed_login_at: null,
+        locked_until: null,
+      },
+      { where: { id: user.id } },
+    );
+  }
+};
+
+// Send the refusal from checkLoginAllowed
+const sendThrottled = (res, refusal) => {
+  res.set("Retry-After", String(refusal.retry_after));
+  return res
+    .status(refusal.status)
+    .json({ error: refusal.error, retry_after: refusal.retry_after });
+};
+
+module.exports = {
+  THROTTLE_ATTRIBUTES,
+  IP_WINDOW_MINUTES,
+  IP_MAX_FAILURES,
+  ipWindowStart,
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  sendThrottled,
+};
@@ -0,0 +1,452 @@
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const jwt = require("jsonwebtoken");
+const { User, Organization, sequelize } = require("../models");
+const { getRolePermissions, roleExists } = require("./permissions");
+const { recordAudit } = require("./audit");
+const { DEFAULT_ORGANIZATION_SLUG } = require("./tenancy");
+const { isValidTimeZone } = require("./timezone");
+
+// OpenID Connect authorization-code flow (with PKCE) against a single
+// configurable issuer. Provider metadata and signing keys come from the
+// issuer's discovery document; ID tokens must be RS256-signed.
+const ISSUER = (process.env.OIDC_ISSUER || "").replace(/\/+$/, "");
+const CLIENT_ID = process.env.OIDC_CLIENT_ID;
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET;
+const REDIRECT_URI = process.env.OIDC_REDIRECT_URI;
+const SCOPES = process.env.OIDC_SCOPES || "openid email profile";
+const ORGANIZATION_SLUG =
+  process.env.OIDC_ORGANIZATION_SLUG || DEFAULT_ORGANIZATION_SLUG;
+// Claim holding group/role values, and a JSON object mapping those values
+// to role names, e.g. {"lms-admins":"admin","lms-mentors":"supervisor"}.
+// The first entry whose key appears in the claim wins.
+const ROLE_CLAIM = process.env.OIDC_ROLE_CLAIM || "groups";
+const DEFAULT_ROLE = process.env.OIDC_DEFAULT_ROLE || "learner";
+// Claim holding the email address of the user's supervisor
+const SUPERVISOR_CLAIM = process.env.OIDC_SUPERVISOR_CLAIM || "manager_email";
+const JIT_PROVISIONING = process.env.OIDC_JIT_PROVISIONING !== "false";
+const LINK_BY_EMAIL = process.env.OIDC_LINK_BY_EMAIL !== "false";
+const STATE_TTL_SECONDS = 10 * 60;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+const parseRoleMap = () => {
+  if (!process.env.OIDC_ROLE_MAP) return {};
+  try {
+    return JSON.parse(process.env.OIDC_ROLE_MAP);
+  } catch (error) {
+    console.error("OIDC_ROLE_MAP is not valid JSON; ignoring it");
+    return {};
+  }
+};
+const ROLE_MAP = parseRoleMap();
+
+class OidcError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = "OidcError";
+    this.status = status;
+  }
+}
+
+const isOidcEnabled = () =>
+  Boolean(ISSUER && CLIENT_ID && CLIENT_SECRET && REDIRECT_URI);
+
+let metadataCache = { loadedAt: 0, metadata: null };
+let jwksCache = { keys: new Map() };
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    const detail = body && (body.error_description || body.error);
+    throw new OidcError(
+      `OIDC provider request failed (${response.status})${
+        detail ? `: ${detail}` : ""
+      }`,
+      502,
+    );
+  }
+  return body;
+};
+
+const getProviderMetadata = async () => {
+  if (
+    metadataCache.metadata &&
+    Date.now() - metadataCache.loadedAt < METADATA_TTL_MS
+  ) {
+    return metadataCache.metadata;
+  }
+
+  const metadata = await fetchJson(
+    `${ISSUER}/.well-known/openid-configuration`,
+  );
+  if (metadata.issuer.replace(/\/+$/, "") !== ISSUER) {
+    throw new OidcError("OIDC discovery issuer mismatch", 502);
+  }
+
+  metadataCache = { loadedAt: Date.now(), metadata };
+  return metadata;
+};
+
+// Public key for a kid; the key set is refetched once when an unknown kid
+// appears so that provider key rotation is picked up
+const getSigningKey = async (kid) => {
+  if (!jwksCache.keys.has(kid)) {
+    const { jwks_uri } = await getProviderMetadata();
+    const { keys = [] } = await fetchJson(jwks_uri);
+    jwksCache = {
+      keys: new Map(
+        keys
+          .filter((k) => k.kty === "RSA" && (!k.use || k.use === "sig"))
+          .map((k) => [
+            k.kid,
+            crypto.createPublicKey({ key: k, format: "jwk" }),
+          ]),
+      ),
+    };
+  }
+
+  const key = jwksCache.keys.get(kid);
+  if (!key) {
+    throw new OidcError("ID token signed with an unknown key");
+  }
+  return key;
+};
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+// Start a login: returns the provider URL plus a signed state token that
+// carries the nonce and PKCE verifier back to the callback
+const beginLogin = async () => {
+  const metadata = await getProviderMetadata();
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(
+    crypto.createHash("sha256").update(codeVerifier).digest(),
+  );
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: CLIENT_ID,
+    redirect_uri: REDIRECT_URI,
+    scope: SCOPES,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+
+  const stateToken = jwt.sign(
+    {
+      purpose: "oidc_state",
+      state,
+      nonce,
+      codeVerifier,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: STATE_TTL_SECONDS },
+  );
+
+  return { url: url.toString(), stateToken, expiresIn: STATE_TTL_SECONDS };
+};
+
+// Returns the decoded state token if it matches the state echoed by the
+// provider, otherwise null
+const verifyLoginState = (stateToken, state) => {
+  try {
+    const decoded = jwt.verify(stateToken, process.env.JWT_SECRET);
+    if (decoded.purpose !== "oidc_state" || !state) return null;
+    const expected = Buffer.from(decoded.state);
+    const actual = Buffer.from(String(state));
+    return expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual)
+      ? decoded
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Exchange the authorization code and return the verified ID token claims,
+// merged with the userinfo response when the provider has one
+const completeLogin = async ({ code, nonce, codeVerifier }) => {
+  const metadata = await getProviderMetadata();
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Authorization: `Basic ${Buffer.from(
+        `${encodeURIComponent(CLIENT_ID)}:${encodeURIComponent(CLIENT_SECRET)}`,
+      ).toString("base64")}`,
+    },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: REDIRECT_URI,
+      code_verifier: codeVerifier,
+    }).toString(),
+  });
+
+  if (!tokens.id_token) {
+    throw new OidcError("OIDC provider did not return an ID token", 502);
+  }
+
+  const header = jwt.decode(tokens.id_token, { complete: true });
+  if (!header || header.header.alg !== "RS256") {
+    throw new OidcError("ID token must be signed with RS256");
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(
+      tokens.id_token,
+      await getSigningKey(header.header.kid),
+      {
+        algorithms: ["RS256"],
+        issuer: metadata.issuer,
+        audience: CLIENT_ID,
+      },
+    );
+  } catch (error) {
+    if (error instanceof OidcError) throw error;
+    throw new OidcError(`Invalid ID token: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new OidcError("ID token nonce mismatch");
+  }
+
+  if (metadata.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+    });
+    // The ID token's subject is authoritative (OIDC Core 5.3.2)
+    if (userinfo.sub === claims.sub) {
+      claims = { ...userinfo, ...claims };
+    }
+  }
+
+  return claims;
+};
+
+const claimValues = (claims, name) => {
+  const value = claims[name];
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map(String);
+};
+
+// Role mapped from the role claim, or null when no value is mapped
+const mapRole = (claims) => {
+  const values = claimValues(claims, ROLE_CLAIM);
+  const match = Object.keys(ROLE_MAP).find((key) => values.includes(key));
+  return match ? ROLE_MAP[match] : null;
+};
+
+// Roles granting cross-tenant access are never assigned by the provider
+const isAssignableRole = async (roleName, organizationId) => {
+  if (!(await roleExists(roleName, organizationId))) return false;
+  const permissions = await getRolePermissions(roleName, organizationId);
+  return !permissions.includes("organizations:all");
+};
+
+const findSupervisor = async (claims, organizationId) => {
+  const [email] = claimValues(claims, SUPERVISOR_CLAIM);
+  if (!email) return null;
+  return User.findOne({
+    where: {
+      email: email.toLowerCase(),
+      organization_id: organizationId,
+      is_active: true,
+    },
+    attributes: ["id"],
+  });
+};
+
+const displayName = (claims, email) =>
+  claims.name ||
+  [claims.given_name, claims.family_name].filter(Boolean).join(" ") ||
+  claims.preferred_username ||
+  email;
+
+// Resolve the local account for verified claims: an account already linked
+// to the subject, else an existing account with the same verified email
+// (linked now), else a newly provisioned one. Mapped role and supervisor
+// claims are applied on every login.
+const resolveOidcUser = async (claims, req) => {
+  if (!claims.sub) {
+    throw new OidcError("ID token has no subject");
+  }
+
+  const organization = await Organization.findOne({
+    where: { slug: ORGANIZATION_SLUG },
+  });
+  // Checked before any account is linked or provisioned into it
+  if (!organization || !organization.is_active) {
+    throw new OidcError("Organization not found or inactive", 403);
+  }
+
+  const email = claims.email ? String(claims.email).toLowerCase() : null;
+  const emailVerified =
+    claims.email_verified === true || claims.email_verified === "true";
+
+  const mappedRole = mapRole(claims);
+  const role =
+    mappedRole && (await isAssignableRole(mappedRole, organization.id))
+      ? mappedRole
+      : null;
+  if (mappedRole && !role) {
+    console.error(`OIDC role mapping names unassignable role ${mappedRole}`);
+  }
+  const supervisor = await findSupervisor(claims, organization.id);
+
+  const t = await sequelize.transaction();
+  try {
+    let user = await User.findOne({
+      where: { oidc_issuer: ISSUER, oidc_subject: String(claims.sub) },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    let action = null;
+
+    // A linked account may since have moved to another organization; like
+    // password login, it can't sign in while that one is inactive
+    let userOrganization = organization;
+    if (user && user.organization_id !== organization.id) {
+      userOrganization = await Organization.findByPk(user.organization_id, {
+        attributes: ["id", "name", "slug", "settings", "is_active"],
+        transaction: t,
+      });
+      if (
+        !(userOrganization && userOrganization.is_active) &&
+        !(await getRolePermissions(user.role, user.organization_id)).includes(
+          "organizations:all",
+        )
+      ) {
+        throw new OidcError("Organization is inactive", 403);
+      }
+    }
+
+    if (!user && email) {
+      const existing = await User.findOne({
+        where: { email },
+        transaction: t,
+        lock: t.LOCK.UPDATE,
+      });
+
+      if (existing) {
+        if (!LINK_BY_EMAIL || !emailVerified) {
+          throw new OidcError(
+            "An account with this email already exists and cannot be linked automatically",
+            409,
+          );
+        }
+        if (existing.oidc_subject) {
+          throw new OidcError(
+            "This account is already linked to another identity",
+            409,
+          );
+        }
+        if (
+          existing.is_service_account ||
+          existing.organization_id !== organization.id
+        ) {
+          throw new OidcError("This account cannot sign in with SSO", 403);
+        }
+
+        await existing.update(
+          {
+            oidc_issuer: ISSUER,
+            oidc_subject: String(claims.sub),
+            email_verified: true,
+          },
+          { transaction: t },
+        );
+        user = existing;
+        action = "oidc.account_linked";
+      }
+    }
+
+    if (!user) {
+      if (!JIT_PROVISIONING) {
+        throw new OidcError("No account exists for this identity", 403);
+      }
+      if (!email || !emailVerified) {
+        throw new OidcError(
+          "Identity provider did not supply a verified email",
+          403,
+        );
+      }
+
+      // Password login stays impossible until the user resets it
+      const password_hash = await bcrypt.hash(
+        crypto.randomBytes(32).toString("hex"),
+        10,
+      );
+
+      user = await User.create(
+        {
+          email,
+          password_hash,
+          full_name: displayName(claims, email),
+          role: role || DEFAULT_ROLE,
+          supervisor_id: supervisor ? supervisor.id : null,
+          organization_id: organization.id,
+          email_verified: true,
+          oidc_issuer: ISSUER,
+          oidc_subject: String(claims.sub),
+          // Standard zoneinfo claim seeds the learner's time zone
+          ...(isValidTimeZone(claims.zoneinfo)
+            ? { timezone: claims.zoneinfo }
+            : {}),
+        },
+        { transaction: t },
+      );
+      action = "oidc.user_provisioned";
+    } else {
+      const updates = {};
+      if (role && role !== user.role) updates.role = role;
+      if (
+        supervisor &&
+        supervisor.id !== user.id &&
+        supervisor.id !== user.supervisor_id
+      ) {
+        updates.supervisor_id = supervisor.id;
+      }
+      if (Object.keys(updates).length > 0) {
+        await user.update(updates, { transaction: t });
+      }
+    }
+
+    await t.commit();
+
+    if (action) {
+      await recordAudit({
+        action,
+        actorId: user.id,
+        userId: user.id,
+        organizationId: organization.id,
+        req,
+        details: { issuer: ISSUER, subject: String(claims.sub), email },
+      });
+    }
+
+    user.Organization = userOrganization;
+    return user;
+  } catch (error) {
+    await t.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  OidcError,
+  isOidcEnabled,
+  beginLogin,
+  verifyLoginState,
+  completeLogin,
+  mapRole,
+  resolveOidcUser,
+};
@@ -0,0 +1,114 @@
+const { Op } = require("sequelize");
+const { Role, sequelize } = require("../models");
+const { PERMISSIONS, DEFAULT_ROLES } = require("../config/permissions");
+
+// Role permissions are read on every authenticated request, so keep them
+// in memory briefly. Edits made through this process clear the cache
+// immediately; other processes pick them up within the TTL.
+const CACHE_TTL_MS = 60 * 1000;
+let cache = { loadedAt: 0, roles: new Map() };
+
+// Custom roles belong to one organization, built-in roles to none
+const cacheKey = (organizationId, roleName) =>
+  `${organizationId || ""}:${roleName}`;
+
+const loadRoles = async () => {
+  const roles = await Role.findAll({
+    attributes: ["organization_id", "name", "permissions"],
+  });
+  cache = {
+    loadedAt: Date.now(),
+    roles: new Map(
+      roles.map((r) => [
+        cacheKey(r.organization_id, r.name),
+        r.permissions || [],
+      ]),
+    ),
+  };
+};
+
+// Permissions of users.role for a user of the organization: its custom
+// role of that name, else the built-in one
+const getRolePermissions = async (roleName, organizationId) => {
+  if (Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+    await loadRoles();
+  }
+  return (
+    (organizationId && cache.roles.get(cacheKey(organizationId, roleName))) ||
+    cache.roles.get(cacheKey(null, roleName)) ||
+    []
+  );
+};
+
+const clearRolePermissionCache = () => {
+  cache = { loadedAt: 0, roles: new Map() };
+};
+
+// Roles usable in an organization: the built-in ones and its own
+const roleScopeFor = (organizationId) => ({
+  organization_id: { [Op.or]: [null, organizationId || null] },
+});
+
+const roleExists = async (roleName, organizationId) =>
+  Boolean(
+    await Role.findOne({
+      where: { name: roleName, ...roleScopeFor(organizationId) },
+      attributes: ["id"],
+    }),
+  );
+
+const isValidPermission = (permission) =>
+  Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+// True if an authenticated request user holds the permission
+const hasPermission = (user, permission) =>
+  Boolean(user && user.permissions && user.permissions.includes(permission));
+
+// Create any missing built-in roles and grant built-in roles any default
+// permissions introduced since they were seeded. Permissions an admin
+// removed from a built-in role are not re-added.
+const ensureDefaultRoles = async (options = {}) => {
+  // Role names used to be unique across organizations; sync doesn't drop
+  // that constraint when the per-organization indexes replace it
+  await sequelize.query(
+    "ALTER TABLE roles DROP CONSTRAINT IF EXISTS roles_name_key",
+    { transaction: options.transaction },
+  );
+
+  for (const [name, role] of Object.entries(DEFAULT_ROLES)) {
+    const [row, created] = await Role.findOrCreate({
+      where: { name, organization_id: null },
+      defaults: {
+        name,
+        description: role.description,
+        permissions: role.permissions,
+        is_system: true,
+        seeded_permissions: role.permissions,
+      },
+      transaction: options.transaction,
+    });
+    if (created) continue;
+
+    const seeded = row.seeded_permissions || row.permissions || [];
+    const added = role.permissions.filter((p) => !seeded.includes(p));
+    if (added.length > 0 || !row.seeded_permissions) {
+      await row.update(
+        {
+          permissions: [...new Set([...(row.permissions || []), ...added])],
+          seeded_permissions: role.permissions,
+        },
+        { transaction: options.transaction },
+      );
+    }
+  }
+  clearRolePermissionCache();
+};
+
+module.exports = {
+  getRolePermissions,
+  clearRolePermissionCache,
+  roleExists,
+  isValidPermission,
+  hasPermission,
+  ensureDefaultRoles,
+};
@@ -0,0 +1,154 @@
+const { Op } = require("sequelize");
+const {
+  CoursePrerequisite,
+  Course,
+  Test,
+  Skill,
+  Enrollment,
+  TestAttempt,
+  UserSkill,
+} = require("../models");
+
+const DEFAULT_PASSING_SCORE = 70;
+
+// Score a test prerequisite asks for
+const requiredScore = (prerequisite) =>
+  prerequisite.min_score ??
+  prerequisite.Test.passing_score ??
+  DEFAULT_PASSING_SCORE;
+
+const describe = (prerequisite) => {
+  switch (prerequisite.prerequisite_type) {
+    case "course":
+      return `Complete the course "${prerequisite.RequiredCourse.title}"`;
+    case "test":
+      return `Score at least ${requiredScore(prerequisite)} on the test "${prerequisite.Test.title}"`;
+    case "skill":
+      return `Reach level ${prerequisite.min_level} in ${prerequisite.Skill.name}`;
+    default:
+      return null;
+  }
+};
+
+// A course's prerequisites with what they refer to, oldest first
+const findPrerequisites = (courseId) =>
+  CoursePrerequisite.findAll({
+    where: { course_id: courseId },
+    include: [
+      { model: Course, as: "RequiredCourse", attributes: ["id", "title"] },
+      { model: Test, attributes: ["id", "title", "passing_score"] },
+      { model: Skill, attributes: ["id", "name"] },
+    ],
+    order: [["id", "ASC"]],
+  });
+
+// Prerequisite as returned by the API
+const serializePrerequisite = (prerequisite) => ({
+  id: prerequisite.id,
+  prerequisite_type: prerequisite.prerequisite_type,
+  required_course_id: prerequisite.required_course_id,
+  test_id: prerequisite.test_id,
+  min_score:
+    prerequisite.prerequisite_type === "test"
+      ? requiredScore(prerequisite)
+      : null,
+  skill_id: prerequisite.skill_id,
+  min_level: prerequisite.min_level,
+  requirement: describe(prerequisite),
+});
+
+// Each of a course's prerequisites with whether the learner meets it and
+// where they stand, plus whether they meet all of them
+const prerequisiteStatus = async (userId, courseId) => {
+  const prerequisites = await findPrerequisites(courseId);
+  const ids = (type, key) =>
+    prerequisites
+      .filter((p) => p.prerequisite_type === type)
+      .map((p) => p[key]);
+
+  const [enrollments, attempts, skills] = await Promise.all([
+    Enrollment.findAll({
+      where: {
+        user_id: userId,
+        course_id: ids("course", "required_course_id"),
+      },
+      attributes: ["course_id", "progress_percentage", "completed_at"],
+    }),
+    // Multiple-choice attempts are graded on submission and stay
+    // "submitted"; others are "graded" by hand
+    TestAttempt.findAll({
+      where: {
+        user_id: userId,
+        test_id: ids("test", "test_id"),
+        status: ["submitted", "graded"],
+        graded_at: { [Op.ne]: null },
+      },
+      attributes: ["test_id", "score"],
+    }),
+    UserSkill.findAll({
+      where: { user_id: userId, skill_id: ids("skill", "skill_id") },
+      attributes: ["skill_id", "level"],
+    }),
+  ]);
+
+  const statuses = prerequisites.map((prerequisite) => {
+    let met = false;
+    let current;
+
+    if (prerequisite.prerequisite_type === "course") {
+      const enrollment = enrollments.find(
+        (e) => e.course_id === prerequisite.required_course_id,
+      );
+      met = Boolean(enrollment && enrollment.completed_at);
+      current = met
+        ? "Completed"
+        : enrollment
+          ? `In progress (${enrollment.progress_percentage}%)`
+          : "Not enrolled";
+    } else if (prerequisite.prerequisite_type === "test") {
+      const scores = attempts
+        .filter((a) => a.test_id === prerequisite.test_id && a.score != null)
+        .map((a) => a.score);
+      const best = scores.length > 0 ? Math.max(...scores) : null;
+      met = best != null && best >= requiredScore(prerequisite);
+      current = best != null ? `Best score ${best}` : "No graded attempt";
+    } else if (prerequisite.prerequisite_type === "skill") {
+      const skill = skills.find((s) => s.skill_id === prerequisite.skill_id);
+      const level = skill ? parseFloat(skill.level) : 0;
+      met = level >= prerequisite.min_level;
+      current = `Level ${level}`;
+    }
+
+    return { ...serializePrerequisite(prerequisite), met, current };
+  });
+
+  return { met: statuses.every((s) => s.met), prerequisites: statuses };
+};
+
+// Whether requiring `requiredCourseId` for `courseId` would make a course
+// (indirectly) its own prerequisite
+const createsCycle = async (courseId, requiredCourseId) => {
+  const seen = new Set();
+  let frontier = [Number(requiredCourseId)];
+
+  while (frontier.length > 0) {
+    if (frontier.includes(Number(courseId))) return true;
+    frontier.forEach((id) => seen.add(id));
+
+    const next = await CoursePrerequisite.findAll({
+      where: { course_id: frontier, prerequisite_type: "course" },
+      attributes: ["required_course_id"],
+    });
+    frontier = [...new Set(next.map((p) => p.required_course_id))].filter(
+      (id) => !seen.has(id),
+    );
+  }
+  return false;
+};
+
+module.exports = {
+  findPrerequisites,
+  serializePrerequisite,
+  prerequisiteStatus,
+  createsCycle,
+};
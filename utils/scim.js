@@ -0,0 +1,318 @@
+// SCIM 2.0 (RFC 7643/7644) resource mapping for users and groups. Users map
+// onto the users table; groups map onto a role and/or archetype.
+
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require("./timezone");
+
+const SCHEMAS = {
+  user: "urn:ietf:params:scim:schemas:core:2.0:User",
+  enterpriseUser: "urn:ietf:params:scim:schemas:extension:enterprise:2.0:User",
+  group: "urn:ietf:params:scim:schemas:core:2.0:Group",
+  // Explicit role/archetype mapping for a group
+  groupMapping:
+    "urn:archetypeos:params:scim:schemas:extension:mapping:2.0:Group",
+  listResponse: "urn:ietf:params:scim:api:messages:2.0:ListResponse",
+  patchOp: "urn:ietf:params:scim:api:messages:2.0:PatchOp",
+  error: "urn:ietf:params:scim:api:messages:2.0:Error",
+};
+
+const ARCHETYPES = [
+  "maker",
+  "architect",
+  "strategist",
+  "connector",
+  "explorer",
+];
+const MAX_PAGE_SIZE = 200;
+
+class ScimError extends Error {
+  constructor(status, detail, scimType) {
+    super(detail);
+    this.name = "ScimError";
+    this.status = status;
+    this.scimType = scimType;
+  }
+}
+
+const sendScim = (res, status, body) =>
+  res.status(status).type("application/scim+json").send(JSON.stringify(body));
+
+const sendScimError = (res, error) =>
+  sendScim(res, error.status, {
+    schemas: [SCHEMAS.error],
+    status: String(error.status),
+    ...(error.scimType ? { scimType: error.scimType } : {}),
+    detail: error.message,
+  });
+
+const resourceUrl = (req, type, id) =>
+  `${req.protocol}://${req.get("host")}${req.baseUrl}/${type}/${id}`;
+
+const userToScim = (req, user, groups = []) => ({
+  schemas: [SCHEMAS.user, SCHEMAS.enterpriseUser],
+  id: String(user.id),
+  externalId: user.scim_external_id || undefined,
+  userName: user.email,
+  displayName: user.full_name,
+  name: { formatted: user.full_name },
+  emails: [{ value: user.email, type: "work", primary: true }],
+  phoneNumbers: user.phone_number
+    ? [{ value: user.phone_number, type: "work" }]
+    : undefined,
+  active: user.is_active,
+  timezone: user.timezone,
+  groups: groups.map((g) => ({
+    value: String(g.id),
+    display: g.display_name,
+    $ref: resourceUrl(req, "Groups", g.id),
+  })),
+  [SCHEMAS.enterpriseUser]: user.supervisor_id
+    ? {
+        manager: {
+          value: String(user.supervisor_id),
+          $ref: resourceUrl(req, "Users", user.supervisor_id),
+        },
+      }
+    : {},
+  meta: {
+    resourceType: "User",
+    created: user.created_at,
+    lastModified: user.updated_at,
+    location: resourceUrl(req, "Users", user.id),
+  },
+});
+
+const groupToScim = (req, group, members) => ({
+  schemas: [SCHEMAS.group, SCHEMAS.groupMapping],
+  id: String(group.id),
+  externalId: group.external_id || undefined,
+  displayName: group.display_name,
+  members: members
+    ? members.map((u) => ({
+        value: String(u.id),
+        display: u.full_name,
+        $ref: resourceUrl(req, "Users", u.id),
+      }))
+    : undefined,
+  [SCHEMAS.groupMapping]: {
+    role: group.role || undefined,
+    archetype: group.archetype || undefined,
+  },
+  meta: {
+    resourceType: "Group",
+    created: group.created_at,
+    lastModified: group.updated_at,
+    location: resourceUrl(req, "Groups", group.id),
+  },
+});
+
+const listResponse = (resources, totalResults, startIndex) => ({
+  schemas: [SCHEMAS.listResponse],
+  totalResults,
+  startIndex,
+  itemsPerPage: resources.length,
+  Resources: resources,
+});
+
+// 1-based startIndex and count from the query string
+const pagination = (query) => {
+  const startIndex = Math.max(1, parseInt(query.startIndex) || 1);
+  const count = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(0, parseInt(query.count ?? MAX_PAGE_SIZE) || 0),
+  );
+  return { startIndex, count, offset: startIndex - 1 };
+};
+
+// Only the `attribute eq "value"` form used by provisioning clients to
+// look up existing resources is supported
+const parseFilter = (filter, attributes) => {
+  if (!filter) return null;
+  const match = /^\s*([\w.:]+)\s+eq\s+"((?:[^"\\]|\\.)*)"\s*$/i.exec(filter);
+  const attribute =
+    match &&
+    Object.keys(attributes).find(
+      (a) => a.toLowerCase() === match[1].toLowerCase(),
+    );
+  if (!attribute) {
+    throw new ScimError(400, "Unsupported filter", "invalidFilter");
+  }
+  return { field: attributes[attribute], value: match[2].replace(/\\"/g, '"') };
+};
+
+const toBoolean = (value) =>
+  typeof value === "string" ? value.toLowerCase() === "true" : Boolean(value);
+
+const primaryValue = (list) => {
+  if (!Array.isArray(list) || list.length === 0) return undefined;
+  const entry = list.find((e) => e && e.primary) || list[0];
+  return entry && typeof entry === "object" ? entry.value : entry;
+};
+
+// User columns described by a (possibly partial) SCIM User resource.
+// Attributes absent from the resource are absent from the result.
+const scimToUserFields = (resource, currentName = "") => {
+  const fields = {};
+  const has = (key) => Object.prototype.hasOwnProperty.call(resource, key);
+
+  if (has("userName") && resource.userName) {
+    fields.email = String(resource.userName).trim().toLowerCase();
+  } else if (has("emails") && primaryValue(resource.emails)) {
+    fields.email = String(primaryValue(resource.emails)).trim().toLowerCase();
+  }
+
+  const name = resource.name || {};
+  const [currentGiven, ...currentFamily] = currentName.split(" ");
+  if (name.formatted) {
+    fields.full_name = name.formatted;
+  } else if (name.givenName || name.familyName) {
+    fields.full_name = [
+      name.givenName ?? currentGiven,
+      name.familyName ?? currentFamily.join(" "),
+    ]
+      .filter(Boolean)
+      .join(" ");
+  } else if (resource.displayName) {
+    fields.full_name = resource.displayName;
+  }
+
+  if (has("active")) fields.is_active = toBoolean(resource.active);
+  if (has("externalId")) fields.scim_external_id = resource.externalId || null;
+  if (has("phoneNumbers")) {
+    fields.phone_number = primaryValue(resource.phoneNumbers) || null;
+  }
+  if (has("timezone")) {
+    if (resource.timezone && !isValidTimeZone(resource.timezone)) {
+      throw new ScimError(400, "Unknown timezone", "invalidValue");
+    }
+    fields.timezone = resource.timezone || DEFAULT_TIMEZONE;
+  }
+
+  const enterprise = resource[SCHEMAS.enterpriseUser];
+  if (
+    enterprise &&
+    Object.prototype.hasOwnProperty.call(enterprise, "manager")
+  ) {
+    const manager = enterprise.manager;
+    const value =
+      manager && typeof manager === "object" ? manager.value : manager;
+    fields.supervisor_id = value ? parseInt(value) || NaN : null;
+  }
+
+  return fields;
+};
+
+// Place a PATCH value at its path inside a partial resource, e.g.
+// `name.givenName`, `emails[type eq "work"].value` or
+// `urn:...:enterprise:2.0:User:manager`
+const setPath = (resource, path, value) => {
+  let extension = null;
+  let attributePath = path;
+  if (path.startsWith("urn:")) {
+    const urn = Object.values(SCHEMAS).find((s) => path.startsWith(`${s}:`));
+    if (!urn) {
+      throw new ScimError(400, `Unsupported path ${path}`, "invalidPath");
+    }
+    extension = urn;
+    attributePath = path.slice(urn.length + 1);
+  }
+
+  const [attribute, subAttribute] = attributePath
+    .replace(/\[[^\]]*\]/, "")
+    .split(".");
+  const multiValued = /\[[^\]]*\]/.test(attributePath);
+  const target = extension ? (resource[extension] ||= {}) : resource;
+
+  if (multiValued && subAttribute) {
+    target[attribute] = [{ [subAttribute]: value, primary: true }];
+  } else if (subAttribute) {
+    target[attribute] = { ...(target[attribute] || {}), [subAttribute]: value };
+  } else {
+    target[attribute] = value;
+  }
+};
+
+// Flatten PatchOp operations into a partial resource. `remove` is
+// expressed as a null value.
+const patchToResource = (body) => {
+  if (!body || !Array.isArray(body.Operations)) {
+    throw new ScimError(400, "PatchOp requires Operations", "invalidSyntax");
+  }
+
+  const resource = {};
+  for (const operation of body.Operations) {
+    const op = String(operation.op || "").toLowerCase();
+    if (!["add", "replace", "remove"].includes(op)) {
+      throw new ScimError(
+        400,
+        `Unsupported op ${operation.op}`,
+        "invalidSyntax",
+      );
+    }
+    const value = op === "remove" ? null : operation.value;
+
+    if (operation.path) {
+      setPath(resource, operation.path, value);
+    } else if (value && typeof value === "object") {
+      for (const [key, v] of Object.entries(value)) {
+        setPath(resource, key, v);
+      }
+    } else {
+      throw new ScimError(400, "Operation requires a path", "noTarget");
+    }
+  }
+  return resource;
+};
+
+// Role/archetype a group maps to: the mapping extension if present,
+// otherwise a display name equal to a role or archetype name
+const groupMappingFor = (resource, roleNames) => {
+  const mapping = resource[SCHEMAS.groupMapping];
+  if (mapping && (mapping.role || mapping.archetype)) {
+    return { role: mapping.role || null, archetype: mapping.archetype || null };
+  }
+
+  const name = String(resource.displayName || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+  if (ARCHETYPES.includes(name)) return { role: null, archetype: name };
+  if (roleNames.includes(name)) return { role: name, archetype: null };
+  return null;
+};
+
+// Group membership is derived from the role and/or archetype it maps to
+const isMember = (group, user) =>
+  (!group.role || user.role === group.role) &&
+  (!group.archetype || user.archetype === group.archetype);
+
+// Member user ids named in a members array or a `members[value eq "x"]`
+// path
+const memberIds = (members) =>
+  (Array.isArray(members) ? members : [members])
+    .filter(Boolean)
+    .map((m) => parseInt(typeof m === "object" ? m.value : m))
+    .filter((id) => Number.isInteger(id));
+
+const memberIdFromPath = (path) => {
+  const match = /^members\[\s*value\s+eq\s+"([^"]+)"\s*\]$/i.exec(path || "");
+  return match ? parseInt(match[1]) : null;
+};
+
+module.exports = {
+  SCHEMAS,
+  ARCHETYPES,
+  ScimError,
+  sendScim,
+  sendScimError,
+  userToScim,
+  groupToScim,
+  listResponse,
+  pagination,
+  parseFilter,
+  scimToUserFields,
+  patchToResource,
+  groupMappingFor,
+  isMember,
+  memberIds,
+  memberIdFromPath,
+};
@@ -0,0 +1,124 @@
+const { Op } = require("sequelize");
+const { UserSession, RefreshToken } = require("../models");
+
+// last_seen_at is refreshed at most this often, so authenticated requests
+// don't each cost a write
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const BROWSERS = [
+  [/Edg\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/Firefox\//, "Firefox"],
+  [/Chrome\//, "Chrome"],
+  [/Safari\//, "Safari"],
+  [/curl\//, "curl"],
+  [/PostmanRuntime/, "Postman"],
+  [/okhttp/, "Android app"],
+  [/CFNetwork/, "iOS app"],
+];
+
+const PLATFORMS = [
+  [/Windows/, "Windows"],
+  [/iPhone|iPad|iPod/, "iOS"],
+  [/Android/, "Android"],
+  [/Mac OS X|Macintosh/, "macOS"],
+  [/CrOS/, "ChromeOS"],
+  [/Linux/, "Linux"],
+];
+
+// Short human-readable label for a User-Agent, e.g. "Firefox on Windows"
+const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([pattern]) => pattern.test(userAgent));
+  if (browser && platform) return `${browser[1]} on ${platform[1]}`;
+  if (browser || platform) return (browser || platform)[1];
+  return userAgent.slice(0, 60);
+};
+
+// Start a login session for the client making the request
+const createSession = (userId, expiresAt, options = {}) => {
+  const userAgent = options.req ? options.req.get("user-agent") : null;
+  const ip = options.req ? options.req.ip : null;
+
+  return UserSession.create(
+    {
+      user_id: userId,
+      user_agent: userAgent || null,
+      device: describeDevice(userAgent),
+      ip_address: ip,
+      last_seen_ip: ip,
+      expires_at: expiresAt,
+    },
+    { transaction: options.transaction },
+  );
+};
+
+const isSessionActive = (session) =>
+  Boolean(session && !session.revoked_at && session.expires_at > new Date());
+
+const touchSession = async (session, ip) => {
+  if (Date.now() - session.last_seen_at.getTime() < LAST_SEEN_RESOLUTION_MS) {
+    return;
+  }
+  await session.update({ last_seen_at: new Date(), last_seen_ip: ip || null });
+};
+
+// Revoke sessions matching `where` together with their refresh tokens
+const revokeSessions = async (where, options = {}) => {
+  const now = new Date();
+  const sessions = await UserSession.findAll({
+    where: { ...where, revoked_at: null },
+    attributes: ["id"],
+    transaction: options.transaction,
+  });
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map((s) => s.id);
+  await UserSession.update(
+    { revoked_at: now, revoked_by: options.revokedBy || null },
+    { where: { id: ids }, transaction: options.transaction },
+  );
+  await RefreshToken.update(
+    { revoked_at: now },
+    {
+      where: { session_id: ids, revoked_at: null },
+      transaction: options.transaction,
+    },
+  );
+  return ids.length;
+};
+
+// Sessions a user is still signed in with, most recently used first
+const listActiveSessions = (userId) =>
+  UserSession.findAll({
+    where: {
+      user_id: userId,
+      revoked_at: null,
+      expires_at: { [Op.gt]: new Date() },
+    },
+    order: [["last_seen_at", "DESC"]],
+  });
+
+const serializeSession = (session, currentSessionId) => ({
+  id: session.id,
+  device: session.device,
+  user_agent: session.user_agent,
+  ip_address: session.ip_address,
+  last_seen_ip: session.last_seen_ip,
+  created_at: session.created_at,
+  last_seen_at: session.last_seen_at,
+  expires_at: session.expires_at,
+  revoked_at: session.revoked_at,
+  current: session.id === currentSessionId,
+});
+
+module.exports = {
+  describeDevice,
+  createSession,
+  isSessionActive,
+  touchSession,
+  revokeSessions,
+  listActiveSessions,
+  serializeSession,
+};
@@ -0,0 +1,290 @@
+const { QueryTypes } = require("sequelize");
+const { LearningStreak, StreakFreeze, User, sequelize } = require("../models");
+const {
+  eachDay,
+  localToday,
+  loadCalendar,
+  isWorkingDay,
+} = require("./workingDays");
+const { loadTargets } = require("./targets");
+
+// Every this many qualifying days in a run earns a freeze day, as long as
+// the learner holds fewer than STREAK_FREEZE_MAX_EARNED unspent earned
+// freezes (allotted freezes don't count towards the cap)
+const FREEZE_EARNED_EVERY_DAYS = parseInt(
+  process.env.STREAK_FREEZE_EARNED_EVERY_DAYS || "7",
+);
+const FREEZE_MAX_EARNED = parseInt(process.env.STREAK_FREEZE_MAX_EARNED || "2");
+
+// Runs of days meeting the daily target, oldest first. Weekends, holidays
+// and leave neither break a run nor are required to extend it; learning
+// on them still counts towards its length. A missed working day spends a
+// freeze if one is available (earned ones first), and otherwise ends the
+// run. Today can't be missed yet, so a run still open at the end of the
+// walk is current. Each run records how many freezes it earned.
+const computeStreaks = (
+  calendar,
+  learner,
+  qualifyingDates,
+  today,
+  allottedFreezeDates = [],
+) => {
+  const qualifying = new Set(qualifyingDates);
+  const allotted = [...allottedFreezeDates].sort();
+  const first = [...qualifyingDates].sort()[0];
+  const streaks = [];
+  const freezes = { available: 0, earned: 0, allotted: 0, used: 0 };
+  const held = { earned: 0, allotted: 0 };
+  let run = null;
+  let nextAllotted = 0;
+
+  for (const day of first ? eachDay(first, today) : []) {
+    while (nextAllotted < allotted.length && allotted[nextAllotted] <= day) {
+      held.allotted += 1;
+      freezes.allotted += 1;
+      nextAllotted += 1;
+    }
+
+    if (qualifying.has(day)) {
+      run = run || { start: day, end: day, length: 0, frozen: [], earned: 0 };
+      run.end = day;
+      run.length += 1;
+      if (
+        run.length % FREEZE_EARNED_EVERY_DAYS === 0 &&
+        held.earned < FREEZE_MAX_EARNED
+      ) {
+        held.earned += 1;
+        run.earned += 1;
+        freezes.earned += 1;
+      }
+    } else if (run && day < today && isWorkingDay(calendar, learner, day)) {
+      if (held.earned + held.allotted > 0) {
+        if (held.earned > 0) held.earned -= 1;
+        else held.allotted -= 1;
+        freezes.used += 1;
+        run.frozen.push(day);
+      } else {
+        streaks.push({ ...run, current: false });
+        run = null;
+      }
+    }
+  }
+  if (run) streaks.push({ ...run, current: true });
+
+  // Freezes allotted after the last session are still available
+  held.allotted += allotted.length - nextAllotted;
+  freezes.allotted += allotted.length - nextAllotted;
+  freezes.available = held.earned + held.allotted;
+
+  return { streaks, freezes };
+};
+
+const NO_STREAK = { length: 0, start: null, end: null, frozen: [] };
+
+const summarize = ({ streaks, freezes }) => {
+  const last = streaks[streaks.length - 1];
+  const longest = streaks.reduce(
+    (best, s) => (s.length > best.length ? s : best),
+    NO_STREAK,
+  );
+  return {
+    current: last && last.current ? last : NO_STREAK,
+    longest,
+    streaks,
+    freezes,
+  };
+};
+
+const sameHistory = (rows, streaks) =>
+  rows.length === streaks.length &&
+  rows.every(
+    (row, i) =>
+      row.start_date === streaks[i].start &&
+      row.end_date === streaks[i].end &&
+      row.length === streaks[i].length &&
+      row.freezes_earned === streaks[i].earned &&
+      row.is_current === streaks[i].current &&
+      JSON.stringify(row.frozen_dates) === JSON.stringify(streaks[i].frozen),
+  );
+
+// Recompute a learner's streaks ({ id, organization_id, role, archetype,
+// timezone }), judging each day against the target in effect on it, and
+// store the history if it changed. Called when something the streaks
+// depend on changes, never on reads.
+const refreshLearnerStreaks = async (learner) => {
+  const today = localToday(learner);
+  const [days, allotments] = await Promise.all([
+    sequelize.query(
+      `SELECT date, SUM(duration_minutes)/60 as hours
+       FROM learning_sessions
+       WHERE user_id = :userId AND end_time IS NOT NULL
+       GROUP BY date
+       ORDER BY date`,
+      { replacements: { userId: learner.id }, type: QueryTypes.SELECT },
+    ),
+    StreakFreeze.findAll({
+      where: { user_id: learner.id },
+      attributes: ["available_from"],
+    }),
+  ]);
+
+  let calendar = null;
+  let qualifying = [];
+  if (days.length > 0) {
+    const from = days[0].date;
+    let targets;
+    [calendar, targets] = await Promise.all([
+      loadCalendar([learner], from, today),
+      loadTargets([learner], from, today),
+    ]);
+    qualifying = days
+      .filter((d) => parseFloat(d.hours) >= targets.dailyHours(learner, d.date))
+      .map((d) => d.date);
+  }
+
+  const { streaks } = computeStreaks(
+    calendar,
+    learner,
+    qualifying,
+    today,
+    allotments.map((a) => a.available_from),
+  );
+
+  // Often nothing changed and nothing is written. When it did, the
+  // learner's row is locked and the history compared again, so concurrent
+  // refreshes can't both rewrite it.
+  const storedHistory = (transaction) =>
+    LearningStreak.findAll({
+      where: { user_id: learner.id },
+      order: [["start_date", "ASC"]],
+      transaction,
+    });
+  if (sameHistory(await storedHistory(), streaks)) return;
+
+  const t = await sequelize.transaction();
+  try {
+    await sequelize.query(
+      "SELECT id FROM users WHERE id = :userId FOR UPDATE",
+      {
+        replacements: { userId: learner.id },
+        transaction: t,
+      },
+    );
+    if (!sameHistory(await storedHistory(t), streaks)) {
+      await LearningStreak.destroy({
+        where: { user_id: learner.id },
+        transaction: t,
+      });
+      await LearningStreak.bulkCreate(
+        streaks.map((s) => ({
+          user_id: learner.id,
+          start_date: s.start,
+          end_date: s.end,
+          length: s.length,
+          frozen_dates: s.frozen,
+          freezes_earned: s.earned,
+          is_current: s.current,
+        })),
+        { transaction: t },
+      );
+    }
+    await t.commit();
+  } catch (error) {
+    await t.rollback();
+    throw error;
+  }
+};
+
+// Refresh the streaks of the users matching `where` (e.g. { id } or
+// { organization_id }). Callers run this after their own change is
+// saved, so failures are logged rather than thrown.
+const refreshStreaksOf = async (where) => {
+  let learners;
+  try {
+    learners = await User.findAll({
+      where,
+      attributes: ["id", "organization_id", "role", "archetype", "timezone"],
+    });
+  } catch (error) {
+    console.error("Streak refresh error:", error);
+    return 0;
+  }
+
+  let refreshed = 0;
+  for (const learner of learners) {
+    try {
+      await refreshLearnerStreaks(learner);
+      refreshed += 1;
+    } catch (error) {
+      console.error(`Streak refresh of user ${learner.id} failed:`, error);
+    }
+  }
+  return refreshed;
+};
+
+// Learners with a run still going; a day passing without learning can
+// spend a freeze or end it, with no other event to trigger a refresh
+const refreshCurrentStreaks = async () => {
+  const current = await LearningStreak.findAll({
+    where: { is_current: true },
+    attributes: ["user_id"],
+  });
+  if (current.length === 0) return 0;
+  return refreshStreaksOf({ id: current.map((s) => s.user_id) });
+};
+
+// Every learner who has logged time, e.g. at startup so histories stored
+// before a change to how streaks are computed are brought up to date
+const refreshAllStreaks = async () => {
+  const learners = await sequelize.query(
+    "SELECT DISTINCT user_id FROM learning_sessions",
+    { type: QueryTypes.SELECT },
+  );
+  if (learners.length === 0) return 0;
+  return refreshStreaksOf({ id: learners.map((l) => l.user_id) });
+};
+
+// A learner's stored streaks: the current and longest streak, every
+// streak oldest first, and freeze counts
+const learnerStreaks = async (learner) => {
+  const [rows, allotted] = await Promise.all([
+    LearningStreak.findAll({
+      where: { user_id: learner.id },
+      order: [["start_date", "ASC"]],
+    }),
+    StreakFreeze.count({ where: { user_id: learner.id } }),
+  ]);
+
+  const streaks = rows.map((row) => ({
+    start: row.start_date,
+    end: row.end_date,
+    length: row.length,
+    frozen: row.frozen_dates,
+    current: row.is_current,
+  }));
+  const earned = rows.reduce((sum, row) => sum + row.freezes_earned, 0);
+  const used = rows.reduce((sum, row) => sum + row.frozen_dates.length, 0);
+
+  return summarize({
+    streaks,
+    freezes: { available: earned + allotted - used, earned, allotted, used },
+  });
+};
+
+// Streak as returned by the API
+const serializeStreak = (streak) => ({
+  length: streak.length,
+  start_date: streak.start,
+  end_date: streak.end,
+  frozen_dates: streak.frozen,
+});
+
+module.exports = {
+  computeStreaks,
+  refreshLearnerStreaks,
+  refreshStreaksOf,
+  refreshCurrentStreaks,
+  refreshAllStreaks,
+  learnerStreaks,
+  serializeStreak,
+};
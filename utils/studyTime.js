@@ -0,0 +1,180 @@
+const { QueryTypes } = require("sequelize");
+const {
+  Course,
+  CourseContent,
+  LearningSegment,
+  sequelize,
+} = require("../models");
+const { hasPermission } = require("./permissions");
+const { orgScope } = require("./tenancy");
+
+// Course (and optional content item) a learner may attribute time to:
+// a course of their organization, published unless they can edit courses.
+// Returns { course, content } or null.
+const findStudyItem = async (req, courseId, contentId) => {
+  const course = await Course.findOne({
+    where: { id: courseId, ...orgScope(req) },
+    attributes: ["id", "title", "is_published"],
+  });
+  if (
+    !course ||
+    (!course.is_published && !hasPermission(req.user, "courses:edit"))
+  ) {
+    return null;
+  }
+
+  let content = null;
+  if (contentId) {
+    content = await CourseContent.findOne({
+      where: { id: contentId, course_id: course.id },
+      attributes: ["id", "title"],
+    });
+    if (!content) return null;
+  }
+  return { course, content };
+};
+
+const startSegment = (sessionId, item, startTime, options = {}) =>
+  LearningSegment.create(
+    {
+      session_id: sessionId,
+      course_id: item.course.id,
+      content_id: item.content ? item.content.id : null,
+      start_time: startTime,
+    },
+    { transaction: options.transaction },
+  );
+
+// End whatever the session is attributing time to; returns the segment or
+// null if none was open
+const endOpenSegment = async (sessionId, endTime, options = {}) => {
+  const segment = await LearningSegment.findOne({
+    where: { session_id: sessionId, end_time: null },
+    transaction: options.transaction,
+  });
+  if (!segment) return null;
+  await segment.update(
+    {
+      end_time: new Date(Math.max(segment.start_time.getTime(), endTime)),
+    },
+    { transaction: options.transaction },
+  );
+  return segment;
+};
+
+// After a break, carry on with the item the break interrupted
+const resumeAfterBreak = async (sessionId, learningBreak) => {
+  const interrupted = await LearningSegment.findOne({
+    where: { session_id: sessionId, end_time: learningBreak.start_time },
+    order: [["id", "DESC"]],
+  });
+  if (!interrupted) return null;
+  return LearningSegment.create({
+    session_id: sessionId,
+    course_id: interrupted.course_id,
+    content_id: interrupted.content_id,
+    start_time: learningBreak.end_time,
+  });
+};
+
+// Hours of each segment, clipped to its session in case a correction
+// moved the session's times
+const SEGMENT_HOURS_SQL = `GREATEST(0, EXTRACT(EPOCH FROM (
+    LEAST(sg.end_time, ls.end_time) - GREATEST(sg.start_time, ls.start_time)
+  )) / 3600)`;
+
+// Sessions whose time counts: closed, and not held back for a reflection
+const COUNTED_SESSIONS_SQL = `ls.user_id = :userId
+  AND ls.end_time IS NOT NULL
+  AND ls.requires_reflection = false
+  AND (:startDate IS NULL OR ls.date >= :startDate)
+  AND (:endDate IS NULL OR ls.date <= :endDate)`;
+
+// Where a learner's hours went between two dates (inclusive, either may be
+// null): per course, whether the learner is enrolled in it, per skill the
+// courses teach, and how much was not attributed to any course
+const studyTimeReport = async (userId, { startDate, endDate } = {}) => {
+  const replacements = {
+    userId,
+    startDate: startDate || null,
+    endDate: endDate || null,
+  };
+
+  const [totals] = await sequelize.query(
+    `SELECT COALESCE(SUM(ls.duration_minutes), 0)/60 as total_hours
+     FROM learning_sessions ls
+     WHERE ${COUNTED_SESSIONS_SQL}`,
+    { replacements, type: QueryTypes.SELECT },
+  );
+
+  const courses = await sequelize.query(
+    `SELECT c.id as course_id, c.title,
+            SUM(${SEGMENT_HOURS_SQL}) as hours,
+            COUNT(DISTINCT ls.id) as session_count,
+            EXISTS (
+              SELECT 1 FROM enrollments e
+              WHERE e.course_id = c.id AND e.user_id = :userId
+            ) as enrolled
+     FROM learning_segments sg
+     JOIN learning_sessions ls ON ls.id = sg.session_id
+     JOIN courses c ON c.id = sg.course_id
+     WHERE ${COUNTED_SESSIONS_SQL} AND sg.end_time IS NOT NULL
+     GROUP BY c.id, c.title
+     ORDER BY hours DESC`,
+    { replacements, type: QueryTypes.SELECT },
+  );
+
+  // Every hour on a course counts towards each skill it teaches
+  const skills = await sequelize.query(
+    `SELECT s.id as skill_id, s.name,
+            SUM(${SEGMENT_HOURS_SQL}) as hours
+     FROM learning_segments sg
+     JOIN learning_sessions ls ON ls.id = sg.session_id
+     JOIN course_skills cs ON cs.course_id = sg.course_id
+     JOIN skills s ON s.id = cs.skill_id
+     WHERE ${COUNTED_SESSIONS_SQL} AND sg.end_time IS NOT NULL
+     GROUP BY s.id, s.name
+     ORDER BY hours DESC`,
+    { replacements, type: QueryTypes.SELECT },
+  );
+
+  const totalHours = parseFloat(totals.total_hours || 0);
+  const attributedHours = courses.reduce(
+    (sum, c) => sum + parseFloat(c.hours || 0),
+    0,
+  );
+  const enrolledHours = courses
+    .filter((c) => c.enrolled)
+    .reduce((sum, c) => sum + parseFloat(c.hours || 0), 0);
+
+  return {
+    start_date: startDate || null,
+    end_date: endDate || null,
+    total_hours: totalHours.toFixed(2),
+    attributed_hours: attributedHours.toFixed(2),
+    unattributed_hours: Math.max(0, totalHours - attributedHours).toFixed(2),
+    enrolled_course_hours: enrolledHours.toFixed(2),
+    enrolled_course_percentage:
+      totalHours > 0 ? ((enrolledHours / totalHours) * 100).toFixed(1) : null,
+    courses: courses.map((c) => ({
+      course_id: c.course_id,
+      title: c.title,
+      hours: parseFloat(c.hours || 0).toFixed(2),
+      session_count: parseInt(c.session_count),
+      enrolled: c.enrolled,
+    })),
+    skills: skills.map((s) => ({
+      skill_id: s.skill_id,
+      name: s.name,
+      hours: parseFloat(s.hours || 0).toFixed(2),
+    })),
+  };
+};
+
+module.exports = {
+  findStudyItem,
+  startSegment,
+  endOpenSegment,
+  resumeAfterBreak,
+  studyTimeReport,
+};
@@ -0,0 +1,128 @@
+const { Op } = require("sequelize");
+const {
+  Organization,
+  ScimGroup,
+  TargetPolicy,
+  TargetPolicyAssignment,
+} = require("../models");
+const { requiredHoursFor } = require("./tenancy");
+const { isMember } = require("./scim");
+const { addDays, eachDay, isWorkingDay } = require("./workingDays");
+
+// A learner's hour targets on a given day come from the policy assigned to
+// them, else from a policy assigned to a group they belong to, else from
+// the organization's required_learning_hours. When several assignments at
+// the same level are in effect, the one that took effect last wins.
+
+const inEffect = (assignment, date) =>
+  assignment.effective_from <= date &&
+  (!assignment.effective_to || assignment.effective_to >= date);
+
+// Target lookups for the given learners ({ id, organization_id, role,
+// archetype }) on days within [from, to]
+const loadTargets = async (learners, from, to) => {
+  const organizationIds = [
+    ...new Set(learners.map((l) => l.organization_id).filter(Boolean)),
+  ];
+
+  const [organizations, groups] = await Promise.all([
+    Organization.findAll({
+      where: { id: organizationIds },
+      attributes: ["id", "settings"],
+    }),
+    ScimGroup.findAll({
+      where: { organization_id: organizationIds },
+      attributes: ["id", "organization_id", "role", "archetype"],
+    }),
+  ]);
+
+  const assignments = await TargetPolicyAssignment.findAll({
+    where: {
+      [Op.and]: [
+        {
+          [Op.or]: [
+            { user_id: learners.map((l) => l.id) },
+            { group_id: groups.map((g) => g.id) },
+          ],
+        },
+        { effective_from: { [Op.lte]: to } },
+        {
+          [Op.or]: [
+            { effective_to: null },
+            { effective_to: { [Op.gte]: from } },
+          ],
+        },
+      ],
+    },
+    include: [
+      {
+        model: TargetPolicy,
+        attributes: ["id", "name", "daily_hours", "weekly_hours"],
+      },
+    ],
+    order: [
+      ["effective_from", "DESC"],
+      ["id", "DESC"],
+    ],
+  });
+
+  const defaults = new Map(
+    organizations.map((o) => [o.id, requiredHoursFor(o)]),
+  );
+  const groupsById = new Map(groups.map((g) => [g.id, g]));
+
+  const policyFor = (learner, date) => {
+    const own = assignments.find(
+      (a) => a.user_id === learner.id && inEffect(a, date),
+    );
+    if (own) return own.TargetPolicy;
+
+    const viaGroup = assignments.find((a) => {
+      const group = a.group_id && groupsById.get(a.group_id);
+      return (
+        group &&
+        group.organization_id === learner.organization_id &&
+        isMember(group, learner) &&
+        inEffect(a, date)
+      );
+    });
+    return viaGroup ? viaGroup.TargetPolicy : null;
+  };
+
+  const dailyHours = (learner, date) => {
+    const policy = policyFor(learner, date);
+    if (policy) return policy.daily_hours;
+    return defaults.get(learner.organization_id) ?? requiredHoursFor(null);
+  };
+
+  // Hours expected over [start, end]: daily targets summed over the
+  // learner's working days
+  const expectedHours = (calendar, learner, start, end) => {
+    let hours = 0;
+    for (const day of eachDay(start, end)) {
+      if (isWorkingDay(calendar, learner, day)) {
+        hours += dailyHours(learner, day);
+      }
+    }
+    return hours;
+  };
+
+  // Weekly target of the policy in effect on the week's first day, else
+  // the expected hours of the week
+  const weeklyHours = (calendar, learner, weekStart) => {
+    const policy = policyFor(learner, weekStart);
+    if (policy && policy.weekly_hours != null) return policy.weekly_hours;
+    return expectedHours(calendar, learner, weekStart, addDays(weekStart, 6));
+  };
+
+  return { policyFor, dailyHours, expectedHours, weeklyHours };
+};
+
+// One learner's daily target on one day
+const dailyTargetFor = async (learner, date) =>
+  (await loadTargets([learner], date, date)).dailyHours(learner, date);
+
+module.exports = {
+  loadTargets,
+  dailyTargetFor,
+};
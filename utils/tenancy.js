@@ -0,0 +1,83 @@
+const {
+  Organization,
+  User,
+  Course,
+  Skill,
+  Test,
+  Notification,
+  Invitation,
+} = require("../models");
+
+const DEFAULT_ORGANIZATION_SLUG = "default";
+
+// Models whose rows belong to exactly one organization
+const TENANT_MODELS = [User, Course, Skill, Test, Notification, Invitation];
+
+// Where-clause fragment limiting a tenant-owned model to the organization
+// the request is scoped to. Unscoped super-admin requests match every row.
+const orgScope = (req) =>
+  req.organizationId ? { organization_id: req.organizationId } : {};
+
+// True if a row owned by organizationId is visible to the request
+const inScope = (req, organizationId) =>
+  !req.organizationId || organizationId === req.organizationId;
+
+// Organization that records created by this request belong to. Unscoped
+// super admins create into their own organization.
+const targetOrganizationId = (req) =>
+  req.organizationId || req.user.organization_id;
+
+// Daily learning requirement in hours: organization setting, falling back
+// to REQUIRED_LEARNING_HOURS
+const requiredHoursFor = (organization) => {
+  const configured =
+    organization &&
+    organization.settings &&
+    organization.settings.required_learning_hours;
+  return (
+    Number(configured) || parseInt(process.env.REQUIRED_LEARNING_HOURS || "6")
+  );
+};
+
+const getRequiredHours = (req) => requiredHoursFor(req.organization);
+
+const getAppName = (organization) =>
+  (organization && organization.settings && organization.settings.app_name) ||
+  process.env.APP_NAME ||
+  "ArchetypeOS";
+
+// Create the default organization and assign it every row that predates
+// multi-tenancy
+const ensureDefaultOrganization = async (options = {}) => {
+  const [organization] = await Organization.findOrCreate({
+    where: { slug: DEFAULT_ORGANIZATION_SLUG },
+    defaults: {
+      name: process.env.APP_NAME || "Default Organization",
+      slug: DEFAULT_ORGANIZATION_SLUG,
+    },
+    transaction: options.transaction,
+  });
+
+  for (const model of TENANT_MODELS) {
+    await model.update(
+      { organization_id: organization.id },
+      {
+        where: { organization_id: null },
+        transaction: options.transaction,
+      },
+    );
+  }
+
+  return organization;
+};
+
+module.exports = {
+  DEFAULT_ORGANIZATION_SLUG,
+  orgScope,
+  inScope,
+  targetOrganizationId,
+  requiredHoursFor,
+  getRequiredHours,
+  getAppName,
+  ensureDefaultOrganization,
+};
@@ -0,0 +1,156 @@
+const { Op } = require("sequelize");
+const {
+  LearningSession,
+  LearningBreak,
+  LearningSessionRevision,
+  TimeCorrectionRequest,
+} = require("../models");
+
+// Longest session a correction or manual entry may describe
+const MAX_ENTRY_HOURS = 24;
+
+const SNAPSHOT_FIELDS = [
+  "start_time",
+  "end_time",
+  "break_minutes",
+  "duration_minutes",
+  "date",
+];
+
+const snapshot = (session) =>
+  Object.fromEntries(SNAPSHOT_FIELDS.map((f) => [f, session[f]]));
+
+// Another of the user's sessions overlapping [start, end), if any. Open
+// sessions count as running until now.
+const findOverlappingSession = (userId, start, end, excludeId, options = {}) =>
+  LearningSession.findOne({
+    where: {
+      user_id: userId,
+      ...(excludeId ? { id: { [Op.ne]: excludeId } } : {}),
+      start_time: { [Op.lt]: end },
+      [Op.or]: [{ end_time: null }, { end_time: { [Op.gt]: start } }],
+    },
+    attributes: ["id", "start_time", "end_time"],
+    transaction: options.transaction,
+  });
+
+// Validate requested times; returns an error message or null
+const validateRequestedTimes = (start, end, breakMinutes) => {
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return "Invalid start or end time";
+  }
+  if (end <= start) return "End time must be after start time";
+  if (end > new Date()) return "Times cannot be in the future";
+  const minutes = (end - start) / 60000;
+  if (minutes > MAX_ENTRY_HOURS * 60) {
+    return `A session cannot be longer than ${MAX_ENTRY_HOURS} hours`;
+  }
+  if (breakMinutes != null && (breakMinutes < 0 || breakMinutes >= minutes)) {
+    return "Break time must be shorter than the session";
+  }
+  return null;
+};
+
+// Trim a session's breaks to [start, end], deleting those left outside
+// it; returns the break minutes that remain
+const clipBreaks = async (sessionId, start, end, options) => {
+  const breaks = await LearningBreak.findAll({
+    where: { session_id: sessionId },
+    transaction: options.transaction,
+  });
+
+  let minutes = 0;
+  for (const learningBreak of breaks) {
+    const from = new Date(Math.max(learningBreak.start_time, start));
+    const to = new Date(Math.min(learningBreak.end_time || end, end));
+    if (to <= from) {
+      await learningBreak.destroy({ transaction: options.transaction });
+      continue;
+    }
+    await learningBreak.update(
+      { start_time: from, end_time: to },
+      { transaction: options.transaction },
+    );
+    minutes += (to - from) / 60000;
+  }
+  return minutes;
+};
+
+// Apply an approved request: update or create the session and append the
+// before/after revision. A corrected session's breaks are clipped to its
+// new times, and its break time recomputed from them unless the request
+// sets it. Must run inside options.transaction.
+const applyCorrectionRequest = async (request, reviewerId, options) => {
+  const { transaction } = options;
+  let session;
+  let original = null;
+
+  if (request.request_type === "correction") {
+    session = await LearningSession.findOne({
+      where: { id: request.session_id, user_id: request.user_id },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!session) {
+      throw new Error("Session no longer exists");
+    }
+    original = snapshot(session);
+
+    const breakMinutes = await clipBreaks(
+      session.id,
+      new Date(request.requested_start_time),
+      new Date(request.requested_end_time),
+      { transaction },
+    );
+    await session.update(
+      {
+        start_time: request.requested_start_time,
+        end_time: request.requested_end_time,
+        break_minutes: request.requested_break_minutes ?? breakMinutes,
+      },
+      { transaction },
+    );
+  } else {
+    session = await LearningSession.create(
+      {
+        user_id: request.user_id,
+        start_time: request.requested_start_time,
+        end_time: request.requested_end_time,
+        break_minutes: request.requested_break_minutes || 0,
+        is_manual_entry: true,
+      },
+      { transaction },
+    );
+    await request.update({ session_id: session.id }, { transaction });
+  }
+
+  await LearningSessionRevision.create(
+    {
+      session_id: session.id,
+      user_id: request.user_id,
+      correction_request_id: request.id,
+      change_type: request.request_type,
+      original_values: original,
+      corrected_values: snapshot(session),
+      changed_by: reviewerId,
+    },
+    { transaction },
+  );
+
+  return session;
+};
+
+const hasPendingRequest = async (sessionId) =>
+  Boolean(
+    await TimeCorrectionRequest.findOne({
+      where: { session_id: sessionId, status: "pending" },
+      attributes: ["id"],
+    }),
+  );
+
+module.exports = {
+  findOverlappingSession,
+  validateRequestedTimes,
+  applyCorrectionRequest,
+  hasPendingRequest,
+};
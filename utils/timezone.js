@@ -0,0 +1,90 @@
+// Learning days follow the learner's own calendar. Zones are IANA names
+// ("Europe/Berlin"), which both Intl and Postgres understand.
+
+const DEFAULT_TIMEZONE = "UTC";
+
+const isValidTimeZone = (timezone) => {
+  if (typeof timezone !== "string" || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const zoneOf = (user) =>
+  (user && isValidTimeZone(user.timezone) && user.timezone) || DEFAULT_TIMEZONE;
+
+// Calendar fields of an instant as seen in a zone
+const localParts = (instant, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(new Date(instant))
+      .map((p) => [p.type, p.value]),
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+  };
+};
+
+// YYYY-MM-DD of an instant in a zone
+const localDate = (instant, timezone) => {
+  const { year, month, day } = localParts(instant, timezone);
+  return [year, month, day]
+    .map((n, i) => String(n).padStart(i ? 2 : 4, "0"))
+    .join("-");
+};
+
+// Milliseconds the zone is ahead of UTC at an instant
+const offsetAt = (instant, timezone) => {
+  const p = localParts(instant, timezone);
+  const asUtc = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second,
+  );
+  return asUtc - Math.floor(new Date(instant).getTime() / 1000) * 1000;
+};
+
+// Instant at which a wall-clock time occurs in a zone. Month is 1-based;
+// out-of-range days roll over as with Date.UTC.
+const zonedTime = (timezone, year, month, day, hour = 0, minute = 0) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  let instant = wallClock - offsetAt(wallClock, timezone);
+  // Second pass settles times near a DST change
+  instant = wallClock - offsetAt(instant, timezone);
+  return new Date(instant);
+};
+
+// SQL for the current date in a zone; the argument is a replacement
+// (":timezone") or a column (u.timezone)
+const localTodaySql = (zone = ":timezone") =>
+  `(NOW() AT TIME ZONE ${zone})::date`;
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  zoneOf,
+  localParts,
+  localDate,
+  zonedTime,
+  localTodaySql,
+};
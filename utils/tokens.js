@@ -0,0 +1,305 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { Op } = require("sequelize");
+const { User, RefreshToken, UserToken, UserSession } = require("../models");
+const {
+  createSession,
+  isSessionActive,
+  revokeSessions,
+} = require("./sessions");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_TTL_DAYS || "30",
+);
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Sign a short-lived access token bound to the user's current token_version
+// and, for interactive logins, to a session that can be revoked on its own
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      userId: user.id,
+      role: user.role,
+      tokenVersion: user.token_version || 0,
+      ...(sessionId ? { sessionId } : {}),
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN },
+  );
+
+const refreshTokenExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const createRefreshToken = async (userId, session, options = {}) => {
+  const token = crypto.randomBytes(48).toString("hex");
+
+  const record = await RefreshToken.create(
+    {
+      user_id: userId,
+      session_id: session.id,
+      token_hash: hashToken(token),
+      expires_at: session.expires_at,
+    },
+    { transaction: options.transaction },
+  );
+
+  return { token, record };
+};
+
+// Short-lived token proving the password step of a two-factor login
+const signTwoFactorChallenge = (user) =>
+  jwt.sign(
+    {
+      userId: user.id,
+      purpose: "two_factor",
+      tokenVersion: user.token_version || 0,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: "5m" },
+  );
+
+// Returns the decoded challenge payload, or null if invalid/expired
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === "two_factor" ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Access token for an admin acting as another user. It has no refresh
+// token and stops working once the impersonation record ends or expires.
+const signImpersonationToken = (user, impersonation) =>
+  jwt.sign(
+    {
+      userId: user.id,
+      role: user.role,
+      tokenVersion: user.token_version || 0,
+      impersonationId: impersonation.id,
+      impersonatorId: impersonation.impersonator_id,
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: Math.max(
+        1,
+        Math.floor((impersonation.expires_at - Date.now()) / 1000),
+      ),
+    },
+  );
+
+// Issue an access/refresh token pair for a freshly authenticated user,
+// starting a new session for the requesting device (options.req)
+const issueAuthTokens = async (user, options = {}) => {
+  const session = await createSession(user.id, refreshTokenExpiry(), options);
+  const { token: refreshToken } = await createRefreshToken(
+    user.id,
+    session,
+    options,
+  );
+
+  return {
+    token: signAccessToken(user, session.id),
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TOKEN_EXPIRES_IN,
+  };
+};
+
+// Kill every session for a user: outstanding access tokens stop verifying
+// and all refresh tokens are revoked.
+const revokeAllSessions = async (userId, options = {}) => {
+  await User.increment("token_version", {
+    where: { id: userId },
+    transaction: options.transaction,
+  });
+
+  await revokeSessions({ user_id: userId }, options);
+
+  await RefreshToken.update(
+    { revoked_at: new Date() },
+    {
+      where: { user_id: userId, revoked_at: null },
+      transaction: options.transaction,
+    },
+  );
+};
+
+// Logout: revoke a refresh token and the session it belongs to
+const revokeRefreshToken = async (token) => {
+  const existing = await RefreshToken.findOne({
+    where: { token_hash: hashToken(token), revoked_at: null },
+  });
+  if (!existing) return false;
+
+  await existing.update({ revoked_at: new Date() });
+  if (existing.session_id) {
+    await revokeSessions(
+      { id: existing.session_id },
+      { revokedBy: existing.user_id },
+    );
+  }
+  return true;
+};
+
+class RefreshTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RefreshTokenError";
+    this.status = 401;
+  }
+}
+
+// Exchange a refresh token for a new pair. The presented token is revoked;
+// presenting an already-rotated token is treated as theft and revokes every
+// session for that user. The new token stays in the same session.
+const rotateRefreshToken = async (token, options = {}) => {
+  const existing = await RefreshToken.findOne({
+    where: { token_hash: hashToken(token) },
+  });
+
+  if (!existing) {
+    throw new RefreshTokenError("Invalid refresh token");
+  }
+
+  if (existing.revoked_at) {
+    if (existing.replaced_by_id) {
+      await revokeAllSessions(existing.user_id);
+    }
+    throw new RefreshTokenError("Refresh token has been revoked");
+  }
+
+  if (existing.expires_at < new Date()) {
+    throw new RefreshTokenError("Refresh token expired");
+  }
+
+  const user = await User.findByPk(existing.user_id, {
+    attributes: ["id", "role", "is_active", "token_version"],
+  });
+
+  if (!user || !user.is_active) {
+    await revokeAllSessions(existing.user_id);
+    throw new RefreshTokenError("User not found or inactive");
+  }
+
+  let session = existing.session_id
+    ? await UserSession.findByPk(existing.session_id)
+    : null;
+  if (existing.session_id && !isSessionActive(session)) {
+    throw new RefreshTokenError("Session has been revoked");
+  }
+
+  const ip = options.req ? options.req.ip : null;
+  if (session) {
+    await session.update({
+      expires_at: refreshTokenExpiry(),
+      last_seen_at: new Date(),
+      last_seen_ip: ip,
+    });
+  } else {
+    // Token issued before sessions were tracked
+    session = await createSession(user.id, refreshTokenExpiry(), options);
+  }
+
+  const { token: refreshToken, record } = await createRefreshToken(
+    user.id,
+    session,
+  );
+
+  const [updated] = await RefreshToken.update(
+    { revoked_at: new Date(), replaced_by_id: record.id },
+    { where: { id: existing.id, revoked_at: null } },
+  );
+
+  // Lost a race with a concurrent refresh of the same token
+  if (updated === 0) {
+    await record.destroy();
+    throw new RefreshTokenError("Refresh token has been revoked");
+  }
+
+  return {
+    token: signAccessToken(user, session.id),
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TOKEN_EXPIRES_IN,
+  };
+};
+
+// Create a single-use emailed token (password reset etc.). Any earlier
+// unused token for the same purpose stops working.
+const createOneTimeToken = async (
+  userId,
+  purpose,
+  ttlMinutes,
+  options = {},
+) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await UserToken.update(
+    { expires_at: new Date() },
+    {
+      where: {
+        user_id: userId,
+        purpose,
+        used_at: null,
+        expires_at: { [Op.gt]: new Date() },
+      },
+      transaction: options.transaction,
+    },
+  );
+
+  await UserToken.create(
+    {
+      user_id: userId,
+      purpose,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000),
+      requested_ip: options.ip || null,
+    },
+    { transaction: options.transaction },
+  );
+
+  return token;
+};
+
+// Look up an unused, unexpired one-time token
+const findOneTimeToken = (token, purpose, options = {}) =>
+  UserToken.findOne({
+    where: {
+      token_hash: hashToken(token),
+      purpose,
+      used_at: null,
+      expires_at: { [Op.gt]: new Date() },
+    },
+    transaction: options.transaction,
+    lock: options.transaction ? options.transaction.LOCK.UPDATE : undefined,
+  });
+
+// Number of tokens issued for a purpose within the last `windowMinutes`
+const countRecentOneTimeTokens = (userId, purpose, windowMinutes) =>
+  UserToken.count({
+    where: {
+      user_id: userId,
+      purpose,
+      created_at: {
+        [Op.gte]: new Date(Date.now() - windowMinutes * 60 * 1000),
+      },
+    },
+  });
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  signImpersonationToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  RefreshTokenError,
+  createOneTimeToken,
+  findOneTimeToken,
+  countRecentOneTimeTokens,
+};
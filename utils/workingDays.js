@@ -0,0 +1,125 @@
+const { Op } = require("sequelize");
+const { Holiday, LeaveRequest } = require("../models");
+const { localDate, zoneOf } = require("./timezone");
+
+// Expected working days are Monday to Friday, minus the organization's
+// holidays and the learner's approved leave. Dates are YYYY-MM-DD strings
+// in the learner's own calendar.
+const WEEKEND_DAYS = [0, 6];
+// Working days in a row without learning before a learner counts as idle
+const IDLE_AFTER_WORKING_DAYS = 3;
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+const eachDay = function* (from, to) {
+  for (let day = from; day <= to; day = addDays(day, 1)) yield day;
+};
+
+const isWeekend = (date) =>
+  WEEKEND_DAYS.includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+
+// Learner's local today and first day of the current month
+const localToday = (learner, now = new Date()) =>
+  localDate(now, zoneOf(learner));
+const monthStart = (date) => `${date.slice(0, 8)}01`;
+
+// Holidays and approved leave overlapping [from, to] for the given
+// learners ({ id, organization_id })
+const loadCalendar = async (learners, from, to) => {
+  const organizationIds = [
+    ...new Set(learners.map((l) => l.organization_id).filter(Boolean)),
+  ];
+  const userIds = learners.map((l) => l.id);
+
+  const [holidays, leave] = await Promise.all([
+    organizationIds.length
+      ? Holiday.findAll({
+          where: {
+            organization_id: organizationIds,
+            date: { [Op.between]: [from, to] },
+          },
+          attributes: ["organization_id", "date"],
+        })
+      : [],
+    userIds.length
+      ? LeaveRequest.findAll({
+          where: {
+            user_id: userIds,
+            status: "approved",
+            start_date: { [Op.lte]: to },
+            end_date: { [Op.gte]: from },
+          },
+          attributes: ["user_id", "start_date", "end_date"],
+        })
+      : [],
+  ]);
+
+  const calendar = { holidays: new Map(), leave: new Map() };
+  for (const holiday of holidays) {
+    if (!calendar.holidays.has(holiday.organization_id)) {
+      calendar.holidays.set(holiday.organization_id, new Set());
+    }
+    calendar.holidays.get(holiday.organization_id).add(holiday.date);
+  }
+  for (const request of leave) {
+    if (!calendar.leave.has(request.user_id)) {
+      calendar.leave.set(request.user_id, new Set());
+    }
+    const days = calendar.leave.get(request.user_id);
+    const start = request.start_date < from ? from : request.start_date;
+    const end = request.end_date > to ? to : request.end_date;
+    for (const day of eachDay(start, end)) days.add(day);
+  }
+  return calendar;
+};
+
+// Calendar covering each learner's current month so far, with their
+// local todays in the same order and the [from, to] range covered
+const loadMonthToDate = async (learners) => {
+  const todays = learners.map((l) => localToday(l));
+  const sorted = [...todays].sort();
+  const from = monthStart(sorted[0] || localToday(null));
+  const to = sorted[sorted.length - 1] || localToday(null);
+  const calendar = await loadCalendar(learners, from, to);
+  return { calendar, todays, from, to };
+};
+
+const isWorkingDay = (calendar, learner, date) => {
+  if (isWeekend(date)) return false;
+  const holidays = calendar.holidays.get(learner.organization_id);
+  if (holidays && holidays.has(date)) return false;
+  const leave = calendar.leave.get(learner.id);
+  return !(leave && leave.has(date));
+};
+
+const countWorkingDays = (calendar, learner, from, to) => {
+  let count = 0;
+  for (const day of eachDay(from, to)) {
+    if (isWorkingDay(calendar, learner, day)) count += 1;
+  }
+  return count;
+};
+
+// Idle once IDLE_AFTER_WORKING_DAYS working days, counting today, have
+// passed since the last day with learning
+const isIdle = (calendar, learner, lastActive, today) =>
+  !lastActive ||
+  countWorkingDays(calendar, learner, addDays(lastActive, 1), today) >=
+    IDLE_AFTER_WORKING_DAYS;
+
+module.exports = {
+  IDLE_AFTER_WORKING_DAYS,
+  addDays,
+  eachDay,
+  localToday,
+  monthStart,
+  loadCalendar,
+  loadMonthToDate,
+  isWorkingDay,
+  countWorkingDays,
+  isIdle,
+};